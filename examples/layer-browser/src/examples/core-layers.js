@@ -1,3 +1,4 @@
+/* global setTimeout, document */
 import {
   COORDINATE_SYSTEM,
 
@@ -7,15 +8,21 @@ import {
 
   PointCloudLayer,
   ScreenGridLayer,
+  HeatmapLayer,
   IconLayer,
   GridCellLayer,
   GridLayer,
+  ContourLayer,
   HexagonCellLayer,
   HexagonLayer,
 
   GeoJsonLayer,
   PolygonLayer,
-  PathLayer
+  PathLayer,
+  TripsLayer,
+  TileLayer,
+  BitmapLayer,
+  TerrainLayer
 } from 'deck.gl';
 
 // Demonstrate immutable support
@@ -52,6 +59,36 @@ const ArcLayerExample = {
   }
 };
 
+// Flights from San Francisco, some of them across the 180th meridian
+const FLIGHTS = [
+  {name: 'Tokyo', coordinates: [139.69, 35.69]},
+  {name: 'Sydney', coordinates: [151.21, -33.87]},
+  {name: 'London', coordinates: [-0.13, 51.51]},
+  {name: 'Sao Paulo', coordinates: [-46.63, -23.55]},
+  {name: 'Reykjavik', coordinates: [-21.94, 64.15]}
+].map((target, index) => ({
+  sourcePosition: [-122.42, 37.77],
+  targetPosition: target.coordinates,
+  name: target.name,
+  index
+}));
+
+const ArcLayerGreatCircleExample = {
+  layer: ArcLayer,
+  getData: () => FLIGHTS,
+  props: {
+    id: 'arcLayerGreatCircle',
+    greatCircle: true,
+    numSegments: 100,
+    getSourceColor: d => [64, 255, 0],
+    getTargetColor: d => [0, 128, 200],
+    getStrokeWidth: d => d.index + 1,
+    getHeight: d => 0.5,
+    getTilt: d => d.index * 15 - 30,
+    pickable: true
+  }
+};
+
 const IconLayerExample = {
   layer: IconLayer,
   getData: () => dataSamples.points,
@@ -68,6 +105,50 @@ const IconLayerExample = {
   }
 };
 
+const IconLayerCollisionExample = {
+  layer: IconLayer,
+  getData: () => dataSamples.points,
+  props: Object.assign({}, IconLayerExample.props, {
+    id: 'icon-layer-collision',
+    collisionEnabled: true,
+    getPriority: d => get(d, 'RACKS')
+  })
+};
+
+// Icons generated from data: a badge with the number of racks
+const rackIcons = {};
+function getRackIcon(racks) {
+  if (!rackIcons[racks]) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 32;
+    canvas.height = 32;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = '#c04000';
+    ctx.beginPath();
+    ctx.arc(16, 16, 15, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.fillStyle = '#fff';
+    ctx.font = 'bold 18px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(racks), 16, 16);
+    rackIcons[racks] = {id: `racks-${racks}`, image: canvas, width: 32, height: 32};
+  }
+  return rackIcons[racks];
+}
+
+const IconLayerAutoPackingExample = {
+  layer: IconLayer,
+  getData: () => dataSamples.points,
+  props: {
+    id: 'icon-layer-auto-packing',
+    sizeScale: 24,
+    getPosition: d => d.COORDINATES,
+    getIcon: d => getRackIcon(get(d, 'RACKS')),
+    pickable: true
+  }
+};
+
 const GeoJsonLayerExample = {
   layer: GeoJsonLayer,
   getData: () => dataSamples.geojson,
@@ -133,6 +214,88 @@ const PolygonLayerExample = {
   }
 };
 
+// A multi polygon with a hole, and a polygon crossing the antimeridian
+const ISLANDS = [{
+  polygon: [
+    [
+      [[172, -42], [178, -42], [178, -36], [172, -36]],
+      [[174, -40], [176, -40], [176, -38], [174, -38]]
+    ],
+    [[[166, -47], [172, -47], [172, -43]]]
+  ],
+  elevation: 200000
+}, {
+  polygon: [[177, -20], [-178, -20], [-178, -15], [177, -15]],
+  elevation: 100000
+}];
+
+const PolygonLayerMultiExample = {
+  layer: PolygonLayer,
+  getData: () => ISLANDS,
+  props: {
+    id: 'polygonLayer-multi',
+    getPolygon: f => f.polygon,
+    getFillColor: f => [0, 128, 255],
+    getLineColor: f => [0, 0, 0, 255],
+    getLineWidth: f => 5000,
+    getElevation: f => f.elevation,
+    opacity: 0.8,
+    pickable: true,
+    lightSettings: LIGHT_SETTINGS
+  }
+};
+
+// Hatch and dot patterns drawn into an atlas, used as alpha masks
+const FILL_PATTERN_MAPPING = {
+  hatch: {x: 0, y: 0, width: 16, height: 16, mask: true},
+  dots: {x: 16, y: 0, width: 16, height: 16, mask: true}
+};
+
+function makeFillPatternAtlas() {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 16;
+  const ctx = canvas.getContext('2d');
+  ctx.save();
+  ctx.rect(0, 0, 16, 16);
+  ctx.clip();
+  ctx.strokeStyle = '#fff';
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(-4, 4);
+  ctx.lineTo(4, -4);
+  ctx.moveTo(0, 16);
+  ctx.lineTo(16, 0);
+  ctx.moveTo(12, 20);
+  ctx.lineTo(20, 12);
+  ctx.stroke();
+  ctx.restore();
+  ctx.fillStyle = '#fff';
+  ctx.beginPath();
+  ctx.arc(24, 8, 4, 0, Math.PI * 2);
+  ctx.fill();
+  return canvas.toDataURL();
+}
+
+const PolygonLayerPatternExample = {
+  layer: PolygonLayer,
+  getData: () => dataSamples.polygons,
+  props: {
+    id: 'polygonLayer-pattern',
+    fillPatternAtlas: makeFillPatternAtlas(),
+    fillPatternMapping: FILL_PATTERN_MAPPING,
+    fillPatternSpace: 'screen',
+    getPolygon: f => f,
+    getFillColor: f => [200, 0, 80],
+    getFillPattern: f => (Math.random() > 0.5 ? 'hatch' : 'dots'),
+    getFillPatternScale: f => 1,
+    getLineColor: f => [0, 0, 0, 255],
+    getLineWidth: f => 20,
+    opacity: 0.8,
+    pickable: true
+  }
+};
+
 const PathLayerExample = {
   layer: PathLayer,
   getData: () => dataSamples.zigzag,
@@ -147,6 +310,39 @@ const PathLayerExample = {
   }
 };
 
+const PathLayerVertexValuesExample = {
+  layer: PathLayer,
+  getData: () => dataSamples.zigzag,
+  props: {
+    id: 'pathLayer-vertex-values',
+    opacity: 0.8,
+    getPath: f => get(f, 'path'),
+    // Colors and widths vary along each path
+    getColor: f => Array.from(get(f, 'path'), (p, i) => [255 - i * 20, i * 20, 128]),
+    getWidth: f => Array.from(get(f, 'path'), (p, i) => 5 + i * 5),
+    rounded: true,
+    widthMinPixels: 1,
+    pickable: true
+  }
+};
+
+const TripsLayerExample = {
+  layer: TripsLayer,
+  getData: () => dataSamples.zigzag,
+  props: {
+    id: 'tripsLayer',
+    getPath: f => get(f, 'path'),
+    // One vertex every 10 time units
+    getTimestamps: f => Array.from(get(f, 'path'), (p, i) => i * 10),
+    getColor: f => [253, 128, 93],
+    getWidth: f => 10,
+    widthMinPixels: 2,
+    currentTime: 60,
+    trailLength: 40,
+    pickable: true
+  }
+};
+
 const ScreenGridLayerExample = {
   layer: ScreenGridLayer,
   getData: () => dataSamples.points,
@@ -160,6 +356,97 @@ const ScreenGridLayerExample = {
   }
 };
 
+const BitmapLayerExample = {
+  layer: BitmapLayer,
+  props: {
+    id: 'bitmapLayer',
+    image: 'data/icon-atlas.png',
+    bounds: [-122.5190, 37.7045, -122.355, 37.829],
+    desaturate: 0,
+    transparentColor: [0, 0, 0, 0],
+    tintColor: [255, 255, 255],
+    pickable: true
+  }
+};
+
+// Synthetic elevation grid with a few hills
+function getElevationGrid(width, height) {
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = x / (width - 1) * Math.PI * 3;
+      const v = y / (height - 1) * Math.PI * 2;
+      data[y * width + x] = Math.max(0, Math.sin(u) * Math.cos(v)) * 1000;
+    }
+  }
+  return {width, height, data};
+}
+
+const TerrainLayerExample = {
+  layer: TerrainLayer,
+  props: {
+    id: 'terrainLayer',
+    elevationData: getElevationGrid(129, 129),
+    bounds: [-122.5190, 37.7045, -122.355, 37.829],
+    meshMaxError: 4,
+    color: [160, 200, 160, 255],
+    lightSettings: LIGHT_SETTINGS,
+    pickable: true
+  }
+};
+
+const ContourLayerExample = {
+  layer: ContourLayer,
+  getData: () => dataSamples.points,
+  props: {
+    id: 'contourLayer',
+    getPosition: d => get(d, 'COORDINATES'),
+    cellSize: 200,
+    contours: [
+      {threshold: [1, 5], color: [255, 255, 178, 128]},
+      {threshold: [5, 10], color: [253, 141, 60, 128]},
+      {threshold: [10, 100], color: [189, 0, 38, 128]},
+      {threshold: 1, color: [255, 255, 178], strokeWidth: 1},
+      {threshold: 5, color: [253, 141, 60], strokeWidth: 2},
+      {threshold: 10, color: [189, 0, 38], strokeWidth: 4}
+    ],
+    pickable: true
+  }
+};
+
+const HeatmapLayerExample = {
+  layer: HeatmapLayer,
+  getData: () => dataSamples.points,
+  props: {
+    id: 'heatmapLayer',
+    getPosition: d => get(d, 'COORDINATES'),
+    getWeight: d => get(d, 'SPACES'),
+    radius: 40,
+    intensity: 1,
+    threshold: 0.05,
+    pickable: false
+  }
+};
+
+// Tiles outline their own bounds after a simulated network delay
+const TileLayerExample = {
+  layer: TileLayer,
+  props: {
+    id: 'tileLayer',
+    getTileData: ({bbox}) => new Promise(resolve => setTimeout(() => {
+      const {west, north, east, south} = bbox;
+      const path = [[west, north], [east, north], [east, south], [west, south], [west, north]];
+      resolve([{path}]);
+    }, 500)),
+    renderSubLayers: props => new PathLayer(Object.assign(props, {
+      getPath: d => d.path,
+      getColor: d => [255, 0, 128],
+      widthMinPixels: 2
+    })),
+    pickable: true
+  }
+};
+
 const LineLayerExample = {
   layer: LineLayer,
   getData: () => dataSamples.routes,
@@ -425,16 +712,28 @@ export default {
     'GeoJsonLayer': GeoJsonLayerExample,
     'GeoJsonLayer (Extruded)': GeoJsonLayerExtrudedExample,
     PolygonLayer: PolygonLayerExample,
+    'PolygonLayer (multi polygons)': PolygonLayerMultiExample,
+    'PolygonLayer (fill patterns)': PolygonLayerPatternExample,
     PathLayer: PathLayerExample,
+    'PathLayer (vertex colors and widths)': PathLayerVertexValuesExample,
+    TripsLayer: TripsLayerExample,
     ScatterplotLayer: ScatterplotLayerExample,
     ArcLayer: ArcLayerExample,
+    'ArcLayer (great circle)': ArcLayerGreatCircleExample,
     LineLayer: LineLayerExample,
     IconLayer: IconLayerExample,
+    'IconLayer (collision)': IconLayerCollisionExample,
+    'IconLayer (auto packing)': IconLayerAutoPackingExample,
+    BitmapLayer: BitmapLayerExample,
     GridCellLayer: GridCellLayerExample,
     GridLayer: GridLayerExample,
+    ContourLayer: ContourLayerExample,
     ScreenGridLayer: ScreenGridLayerExample,
+    HeatmapLayer: HeatmapLayerExample,
     HexagonCellLayer: HexagonCellLayerExample,
-    HexagonLayer: HexagonLayerExample
+    HexagonLayer: HexagonLayerExample,
+    TerrainLayer: TerrainLayerExample,
+    TileLayer: TileLayerExample
   },
 
   'Core Layers - Meter Offsets': {
@@ -110,7 +110,7 @@ const TextLayerExample = {
   getData: () => dataSamples.points.slice(0, 50),
   props: {
     id: 'text-layer',
-    getText: x => `${x.PLACEMENT}-${x.YR_INSTALLED}`,
+    getText: x => `${x.PLACEMENT}\n${x.YR_INSTALLED}`,
     getPosition: x => x.COORDINATES,
     getColor: x => [153, 0, 0],
     getSize: x => 32,
@@ -118,7 +118,16 @@ const TextLayerExample = {
     sizeScale: 1,
     getTextAnchor: x => 'start',
     getAlignmentBaseline: x => 'center',
-    getPixelOffset: x => [10, 0]
+    getPixelOffset: x => [10, 0],
+    fontFamily: 'Helvetica, Arial, sans-serif',
+    fontWeight: 'bold',
+    sdf: true,
+    outlineWidth: 0.1,
+    outlineColor: [255, 255, 255, 255],
+    lineHeight: 1.2,
+    maxWidth: 8,
+    collisionEnabled: true,
+    getPriority: x => x.RACKS
   }
 };
 
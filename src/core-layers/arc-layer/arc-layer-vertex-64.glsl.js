@@ -27,16 +27,23 @@ attribute vec4 instanceTargetColors;
 
 attribute vec4 instancePositions;
 attribute vec4 instancePositions64Low;
+attribute float instanceWidths;
+attribute float instanceHeights;
+attribute float instanceTilts;
 
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 
 uniform float numSegments;
 uniform vec2 viewportSize;
-uniform float strokeWidth;
+uniform float greatCircle;
 uniform float opacity;
 
 varying vec4 vColor;
 
+// arcs shorter than this angular distance (in radians) are interpolated linearly
+const float EPSILON = 0.000001;
+
 vec2 paraboloid_fp64(vec2 source[2], vec2 target[2], float ratio) {
 
   vec2 x[2];
@@ -51,7 +58,7 @@ vec2 paraboloid_fp64(vec2 source[2], vec2 target[2], float ratio) {
 
 // offset vector by strokeWidth pixels
 // offset_direction is -1 (left) or 1 (right)
-vec2 getExtrusionOffset(vec2 line_clipspace, float offset_direction) {
+vec2 getExtrusionOffset(vec2 line_clipspace, float offset_direction, float strokeWidth) {
   // normalized direction of the line
   vec2 dir_screenspace = normalize(line_clipspace * viewportSize);
   // rotate by 90 degrees
@@ -67,22 +74,66 @@ float getSegmentRatio(float index) {
   return smoothstep(0.0, 1.0, index / (numSegments - 1.0));
 }
 
+// Interpolates between two [lng, lat] positions along the great circle that joins them
+vec2 interpolateGreatCircle(vec2 source, vec2 target, float ratio) {
+  vec2 sourceRadians = radians(source);
+  vec2 targetRadians = radians(target);
+  vec2 delta = targetRadians - sourceRadians;
+  float a = sin(delta.y / 2.0) * sin(delta.y / 2.0) +
+    cos(sourceRadians.y) * cos(targetRadians.y) * sin(delta.x / 2.0) * sin(delta.x / 2.0);
+  // angular distance between the positions
+  float d = 2.0 * asin(sqrt(a));
+  if (d < EPSILON) {
+    return mix(source, target, ratio);
+  }
+
+  float sourceWeight = sin((1.0 - ratio) * d) / sin(d);
+  float targetWeight = sin(ratio * d) / sin(d);
+  vec3 point = sourceWeight * vec3(
+    cos(sourceRadians.y) * cos(sourceRadians.x),
+    cos(sourceRadians.y) * sin(sourceRadians.x),
+    sin(sourceRadians.y)
+  ) + targetWeight * vec3(
+    cos(targetRadians.y) * cos(targetRadians.x),
+    cos(targetRadians.y) * sin(targetRadians.x),
+    sin(targetRadians.y)
+  );
+
+  vec2 position = degrees(vec2(atan(point.y, point.x), atan(point.z, length(point.xy))));
+  // keep longitudes continuous across the 180th meridian
+  position.x = source.x + mod(position.x - source.x + 180.0, 360.0) - 180.0;
+  return position;
+}
+
+// Returns the position of the arc in world space, raised by a parabola scaled by
+// instanceHeights, in a plane tilted around the source-target line by instanceTilts degrees
 void get_pos_fp64(vec2 source[2], vec2 target[2], float segmentRatio, out vec2 position[4]) {
 
   vec2 vertex_height = paraboloid_fp64(source, target, segmentRatio);
 
   vec2 position_temp[2];
 
-  vec2_mix_fp64(source, target, segmentRatio, position_temp);
-
-  position[0] = position_temp[0];
-  position[1] = position_temp[1];
+  // great circle points are interpolated in 32-bit, the end points stay exact
+  if (greatCircle > 0.5 && segmentRatio > 0.0 && segmentRatio < 1.0) {
+    vec2 lngLat = interpolateGreatCircle(instancePositions.xy, instancePositions.zw, segmentRatio);
+    project_position_fp64(vec4(lngLat.x, 0.0, lngLat.y, 0.0), position_temp);
+  } else {
+    vec2_mix_fp64(source, target, segmentRatio, position_temp);
+  }
 
   if (vertex_height.x < 0.0 || (vertex_height.x == 0.0 && vertex_height.y <= 0.0)) {
     vertex_height = vec2(0.0, 0.0);
   }
+  vertex_height = mul_fp64(sqrt_fp64(vertex_height), vec2(instanceHeights, 0.0));
+
+  vec2 dir = vec2(target[0].x - source[0].x, target[1].x - source[1].x);
+  vec2 side = length(dir) > 0.0 ? normalize(vec2(-dir.y, dir.x)) : vec2(0.0);
+  float tilt = radians(instanceTilts);
+  vec2 side_offset = side * vertex_height.x * sin(tilt);
 
-  position[2] = sqrt_fp64(vertex_height);
+  position[0] = sum_fp64(position_temp[0], vec2(side_offset.x, 0.0));
+  position[1] = sum_fp64(position_temp[1], vec2(side_offset.y, 0.0));
+  position[2] = mul_fp64(vertex_height, vec2(cos(tilt), 0.0));
   position[3] = vec2(1.0, 0.0);
 }
 
@@ -119,9 +170,11 @@ void main(void) {
   vec4 curr_pos_clipspace = project_to_clipspace_fp64(curr_pos_modelspace);
   vec4 next_pos_clipspace = project_to_clipspace_fp64(next_pos_modelspace);
 
-  vec2 offset = getExtrusionOffset(next_pos_clipspace.xy - curr_pos_clipspace.xy, positions.y);
+  vec2 offset = getExtrusionOffset(
+    next_pos_clipspace.xy - curr_pos_clipspace.xy, positions.y, instanceWidths);
 
   gl_Position = curr_pos_clipspace + vec4(offset, 0.0, 0.0);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   vec4 color = mix(instanceSourceColors, instanceTargetColors, segmentRatio) / 255.;
   vColor = vec4(color.rgb, color.a * opacity);
@@ -25,15 +25,22 @@ attribute vec3 positions;
 attribute vec4 instanceSourceColors;
 attribute vec4 instanceTargetColors;
 attribute vec4 instancePositions;
+attribute float instanceWidths;
+attribute float instanceHeights;
+attribute float instanceTilts;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 
 uniform float numSegments;
 uniform vec2 viewportSize;
-uniform float strokeWidth;
+uniform float greatCircle;
 uniform float opacity;
 
 varying vec4 vColor;
 
+// arcs shorter than this angular distance (in radians) are interpolated linearly
+const float EPSILON = 0.000001;
+
 float paraboloid(vec2 source, vec2 target, float ratio) {
 
   vec2 x = mix(source, target, ratio);
@@ -46,7 +53,7 @@ float paraboloid(vec2 source, vec2 target, float ratio) {
 
 // offset vector by strokeWidth pixels
 // offset_direction is -1 (left) or 1 (right)
-vec2 getExtrusionOffset(vec2 line_clipspace, float offset_direction) {
+vec2 getExtrusionOffset(vec2 line_clipspace, float offset_direction, float strokeWidth) {
   // normalized direction of the line
   vec2 dir_screenspace = normalize(line_clipspace * viewportSize);
   // rotate by 90 degrees
@@ -62,18 +69,62 @@ float getSegmentRatio(float index) {
   return smoothstep(0.0, 1.0, index / (numSegments - 1.0));
 }
 
+// Interpolates between two [lng, lat] positions along the great circle that joins them
+vec2 interpolateGreatCircle(vec2 source, vec2 target, float ratio) {
+  vec2 sourceRadians = radians(source);
+  vec2 targetRadians = radians(target);
+  vec2 delta = targetRadians - sourceRadians;
+  float a = sin(delta.y / 2.0) * sin(delta.y / 2.0) +
+    cos(sourceRadians.y) * cos(targetRadians.y) * sin(delta.x / 2.0) * sin(delta.x / 2.0);
+  // angular distance between the positions
+  float d = 2.0 * asin(sqrt(a));
+  if (d < EPSILON) {
+    return mix(source, target, ratio);
+  }
+
+  float sourceWeight = sin((1.0 - ratio) * d) / sin(d);
+  float targetWeight = sin(ratio * d) / sin(d);
+  vec3 point = sourceWeight * vec3(
+    cos(sourceRadians.y) * cos(sourceRadians.x),
+    cos(sourceRadians.y) * sin(sourceRadians.x),
+    sin(sourceRadians.y)
+  ) + targetWeight * vec3(
+    cos(targetRadians.y) * cos(targetRadians.x),
+    cos(targetRadians.y) * sin(targetRadians.x),
+    sin(targetRadians.y)
+  );
+
+  vec2 position = degrees(vec2(atan(point.y, point.x), atan(point.z, length(point.xy))));
+  // keep longitudes continuous across the 180th meridian
+  position.x = source.x + mod(position.x - source.x + 180.0, 360.0) - 180.0;
+  return position;
+}
+
+// Returns the position of the arc in world space, raised by a parabola scaled by
+// instanceHeights, in a plane tilted around the source-target line by instanceTilts degrees
 vec3 getPos(vec2 source, vec2 target, float segmentRatio) {
-  float vertex_height = paraboloid(source, target, segmentRatio);
+  vec2 source_world = project_position(source);
+  vec2 target_world = project_position(target);
+  vec2 position_world = greatCircle > 0.5 ?
+    project_position(interpolateGreatCircle(source, target, segmentRatio)) :
+    mix(source_world, target_world, segmentRatio);
+
+  float vertex_height = sqrt(max(0.0, paraboloid(source_world, target_world, segmentRatio))) *
+    instanceHeights;
+
+  vec2 dir = target_world - source_world;
+  vec2 side = length(dir) > 0.0 ? normalize(vec2(-dir.y, dir.x)) : vec2(0.0);
+  float tilt = radians(instanceTilts);
 
   return vec3(
-    mix(source, target, segmentRatio),
-    sqrt(max(0.0, vertex_height))
+    position_world + side * vertex_height * sin(tilt),
+    vertex_height * cos(tilt)
   );
 }
 
 void main(void) {
-  vec2 source = project_position(instancePositions.xy);
-  vec2 target = project_position(instancePositions.zw);
+  vec2 source = instancePositions.xy;
+  vec2 target = instancePositions.zw;
 
   float segmentIndex = positions.x;
   float segmentRatio = getSegmentRatio(segmentIndex);
@@ -88,8 +139,9 @@ void main(void) {
   vec4 next = project_to_clipspace(vec4(nextPos, 1.0));
 
   // extrude
-  vec2 offset = getExtrusionOffset((next.xy - curr.xy) * indexDir, positions.y);
+  vec2 offset = getExtrusionOffset((next.xy - curr.xy) * indexDir, positions.y, instanceWidths);
   gl_Position = curr + vec4(offset, 0.0, 0.0);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   vec4 color = mix(instanceSourceColors, instanceTargetColors, segmentRatio) / 255.;
   vColor = vec4(color.rgb, color.a * opacity);
@@ -19,7 +19,7 @@
 // THE SOFTWARE.
 
 import {COORDINATE_SYSTEM, Layer, experimental} from '../../core';
-const {fp64ify, enable64bitSupport} = experimental;
+const {fp64ify, enable64bitSupport, log} = experimental;
 
 import {GL, Model, Geometry} from 'luma.gl';
 
@@ -28,22 +28,43 @@ import vs64 from './arc-layer-vertex-64.glsl';
 import fs from './arc-layer-fragment.glsl';
 
 const DEFAULT_COLOR = [0, 0, 0, 255];
+const DEFAULT_STROKE_WIDTH = 1;
 
+/*
+ * @param {object} props
+ * @param {bool} props.greatCircle - whether arcs follow the great circle between source and
+ *   target, only used with COORDINATE_SYSTEM.LNGLAT
+ * @param {number} props.numSegments - number of segments of each arc
+ * @param {func} props.getSourcePosition - returns source position of the arc
+ * @param {func} props.getTargetPosition - returns target position of the arc
+ * @param {func} props.getSourceColor - returns color at the source in [r, g, b, a]
+ * @param {func} props.getTargetColor - returns color at the target in [r, g, b, a]
+ * @param {func} props.getStrokeWidth - returns width of the arc in pixels
+ * @param {number} props.strokeWidth - DEPRECATED, width of all arcs in pixels, only used
+ *   when getStrokeWidth is not supplied
+ * @param {func} props.getHeight - returns height multiplier of the arc
+ * @param {func} props.getTilt - returns angle (in degrees) of the arc plane around the line
+ *   between source and target, from -90 to 90
+ */
 const defaultProps = {
-  strokeWidth: 1,
   fp64: false,
+  greatCircle: false,
+  numSegments: 50,
 
   getSourcePosition: x => x.sourcePosition,
   getTargetPosition: x => x.targetPosition,
   getSourceColor: x => x.color || DEFAULT_COLOR,
-  getTargetColor: x => x.color || DEFAULT_COLOR
+  getTargetColor: x => x.color || DEFAULT_COLOR,
+  getStrokeWidth: x => x.strokeWidth || DEFAULT_STROKE_WIDTH,
+  getHeight: x => 1,
+  getTilt: x => 0
 };
 
 export default class ArcLayer extends Layer {
   getShaders() {
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'picking']} :
-      {vs, fs, modules: ['picking']}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', 'filter', 'picking', 'mask']} :
+      {vs, fs, modules: ['filter', 'picking', 'mask']}; // 'project' module added by default.
   }
 
   initializeState() {
@@ -52,11 +73,19 @@ export default class ArcLayer extends Layer {
 
     const {attributeManager} = this.state;
 
+    /* deprecated props check */
+    if (this.props.strokeWidth !== undefined) {
+      log.deprecated('ArcLayer.strokeWidth', 'ArcLayer.getStrokeWidth');
+    }
+
     /* eslint-disable max-len */
     attributeManager.addInstanced({
       instancePositions: {size: 4, accessor: ['getSourcePosition', 'getTargetPosition'], update: this.calculateInstancePositions},
-      instanceSourceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getSourceColor', update: this.calculateInstanceSourceColors},
-      instanceTargetColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getTargetColor', update: this.calculateInstanceTargetColors}
+      instanceSourceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getSourceColor', columnar: true, defaultValue: DEFAULT_COLOR, update: this.calculateInstanceSourceColors},
+      instanceTargetColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getTargetColor', columnar: true, defaultValue: DEFAULT_COLOR, update: this.calculateInstanceTargetColors},
+      instanceWidths: {size: 1, accessor: 'getStrokeWidth', columnar: true, defaultValue: DEFAULT_STROKE_WIDTH, update: this.calculateInstanceWidths},
+      instanceHeights: {size: 1, accessor: 'getHeight', columnar: true, defaultValue: 1, update: this.calculateInstanceHeights},
+      instanceTilts: {size: 1, accessor: 'getTilt', columnar: true, update: this.calculateInstanceTilts}
     });
     /* eslint-enable max-len */
   }
@@ -86,24 +115,31 @@ export default class ArcLayer extends Layer {
   updateState({props, oldProps, changeFlags}) {
     super.updateState({props, oldProps, changeFlags});
     // Re-generate model if geometry changed
-    if (props.fp64 !== oldProps.fp64) {
+    if (props.fp64 !== oldProps.fp64 || props.numSegments !== oldProps.numSegments) {
       const {gl} = this.context;
       this.setState({model: this._getModel(gl)});
     }
+    if (props.coordinateSystem !== oldProps.coordinateSystem) {
+      // Longitudes of targets are wrapped in COORDINATE_SYSTEM.LNGLAT
+      this.state.attributeManager.invalidate('getTargetPosition');
+    }
+    if (props.strokeWidth !== oldProps.strokeWidth) {
+      this.state.attributeManager.invalidate('getStrokeWidth');
+    }
     this.updateAttribute({props, oldProps, changeFlags});
   }
 
   draw({uniforms}) {
-    const {strokeWidth} = this.props;
+    const {greatCircle, coordinateSystem} = this.props;
 
     this.state.model.render(Object.assign({}, uniforms, {
-      strokeWidth
+      greatCircle: greatCircle && coordinateSystem === COORDINATE_SYSTEM.LNGLAT ? 1 : 0
     }));
   }
 
   _getModel(gl) {
     let positions = [];
-    const NUM_SEGMENTS = 50;
+    const {numSegments} = this.props;
     /*
      *  (0, -1)-------------_(1, -1)
      *       |          _,-"  |
@@ -111,7 +147,7 @@ export default class ArcLayer extends Layer {
      *       |  _,-"          |
      *   (0, 1)"-------------(1, 1)
      */
-    for (let i = 0; i < NUM_SEGMENTS; i++) {
+    for (let i = 0; i < numSegments; i++) {
       positions = positions.concat([i, -1, 0, i, 1, 0]);
     }
 
@@ -127,11 +163,28 @@ export default class ArcLayer extends Layer {
       shaderCache: this.context.shaderCache
     }));
 
-    model.setUniforms({numSegments: NUM_SEGMENTS});
+    model.setUniforms({numSegments});
 
     return model;
   }
 
+  // Returns the longitude of the target, moved to the side of the 180th meridian that is
+  // closest to the source so that arcs take the short way around the globe
+  _getTargetLongitude(sourcePosition, targetPosition) {
+    const targetLongitude = targetPosition[0];
+    if (this.props.coordinateSystem !== COORDINATE_SYSTEM.LNGLAT) {
+      return targetLongitude;
+    }
+    const delta = targetLongitude - sourcePosition[0];
+    if (delta > 180) {
+      return targetLongitude - 360;
+    }
+    if (delta < -180) {
+      return targetLongitude + 360;
+    }
+    return targetLongitude;
+  }
+
   calculateInstancePositions(attribute) {
     const {data, getSourcePosition, getTargetPosition} = this.props;
     const {value, size} = attribute;
@@ -141,7 +194,7 @@ export default class ArcLayer extends Layer {
       const targetPosition = getTargetPosition(object);
       value[i + 0] = sourcePosition[0];
       value[i + 1] = sourcePosition[1];
-      value[i + 2] = targetPosition[0];
+      value[i + 2] = this._getTargetLongitude(sourcePosition, targetPosition);
       value[i + 3] = targetPosition[1];
       i += size;
     }
@@ -156,12 +209,51 @@ export default class ArcLayer extends Layer {
       const targetPosition = getTargetPosition(object);
       value[i + 0] = fp64ify(sourcePosition[0])[1];
       value[i + 1] = fp64ify(sourcePosition[1])[1];
-      value[i + 2] = fp64ify(targetPosition[0])[1];
+      value[i + 2] = fp64ify(this._getTargetLongitude(sourcePosition, targetPosition))[1];
       value[i + 3] = fp64ify(targetPosition[1])[1];
       i += size;
     }
   }
 
+  // Returns the width accessor, the deprecated `strokeWidth` prop applies to all arcs
+  // when `getStrokeWidth` is not supplied
+  _getStrokeWidthAccessor() {
+    const {strokeWidth, getStrokeWidth} = this.props;
+    if (Number.isFinite(strokeWidth) && getStrokeWidth === defaultProps.getStrokeWidth) {
+      return () => strokeWidth;
+    }
+    return getStrokeWidth;
+  }
+
+  calculateInstanceWidths(attribute) {
+    const {data} = this.props;
+    const getStrokeWidth = this._getStrokeWidthAccessor();
+    const {value} = attribute;
+    let i = 0;
+    for (const object of data) {
+      const strokeWidth = getStrokeWidth(object);
+      value[i++] = Number.isFinite(strokeWidth) ? strokeWidth : DEFAULT_STROKE_WIDTH;
+    }
+  }
+
+  calculateInstanceHeights(attribute) {
+    const {data, getHeight} = this.props;
+    const {value} = attribute;
+    let i = 0;
+    for (const object of data) {
+      value[i++] = getHeight(object);
+    }
+  }
+
+  calculateInstanceTilts(attribute) {
+    const {data, getTilt} = this.props;
+    const {value} = attribute;
+    let i = 0;
+    for (const object of data) {
+      value[i++] = getTilt(object);
+    }
+  }
+
   calculateInstanceSourceColors(attribute) {
     const {data, getSourceColor} = this.props;
     const {value, size} = attribute;
@@ -0,0 +1,71 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+#define SHADER_NAME bitmap-layer-fragment-shader
+
+#ifdef GL_ES
+precision highp float;
+#endif
+
+uniform sampler2D bitmapTexture;
+uniform float opacity;
+uniform float desaturate;
+uniform vec4 transparentColor;
+uniform vec3 tintColor;
+// Number of distinct texture coordinates along each axis in the picking color
+uniform float pickingResolution;
+
+varying vec2 vTexCoord;
+
+// Moves a color towards its luminance
+vec3 color_desaturate(vec3 color) {
+  float luminance = (color.r + color.g + color.b) * 0.333333333;
+  return mix(color, vec3(luminance), desaturate);
+}
+
+// Encodes the texture coordinate into a picking color, see BitmapLayer.getPickingInfo
+vec3 encodePickingColor(vec2 texCoord) {
+  vec2 cell = min(floor(texCoord * pickingResolution), pickingResolution - 1.0);
+  float index = cell.x * pickingResolution + cell.y + 1.0;
+  return vec3(
+    mod(index, 256.0),
+    mod(floor(index / 256.0), 256.0),
+    floor(index / 65536.0)
+  ) / 255.0;
+}
+
+void main(void) {
+  if (picking_uActive) {
+    gl_FragColor = mask_filterColor(vec4(encodePickingColor(vTexCoord), 1.0));
+    return;
+  }
+
+  vec4 bitmapColor = texture2D(bitmapTexture, vTexCoord);
+  vec3 color = color_desaturate(bitmapColor.rgb) * tintColor;
+
+  // Transparent areas of the bitmap show the transparent color
+  gl_FragColor = mix(transparentColor, vec4(color, 1.0), bitmapColor.a);
+  gl_FragColor.a *= opacity;
+
+  // discard fragments outside of the mask of the layer
+  gl_FragColor = mask_filterColor(gl_FragColor);
+}
+`;
@@ -0,0 +1,256 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {COORDINATE_SYSTEM, Layer, experimental} from '../../core';
+const {fp64ify, enable64bitSupport} = experimental;
+import {GL, Model, Geometry, Texture2D, loadTextures} from 'luma.gl';
+
+import vs from './bitmap-layer-vertex.glsl';
+import vs64 from './bitmap-layer-vertex-64.glsl';
+import fs from './bitmap-layer-fragment.glsl';
+
+// Texture coordinates of the bottom left, top left, top right and bottom right corners.
+// Textures are flipped on upload, so that v = 0 is the bottom of the image
+const TEX_COORDS = new Float32Array([0, 0, 0, 1, 1, 1, 1, 0]);
+
+// Number of distinct texture coordinates along each axis that picking can resolve,
+// the picking color of a fragment encodes both coordinates in 24 bits
+const PICKING_RESOLUTION = 4095;
+
+// Non power of two images can neither be mipmapped nor repeated in WebGL1
+const TEXTURE_OPTIONS = {
+  mipmaps: false,
+  parameters: {
+    [GL.TEXTURE_MIN_FILTER]: GL.LINEAR,
+    [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+    [GL.TEXTURE_WRAP_S]: GL.CLAMP_TO_EDGE,
+    [GL.TEXTURE_WRAP_T]: GL.CLAMP_TO_EDGE
+  }
+};
+
+/*
+ * @param {object} props
+ * @param {Texture2D | string | Image | HTMLCanvasElement} props.image - image url or texture
+ * @param {array} props.bounds - `[left, bottom, right, top]`, or the positions of the
+ *   bottom left, top left, top right and bottom right corners, in the layer's coordinate system
+ * @param {number} props.desaturate - 0 to 1, moves the bitmap colors towards grayscale
+ * @param {array} props.transparentColor - color in [r, g, b, a] shown in transparent areas
+ * @param {array} props.tintColor - color in [r, g, b] that the bitmap colors are multiplied by
+ */
+const defaultProps = {
+  image: null,
+  bounds: [0, 0, 1, 1],
+  fp64: false,
+
+  desaturate: 0,
+  transparentColor: [0, 0, 0, 0],
+  tintColor: [255, 255, 255]
+};
+
+/**
+ * Returns the positions of the four corners of a bitmap
+ * @param {Array} bounds - see `props.bounds`
+ * @return {Array} - bottom left, top left, top right and bottom right corners
+ */
+export function getBitmapCorners(bounds) {
+  if (Number.isFinite(bounds[0])) {
+    const [left, bottom, right, top] = bounds;
+    return [[left, bottom], [left, top], [right, top], [right, bottom]];
+  }
+  return bounds;
+}
+
+export default class BitmapLayer extends Layer {
+  getShaders() {
+    return enable64bitSupport(this.props) ?
+      {vs: vs64, fs, modules: ['project64', 'picking', 'mask']} :
+      {vs, fs, modules: ['picking', 'mask']}; // 'project' module added by default.
+  }
+
+  initializeState() {
+    const {gl} = this.context;
+    this.setState({
+      model: this._getModel(gl),
+      numInstances: 1,
+      bitmapTexture: null,
+      // Textures created by this layer are deleted with it
+      ownsTexture: false,
+      isFinalized: false
+    });
+
+    const {attributeManager} = this.state;
+    const noAlloc = true;
+    attributeManager.add({
+      positions: {size: 3, update: this.calculatePositions, noAlloc},
+      texCoords: {size: 2, update: this.calculateTexCoords, noAlloc}
+    });
+  }
+
+  updateAttribute({props, oldProps, changeFlags}) {
+    if (props.fp64 !== oldProps.fp64) {
+      const {attributeManager} = this.state;
+      attributeManager.invalidateAll();
+
+      if (props.fp64 && props.coordinateSystem === COORDINATE_SYSTEM.LNGLAT) {
+        attributeManager.add({
+          positions64xyLow: {size: 2, update: this.calculatePositions64xyLow, noAlloc: true}
+        });
+      } else {
+        attributeManager.remove([
+          'positions64xyLow'
+        ]);
+      }
+    }
+  }
+
+  updateState({props, oldProps, changeFlags}) {
+    super.updateState({props, oldProps, changeFlags});
+
+    if (props.image !== oldProps.image) {
+      this._loadTexture(props.image);
+    }
+
+    if (props.bounds !== oldProps.bounds) {
+      this.state.attributeManager.invalidateAll();
+    }
+
+    if (props.fp64 !== oldProps.fp64) {
+      const {gl} = this.context;
+      this.setState({model: this._getModel(gl)});
+    }
+    this.updateAttribute({props, oldProps, changeFlags});
+  }
+
+  finalizeState() {
+    this._deleteTexture();
+    // Images may still be loading
+    this.state.isFinalized = true;
+  }
+
+  getPickingInfo({info, mode}) {
+    const {bitmapTexture} = this.state;
+    info = super.getPickingInfo({info, mode});
+
+    if (info.index >= 0 && bitmapTexture) {
+      // Decode the texture coordinate encoded by the fragment shader
+      const u = (Math.floor(info.index / PICKING_RESOLUTION) + 0.5) / PICKING_RESOLUTION;
+      const v = (info.index % PICKING_RESOLUTION + 0.5) / PICKING_RESOLUTION;
+      const {width, height} = bitmapTexture;
+      info.bitmap = {
+        size: {width, height},
+        // Coordinates from the top left corner of the image
+        uv: [u, 1 - v],
+        pixel: [Math.floor(u * width), Math.floor((1 - v) * height)]
+      };
+    }
+    return info;
+  }
+
+  draw({uniforms}) {
+    const {desaturate, transparentColor, tintColor} = this.props;
+    const {bitmapTexture} = this.state;
+
+    if (bitmapTexture) {
+      this.state.model.render(Object.assign({}, uniforms, {
+        bitmapTexture,
+        desaturate,
+        transparentColor: transparentColor.map(x => x / 255),
+        tintColor: tintColor.slice(0, 3).map(x => x / 255),
+        pickingResolution: PICKING_RESOLUTION
+      }));
+    }
+  }
+
+  _getModel(gl) {
+    return new Model(gl, Object.assign({}, this.getShaders(), {
+      id: this.props.id,
+      geometry: new Geometry({
+        drawMode: GL.TRIANGLE_FAN,
+        vertexCount: 4
+      }),
+      isInstanced: false,
+      shaderCache: this.context.shaderCache
+    }));
+  }
+
+  _loadTexture(image) {
+    const {gl} = this.context;
+    this._deleteTexture();
+
+    if (image instanceof Texture2D) {
+      this.setState({bitmapTexture: image, ownsTexture: false});
+    } else if (typeof image === 'string') {
+      // Layer state is transferred between layer instances, update the current one
+      // unless the image changed while loading
+      const {state} = this;
+      loadTextures(gl, {urls: [image], parameters: TEXTURE_OPTIONS})
+        .then(([texture]) => {
+          const {layer} = state;
+          if (layer && !state.isFinalized && layer.props.image === image) {
+            layer._deleteTexture();
+            layer.setState({bitmapTexture: texture, ownsTexture: true});
+          } else {
+            texture.delete();
+          }
+        });
+    } else if (image) {
+      this.setState({
+        bitmapTexture: new Texture2D(gl, Object.assign({data: image}, TEXTURE_OPTIONS)),
+        ownsTexture: true
+      });
+    }
+  }
+
+  _deleteTexture() {
+    const {bitmapTexture, ownsTexture} = this.state;
+    if (bitmapTexture && ownsTexture) {
+      bitmapTexture.delete();
+    }
+    this.setState({bitmapTexture: null, ownsTexture: false});
+  }
+
+  calculatePositions(attribute) {
+    const corners = getBitmapCorners(this.props.bounds);
+    const value = new Float32Array(12);
+    for (let i = 0; i < 4; i++) {
+      value[i * 3] = corners[i][0];
+      value[i * 3 + 1] = corners[i][1];
+      value[i * 3 + 2] = corners[i][2] || 0;
+    }
+    attribute.value = value;
+  }
+
+  calculatePositions64xyLow(attribute) {
+    const corners = getBitmapCorners(this.props.bounds);
+    const value = new Float32Array(8);
+    for (let i = 0; i < 4; i++) {
+      value[i * 2] = fp64ify(corners[i][0])[1];
+      value[i * 2 + 1] = fp64ify(corners[i][1])[1];
+    }
+    attribute.value = value;
+  }
+
+  calculateTexCoords(attribute) {
+    attribute.value = TEX_COORDS;
+  }
+}
+
+BitmapLayer.layerName = 'BitmapLayer';
+BitmapLayer.defaultProps = defaultProps;
@@ -0,0 +1,180 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {CompositeLayer, experimental} from '../../core';
+const {GridAggregator, AGGREGATION_OPERATION} = experimental;
+
+import PathLayer from '../path-layer/path-layer';
+import SolidPolygonLayer from '../solid-polygon-layer/solid-polygon-layer';
+import {getGridPoints, aggregateGridPoints} from '../grid-layer/grid-aggregator';
+import {getGridValues, generateContours} from './contour-utils';
+
+const DEFAULT_COLOR = [255, 255, 255, 255];
+const DEFAULT_STROKE_WIDTH = 1;
+
+const defaultProps = {
+  // grid aggregation
+  cellSize: 1000,
+  getPosition: x => x.position,
+  getWeight: x => 1,
+  // aggregate on the GPU when supported, otherwise on the CPU
+  gpuAggregation: true,
+
+  // contour lines and bands
+  contours: [{threshold: 1}],
+  fp64: false
+};
+
+// Returns true if two lists of contour definitions generate different contours
+function contoursChanged(oldContours, contours) {
+  if (oldContours === contours) {
+    return false;
+  }
+  if (!oldContours || oldContours.length !== contours.length) {
+    return true;
+  }
+  return contours.some((contour, i) => {
+    const oldContour = oldContours[i];
+    return String(contour.threshold) !== String(oldContour.threshold) ||
+      String(contour.color) !== String(oldContour.color) ||
+      contour.strokeWidth !== oldContour.strokeWidth;
+  });
+}
+
+export default class ContourLayer extends CompositeLayer {
+  initializeState() {
+    this.state = {
+      contours: null,
+      isolines: [],
+      isobands: [],
+      // positions and weights of points
+      points: null,
+      // values of the aggregated grid
+      grid: null,
+      aggregator: new GridAggregator(this.context.gl, {
+        id: `${this.id}-aggregator`,
+        shaderCache: this.context.shaderCache
+      })
+    };
+  }
+
+  finalizeState() {
+    this.state.aggregator.delete();
+  }
+
+  updateState({oldProps, props, changeFlags}) {
+    const {updateTriggersChanged} = changeFlags;
+    const pointsChanged = changeFlags.dataChanged || Boolean(updateTriggersChanged &&
+      (updateTriggersChanged.all || updateTriggersChanged.getPosition ||
+      updateTriggersChanged.getWeight));
+    const gridChanged = pointsChanged ||
+      oldProps.cellSize !== props.cellSize ||
+      oldProps.gpuAggregation !== props.gpuAggregation;
+
+    if (pointsChanged) {
+      this.state.points = null;
+    }
+    if (gridChanged) {
+      this.aggregatePoints();
+    }
+    if (gridChanged || contoursChanged(this.state.contours, props.contours)) {
+      this.generateContours();
+    }
+  }
+
+  // Aggregates the weights of points into grid cells, on the GPU if possible
+  aggregatePoints() {
+    const {data, getPosition, getWeight, cellSize, gpuAggregation} = this.props;
+    const {aggregator} = this.state;
+
+    this.state.points = this.state.points ||
+      getGridPoints({data, getPosition, getColorWeight: getWeight});
+
+    const {gridOffset, layerData} = aggregateGridPoints(this.state.points, {
+      aggregator,
+      cellSize,
+      colorAggregation: AGGREGATION_OPERATION.SUM,
+      gpuAggregation
+    });
+
+    this.setState({grid: getGridValues(layerData, gridOffset)});
+  }
+
+  // Runs marching squares over the aggregated grid
+  generateContours() {
+    const {contours} = this.props;
+    const {isolines, isobands} = generateContours(this.state.grid, contours);
+    this.setState({contours, isolines, isobands});
+  }
+
+  getPickingInfo({info}) {
+    // Picked object is the contour definition of the picked line or band
+    const {object} = info;
+    return Object.assign(info, {
+      object: object ? object.contour : null
+    });
+  }
+
+  renderLayers() {
+    const {fp64} = this.props;
+    const {contours, isolines, isobands} = this.state;
+
+    const bandsLayer = isobands.length > 0 && new SolidPolygonLayer(this.getSubLayerProps({
+      id: 'bands',
+      data: isobands,
+      fp64,
+      extruded: false,
+      getPolygon: d => d.polygon,
+      getColor: d => d.contour.color || DEFAULT_COLOR,
+      updateTriggers: {
+        getColor: contours
+      }
+    }));
+
+    // Path widths are uniform in pixels per layer, so isolines are grouped by width
+    const isolinesByWidth = {};
+    for (const isoline of isolines) {
+      const width = isoline.contour.strokeWidth || DEFAULT_STROKE_WIDTH;
+      isolinesByWidth[width] = isolinesByWidth[width] || [];
+      isolinesByWidth[width].push(isoline);
+    }
+
+    const linesLayers = Object.keys(isolinesByWidth).map(width => new PathLayer(
+      this.getSubLayerProps({
+        id: `lines-${width}`,
+        data: isolinesByWidth[width],
+        fp64,
+        widthScale: 0,
+        widthMinPixels: Number(width),
+        widthMaxPixels: Number(width),
+        getPath: d => d.path,
+        getColor: d => d.contour.color || DEFAULT_COLOR,
+        updateTriggers: {
+          getColor: contours
+        }
+      })
+    ));
+
+    return [bandsLayer, ...linesLayers];
+  }
+}
+
+ContourLayer.layerName = 'ContourLayer';
+ContourLayer.defaultProps = defaultProps;
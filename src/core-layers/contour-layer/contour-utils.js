@@ -0,0 +1,206 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+/**
+ * Marching squares over a grid of aggregated cell values.
+ *
+ * Each grid square, between the centers of 4 cells, is clipped in value space
+ * with linear interpolation along its edges:
+ * - isolines are the edges of the clipped square that cross its interior
+ * - isobands are the squares clipped by both thresholds of a band
+ * Saddle squares always connect the corners that are above a threshold,
+ * so that isolines and isobands of the same thresholds match.
+ */
+
+/**
+ * Builds a dense grid of values from the cells of `aggregateGridPoints`.
+ * The grid is padded with empty cells on each side so that contours close around the data.
+ * @param {Object[]} layerData - aggregated cells, with `position` and `colorValue`
+ * @param {Object} gridOffset - cell size in degrees, {xOffset, yOffset}
+ * @returns {Object} - {values, numCol, numRow, gridOrigin, cellSize}, where
+ *   `values[row * numCol + col]` is the value at `gridOrigin + [col, row] * cellSize`
+ */
+export function getGridValues(layerData, gridOffset) {
+  const {xOffset, yOffset} = gridOffset;
+  let minCol = Infinity;
+  let minRow = Infinity;
+  let maxCol = -Infinity;
+  let maxRow = -Infinity;
+
+  const cells = layerData.map(cell => {
+    // Cell positions are the south west corners of cells, `-180 + col * xOffset`
+    const col = Math.round((cell.position[0] + 180) / xOffset);
+    const row = Math.round((cell.position[1] + 90) / yOffset);
+    minCol = Math.min(minCol, col);
+    minRow = Math.min(minRow, row);
+    maxCol = Math.max(maxCol, col);
+    maxRow = Math.max(maxRow, row);
+    return {col, row, value: cell.colorValue};
+  });
+
+  if (!cells.length) {
+    return {
+      values: new Float32Array(0),
+      numCol: 0,
+      numRow: 0,
+      gridOrigin: [0, 0],
+      cellSize: [0, 0]
+    };
+  }
+
+  const numCol = maxCol - minCol + 3;
+  const numRow = maxRow - minRow + 3;
+  const values = new Float32Array(numCol * numRow);
+  for (const cell of cells) {
+    values[(cell.row - minRow + 1) * numCol + cell.col - minCol + 1] = cell.value;
+  }
+
+  return {
+    values,
+    numCol,
+    numRow,
+    // center of the padding cell before the first column and row
+    gridOrigin: [-180 + (minCol - 0.5) * xOffset, -90 + (minRow - 0.5) * yOffset],
+    cellSize: [xOffset, yOffset]
+  };
+}
+
+/**
+ * Generates isolines and isobands from a grid of values
+ * @param {Object} grid - grid values, see `getGridValues`
+ * @param {Object[]} contours - contour definitions. A `threshold` number generates
+ *   isolines, a `[lower, upper]` threshold generates isobands of values in `[lower, upper)`
+ * @returns {Object} - {isolines, isobands}:
+ *   isolines are segments `{contour, path: [start, end]}`,
+ *   isobands are polygons `{contour, polygon}`, one per grid square
+ */
+export function generateContours({values, numCol, numRow, gridOrigin, cellSize}, contours) {
+  const result = {isolines: [], isobands: []};
+  const toPosition = point => [
+    gridOrigin[0] + point.x * cellSize[0],
+    gridOrigin[1] + point.y * cellSize[1]
+  ];
+
+  for (let row = 0; row < numRow - 1; row++) {
+    for (let col = 0; col < numCol - 1; col++) {
+      const square = getSquare(values, numCol, col, row);
+      for (const contour of contours) {
+        addSquareContours(square, contour, toPosition, result);
+      }
+    }
+  }
+
+  return result;
+}
+
+// Adds the isolines or isoband of a contour that cross a grid square
+function addSquareContours(square, contour, toPosition, {isolines, isobands}) {
+  const {threshold} = contour;
+
+  if (Array.isArray(threshold)) {
+    const polygon = getIsoband(square, threshold);
+    if (polygon) {
+      isobands.push({contour, polygon: polygon.map(toPosition)});
+    }
+    return;
+  }
+
+  for (const segment of getIsolines(square, threshold)) {
+    isolines.push({contour, path: segment.map(toPosition)});
+  }
+}
+
+// Returns the corners of a grid square, counter clockwise
+function getSquare(values, numCol, col, row) {
+  return [[0, 0], [1, 0], [1, 1], [0, 1]].map(([dx, dy]) => ({
+    x: col + dx,
+    y: row + dy,
+    value: values[(row + dy) * numCol + col + dx],
+    isCrossing: false
+  }));
+}
+
+// Counts the corners of a square that have a value of at least `threshold`
+function countAbove(square, threshold) {
+  return square.reduce((count, point) => count + (point.value >= threshold ? 1 : 0), 0);
+}
+
+// Returns the segments of the isoline of `threshold` that cross a square
+function getIsolines(square, threshold) {
+  const count = countAbove(square, threshold);
+  if (count === 0 || count === square.length) {
+    return [];
+  }
+
+  // Edges between two crossing points are inside the square
+  const polygon = clipPolygon(square, threshold, true);
+  const segments = [];
+  for (let i = 0; i < polygon.length; i++) {
+    const start = polygon[i];
+    const end = polygon[(i + 1) % polygon.length];
+    if (start.isCrossing && end.isCrossing) {
+      segments.push([start, end]);
+    }
+  }
+  return segments;
+}
+
+// Returns the part of a square with values in [lower, upper), or null if it is empty
+function getIsoband(square, [lower, upper]) {
+  const countAboveLower = countAbove(square, lower);
+  const countAboveUpper = countAbove(square, upper);
+
+  if (countAboveLower === 0 || countAboveUpper === square.length) {
+    return null;
+  }
+  if (countAboveLower === square.length && countAboveUpper === 0) {
+    return square;
+  }
+
+  const polygon = clipPolygon(clipPolygon(square, lower, true), upper, false);
+  return polygon.length >= 3 ? polygon : null;
+}
+
+// Clips a polygon to the points above (or below) a threshold, interpolating
+// values linearly along its edges
+function clipPolygon(polygon, threshold, keepAbove) {
+  const isInside = point => (point.value >= threshold) === keepAbove;
+  const result = [];
+
+  for (let i = 0; i < polygon.length; i++) {
+    const start = polygon[i];
+    const end = polygon[(i + 1) % polygon.length];
+    const startInside = isInside(start);
+
+    if (startInside) {
+      result.push(start);
+    }
+    if (startInside !== isInside(end)) {
+      const ratio = (threshold - start.value) / (end.value - start.value);
+      result.push({
+        x: start.x + (end.x - start.x) * ratio,
+        y: start.y + (end.y - start.y) * ratio,
+        value: threshold,
+        isCrossing: true
+      });
+    }
+  }
+  return result;
+}
@@ -50,10 +50,24 @@ const defaultProps = {
 
   fp64: false,
 
+  // Polygon fill patterns, see SolidPolygonLayer
+  fillPatternAtlas: null,
+  fillPatternMapping: {},
+  fillPatternSpace: 'world',
+
+  // Url of the attribute worker script. If supplied, tesselation runs in a worker
+  workerUrl: null,
+  // Called with `{layer, loading}` when tesselation in a worker starts and ends
+  onLoadingChange: () => {},
+
   // Line and polygon outline color
   getLineColor: f => get(f, 'properties.lineColor') || defaultLineColor,
   // Point and polygon fill color
   getFillColor: f => get(f, 'properties.fillColor') || defaultFillColor,
+  // Polygon fill pattern name
+  getFillPattern: f => get(f, 'properties.fillPattern'),
+  // Polygon fill pattern size multiplier
+  getFillPatternScale: f => get(f, 'properties.fillPatternScale') || 1,
   // Point radius
   getRadius: f => get(f, 'properties.radius') || get(f, 'properties.size') || 1,
   // Line and polygon outline accessors
@@ -65,16 +79,6 @@ const defaultProps = {
     PointLayer: ScatterplotLayer,
     LineLayer: PathLayer,
     PolygonLayer: SolidPolygonLayer
-  },
-
-  // Optional settings for 'lighting' shader module
-  lightSettings: {
-    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
-    ambientRatio: 0.05,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [2.0, 0.0, 0.0, 0.0],
-    numberOfLights: 2
   }
 };
 
@@ -114,11 +118,12 @@ export default class GeoJsonLayer extends CompositeLayer {
       lineJointRounded, lineMiterLimit,
       pointRadiusScale, pointRadiusMinPixels, pointRadiusMaxPixels,
       elevationScale,
-      fp64} = this.props;
+      fp64, workerUrl, onLoadingChange} = this.props;
+    const {fillPatternAtlas, fillPatternMapping, fillPatternSpace} = this.props;
 
     // Accessor props for underlying layers
-    const {getLineColor, getFillColor, getRadius,
-      getLineWidth, getElevation, updateTriggers} = this.props;
+    const {getLineColor, getFillColor, getRadius, getFillPattern, getFillPatternScale,
+      getLineWidth, getElevation, getFilterValue, updateTriggers} = this.props;
 
     const drawPoints = pointFeatures && pointFeatures.length > 0;
     const drawLines = lineFeatures && lineFeatures.length > 0;
@@ -132,16 +137,27 @@ export default class GeoJsonLayer extends CompositeLayer {
           id: 'polygon-fill',
           data: polygonFeatures,
           fp64,
+          workerUrl,
+          onLoadingChange,
           extruded,
           elevationScale,
           wireframe: false,
           lightSettings,
+          fillPatternAtlas,
+          fillPatternMapping,
+          fillPatternSpace,
           getPolygon: getCoordinates,
           getElevation,
           getColor: getFillColor,
+          getFilterValue,
+          getFillPattern,
+          getFillPatternScale,
           updateTriggers: {
+            getFilterValue: updateTriggers.getFilterValue,
             getElevation: updateTriggers.getElevation,
-            getColor: updateTriggers.getFillColor
+            getColor: updateTriggers.getFillColor,
+            getFillPattern: updateTriggers.getFillPattern,
+            getFillPatternScale: updateTriggers.getFillPatternScale
           }
         })
       );
@@ -153,13 +169,17 @@ export default class GeoJsonLayer extends CompositeLayer {
           data: polygonFeatures,
 
           fp64,
+          workerUrl,
+          onLoadingChange,
           extruded,
           elevationScale,
           wireframe: true,
           getPolygon: getCoordinates,
           getElevation,
           getColor: getLineColor,
+          getFilterValue,
           updateTriggers: {
+            getFilterValue: updateTriggers.getFilterValue,
             getElevation: updateTriggers.getElevation,
             getColor: updateTriggers.getLineColor
           }
@@ -173,6 +193,8 @@ export default class GeoJsonLayer extends CompositeLayer {
           data: polygonOutlineFeatures,
 
           fp64,
+          workerUrl,
+          onLoadingChange,
           widthScale: lineWidthScale,
           widthMinPixels: lineWidthMinPixels,
           widthMaxPixels: lineWidthMaxPixels,
@@ -182,7 +204,9 @@ export default class GeoJsonLayer extends CompositeLayer {
           getPath: getCoordinates,
           getColor: getLineColor,
           getWidth: getLineWidth,
+          getFilterValue,
           updateTriggers: {
+            getFilterValue: updateTriggers.getFilterValue,
             getColor: updateTriggers.getLineColor,
             getWidth: updateTriggers.getLineWidth
           }
@@ -196,6 +220,8 @@ export default class GeoJsonLayer extends CompositeLayer {
           data: lineFeatures,
 
           fp64,
+          workerUrl,
+          onLoadingChange,
           widthScale: lineWidthScale,
           widthMinPixels: lineWidthMinPixels,
           widthMaxPixels: lineWidthMaxPixels,
@@ -205,7 +231,9 @@ export default class GeoJsonLayer extends CompositeLayer {
           getPath: getCoordinates,
           getColor: getLineColor,
           getWidth: getLineWidth,
+          getFilterValue,
           updateTriggers: {
+            getFilterValue: updateTriggers.getFilterValue,
             getColor: updateTriggers.getLineColor,
             getWidth: updateTriggers.getLineWidth
           }
@@ -226,7 +254,9 @@ export default class GeoJsonLayer extends CompositeLayer {
           getPosition: getCoordinates,
           getColor: getFillColor,
           getRadius,
+          getFilterValue,
           updateTriggers: {
+            getFilterValue: updateTriggers.getFilterValue,
             getColor: updateTriggers.getFillColor,
             getRadius: updateTriggers.getRadius
           }
@@ -30,6 +30,13 @@ attribute vec4 instancePositions;
 attribute vec2 instancePositions64xyLow;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
+
+// Values and progress of attribute transitions
+attribute vec4 instancePositionsFrom;
+attribute vec4 instanceColorsFrom;
+uniform float instancePositionsProgress;
+uniform float instanceColorsProgress;
 
 // Custom uniforms
 uniform float extruded;
@@ -45,17 +52,20 @@ uniform float elevationScale;
 varying vec4 vColor;
 
 void main(void) {
+  vec4 cellPosition = mix(instancePositionsFrom, instancePositions, instancePositionsProgress);
+  vec4 cellColor = mix(instanceColorsFrom, instanceColors, instanceColorsProgress);
+
   vec4 instancePositions64xy = vec4(
-    instancePositions.x,
+    cellPosition.x,
     instancePositions64xyLow.x,
-    instancePositions.y,
+    cellPosition.y,
     instancePositions64xyLow.y);
 
   vec2 projected_coord_xy[2];
   project_position_fp64(instancePositions64xy, projected_coord_xy);
   
   // if ahpha == 0.0 or z < 0.0, do not render element
-  float noRender = float(instanceColors.a == 0.0 || instancePositions.w < 0.0);
+  float noRender = float(cellColor.a == 0.0 || cellPosition.w < 0.0);
   float finalCellSize = cellSize * mix(1.0, 0.0, noRender);
   
   projected_coord_xy[0] = sum_fp64(projected_coord_xy[0],
@@ -66,7 +76,7 @@ void main(void) {
   float elevation = 0.0;
 
   if (extruded > 0.5) {
-    elevation = project_scale(instancePositions.w  * (positions.z + 1.0) *
+    elevation = project_scale(cellPosition.w  * (positions.z + 1.0) *
       ELEVATION_SCALE * elevationScale) + 1.0;
   }
 
@@ -81,19 +91,19 @@ void main(void) {
     vertex_pos_modelspace[2].x, vertex_pos_modelspace[3].x);
 
   gl_Position = project_to_clipspace_fp64(vertex_pos_modelspace);
+  gl_Position = shadow_setVertexPosition(gl_Position);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
-  float lightWeight = 1.0;
+  vec3 lightColor = cellColor.rgb / 255.0;
 
   if (extruded > 0.5) {
-    lightWeight = getLightWeight(
+    lightColor = lighting_getLightColor(
+      lightColor,
       position_worldspace.xyz, // the w component is always 1.0
       normals
     );
   }
-
-  vec3 lightWeightedColor = lightWeight * instanceColors.rgb;
-  vec4 color = vec4(lightWeightedColor, instanceColors.a * opacity) / 255.0;
-  vColor = color;
+  vColor = vec4(lightColor, cellColor.a * opacity / 255.0);
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
@@ -29,6 +29,13 @@ attribute vec3 normals;
 attribute vec4 instancePositions;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
+
+// Values and progress of attribute transitions
+attribute vec4 instancePositionsFrom;
+attribute vec4 instanceColorsFrom;
+uniform float instancePositionsProgress;
+uniform float instanceColorsProgress;
 
 // Custom uniforms
 uniform float extruded;
@@ -44,11 +51,14 @@ uniform float elevationScale;
 varying vec4 vColor;
 
 void main(void) {
+  vec4 cellPosition = mix(instancePositionsFrom, instancePositions, instancePositionsProgress);
+  vec4 cellColor = mix(instanceColorsFrom, instanceColors, instanceColorsProgress);
+
 
-  vec2 topLeftPos = project_position(instancePositions.xy);
+  vec2 topLeftPos = project_position(cellPosition.xy);
 
   // if ahpha == 0.0 or z < 0.0, do not render element
-  float noRender = float(instanceColors.a == 0.0 || instancePositions.w < 0.0);
+  float noRender = float(cellColor.a == 0.0 || cellPosition.w < 0.0);
   float finalCellSize = cellSize * mix(1.0, 0.0, noRender);
 
   // cube gemoetry vertics are between -1 to 1, scale and transform it to between 0, 1
@@ -59,7 +69,7 @@ void main(void) {
   float elevation = 0.0;
 
   if (extruded > 0.5) {
-    elevation = project_scale(instancePositions.w  * (positions.z + 1.0) *
+    elevation = project_scale(cellPosition.w  * (positions.z + 1.0) *
       ELEVATION_SCALE * elevationScale);
   }
 
@@ -67,19 +77,19 @@ void main(void) {
   vec3 extrudedPosition = vec3(pos.xy, elevation + 1.0);
   vec4 position_worldspace = vec4(extrudedPosition, 1.0);
   gl_Position = project_to_clipspace(position_worldspace);
+  gl_Position = shadow_setVertexPosition(gl_Position);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
-  float lightWeight = 1.0;
+  vec3 lightColor = cellColor.rgb / 255.0;
 
   if (extruded > 0.5) {
-    lightWeight = getLightWeight(
+    lightColor = lighting_getLightColor(
+      lightColor,
       position_worldspace.xyz, // the w component is always 1.0
       normals
     );
   }
-
-  vec3 lightWeightedColor = lightWeight * instanceColors.rgb;
-  vec4 color = vec4(lightWeightedColor, instanceColors.a * opacity) / 255.0;
-  vColor = color;
+  vColor = vec4(lightColor, cellColor.a * opacity / 255.0);
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
@@ -37,16 +37,7 @@ const defaultProps = {
 
   getPosition: x => x.position,
   getElevation: x => x.elevation,
-  getColor: x => x.color,
-
-  lightSettings: {
-    lightsPosition: [-122.45, 37.65, 8000, -122.45, 37.20, 1000],
-    ambientRatio: 0.4,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [1.0, 0.0, 0.8, 0.0],
-    numberOfLights: 2
-  }
+  getColor: x => x.color
 };
 
 export default class GridCellLayer extends Layer {
@@ -65,9 +56,12 @@ export default class GridCellLayer extends Layer {
 
   getShaders() {
     const {shaderCache} = this.context;
+    const modules = ['lighting', 'filter', 'shadow', 'picking', 'mask'];
+    const defines = this.getLightingDefines();
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'lighting', 'picking'], shaderCache} :
-      {vs, fs, modules: ['lighting', 'picking'], shaderCache}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', ...modules], defines, shaderCache} :
+      // 'project' module added by default.
+      {vs, fs, modules, defines, shaderCache};
   }
 
   initializeState() {
@@ -77,8 +71,8 @@ export default class GridCellLayer extends Layer {
     const {attributeManager} = this.state;
     /* eslint-disable max-len */
     attributeManager.addInstanced({
-      instancePositions: {size: 4, accessor: ['getPosition', 'getElevation'], update: this.calculateInstancePositions},
-      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', update: this.calculateInstanceColors}
+      instancePositions: {size: 4, accessor: ['getPosition', 'getElevation'], transition: true, update: this.calculateInstancePositions},
+      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', columnar: true, defaultValue: DEFAULT_COLOR, transition: true, update: this.calculateInstanceColors}
     });
     /* eslint-enable max-len */
   }
@@ -108,9 +102,11 @@ export default class GridCellLayer extends Layer {
   updateState({props, oldProps, changeFlags}) {
     super.updateState({props, oldProps, changeFlags});
     // Re-generate model if geometry changed
-    if (props.fp64 !== oldProps.fp64) {
+    // Light arrays of the shader are sized to the lights of the scene
+    if (props.fp64 !== oldProps.fp64 || this.lightingDefinesChanged()) {
       const {gl} = this.context;
       this.setState({model: this._getModel(gl)});
+      this.state.attributeManager.invalidateAll();
     }
     this.updateAttribute({props, oldProps, changeFlags});
     this.updateUniforms();
@@ -126,16 +122,15 @@ export default class GridCellLayer extends Layer {
   }
 
   updateUniforms() {
-    const {opacity, extruded, elevationScale, coverage, lightSettings} = this.props;
+    const {opacity, extruded, elevationScale, coverage} = this.props;
     const {model} = this.state;
 
-    model.setUniforms(Object.assign({}, {
+    model.setUniforms({
       extruded,
       elevationScale,
       opacity,
       coverage
-    },
-    lightSettings));
+    });
   }
 
   draw({uniforms}) {
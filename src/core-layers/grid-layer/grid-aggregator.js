@@ -17,6 +17,9 @@
 // LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
+import {experimental} from '../../core';
+const {AGGREGATION_OPERATION} = experimental;
+
 const R_EARTH = 6378000;
 
 /**
@@ -37,6 +40,103 @@ export function pointToDensityGridData(points, cellSize, getPosition) {
   };
 }
 
+/**
+ * Extract the positions and weights of points for aggregation with a GridAggregator.
+ * Positions are offset by [180, 90] so that cell indices match `pointToDensityGridData`
+ * @param {Object} opts
+ * @param {array} opts.data - points
+ * @param {function} opts.getPosition - position accessor
+ * @param {function} [opts.getColorWeight] - color weight accessor
+ * @param {function} [opts.getElevationWeight] - elevation weight accessor
+ * @returns {object} - positions, weights and latitude range of valid points
+ */
+export function getGridPoints({data, getPosition, getColorWeight, getElevationWeight}) {
+  const positions = [];
+  const colorWeights = getColorWeight ? [] : null;
+  const elevationWeights = getElevationWeight ? [] : null;
+  let latMin = Infinity;
+  let latMax = -Infinity;
+
+  for (const pt of data) {
+    const [lng, lat] = getPosition(pt);
+    if (Number.isFinite(lat) && Number.isFinite(lng)) {
+      latMin = lat < latMin ? lat : latMin;
+      latMax = lat > latMax ? lat : latMax;
+      positions.push(lng + 180, lat + 90);
+      if (colorWeights) {
+        colorWeights.push(getColorWeight(pt));
+      }
+      if (elevationWeights) {
+        elevationWeights.push(getElevationWeight(pt));
+      }
+    }
+  }
+
+  return {
+    positions: new Float64Array(positions),
+    colorWeights: colorWeights && new Float64Array(colorWeights),
+    elevationWeights: elevationWeights && new Float64Array(elevationWeights),
+    latRange: [latMin, latMax]
+  };
+}
+
+/**
+ * Calculate density grid from points extracted by `getGridPoints`, aggregating
+ * the point weights on the GPU if possible.
+ * Cells contain a count and the aggregated values instead of an array of points.
+ * @param {object} points - positions and weights, see `getGridPoints`
+ * @param {object} opts
+ * @param {GridAggregator} opts.aggregator - aggregator to run
+ * @param {number} opts.cellSize - cell size in meters
+ * @param {string} opts.colorAggregation - aggregation operation of color weights
+ * @param {string} opts.elevationAggregation - aggregation operation of elevation weights
+ * @param {boolean} opts.gpuAggregation - aggregate on the GPU if supported
+ * @returns {object} - grid data, cell dimension
+ */
+export function aggregateGridPoints(points, {
+  aggregator,
+  cellSize,
+  colorAggregation = AGGREGATION_OPERATION.SUM,
+  elevationAggregation = AGGREGATION_OPERATION.SUM,
+  gpuAggregation = true
+}) {
+  const {positions, colorWeights, elevationWeights, latRange} = points;
+  const gridOffset = _calculateGridLatLonOffset(cellSize, (latRange[0] + latRange[1]) / 2);
+
+  if (!positions.length || gridOffset.xOffset <= 0 || gridOffset.yOffset <= 0) {
+    return {gridOffset, layerData: []};
+  }
+
+  const weights = {};
+  if (colorWeights) {
+    weights.color = {values: colorWeights, operation: colorAggregation};
+  }
+  if (elevationWeights) {
+    weights.elevation = {values: elevationWeights, operation: elevationAggregation};
+  }
+
+  const {cells} = aggregator.run({
+    positions,
+    size: 2,
+    weights,
+    cellSize: [gridOffset.xOffset, gridOffset.yOffset],
+    useGPU: gpuAggregation
+  });
+
+  const layerData = cells.map((cell, index) => ({
+    index,
+    position: [
+      -180 + gridOffset.xOffset * cell.col,
+      -90 + gridOffset.yOffset * cell.row
+    ],
+    count: cell.count,
+    colorValue: colorWeights ? cell.weights.color : cell.count,
+    elevationValue: elevationWeights ? cell.weights.elevation : cell.count
+  }));
+
+  return {gridOffset, layerData};
+}
+
 /**
  * Project points into each cell, return a hash table of cells
  * @param {array} points
@@ -19,20 +19,32 @@
 // THE SOFTWARE.
 
 import {CompositeLayer, experimental} from '../../core';
-const {BinSorter, defaultColorRange, getQuantizeScale, getLinearScale} = experimental;
+const {
+  BinSorter, GridAggregator, AGGREGATION_OPERATION,
+  defaultColorRange, getQuantizeScale, getLinearScale
+} = experimental;
 
 import GridCellLayer from '../grid-cell-layer/grid-cell-layer';
 
-import {pointToDensityGridData} from './grid-aggregator';
+import {pointToDensityGridData, getGridPoints, aggregateGridPoints} from './grid-aggregator';
 
 function nop() {}
 
+// Default value accessor, counts the points of a cell. Counts are aggregated on the grid
+const getPointCount = points => points.length;
+
+// Value accessors of cells that were aggregated on the grid
+const getAggregatedColorValue = (points, cell) => cell.colorValue;
+const getAggregatedElevationValue = (points, cell) => cell.elevationValue;
+
 const defaultProps = {
 
   // color
   colorDomain: null,
   colorRange: defaultColorRange,
-  getColorValue: points => points.length,
+  getColorValue: getPointCount,
+  getColorWeight: null,
+  colorAggregation: AGGREGATION_OPERATION.SUM,
   lowerPercentile: 0,
   upperPercentile: 100,
   onSetColorDomain: nop,
@@ -40,7 +52,9 @@ const defaultProps = {
   // elevation
   elevationDomain: null,
   elevationRange: [0, 1000],
-  getElevationValue: points => points.length,
+  getElevationValue: getPointCount,
+  getElevationWeight: null,
+  elevationAggregation: AGGREGATION_OPERATION.SUM,
   elevationLowerPercentile: 0,
   elevationUpperPercentile: 100,
   elevationScale: 1,
@@ -52,15 +66,8 @@ const defaultProps = {
   getPosition: x => x.position,
   extruded: false,
   fp64: false,
-  // Optional settings for 'lighting' shader module
-  lightSettings: {
-    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
-    ambientRatio: 0.05,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [2.0, 0.0, 0.0, 0.0],
-    numberOfLights: 2
-  }
+  // aggregate on the GPU when supported, otherwise on the CPU
+  gpuAggregation: true
 };
 
 export default class GridLayer extends CompositeLayer {
@@ -73,14 +80,29 @@ export default class GridLayer extends CompositeLayer {
       elevationValueDomain: null,
       colorScaleFunc: nop,
       elevationScaleFunc: nop,
-      dimensionUpdaters: this.getDimensionUpdaters()
+      dimensionUpdaters: this.getDimensionUpdaters(),
+      // positions and weights of points, when aggregating on the grid
+      points: null,
+      aggregator: new GridAggregator(this.context.gl, {
+        id: `${this.id}-aggregator`,
+        shaderCache: this.context.shaderCache
+      })
     };
   }
 
+  finalizeState() {
+    this.state.aggregator.delete();
+  }
+
   updateState({oldProps, props, changeFlags}) {
     const dimensionChanges = this.getDimensionChanges(oldProps, props);
+    const pointsChanged = changeFlags.dataChanged || this.needsReExtractPoints(oldProps, props);
+
+    if (pointsChanged) {
+      this.state.points = null;
+    }
 
-    if (changeFlags.dataChanged || this.needsReProjectPoints(oldProps, props)) {
+    if (pointsChanged || this.needsReProjectPoints(oldProps, props)) {
       // project data into hexagons, and get sortedBins
       this.getLayerData();
     } else if (dimensionChanges) {
@@ -88,8 +110,26 @@ export default class GridLayer extends CompositeLayer {
     }
   }
 
+  needsReExtractPoints(oldProps, props) {
+    return oldProps.getColorWeight !== props.getColorWeight ||
+      oldProps.getElevationWeight !== props.getElevationWeight;
+  }
+
   needsReProjectPoints(oldProps, props) {
-    return oldProps.cellSize !== props.cellSize;
+    return oldProps.cellSize !== props.cellSize ||
+      oldProps.colorAggregation !== props.colorAggregation ||
+      oldProps.elevationAggregation !== props.elevationAggregation ||
+      oldProps.gpuAggregation !== props.gpuAggregation ||
+      this.isAggregatedOnGrid(oldProps) !== this.isAggregatedOnGrid(props);
+  }
+
+  // Points are aggregated on the grid, on the GPU if supported, when each dimension
+  // is either weighted or counts points.
+  // Custom value accessors need the points of each cell, which are binned in JS
+  isAggregatedOnGrid(props = this.props) {
+    const {getColorValue, getColorWeight, getElevationValue, getElevationWeight} = props;
+    return Boolean(getColorWeight || getColorValue === getPointCount) &&
+      Boolean(getElevationWeight || getElevationValue === getPointCount);
   }
 
   getDimensionUpdaters() {
@@ -101,7 +141,7 @@ export default class GridLayer extends CompositeLayer {
       getColor: [
         {
           id: 'value',
-          triggers: ['getColorValue'],
+          triggers: ['getColorValue', 'getColorWeight', 'colorAggregation'],
           updater: this.getSortedColorBins
         }, {
           id: 'domain',
@@ -116,7 +156,7 @@ export default class GridLayer extends CompositeLayer {
       getElevation: [
         {
           id: 'value',
-          triggers: ['getElevationValue'],
+          triggers: ['getElevationValue', 'getElevationWeight', 'elevationAggregation'],
           updater: this.getSortedElevationBins
         }, {
           id: 'domain',
@@ -202,7 +242,19 @@ export default class GridLayer extends CompositeLayer {
 
   getLayerData() {
     const {data, cellSize, getPosition} = this.props;
-    const {layerData} = pointToDensityGridData(data, cellSize, getPosition);
+    let layerData;
+
+    if (this.isAggregatedOnGrid()) {
+      const {colorAggregation, elevationAggregation, gpuAggregation} = this.props;
+      const {aggregator} = this.state;
+      this.state.points = this.state.points || getGridPoints(this.props);
+
+      ({layerData} = aggregateGridPoints(this.state.points, {
+        aggregator, cellSize, colorAggregation, elevationAggregation, gpuAggregation
+      }));
+    } else {
+      ({layerData} = pointToDensityGridData(data, cellSize, getPosition));
+    }
 
     this.setState({layerData});
     this.getSortedBins();
@@ -219,7 +271,8 @@ export default class GridLayer extends CompositeLayer {
   }
 
   getSortedColorBins() {
-    const {getColorValue} = this.props;
+    const getColorValue = this.isAggregatedOnGrid() ?
+      getAggregatedColorValue : this.props.getColorValue;
     const sortedColorBins = new BinSorter(this.state.layerData || [], getColorValue);
 
     this.setState({sortedColorBins});
@@ -227,7 +280,8 @@ export default class GridLayer extends CompositeLayer {
   }
 
   getSortedElevationBins() {
-    const {getElevationValue} = this.props;
+    const getElevationValue = this.isAggregatedOnGrid() ?
+      getAggregatedElevationValue : this.props.getElevationValue;
     const sortedElevationBins = new BinSorter(this.state.layerData || [], getElevationValue);
     this.setState({sortedElevationBins});
     this.getElevationValueDomain();
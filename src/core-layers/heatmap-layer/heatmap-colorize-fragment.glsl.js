@@ -0,0 +1,50 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+#define SHADER_NAME heatmap-colorize-fragment-shader
+
+#ifdef GL_ES
+precision highp float;
+#endif
+
+uniform sampler2D densityTexture;
+uniform sampler2D maxTexture;
+uniform sampler2D colorTexture;
+uniform float colorCount;
+uniform float intensity;
+uniform float threshold;
+uniform float opacity;
+
+varying vec2 vTexCoords;
+
+void main(void) {
+  float maxDensity = texture2D(maxTexture, vec2(0.5)).r;
+  float density = texture2D(densityTexture, vTexCoords).r;
+  float value = maxDensity > 0.0 ? clamp(intensity * density / maxDensity, 0.0, 1.0) : 0.0;
+
+  // Interpolate between the centers of the first and last texels of the color range
+  vec4 color = texture2D(colorTexture, vec2((0.5 + value * (colorCount - 1.0)) / colorCount, 0.5));
+
+  // Fade out low densities so that areas without points are transparent
+  float alpha = color.a * smoothstep(0.0, max(threshold, 1e-6), value);
+  gl_FragColor = vec4(color.rgb, alpha * opacity);
+}
+`;
@@ -0,0 +1,47 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+#define SHADER_NAME heatmap-layer-vertex-shader
+
+attribute vec3 positions;
+
+attribute vec3 instancePositions;
+attribute float instanceWeights;
+attribute float instanceFilterValues;
+
+uniform float radius;
+uniform float radiusInMeters;
+
+varying vec2 unitPosition;
+varying float vWeight;
+
+void main(void) {
+  float radiusPixels = radiusInMeters > 0.5 ? project_scale(radius) : radius;
+
+  // position on the square that contains the kernel, in [-1, 1] space
+  unitPosition = positions.xy;
+  vWeight = instanceWeights;
+
+  vec3 center = project_position(instancePositions);
+  gl_Position = project_to_clipspace(vec4(center + positions * radiusPixels, 1.0));
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
+}
+`;
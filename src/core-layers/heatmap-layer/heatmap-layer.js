@@ -0,0 +1,335 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {Layer, experimental} from '../../core';
+import {
+  GL, Model, Geometry, Framebuffer, Texture2D,
+  withParameters, isWebGL2, hasFeature, hasFeatures, FEATURES
+} from 'luma.gl';
+const {log, get, forEachInRange, defaultColorRange} = experimental;
+
+import vs from './heatmap-layer-vertex.glsl';
+import fs from './heatmap-layer-fragment.glsl';
+import quadVs from './heatmap-quad-vertex.glsl';
+import maxFs from './heatmap-max-fragment.glsl';
+import colorizeFs from './heatmap-colorize-fragment.glsl';
+
+// Each reduction pass computes the max of blocks of REDUCTION_SIZE x REDUCTION_SIZE texels
+const REDUCTION_SIZE = 4;
+// A square that covers the unit circle, or the viewport in clip space
+const QUAD_POSITIONS = new Float32Array([-1, -1, 0, -1, 1, 0, 1, 1, 0, 1, -1, 0]);
+// Passes that draw the layers on screen or offscreen for effects. Other passes, e.g. shadow map,
+// outline map and mask passes, expect layers to draw into their targets with their own shaders
+const DRAW_PASSES = ['screen', 'render to screen', 'draw', 'reflection'];
+
+const defaultProps = {
+  // The density surface has no objects to pick
+  pickable: false,
+
+  radius: 30,
+  radiusUnits: 'pixels', // 'pixels' or 'meters'
+  intensity: 1,
+  threshold: 0.05,
+  colorRange: defaultColorRange,
+
+  getPosition: x => x.position,
+  getWeight: x => 1
+};
+
+// Checks that float textures can be rendered to with additive blending
+function isFloatRenderSupported(gl) {
+  const canRenderToFloat = isWebGL2(gl) ?
+    hasFeature(gl, FEATURES.COLOR_ATTACHMENT_FLOAT) :
+    hasFeatures(gl, [FEATURES.TEXTURE_FLOAT, FEATURES.COLOR_ATTACHMENT_RGBA32F]);
+  return canRenderToFloat && Boolean(gl.getExtension('EXT_float_blend'));
+}
+
+/*
+ * Renders a smooth density surface of weighted points.
+ * Each point splats a gaussian kernel into an offscreen float framebuffer,
+ * which is normalized by its maximum value and colorized with `colorRange`.
+ * The maximum is computed on the GPU by successive reduction passes.
+ */
+export default class HeatmapLayer extends Layer {
+  getShaders() {
+    return {vs, fs, modules: ['filter']};
+  }
+
+  initializeState() {
+    const {gl} = this.context;
+    const isSupported = isFloatRenderSupported(gl);
+    if (!isSupported) {
+      log.once(0, 'HeatmapLayer: rendering to float textures is not supported, layer not drawn');
+    }
+
+    /* eslint-disable max-len */
+    this.state.attributeManager.addInstanced({
+      instancePositions: {size: 3, accessor: 'getPosition', columnar: true, update: this.calculateInstancePositions},
+      instanceWeights: {size: 1, accessor: 'getWeight', columnar: true, defaultValue: 1, update: this.calculateInstanceWeights}
+    });
+    /* eslint-enable max-len */
+
+    this.setState({
+      isSupported,
+      model: this._getModel(gl),
+      maxModel: this._getQuadModel(gl, 'max', maxFs),
+      colorizeModel: this._getQuadModel(gl, 'colorize', colorizeFs),
+      // Float framebuffers of the density, and of each reduction pass
+      densityFramebuffer: null,
+      maxFramebuffers: [],
+      colorTexture: null
+    });
+  }
+
+  // The colorize model receives the base uniforms of the layer, e.g. opacity
+  getModels() {
+    const {model, colorizeModel} = this.state;
+    return [model, colorizeModel];
+  }
+
+  updateState({props, oldProps, changeFlags}) {
+    super.updateState({props, oldProps, changeFlags});
+    if (props.colorRange !== oldProps.colorRange) {
+      this._updateColorTexture();
+    }
+  }
+
+  finalizeState() {
+    const {maxModel, densityFramebuffer, maxFramebuffers, colorTexture} = this.state;
+    if (maxModel) {
+      maxModel.delete();
+    }
+    for (const framebuffer of [densityFramebuffer, ...maxFramebuffers]) {
+      if (framebuffer) {
+        framebuffer.texture.delete();
+        framebuffer.delete();
+      }
+    }
+    if (colorTexture) {
+      colorTexture.delete();
+    }
+  }
+
+  draw({moduleParameters, uniforms, pass}) {
+    // Nothing is drawn into the picking buffer, nor in passes that do not draw the layers
+    if (!this.state.isSupported || (moduleParameters && moduleParameters.pickingActive) ||
+      DRAW_PASSES.indexOf(pass) === -1) {
+      return;
+    }
+    const {intensity, threshold, colorRange} = this.props;
+    const {colorizeModel, colorTexture} = this.state;
+
+    // Render at the size of the current viewport, in device pixels
+    const [, , width, height] = this.context.gl.getParameter(GL.VIEWPORT);
+    const densityFramebuffer = this._drawDensity(uniforms, width, height);
+    const maxFramebuffer = this._reduceMax(densityFramebuffer);
+
+    colorizeModel.draw({
+      uniforms: {
+        densityTexture: densityFramebuffer.texture,
+        maxTexture: maxFramebuffer.texture,
+        colorTexture,
+        colorCount: colorRange.length,
+        intensity,
+        threshold
+      },
+      parameters: {
+        depthTest: false,
+        depthMask: false
+      }
+    });
+  }
+
+  // Splats the kernels of all points into the density framebuffer
+  _drawDensity(uniforms, width, height) {
+    const {radius, radiusUnits} = this.props;
+    const framebuffer = this._getFloatFramebuffer(this.state.densityFramebuffer, width, height);
+    this.state.densityFramebuffer = framebuffer;
+
+    withParameters(this.context.gl, {
+      framebuffer,
+      viewport: [0, 0, width, height],
+      clearColor: [0, 0, 0, 0]
+    }, () => this.context.gl.clear(GL.COLOR_BUFFER_BIT));
+
+    this.state.model.draw({
+      framebuffer,
+      uniforms: Object.assign({}, uniforms, {
+        radius,
+        radiusInMeters: radiusUnits === 'meters' ? 1 : 0
+      }),
+      parameters: {
+        viewport: [0, 0, width, height],
+        depthTest: false,
+        blend: true,
+        blendFunc: [GL.ONE, GL.ONE],
+        blendEquation: GL.FUNC_ADD
+      }
+    });
+
+    return framebuffer;
+  }
+
+  // Reduces the density framebuffer to a single texel that holds its maximum value
+  _reduceMax(densityFramebuffer) {
+    const {maxModel, maxFramebuffers} = this.state;
+    let source = densityFramebuffer;
+
+    for (let pass = 0; source.width > 1 || source.height > 1; pass++) {
+      const width = Math.ceil(source.width / REDUCTION_SIZE);
+      const height = Math.ceil(source.height / REDUCTION_SIZE);
+      const target = this._getFloatFramebuffer(maxFramebuffers[pass], width, height);
+      maxFramebuffers[pass] = target;
+
+      maxModel.draw({
+        framebuffer: target,
+        uniforms: {
+          sourceTexture: source.texture,
+          sourceSize: [source.width, source.height]
+        },
+        parameters: {
+          viewport: [0, 0, width, height],
+          depthTest: false,
+          blend: false
+        }
+      });
+      source = target;
+    }
+
+    return source;
+  }
+
+  // Returns a framebuffer with a float texture of the given size, reusing `framebuffer`
+  _getFloatFramebuffer(framebuffer, width, height) {
+    if (framebuffer) {
+      return framebuffer.resize({width, height});
+    }
+
+    const {gl} = this.context;
+    const texture = new Texture2D(gl, {
+      format: isWebGL2(gl) ? GL.RGBA32F : GL.RGBA,
+      dataFormat: GL.RGBA,
+      type: GL.FLOAT,
+      width,
+      height,
+      mipmaps: false,
+      parameters: {
+        [GL.TEXTURE_MIN_FILTER]: GL.NEAREST,
+        [GL.TEXTURE_MAG_FILTER]: GL.NEAREST,
+        [GL.TEXTURE_WRAP_S]: GL.CLAMP_TO_EDGE,
+        [GL.TEXTURE_WRAP_T]: GL.CLAMP_TO_EDGE
+      }
+    });
+    return new Framebuffer(gl, {
+      id: `${this.id}-framebuffer`,
+      width,
+      height,
+      attachments: {[GL.COLOR_ATTACHMENT0]: texture}
+    });
+  }
+
+  // Uploads the color range to a texture, which is sampled with linear interpolation
+  _updateColorTexture() {
+    const {colorRange} = this.props;
+    const data = new Uint8Array(colorRange.length * 4);
+
+    colorRange.forEach((color, i) => {
+      data[i * 4] = color[0];
+      data[i * 4 + 1] = color[1];
+      data[i * 4 + 2] = color[2];
+      data[i * 4 + 3] = Number.isFinite(color[3]) ? color[3] : 255;
+    });
+
+    if (this.state.colorTexture) {
+      this.state.colorTexture.delete();
+    }
+    this.setState({
+      colorTexture: new Texture2D(this.context.gl, {
+        data,
+        width: colorRange.length,
+        height: 1,
+        format: GL.RGBA,
+        type: GL.UNSIGNED_BYTE,
+        mipmaps: false,
+        parameters: {
+          [GL.TEXTURE_MIN_FILTER]: GL.LINEAR,
+          [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+          [GL.TEXTURE_WRAP_S]: GL.CLAMP_TO_EDGE,
+          [GL.TEXTURE_WRAP_T]: GL.CLAMP_TO_EDGE
+        }
+      })
+    });
+  }
+
+  _getModel(gl) {
+    return new Model(gl, Object.assign({}, this.getShaders(), {
+      id: this.props.id,
+      geometry: new Geometry({
+        drawMode: GL.TRIANGLE_FAN,
+        attributes: {
+          positions: QUAD_POSITIONS
+        }
+      }),
+      isInstanced: true,
+      shaderCache: this.context.shaderCache
+    }));
+  }
+
+  _getQuadModel(gl, name, quadFs) {
+    return new Model(gl, {
+      id: `${this.props.id}-${name}`,
+      vs: quadVs,
+      fs: quadFs,
+      modules: [],
+      geometry: new Geometry({
+        drawMode: GL.TRIANGLE_FAN,
+        attributes: {
+          positions: QUAD_POSITIONS
+        }
+      }),
+      shaderCache: this.context.shaderCache
+    });
+  }
+
+  calculateInstancePositions(attribute, {startRow, endRow}) {
+    const {data, getPosition} = this.props;
+    const {value, size} = attribute;
+    let i = startRow * size;
+    forEachInRange(data, startRow, endRow, point => {
+      const position = getPosition(point);
+      value[i++] = get(position, 0);
+      value[i++] = get(position, 1);
+      value[i++] = get(position, 2) || 0;
+    });
+  }
+
+  calculateInstanceWeights(attribute, {startRow, endRow}) {
+    const {data, getWeight} = this.props;
+    const {value, size} = attribute;
+    let i = startRow * size;
+    forEachInRange(data, startRow, endRow, point => {
+      const weight = getWeight(point);
+      value[i++] = Number.isFinite(weight) ? weight : 0;
+    });
+  }
+}
+
+HeatmapLayer.layerName = 'HeatmapLayer';
+HeatmapLayer.defaultProps = defaultProps;
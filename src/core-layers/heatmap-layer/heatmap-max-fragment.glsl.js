@@ -0,0 +1,45 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Reduces a texture to the maximum value of each block of 4x4 texels
+export default `\
+#define SHADER_NAME heatmap-max-fragment-shader
+
+#ifdef GL_ES
+precision highp float;
+#endif
+
+uniform sampler2D sourceTexture;
+uniform vec2 sourceSize;
+
+void main(void) {
+  vec2 origin = floor(gl_FragCoord.xy) * 4.0;
+  float maxValue = texture2D(sourceTexture, (origin + 0.5) / sourceSize).r;
+
+  for (int i = 0; i < 4; i++) {
+    for (int j = 0; j < 4; j++) {
+      vec2 texel = origin + vec2(float(i), float(j));
+      // Texels past the edge of the source texture are clamped to the edge
+      maxValue = max(maxValue, texture2D(sourceTexture, (texel + 0.5) / sourceSize).r);
+    }
+  }
+  gl_FragColor = vec4(maxValue, 0.0, 0.0, 1.0);
+}
+`;
@@ -35,5 +35,11 @@ void main(void) {
 
   // use picking color if rendering to picking FBO.
   gl_FragColor = picking_filterPickingColor(gl_FragColor);
+
+  // write depth when drawing the shadow map, otherwise shade fragments in shadow
+  gl_FragColor = shadow_filterColor(gl_FragColor);
+
+  // discard fragments outside of the mask of the layer
+  gl_FragColor = mask_filterColor(gl_FragColor);
 }
 `;
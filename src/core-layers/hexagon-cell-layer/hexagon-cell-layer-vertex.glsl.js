@@ -28,6 +28,13 @@ attribute vec3 normals;
 attribute vec3 instancePositions;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
+
+// Values and progress of attribute transitions
+attribute vec3 instancePositionsFrom;
+attribute vec4 instanceColorsFrom;
+uniform float instancePositionsProgress;
+uniform float instanceColorsProgress;
 
 // Custom uniforms
 uniform float opacity;
@@ -44,6 +51,8 @@ varying vec4 vColor;
 #define ELEVATION_SCALE 0.8
 
 void main(void) {
+  vec3 cellPosition = mix(instancePositionsFrom, instancePositions, instancePositionsProgress);
+  vec4 cellColor = mix(instanceColorsFrom, instanceColors, instanceColorsProgress);
 
   // rotate primitive position and normal
   mat2 rotationMatrix = mat2(cos(angle), -sin(angle), sin(angle), cos(angle));
@@ -59,39 +68,40 @@ void main(void) {
   float elevation = 0.0;
 
   if (extruded > 0.5) {
-    elevation = project_scale(instancePositions.z * (positions.y + 0.5) *
+    elevation = project_scale(cellPosition.z * (positions.y + 0.5) *
       ELEVATION_SCALE * elevationScale);
   }
   
   // if ahpha == 0.0 or z < 0.0, do not render element
-  float noRender = float(instanceColors.a == 0.0 || instancePositions.z < 0.0);
+  float noRender = float(cellColor.a == 0.0 || cellPosition.z < 0.0);
   float dotRadius = radius * mix(coverage, 0.0, noRender);
   
   // project center of hexagon
-  vec4 centroidPosition = vec4(project_position(instancePositions.xy), elevation, 0.0);
+  vec4 centroidPosition = vec4(project_position(cellPosition.xy), elevation, 0.0);
 
   vec4 position_worldspace = centroidPosition + vec4(vec2(rotatedPositions.xz * dotRadius), 0., 1.);
 
   gl_Position = project_to_clipspace(position_worldspace);
+  gl_Position = shadow_setVertexPosition(gl_Position);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   // Light calculations
   // Worldspace is the linear space after Mercator projection
 
   vec3 normals_worldspace = rotatedNormals;
 
-  float lightWeight = 1.0;
+  vec3 lightColor = cellColor.rgb / 255.0;
 
   if (extruded > 0.5) {
-    lightWeight = getLightWeight(
+    lightColor = lighting_getLightColor(
+      lightColor,
       position_worldspace.xyz, // the w component is always 1.0
       normals_worldspace
     );
   }
 
-  vec3 lightWeightedColor = lightWeight * instanceColors.rgb;
-
   // opacity-multiplied instance color
-  vColor = vec4(lightWeightedColor, opacity * instanceColors.a) / 255.0;
+  vColor = vec4(lightColor, opacity * cellColor.a / 255.0);
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
@@ -39,16 +39,7 @@ const defaultProps = {
 
   getCentroid: x => x.centroid,
   getColor: x => x.color,
-  getElevation: x => x.elevation,
-
-  lightSettings: {
-    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
-    ambientRatio: 0.4,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [1.2, 0.0, 0.8, 0.0],
-    numberOfLights: 2
-  }
+  getElevation: x => x.elevation
 };
 
 export default class HexagonCellLayer extends Layer {
@@ -77,9 +68,12 @@ export default class HexagonCellLayer extends Layer {
   }
 
   getShaders() {
+    const modules = ['lighting', 'filter', 'shadow', 'picking', 'mask'];
+    const defines = this.getLightingDefines();
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'lighting', 'picking']} :
-      {vs, fs, modules: ['lighting', 'picking']}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', ...modules], defines} :
+      // 'project' module added by default.
+      {vs, fs, modules, defines};
   }
 
   /**
@@ -92,10 +86,10 @@ export default class HexagonCellLayer extends Layer {
     const {attributeManager} = this.state;
     /* eslint-disable max-len */
     attributeManager.addInstanced({
-      instancePositions: {size: 3, accessor: ['getCentroid', 'getElevation'],
+      instancePositions: {size: 3, accessor: ['getCentroid', 'getElevation'], transition: true,
         update: this.calculateInstancePositions},
-      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor',
-        update: this.calculateInstanceColors}
+      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', columnar: true, defaultValue: DEFAULT_COLOR,
+        transition: true, update: this.calculateInstanceColors}
     });
     /* eslint-enable max-len */
   }
@@ -124,9 +118,11 @@ export default class HexagonCellLayer extends Layer {
 
   updateState({props, oldProps, changeFlags}) {
     super.updateState({props, oldProps, changeFlags});
-    if (props.fp64 !== oldProps.fp64) {
+    // Light arrays of the shader are sized to the lights of the scene
+    if (props.fp64 !== oldProps.fp64 || this.lightingDefinesChanged()) {
       const {gl} = this.context;
       this.setState({model: this._getModel(gl)});
+      this.state.attributeManager.invalidateAll();
     }
     this.updateAttribute({props, oldProps, changeFlags});
 
@@ -187,16 +183,15 @@ export default class HexagonCellLayer extends Layer {
   }
 
   updateUniforms() {
-    const {opacity, elevationScale, extruded, coverage, lightSettings} = this.props;
+    const {opacity, elevationScale, extruded, coverage} = this.props;
     const {model} = this.state;
 
-    model.setUniforms(Object.assign({}, {
+    model.setUniforms({
       extruded,
       opacity,
       coverage,
       elevationScale
-    },
-    lightSettings));
+    });
   }
 
   _getModel(gl) {
@@ -19,6 +19,8 @@
 // THE SOFTWARE.
 
 import {hexbin} from 'd3-hexbin';
+import {experimental} from '../../core';
+const {AGGREGATION_OPERATION, GRID_LAYOUT, getHexagonCellSize, getCellCenter} = experimental;
 
 /**
  * Use d3-hexbin to performs hexagonal binning from geo points to hexagons
@@ -54,6 +56,97 @@ export function pointToHexbin({data, radius, getPosition}, viewport) {
   };
 }
 
+/**
+ * Extract the positions and weights of points for aggregation with a GridAggregator.
+ * Positions are projected with the current viewport, like `pointToHexbin`
+ * @param {Object} props - layer props
+ * @param {Array} props.data - array of points
+ * @param {function} props.getPosition - get points lon lat
+ * @param {function} [props.getColorWeight] - color weight accessor
+ * @param {function} [props.getElevationWeight] - elevation weight accessor
+ * @param {Object} viewport - current viewport object
+ * @return {Object} - positions, weights and the viewport they were projected with
+ */
+export function getHexagonPoints(props, viewport) {
+  const {data, getPosition, getColorWeight, getElevationWeight} = props;
+  const positions = [];
+  const colorWeights = getColorWeight ? [] : null;
+  const elevationWeights = getElevationWeight ? [] : null;
+
+  for (const pt of data) {
+    const [x, y] = viewport.projectFlat(getPosition(pt));
+    if (!isNaN(x) && !isNaN(y)) {
+      positions.push(x, y);
+      if (colorWeights) {
+        colorWeights.push(getColorWeight(pt));
+      }
+      if (elevationWeights) {
+        elevationWeights.push(getElevationWeight(pt));
+      }
+    }
+  }
+
+  return {
+    positions: new Float64Array(positions),
+    colorWeights: colorWeights && new Float64Array(colorWeights),
+    elevationWeights: elevationWeights && new Float64Array(elevationWeights),
+    viewport
+  };
+}
+
+/**
+ * Performs hexagonal binning of points extracted by `getHexagonPoints`, aggregating
+ * the point weights on the GPU if possible. Produces the same hexagons as `pointToHexbin`,
+ * with a count and the aggregated values instead of an array of points.
+ * @param {Object} points - positions and weights, see `getHexagonPoints`
+ * @param {Object} opts
+ * @param {GridAggregator} opts.aggregator - aggregator to run
+ * @param {Number} opts.radius - hexagon radius in meter
+ * @param {String} opts.colorAggregation - aggregation operation of color weights
+ * @param {String} opts.elevationAggregation - aggregation operation of elevation weights
+ * @param {Boolean} opts.gpuAggregation - aggregate on the GPU if supported
+ * @return {Object} - hexagons
+ */
+export function aggregateHexagonPoints(points, {
+  aggregator,
+  radius,
+  colorAggregation = AGGREGATION_OPERATION.SUM,
+  elevationAggregation = AGGREGATION_OPERATION.SUM,
+  gpuAggregation = true
+}) {
+  const {positions, colorWeights, elevationWeights, viewport} = points;
+  // Use the viewport that the points were projected with, so that the radius matches
+  const cellSize = getHexagonCellSize(getRadiusInPixel(radius, viewport));
+  const layout = GRID_LAYOUT.HEXAGON;
+
+  const weights = {};
+  if (colorWeights) {
+    weights.color = {values: colorWeights, operation: colorAggregation};
+  }
+  if (elevationWeights) {
+    weights.elevation = {values: elevationWeights, operation: elevationAggregation};
+  }
+
+  const {cells} = aggregator.run({
+    positions,
+    size: 2,
+    weights,
+    layout,
+    cellSize,
+    useGPU: gpuAggregation
+  });
+
+  return {
+    hexagons: cells.map((cell, index) => ({
+      centroid: viewport.unprojectFlat(getCellCenter(cell.col, cell.row, {layout, cellSize})),
+      index,
+      count: cell.count,
+      colorValue: colorWeights ? cell.weights.color : cell.count,
+      elevationValue: elevationWeights ? cell.weights.elevation : cell.count
+    }))
+  };
+}
+
 /**
  * Get radius in mercator world space coordinates from meter
  * @param {Number} radius - in meter
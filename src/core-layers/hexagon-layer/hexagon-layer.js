@@ -21,17 +21,29 @@
 import {CompositeLayer, experimental} from '../../core';
 import HexagonCellLayer from '../hexagon-cell-layer/hexagon-cell-layer';
 
-const {log, BinSorter, getQuantizeScale, getLinearScale, defaultColorRange} = experimental;
+const {
+  log, BinSorter, GridAggregator, AGGREGATION_OPERATION,
+  getQuantizeScale, getLinearScale, defaultColorRange
+} = experimental;
 
-import {pointToHexbin} from './hexagon-aggregator';
+import {pointToHexbin, getHexagonPoints, aggregateHexagonPoints} from './hexagon-aggregator';
 
 function nop() {}
 
+// Default value accessor, counts the points of a hexagon. Counts are aggregated on the grid
+const getPointCount = points => points.length;
+
+// Value accessors of hexagons that were aggregated on the grid
+const getAggregatedColorValue = (points, hexagon) => hexagon.colorValue;
+const getAggregatedElevationValue = (points, hexagon) => hexagon.elevationValue;
+
 const defaultProps = {
   // color
   colorDomain: null,
   colorRange: defaultColorRange,
-  getColorValue: points => points.length,
+  getColorValue: getPointCount,
+  getColorWeight: null,
+  colorAggregation: AGGREGATION_OPERATION.SUM,
   lowerPercentile: 0,
   upperPercentile: 100,
   onSetColorDomain: nop,
@@ -39,7 +51,9 @@ const defaultProps = {
   // elevation
   elevationDomain: null,
   elevationRange: [0, 1000],
-  getElevationValue: points => points.length,
+  getElevationValue: getPointCount,
+  getElevationWeight: null,
+  elevationAggregation: AGGREGATION_OPERATION.SUM,
   elevationLowerPercentile: 0,
   elevationUpperPercentile: 100,
   elevationScale: 1,
@@ -51,15 +65,8 @@ const defaultProps = {
   hexagonAggregator: pointToHexbin,
   getPosition: x => x.position,
   fp64: false,
-  // Optional settings for 'lighting' shader module
-  lightSettings: {
-    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
-    ambientRatio: 0.05,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [2.0, 0.0, 0.0, 0.0],
-    numberOfLights: 2
-  }
+  // aggregate on the GPU when supported, otherwise on the CPU
+  gpuAggregation: true
 };
 
 export default class HexagonLayer extends CompositeLayer {
@@ -107,18 +114,33 @@ export default class HexagonLayer extends CompositeLayer {
       elevationValueDomain: null,
       colorScaleFunc: nop,
       elevationScaleFunc: nop,
-      dimensionUpdaters: this.getDimensionUpdaters()
+      dimensionUpdaters: this.getDimensionUpdaters(),
+      // projected positions and weights of points, when aggregating on the grid
+      points: null,
+      aggregator: new GridAggregator(this.context.gl, {
+        id: `${this.id}-aggregator`,
+        shaderCache: this.context.shaderCache
+      })
     };
   }
 
+  finalizeState() {
+    this.state.aggregator.delete();
+  }
+
   shouldUpdateState({changeFlags}) {
     return changeFlags.somethingChanged;
   }
 
   updateState({oldProps, props, changeFlags}) {
     const dimensionChanges = this.getDimensionChanges(oldProps, props);
+    const pointsChanged = changeFlags.dataChanged || this.needsReExtractPoints(oldProps, props);
+
+    if (pointsChanged) {
+      this.state.points = null;
+    }
 
-    if (changeFlags.dataChanged || this.needsReProjectPoints(oldProps, props)) {
+    if (pointsChanged || this.needsReProjectPoints(oldProps, props)) {
       // project data into hexagons, and get sortedColorBins
       this.getHexagons();
 
@@ -127,9 +149,28 @@ export default class HexagonLayer extends CompositeLayer {
     }
   }
 
+  needsReExtractPoints(oldProps, props) {
+    return oldProps.getColorWeight !== props.getColorWeight ||
+      oldProps.getElevationWeight !== props.getElevationWeight;
+  }
+
   needsReProjectPoints(oldProps, props) {
     return oldProps.radius !== props.radius ||
-      oldProps.hexagonAggregator !== props.hexagonAggregator;
+      oldProps.hexagonAggregator !== props.hexagonAggregator ||
+      oldProps.colorAggregation !== props.colorAggregation ||
+      oldProps.elevationAggregation !== props.elevationAggregation ||
+      oldProps.gpuAggregation !== props.gpuAggregation ||
+      this.isAggregatedOnGrid(oldProps) !== this.isAggregatedOnGrid(props);
+  }
+
+  // Points are aggregated on the grid, on the GPU if supported, when the default
+  // hexagonAggregator is used and each dimension is either weighted or counts points.
+  // Custom value accessors need the points of each hexagon, which are binned in JS
+  isAggregatedOnGrid(props = this.props) {
+    const {getColorValue, getColorWeight, getElevationValue, getElevationWeight} = props;
+    return props.hexagonAggregator === pointToHexbin &&
+      Boolean(getColorWeight || getColorValue === getPointCount) &&
+      Boolean(getElevationWeight || getElevationValue === getPointCount);
   }
 
   getDimensionUpdaters() {
@@ -141,7 +182,7 @@ export default class HexagonLayer extends CompositeLayer {
       getColor: [
         {
           id: 'value',
-          triggers: ['getColorValue'],
+          triggers: ['getColorValue', 'getColorWeight', 'colorAggregation'],
           updater: this.getSortedColorBins
         }, {
           id: 'domain',
@@ -156,7 +197,7 @@ export default class HexagonLayer extends CompositeLayer {
       getElevation: [
         {
           id: 'value',
-          triggers: ['getElevationValue'],
+          triggers: ['getElevationValue', 'getElevationWeight', 'elevationAggregation'],
           updater: this.getSortedElevationBins
         }, {
           id: 'domain',
@@ -193,7 +234,21 @@ export default class HexagonLayer extends CompositeLayer {
   getHexagons() {
     const {hexagonAggregator} = this.props;
     const {viewport} = this.context;
-    const {hexagons, hexagonVertices} = hexagonAggregator(this.props, viewport);
+    let hexagons;
+    let hexagonVertices;
+
+    if (this.isAggregatedOnGrid()) {
+      const {radius, colorAggregation, elevationAggregation, gpuAggregation} = this.props;
+      const {aggregator} = this.state;
+      this.state.points = this.state.points || getHexagonPoints(this.props, viewport);
+
+      ({hexagons} = aggregateHexagonPoints(this.state.points, {
+        aggregator, radius, colorAggregation, elevationAggregation, gpuAggregation
+      }));
+    } else {
+      ({hexagons, hexagonVertices} = hexagonAggregator(this.props, viewport));
+    }
+
     this.setState({hexagons, hexagonVertices});
     this.getSortedBins();
   }
@@ -259,7 +314,8 @@ export default class HexagonLayer extends CompositeLayer {
   }
 
   getSortedColorBins() {
-    const {getColorValue} = this.props;
+    const getColorValue = this.isAggregatedOnGrid() ?
+      getAggregatedColorValue : this.props.getColorValue;
     const sortedColorBins = new BinSorter(this.state.hexagons || [], getColorValue);
 
     this.setState({sortedColorBins});
@@ -267,7 +323,8 @@ export default class HexagonLayer extends CompositeLayer {
   }
 
   getSortedElevationBins() {
-    const {getElevationValue} = this.props;
+    const getElevationValue = this.isAggregatedOnGrid() ?
+      getAggregatedElevationValue : this.props.getElevationValue;
     const sortedElevationBins = new BinSorter(this.state.hexagons || [], getElevationValue);
     this.setState({sortedElevationBins});
     this.getElevationValueDomain();
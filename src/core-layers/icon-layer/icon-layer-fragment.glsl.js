@@ -31,6 +31,7 @@ uniform sampler2D iconsTexture;
 varying float vColorMode;
 varying vec4 vColor;
 varying vec2 vTextureCoords;
+varying float vCollisionOpacity;
 
 const float MIN_ALPHA = 0.05;
 
@@ -40,7 +41,7 @@ void main(void) {
   // if colorMode == 0, use pixel color from the texture
   // if colorMode == 1 or rendering picking buffer, use texture as transparency mask
   vec3 color = mix(texColor.rgb, vColor.rgb, vColorMode);
-  float a = texColor.a * opacity * mix(1.0, vColor.a, vColorMode);
+  float a = texColor.a * opacity * mix(1.0, vColor.a, vColorMode) * vCollisionOpacity;
 
   if (a < MIN_ALPHA) {
     discard;
@@ -53,5 +54,8 @@ void main(void) {
 
   // use picking color if rendering to picking FBO.
   gl_FragColor = picking_filterPickingColor(gl_FragColor);
+
+  // discard fragments outside of the mask of the layer
+  gl_FragColor = mask_filterColor(gl_FragColor);
 }
 `;
@@ -28,9 +28,12 @@ attribute float instanceSizes;
 attribute float instanceAngles;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 attribute vec4 instanceIconFrames;
 attribute float instanceColorModes;
 attribute vec2 instanceOffsets;
+// fades out icons hidden by collisions, see CollisionManager
+attribute float instanceCollisionOpacities;
 
 // uniform vec2 viewportSize;
 // uniform float devicePixelRatio;
@@ -42,6 +45,7 @@ uniform vec2 iconsTextureDim;
 varying float vColorMode;
 varying vec4 vColor;
 varying vec2 vTextureCoords;
+varying float vCollisionOpacity;
 
 vec2 rotate_by_angle(vec2 vertex, float angle) {
   float angle_radian = angle * PI / 180.0;
@@ -64,6 +68,7 @@ void main(void) {
   vec3 center = project_position(instancePositions);
   gl_Position = project_to_clipspace(vec4(center, 1.0));
   gl_Position += project_pixel_to_clipspace(pixelOffset);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   vTextureCoords = mix(
     instanceIconFrames.xy,
@@ -76,6 +81,7 @@ void main(void) {
   vColor = instanceColors / 255.;
 
   vColorMode = instanceColorModes;
+  vCollisionOpacity = instanceCollisionOpacities;
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
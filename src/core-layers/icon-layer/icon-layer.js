@@ -18,12 +18,13 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 import {COORDINATE_SYSTEM, Layer, experimental} from '../../core';
-const {fp64ify, enable64bitSupport} = experimental;
+const {fp64ify, enable64bitSupport, projectPosition} = experimental;
 import {GL, Model, Geometry, Texture2D, loadTextures} from 'luma.gl';
 
 import vs from './icon-layer-vertex.glsl';
 import vs64 from './icon-layer-vertex-64.glsl';
 import fs from './icon-layer-fragment.glsl';
+import IconManager, {getIconId} from './icon-manager';
 
 const DEFAULT_COLOR = [0, 0, 0, 255];
 const DEFAULT_TEXTURE_MIN_FILTER = GL.LINEAR_MIPMAP_LINEAR;
@@ -32,7 +33,8 @@ const DEFAULT_TEXTURE_MAG_FILTER = GL.LINEAR;
 
 /*
  * @param {object} props
- * @param {Texture2D | string} props.iconAtlas - atlas image url or texture
+ * @param {Texture2D | string} props.iconAtlas - atlas image url or texture. If not supplied,
+ *   the atlas is built from the icon descriptors returned by `getIcon`
  * @param {object} props.iconMapping - icon names mapped to icon definitions
  * @param {object} props.iconMapping[icon_name].x - x position of icon on the atlas image
  * @param {object} props.iconMapping[icon_name].y - y position of icon on the atlas image
@@ -47,11 +49,18 @@ const DEFAULT_TEXTURE_MAG_FILTER = GL.LINEAR;
  *   applied. Default to false.
  * @param {number} props.size - icon size in pixels
  * @param {func} props.getPosition - returns anchor position of the icon, in [lng, lat, z]
- * @param {func} props.getIcon - returns icon name as a string
+ * @param {func} props.getIcon - returns icon name as a string, or without `iconAtlas`, an icon
+ *   descriptor `{id, url|image, width, height, anchorX, anchorY, mask}`
  * @param {func} props.getSize - returns icon size multiplier as a number
  * @param {func} props.getColor - returns color of the icon in [r, g, b, a]. Only works on icons
  *   with mask: true.
  * @param {func} props.getAngle - returns rotating angle (in degree) of the icon.
+ * @param {bool} props.collisionEnabled - whether icons that overlap higher priority icons
+ *   or labels are hidden
+ * @param {string} props.collisionGroup - only icons and labels in the same group collide
+ * @param {number} props.collisionFadeDuration - duration of the fade in/out of icons, in ms
+ * @param {func} props.getPriority - returns priority of the icon when resolving collisions.
+ *   Higher priority icons are kept.
  */
 const defaultProps = {
   iconAtlas: null,
@@ -63,29 +72,44 @@ const defaultProps = {
   getIcon: x => x.icon,
   getColor: x => x.color || DEFAULT_COLOR,
   getSize: x => x.size || 1,
-  getAngle: x => x.angle || 0
+  getAngle: x => x.angle || 0,
+
+  collisionEnabled: false,
+  collisionGroup: 'default',
+  collisionFadeDuration: 300,
+  getPriority: x => 0
 };
 
 export default class IconLayer extends Layer {
   getShaders() {
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'picking']} :
-      {vs, fs, modules: ['picking']};  // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', 'filter', 'picking', 'mask']} :
+      {vs, fs, modules: ['filter', 'picking', 'mask']};  // 'project' module added by default.
   }
 
   initializeState() {
     const {attributeManager} = this.state;
     const {gl} = this.context;
 
+    // Layer state is transferred between layer instances, redraw the current one
+    const {state} = this;
+    this.setState({
+      iconManager: new IconManager(gl, {
+        onUpdate: () => state.layer && state.layer._onIconsLoaded()
+      }),
+      iconMapping: {}
+    });
+
     /* eslint-disable max-len */
     attributeManager.addInstanced({
-      instancePositions: {size: 3, accessor: 'getPosition', update: this.calculateInstancePositions},
-      instanceSizes: {size: 1, accessor: 'getSize', update: this.calculateInstanceSizes},
+      instancePositions: {size: 3, accessor: 'getPosition', columnar: true, update: this.calculateInstancePositions},
+      instanceSizes: {size: 1, accessor: 'getSize', columnar: true, update: this.calculateInstanceSizes},
       instanceOffsets: {size: 2, accessor: 'getIcon', update: this.calculateInstanceOffsets},
       instanceIconFrames: {size: 4, accessor: 'getIcon', update: this.calculateInstanceIconFrames},
       instanceColorModes: {size: 1, type: GL.UNSIGNED_BYTE, accessor: 'getIcon', update: this.calculateInstanceColorMode},
-      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', update: this.calculateInstanceColors},
-      instanceAngles: {size: 1, accessor: 'getAngle', update: this.calculateInstanceAngles}
+      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', columnar: true, defaultValue: DEFAULT_COLOR, update: this.calculateInstanceColors},
+      instanceAngles: {size: 1, accessor: 'getAngle', columnar: true, update: this.calculateInstanceAngles},
+      instanceCollisionOpacities: {size: 1, update: this.calculateInstanceCollisionOpacities}
     });
     /* eslint-enable max-len */
 
@@ -117,16 +141,23 @@ export default class IconLayer extends Layer {
   updateState({oldProps, props, changeFlags}) {
     super.updateState({props, oldProps, changeFlags});
 
-    const {iconAtlas, iconMapping} = props;
+    const {iconAtlas} = props;
+    const oldIconMapping = this.state.iconMapping;
 
-    if (oldProps.iconMapping !== iconMapping) {
+    if (iconAtlas) {
+      this.setState({iconMapping: props.iconMapping});
+    } else {
+      this._packIcons({props, oldProps, changeFlags});
+    }
+
+    if (this.state.iconMapping !== oldIconMapping) {
       const {attributeManager} = this.state;
       attributeManager.invalidate('instanceOffsets');
       attributeManager.invalidate('instanceIconFrames');
       attributeManager.invalidate('instanceColorModes');
     }
 
-    if (oldProps.iconAtlas !== iconAtlas) {
+    if (iconAtlas && oldProps.iconAtlas !== iconAtlas) {
 
       if (iconAtlas instanceof Texture2D) {
         iconAtlas.setParameters({
@@ -156,6 +187,76 @@ export default class IconLayer extends Layer {
 
   }
 
+  finalizeState() {
+    this.state.iconManager.finalize();
+  }
+
+  // Adds the icons used by data to the auto packed atlas
+  _packIcons({props, oldProps, changeFlags}) {
+    const {iconManager} = this.state;
+    const {updateTriggersChanged} = changeFlags;
+    const iconsChanged = changeFlags.dataChanged || oldProps.iconAtlas ||
+      (updateTriggersChanged && (updateTriggersChanged.all || updateTriggersChanged.getIcon));
+
+    if (iconsChanged) {
+      iconManager.addIcons(props.data, props.getIcon);
+    }
+    this.setState({
+      iconMapping: iconManager.getIconMapping(),
+      iconsTexture: iconManager.getTexture()
+    });
+  }
+
+  // Called when images of the auto packed atlas finished loading
+  _onIconsLoaded() {
+    if (!this.props.iconAtlas) {
+      this.setState({iconsTexture: this.state.iconManager.getTexture()});
+    }
+  }
+
+  // Returns the definition of the icon of an object in the icon mapping
+  _getIconFrame(object) {
+    return this.state.iconMapping[getIconId(this.props.getIcon(object))] || {};
+  }
+
+  /**
+   * Returns the screen space box and priority of each icon, see CollisionManager.
+   * Rotation is ignored.
+   * @return {Object} - `{boxes, priorities}`
+   */
+  getCollisionItems() {
+    const {data, sizeScale, getPosition, getSize, getPriority} = this.props;
+    const boxes = [];
+    const priorities = [];
+    for (const object of data) {
+      const [x, y] = projectPosition(this, getPosition(object));
+      const rect = this._getIconFrame(object);
+      const {width = 0, height = 0} = rect;
+      const anchorX = Number.isFinite(rect.anchorX) ? rect.anchorX : width / 2;
+      const anchorY = Number.isFinite(rect.anchorY) ? rect.anchorY : height / 2;
+      const scale = height ? getSize(object) * sizeScale / height : 0;
+
+      boxes.push([
+        x - anchorX * scale,
+        y - anchorY * scale,
+        x + (width - anchorX) * scale,
+        y + (height - anchorY) * scale
+      ]);
+      priorities.push(getPriority(object));
+    }
+    return {boxes, priorities};
+  }
+
+  // Called by CollisionManager with the opacity of each icon
+  setCollisionOpacities(opacities) {
+    if (opacities !== this.state.collisionOpacities) {
+      this.setState({collisionOpacities: opacities});
+      this.state.attributeManager.invalidate('instanceCollisionOpacities');
+      this.updateAttributes(this.props);
+      this.setNeedsRedraw();
+    }
+  }
+
   draw({uniforms}) {
     const {sizeScale} = this.props;
     const {iconsTexture} = this.state;
@@ -241,36 +342,43 @@ export default class IconLayer extends Layer {
     }
   }
 
+  calculateInstanceCollisionOpacities(attribute) {
+    const {collisionOpacities} = this.state;
+    const {value} = attribute;
+    value.fill(1);
+    // Opacities of a previous version of data are ignored
+    if (collisionOpacities && collisionOpacities.length === this.getNumInstances()) {
+      value.set(collisionOpacities);
+    }
+  }
+
   calculateInstanceOffsets(attribute) {
-    const {data, iconMapping, getIcon} = this.props;
+    const {data} = this.props;
     const {value} = attribute;
     let i = 0;
     for (const object of data) {
-      const icon = getIcon(object);
-      const rect = iconMapping[icon] || {};
+      const rect = this._getIconFrame(object);
       value[i++] = (rect.width / 2 - rect.anchorX) || 0;
       value[i++] = (rect.height / 2 - rect.anchorY) || 0;
     }
   }
 
   calculateInstanceColorMode(attribute) {
-    const {data, iconMapping, getIcon} = this.props;
+    const {data} = this.props;
     const {value} = attribute;
     let i = 0;
     for (const object of data) {
-      const icon = getIcon(object);
-      const colorMode = iconMapping[icon] && iconMapping[icon].mask;
+      const colorMode = this._getIconFrame(object).mask;
       value[i++] = colorMode ? 1 : 0;
     }
   }
 
   calculateInstanceIconFrames(attribute) {
-    const {data, iconMapping, getIcon} = this.props;
+    const {data} = this.props;
     const {value} = attribute;
     let i = 0;
     for (const object of data) {
-      const icon = getIcon(object);
-      const rect = iconMapping[icon] || {};
+      const rect = this._getIconFrame(object);
       value[i++] = rect.x || 0;
       value[i++] = rect.y || 0;
       value[i++] = rect.width || 0;
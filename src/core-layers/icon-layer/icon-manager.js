@@ -0,0 +1,245 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+/* global document */
+import {GL, Texture2D, loadImage} from 'luma.gl';
+import {experimental} from '../../core';
+const {log} = experimental;
+
+const DEFAULT_CANVAS_WIDTH = 1024;
+// Padding around icons, prevents bleeding of neighbouring icons when sampling
+const DEFAULT_BUFFER = 4;
+
+const noop = () => {};
+
+function nextPowerOfTwo(number) {
+  return Math.pow(2, Math.ceil(Math.log2(number)));
+}
+
+/**
+ * Returns the key of an icon in the icon mapping
+ * @param {String|Object} icon - icon name, or icon descriptor `{id, url|image, ...}`
+ * @return {String} - icon name, or the `id` (default to `url`) of the descriptor
+ */
+export function getIconId(icon) {
+  if (icon && typeof icon === 'object') {
+    return icon.id || icon.url;
+  }
+  return icon;
+}
+
+/**
+ * Returns the descriptors of the icons of `data` that are not in the mapping yet
+ * @param {Iterable} data - layer data
+ * @param {Function} getIcon - returns the icon descriptor of an object
+ * @param {Object} mapping - current icon mapping
+ * @return {Array} - new icon descriptors, each icon is only returned once
+ */
+export function getNewIcons(data, getIcon, mapping) {
+  const icons = new Map();
+  for (const object of data) {
+    const icon = getIcon(object);
+    const id = getIconId(icon);
+    if (icon && typeof icon === 'object' && !mapping[id] && !icons.has(id)) {
+      icons.set(id, icon);
+    }
+  }
+  return Array.from(icons.values());
+}
+
+/**
+ * Adds icons to an icon mapping, in rows from left to right. Icons that were packed
+ * before keep their position, so that an atlas can grow when new icons are added.
+ * @param {Object} opts
+ * @param {Array} opts.icons - icon descriptors `{id, width, height, anchorX, anchorY, mask}`
+ * @param {Object} opts.mapping - icon mapping to add the icons to
+ * @param {Number} opts.xOffset - left of the next icon in the current row
+ * @param {Number} opts.yOffset - top of the current row
+ * @param {Number} opts.rowHeight - height of the current row
+ * @param {Number} opts.buffer - padding around each icon
+ * @param {Number} opts.canvasWidth - width of the atlas
+ * @return {Object} - `{mapping, xOffset, yOffset, rowHeight, canvasHeight}`, where `mapping`
+ *   is a new icon mapping and the offsets are the packing state to pass to the next call
+ */
+export function packIcons({
+  icons,
+  mapping = {},
+  xOffset = 0,
+  yOffset = 0,
+  rowHeight = 0,
+  buffer = DEFAULT_BUFFER,
+  canvasWidth = DEFAULT_CANVAS_WIDTH
+}) {
+  const newMapping = Object.assign({}, mapping);
+
+  for (const icon of icons) {
+    const {width, height} = icon;
+    if (xOffset + width + buffer * 2 > canvasWidth) {
+      xOffset = 0;
+      yOffset += rowHeight;
+      rowHeight = 0;
+    }
+
+    newMapping[getIconId(icon)] = {
+      x: xOffset + buffer,
+      y: yOffset + buffer,
+      width,
+      height,
+      anchorX: Number.isFinite(icon.anchorX) ? icon.anchorX : width / 2,
+      anchorY: Number.isFinite(icon.anchorY) ? icon.anchorY : height / 2,
+      mask: Boolean(icon.mask)
+    };
+
+    xOffset += width + buffer * 2;
+    rowHeight = Math.max(rowHeight, height + buffer * 2);
+  }
+
+  return {
+    mapping: newMapping,
+    xOffset,
+    yOffset,
+    rowHeight,
+    canvasHeight: yOffset + rowHeight
+  };
+}
+
+/**
+ * Builds an icon atlas from icon descriptors, and grows it when new icons are used.
+ * Icons are either images (`image`, drawn right away) or urls (`url`, loaded asynchronously).
+ */
+export default class IconManager {
+  /**
+   * @param {WebGLRenderingContext} gl
+   * @param {Object} opts
+   * @param {Function} opts.onUpdate - called when images finished loading into the atlas
+   */
+  constructor(gl, {onUpdate = noop} = {}) {
+    this.gl = gl;
+    this.onUpdate = onUpdate;
+
+    this.mapping = {};
+    // Packing state, see `packIcons`
+    this.xOffset = 0;
+    this.yOffset = 0;
+    this.rowHeight = 0;
+
+    this.canvas = null;
+    this.texture = null;
+    this.isFinalized = false;
+  }
+
+  getTexture() {
+    return this.texture;
+  }
+
+  getIconMapping() {
+    return this.mapping;
+  }
+
+  /**
+   * Adds the icons of `data` that are not in the atlas yet
+   * @param {Iterable} data - layer data
+   * @param {Function} getIcon - returns the icon descriptor of an object
+   * @return {Boolean} - true if icons were added, `getIconMapping` then returns a new object
+   */
+  addIcons(data, getIcon) {
+    const icons = getNewIcons(data, getIcon, this.mapping);
+    if (!icons.length) {
+      return false;
+    }
+
+    const {mapping, xOffset, yOffset, rowHeight, canvasHeight} = packIcons({
+      icons,
+      mapping: this.mapping,
+      xOffset: this.xOffset,
+      yOffset: this.yOffset,
+      rowHeight: this.rowHeight
+    });
+    Object.assign(this, {mapping, xOffset, yOffset, rowHeight});
+
+    this._resizeCanvas(nextPowerOfTwo(canvasHeight));
+    for (const icon of icons) {
+      this._drawIcon(icon);
+    }
+    this._updateTexture();
+    return true;
+  }
+
+  finalize() {
+    if (this.texture) {
+      this.texture.delete();
+      this.texture = null;
+    }
+    // Images may still be loading
+    this.isFinalized = true;
+  }
+
+  // Grows the canvas, keeping the icons drawn so far
+  _resizeCanvas(height) {
+    const {canvas} = this;
+    if (canvas && canvas.height >= height) {
+      return;
+    }
+
+    const newCanvas = document.createElement('canvas');
+    newCanvas.width = DEFAULT_CANVAS_WIDTH;
+    newCanvas.height = height;
+    if (canvas) {
+      newCanvas.getContext('2d').drawImage(canvas, 0, 0);
+    }
+    this.canvas = newCanvas;
+  }
+
+  _drawIcon(icon) {
+    const id = getIconId(icon);
+    if (icon.image) {
+      this._drawImage(id, icon.image);
+      return;
+    }
+
+    loadImage(icon.url)
+      .then(image => {
+        if (!this.isFinalized) {
+          this._drawImage(id, image);
+          this._updateTexture();
+          this.onUpdate();
+        }
+      })
+      .catch(error => log.warn(0, `IconLayer: failed to load icon ${icon.url}: ${error}`));
+  }
+
+  _drawImage(id, image) {
+    const {x, y, width, height} = this.mapping[id];
+    this.canvas.getContext('2d').drawImage(image, x, y, width, height);
+  }
+
+  _updateTexture() {
+    if (this.texture) {
+      this.texture.delete();
+    }
+    this.texture = new Texture2D(this.gl, {
+      pixels: this.canvas,
+      parameters: {
+        [GL.TEXTURE_MIN_FILTER]: GL.LINEAR_MIPMAP_LINEAR,
+        [GL.TEXTURE_MAG_FILTER]: GL.LINEAR
+      }
+    });
+  }
+}
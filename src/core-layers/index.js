@@ -22,17 +22,24 @@
 // Core Layers
 export {default as ArcLayer} from './arc-layer/arc-layer';
 export {default as IconLayer} from './icon-layer/icon-layer';
+export {default as BitmapLayer} from './bitmap-layer/bitmap-layer';
 export {default as LineLayer} from './line-layer/line-layer';
 export {default as PointCloudLayer} from './point-cloud-layer/point-cloud-layer';
 export {default as ScatterplotLayer} from './scatterplot-layer/scatterplot-layer';
 
 export {default as ScreenGridLayer} from './screen-grid-layer/screen-grid-layer';
+export {default as HeatmapLayer} from './heatmap-layer/heatmap-layer';
 export {default as GridLayer} from './grid-layer/grid-layer';
 export {default as GridCellLayer} from './grid-cell-layer/grid-cell-layer';
+export {default as ContourLayer} from './contour-layer/contour-layer';
 
 export {default as HexagonLayer} from './hexagon-layer/hexagon-layer';
 export {default as HexagonCellLayer} from './hexagon-cell-layer/hexagon-cell-layer';
 
 export {default as PathLayer} from './path-layer/path-layer';
+export {default as TripsLayer} from './trips-layer/trips-layer';
 export {default as PolygonLayer} from './polygon-layer/polygon-layer';
 export {default as GeoJsonLayer} from './geojson-layer/geojson-layer';
+export {default as TileLayer} from './tile-layer/tile-layer';
+export {default as MVTLayer} from './mvt-layer/mvt-layer';
+export {default as TerrainLayer} from './terrain-layer/terrain-layer';
@@ -27,6 +27,7 @@ attribute vec3 instanceTargetPositions;
 attribute vec4 instanceSourceTargetPositions64xyLow;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 
 uniform vec2 viewportSize;
 uniform float strokeWidth;
@@ -86,6 +87,7 @@ void main(void) {
   vec2 offset = getExtrusionOffset(target_pos_clipspace.xy - source_pos_clipspace.xy, positions.y);
 
   gl_Position = p + vec4(offset, 0.0, 0.0);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   // Color
   vColor = vec4(instanceColors.rgb, instanceColors.a * opacity) / 255.;
@@ -26,6 +26,7 @@ attribute vec3 instanceSourcePositions;
 attribute vec3 instanceTargetPositions;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 
 uniform vec2 viewportSize;
 uniform float strokeWidth;
@@ -61,6 +62,7 @@ void main(void) {
   // extrude
   vec2 offset = getExtrusionOffset(target.xy - source.xy, positions.y);
   gl_Position = p + vec4(offset, 0.0, 0.0);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   // Color
   vColor = vec4(instanceColors.rgb, instanceColors.a * opacity) / 255.;
@@ -40,8 +40,8 @@ const defaultProps = {
 export default class LineLayer extends Layer {
   getShaders() {
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'picking']} :
-      {vs, fs, modules: ['picking']}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', 'filter', 'picking', 'mask']} :
+      {vs, fs, modules: ['filter', 'picking', 'mask']}; // 'project' module added by default.
   }
 
   initializeState() {
@@ -52,9 +52,9 @@ export default class LineLayer extends Layer {
 
     /* eslint-disable max-len */
     attributeManager.addInstanced({
-      instanceSourcePositions: {size: 3, accessor: 'getSourcePosition', update: this.calculateInstanceSourcePositions},
-      instanceTargetPositions: {size: 3, accessor: 'getTargetPosition', update: this.calculateInstanceTargetPositions},
-      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', update: this.calculateInstanceColors}
+      instanceSourcePositions: {size: 3, accessor: 'getSourcePosition', columnar: true, update: this.calculateInstanceSourcePositions},
+      instanceTargetPositions: {size: 3, accessor: 'getTargetPosition', columnar: true, update: this.calculateInstanceTargetPositions},
+      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', columnar: true, defaultValue: DEFAULT_COLOR, update: this.calculateInstanceColors}
     });
     /* eslint-enable max-len */
   }
@@ -0,0 +1,310 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+/**
+ * Decoder for Mapbox Vector Tiles (https://github.com/mapbox/vector-tile-spec)
+ *
+ * Decodes a protobuf encoded tile into plain objects:
+ *
+ * {
+ *   layers: {
+ *     [name]: {
+ *       name, version, extent,
+ *       features: [{id, type, properties, geometry}]
+ *     }
+ *   }
+ * }
+ *
+ * where `type` is one of `FEATURE_TYPE` and `geometry` is an array of
+ * point sequences (points, lines or rings) in tile-local integer coordinates,
+ * `[[[x, y], ...], ...]`.
+ */
+
+export const FEATURE_TYPE = {
+  UNKNOWN: 0,
+  POINT: 1,
+  LINESTRING: 2,
+  POLYGON: 3
+};
+
+const WIRE_TYPE = {
+  VARINT: 0,
+  FIXED64: 1,
+  BYTES: 2,
+  FIXED32: 5
+};
+
+const COMMAND = {
+  MOVE_TO: 1,
+  LINE_TO: 2,
+  CLOSE_PATH: 7
+};
+
+const DEFAULT_EXTENT = 4096;
+
+// Minimal reader of the protobuf wire format
+class ProtobufReader {
+  constructor(buffer) {
+    this.bytes = ArrayBuffer.isView(buffer) ?
+      new Uint8Array(buffer.buffer, buffer.byteOffset, buffer.byteLength) :
+      new Uint8Array(buffer);
+    this.view = new DataView(this.bytes.buffer, this.bytes.byteOffset, this.bytes.byteLength);
+    this.pos = 0;
+  }
+
+  // Calls `readField(tag, reader)` for each field up to `end`
+  readFields(readField, end = this.bytes.length) {
+    while (this.pos < end) {
+      const key = this.readVarint();
+      const startPos = this.pos;
+      readField(key >> 3, key & 0x7);
+      // Skip fields that were not read
+      if (this.pos === startPos) {
+        this.skip(key & 0x7);
+      }
+    }
+  }
+
+  // Reads an embedded message, calling `readField` for each of its fields
+  readMessage(readField) {
+    const end = this.readVarint() + this.pos;
+    this.readFields(readField, end);
+    this.pos = end;
+  }
+
+  readVarint() {
+    let value = 0;
+    let multiplier = 1;
+    let byte;
+    do {
+      if (this.pos >= this.bytes.length) {
+        throw new Error('MVT: unexpected end of buffer');
+      }
+      byte = this.bytes[this.pos++];
+      // Arithmetic rather than bitwise operations, values may exceed 32 bits
+      value += (byte & 0x7f) * multiplier;
+      multiplier *= 128;
+    } while (byte & 0x80);
+    return value;
+  }
+
+  readSVarint() {
+    return zigZagDecode(this.readVarint());
+  }
+
+  readFloat() {
+    const value = this.view.getFloat32(this.pos, true);
+    this.pos += 4;
+    return value;
+  }
+
+  readDouble() {
+    const value = this.view.getFloat64(this.pos, true);
+    this.pos += 8;
+    return value;
+  }
+
+  readString() {
+    const end = this.readVarint() + this.pos;
+    const value = decodeUTF8(this.bytes, this.pos, end);
+    this.pos = end;
+    return value;
+  }
+
+  // Reads a repeated varint field, packed or not
+  readPackedVarint(wireType, target) {
+    if (wireType !== WIRE_TYPE.BYTES) {
+      target.push(this.readVarint());
+      return target;
+    }
+    const end = this.readVarint() + this.pos;
+    while (this.pos < end) {
+      target.push(this.readVarint());
+    }
+    return target;
+  }
+
+  skip(wireType) {
+    switch (wireType) {
+    case WIRE_TYPE.VARINT:
+      this.readVarint();
+      break;
+    case WIRE_TYPE.FIXED64:
+      this.pos += 8;
+      break;
+    case WIRE_TYPE.BYTES:
+      this.pos += this.readVarint();
+      break;
+    case WIRE_TYPE.FIXED32:
+      this.pos += 4;
+      break;
+    default:
+      throw new Error(`MVT: unsupported wire type ${wireType}`);
+    }
+  }
+}
+
+function zigZagDecode(value) {
+  return value % 2 === 0 ? value / 2 : -(value + 1) / 2;
+}
+
+// Decodes UTF-8 bytes into a string
+function decodeUTF8(bytes, start, end) {
+  let string = '';
+  let i = start;
+  while (i < end) {
+    const byte = bytes[i];
+    let codePoint = byte;
+    let length = 1;
+    if (byte >= 0xf0) {
+      codePoint = byte & 0x07;
+      length = 4;
+    } else if (byte >= 0xe0) {
+      codePoint = byte & 0x0f;
+      length = 3;
+    } else if (byte >= 0xc0) {
+      codePoint = byte & 0x1f;
+      length = 2;
+    }
+    for (let j = 1; j < length; j++) {
+      codePoint = (codePoint << 6) | (bytes[i + j] & 0x3f);
+    }
+    string += String.fromCodePoint(codePoint);
+    i += length;
+  }
+  return string;
+}
+
+function readValue(reader) {
+  let value = null;
+  reader.readMessage((tag, wireType) => {
+    switch (tag) {
+    case 1: value = reader.readString(); break;
+    case 2: value = reader.readFloat(); break;
+    case 3: value = reader.readDouble(); break;
+    case 4: value = reader.readVarint(); break;
+    case 5: value = reader.readVarint(); break;
+    case 6: value = reader.readSVarint(); break;
+    case 7: value = Boolean(reader.readVarint()); break;
+    default:
+    }
+  });
+  return value;
+}
+
+function readFeature(reader) {
+  const feature = {id: null, type: FEATURE_TYPE.UNKNOWN, tags: [], commands: []};
+  reader.readMessage((tag, wireType) => {
+    switch (tag) {
+    case 1: feature.id = reader.readVarint(); break;
+    case 2: reader.readPackedVarint(wireType, feature.tags); break;
+    case 3: feature.type = reader.readVarint(); break;
+    case 4: reader.readPackedVarint(wireType, feature.commands); break;
+    default:
+    }
+  });
+  return feature;
+}
+
+function readLayer(reader) {
+  const layer = {name: '', version: 1, extent: DEFAULT_EXTENT, features: []};
+  const keys = [];
+  const values = [];
+  const rawFeatures = [];
+
+  reader.readMessage((tag, wireType) => {
+    switch (tag) {
+    case 15: layer.version = reader.readVarint(); break;
+    case 1: layer.name = reader.readString(); break;
+    case 2: rawFeatures.push(readFeature(reader)); break;
+    case 3: keys.push(reader.readString()); break;
+    case 4: values.push(readValue(reader)); break;
+    case 5: layer.extent = reader.readVarint(); break;
+    default:
+    }
+  });
+
+  // Keys and values may follow the features, resolve tags once the layer is read
+  layer.features = rawFeatures.map(({id, type, tags, commands}) => {
+    const properties = {};
+    for (let i = 0; i < tags.length - 1; i += 2) {
+      properties[keys[tags[i]]] = values[tags[i + 1]];
+    }
+    return {id, type, properties, geometry: decodeGeometry(commands)};
+  });
+  return layer;
+}
+
+/**
+ * Decodes the geometry commands of a feature
+ * @param {Array} commands - command and parameter integers
+ * @return {Array} - array of point sequences, `[[[x, y], ...], ...]`
+ */
+export function decodeGeometry(commands) {
+  const geometry = [];
+  // Coordinates are deltas from the previous point
+  const cursor = {index: 0, x: 0, y: 0};
+  let points = null;
+
+  while (cursor.index < commands.length) {
+    const commandId = commands[cursor.index] & 0x7;
+    const count = commands[cursor.index] >> 3;
+    cursor.index++;
+
+    if (commandId === COMMAND.MOVE_TO) {
+      for (let i = 0; i < count; i++) {
+        points = [readPoint(commands, cursor)];
+        geometry.push(points);
+      }
+    } else if (commandId === COMMAND.LINE_TO && points) {
+      for (let i = 0; i < count; i++) {
+        points.push(readPoint(commands, cursor));
+      }
+    } else if (commandId === COMMAND.CLOSE_PATH && points) {
+      points.push(points[0].slice());
+    } else {
+      throw new Error(`MVT: unexpected geometry command ${commandId}`);
+    }
+  }
+  return geometry;
+}
+
+function readPoint(commands, cursor) {
+  cursor.x += zigZagDecode(commands[cursor.index++]);
+  cursor.y += zigZagDecode(commands[cursor.index++]);
+  return [cursor.x, cursor.y];
+}
+
+/**
+ * Decodes a protobuf encoded vector tile
+ * @param {ArrayBuffer|Uint8Array} buffer - encoded tile
+ * @return {Object} - `{layers}` decoded tile, see module description
+ */
+export function decodeMVT(buffer) {
+  const reader = new ProtobufReader(buffer);
+  const layers = {};
+  reader.readFields(tag => {
+    if (tag === 3) {
+      const layer = readLayer(reader);
+      layers[layer.name] = layer;
+    }
+  });
+  return {layers};
+}
@@ -0,0 +1,95 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {COORDINATE_SYSTEM, experimental} from '../../core';
+const {log} = experimental;
+
+import TileLayer from '../tile-layer/tile-layer';
+import GeoJsonLayer from '../geojson-layer/geojson-layer';
+import {
+  getTileFeatures, getTileCoordinateSystem, isSupportedCoordinateSystem
+} from './mvt-utils';
+
+const defaultProps = Object.assign({}, GeoJsonLayer.defaultProps, {
+  // `({x, y, z, bbox}) => ArrayBuffer, decoded tile, or Promise resolving to either`
+  getTileData: ({x, y, z, bbox}) => null,
+  // `props => Layer`, props contain the GeoJSON features of the tile as `data`
+  renderSubLayers: props => new GeoJsonLayer(props),
+  // Names of the tile layers to render, all layers if null
+  layers: null,
+  // METER_OFFSETS or LNGLAT_OFFSETS from the center of each tile, or LNGLAT
+  coordinateSystem: COORDINATE_SYSTEM.METER_OFFSETS
+});
+
+export default class MVTLayer extends TileLayer {
+  initializeState() {
+    super.initializeState();
+    // GeoJSON features, keyed by tile
+    this.state.features = new WeakMap();
+  }
+
+  updateState({props, oldProps, changeFlags}) {
+    if (props.layers !== oldProps.layers || props.coordinateSystem !== oldProps.coordinateSystem) {
+      this.setState({features: new WeakMap()});
+    }
+    if (props.coordinateSystem !== oldProps.coordinateSystem &&
+      !isSupportedCoordinateSystem(props.coordinateSystem)) {
+      log.warn(0, `MVTLayer: unsupported coordinateSystem ${props.coordinateSystem}, ` +
+        'tiles are not rendered');
+    }
+    super.updateState({props, oldProps, changeFlags});
+  }
+
+  getTileSubLayerProps(tile) {
+    const props = super.getTileSubLayerProps(tile);
+
+    // Forward GeoJsonLayer props
+    for (const key in GeoJsonLayer.defaultProps) {
+      props[key] = this.props[key];
+    }
+
+    return Object.assign(props, getTileCoordinateSystem(tile, this.props.coordinateSystem), {
+      data: this._getTileFeatures(tile),
+      updateTriggers: Object.assign({}, this.props.updateTriggers, props.updateTriggers)
+    });
+  }
+
+  _getTileFeatures(tile) {
+    const {features} = this.state;
+    if (!features.has(tile)) {
+      const {layers, coordinateSystem} = this.props;
+      let tileFeatures = [];
+      // Tiles are left empty in unsupported coordinate systems, see `updateState`
+      if (isSupportedCoordinateSystem(coordinateSystem)) {
+        try {
+          tileFeatures = getTileFeatures(tile.data, {tile, layers, coordinateSystem});
+        } catch (error) {
+          // Malformed tiles are reported like tiles that failed to load
+          this.props.onTileError(error);
+        }
+      }
+      features.set(tile, tileFeatures);
+    }
+    return features.get(tile);
+  }
+}
+
+MVTLayer.layerName = 'MVTLayer';
+MVTLayer.defaultProps = defaultProps;
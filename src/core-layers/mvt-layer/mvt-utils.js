@@ -0,0 +1,213 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {COORDINATE_SYSTEM} from '../../core';
+import {getDistanceScales} from 'viewport-mercator-project';
+import {tileXToLng, tileYToLat} from '../tile-layer/viewport-utils';
+import {decodeMVT, FEATURE_TYPE} from './mvt-decoder';
+
+// Size of a tile in mercator world pixels at zoom 0
+const TILE_SIZE = 512;
+
+// Offsets are interpreted linearly around the coordinate origin. Tiles below this zoom level
+// span too much of the globe to be rendered as offsets and use longitudes and latitudes.
+const MIN_OFFSET_ZOOM = 5;
+
+const SUPPORTED_COORDINATE_SYSTEMS = [
+  COORDINATE_SYSTEM.LNGLAT,
+  COORDINATE_SYSTEM.METER_OFFSETS,
+  COORDINATE_SYSTEM.LNGLAT_OFFSETS
+];
+
+// Returns true if tile data is a protobuf encoded tile
+export function isEncodedTile(data) {
+  return data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+}
+
+// Returns the center of a tile, used as the coordinate origin of its features
+export function getTileOrigin({x, y, z}) {
+  return [tileXToLng(x + 0.5, z), tileYToLat(y + 0.5, z)];
+}
+
+// Returns true if tile features can be converted to the coordinate system
+export function isSupportedCoordinateSystem(coordinateSystem) {
+  return SUPPORTED_COORDINATE_SYSTEMS.indexOf(coordinateSystem) !== -1;
+}
+
+/**
+ * Returns the coordinate system that the features of a tile are converted to
+ * @param {Object} tile - `{x, y, z}` index of the tile
+ * @param {Number} coordinateSystem - requested coordinate system, one of `LNGLAT`,
+ *   `METER_OFFSETS` or `LNGLAT_OFFSETS`
+ * @return {Object} - `{coordinateSystem, coordinateOrigin}` of the tile. Offsets are
+ *   relative to the tile center, tiles below zoom level 5 use `LNGLAT`.
+ */
+export function getTileCoordinateSystem(tile, coordinateSystem) {
+  if (coordinateSystem === COORDINATE_SYSTEM.LNGLAT || tile.z < MIN_OFFSET_ZOOM) {
+    return {coordinateSystem: COORDINATE_SYSTEM.LNGLAT, coordinateOrigin: [0, 0]};
+  }
+  return {coordinateSystem, coordinateOrigin: getTileOrigin(tile)};
+}
+
+/**
+ * Converts the features of a vector tile into GeoJSON features
+ * @param {ArrayBuffer|Object} data - protobuf encoded tile, tile decoded by `decodeMVT`,
+ *   or a `VectorTile` from `@mapbox/vector-tile`
+ * @param {Object} opts
+ * @param {Object} opts.tile - `{x, y, z}` index of the tile
+ * @param {Array} opts.layers - names of the tile layers to convert, all layers if null
+ * @param {Number} opts.coordinateSystem - requested coordinate system, the features are
+ *   converted to the coordinate system returned by `getTileCoordinateSystem`
+ * @return {Array} - GeoJSON features, with `id` and `layerName` members
+ */
+export function getTileFeatures(data, {tile, layers = null, coordinateSystem}) {
+  const decodedTile = isEncodedTile(data) ? decodeMVT(data) : data;
+  const tileCoordinates = getTileCoordinateSystem(tile, coordinateSystem);
+  const features = [];
+
+  for (const layerName in decodedTile.layers) {
+    if (!layers || layers.indexOf(layerName) >= 0) {
+      const layer = decodedTile.layers[layerName];
+      const transform = getTransform(tile, layer.extent, tileCoordinates);
+      addLayerFeatures({layerName, layer, transform, features});
+    }
+  }
+  return features;
+}
+
+// Converts the features of a tile layer, adding them to `features`
+function addLayerFeatures({layerName, layer, transform, features}) {
+  for (const {id, type, properties, geometry} of getLayerFeatures(layer)) {
+    const geojsonGeometry = getGeometry(type, geometry, transform);
+    if (geojsonGeometry) {
+      features.push({type: 'Feature', id, layerName, properties, geometry: geojsonGeometry});
+    }
+  }
+}
+
+// Returns the features of a decoded layer, either a plain object or
+// a `VectorTileLayer` from `@mapbox/vector-tile`
+function getLayerFeatures(layer) {
+  if (Array.isArray(layer.features)) {
+    return layer.features;
+  }
+  const features = [];
+  for (let i = 0; i < layer.length; i++) {
+    const feature = layer.feature(i);
+    features.push({
+      id: feature.id,
+      type: feature.type,
+      properties: feature.properties,
+      geometry: feature.loadGeometry().map(points => points.map(p => [p.x, p.y]))
+    });
+  }
+  return features;
+}
+
+// Returns a function that converts tile-local coordinates in `[0, extent]`
+function getTransform({x, y, z}, extent, {coordinateSystem, coordinateOrigin}) {
+  const toLngLat = ([px, py]) =>
+    [tileXToLng(x + px / extent, z), tileYToLat(y + py / extent, z)];
+
+  switch (coordinateSystem) {
+  case COORDINATE_SYSTEM.LNGLAT_OFFSETS:
+    return point => {
+      const [lng, lat] = toLngLat(point);
+      return [lng - coordinateOrigin[0], lat - coordinateOrigin[1]];
+    };
+
+  case COORDINATE_SYSTEM.METER_OFFSETS: {
+    // Tile coordinates are linear in mercator world pixels, which are converted to meters
+    // with the scale of the projection at the tile center
+    const [longitude, latitude] = coordinateOrigin;
+    const metersPerPixel = getDistanceScales({longitude, latitude, scale: 1}).metersPerPixel[0];
+    const metersPerUnit = metersPerPixel * TILE_SIZE / (Math.pow(2, z) * extent);
+    const center = extent / 2;
+    return ([px, py]) => [(px - center) * metersPerUnit, (center - py) * metersPerUnit];
+  }
+
+  default:
+    return toLngLat;
+  }
+}
+
+// Converts the geometry of a vector tile feature into a GeoJSON geometry
+function getGeometry(type, geometry, transform) {
+  switch (type) {
+  case FEATURE_TYPE.POINT:
+    return getSingleOrMulti('Point', [].concat(...geometry).map(transform));
+  case FEATURE_TYPE.LINESTRING:
+    return getSingleOrMulti('LineString', geometry.map(line => line.map(transform)));
+  case FEATURE_TYPE.POLYGON:
+    return getSingleOrMulti('Polygon', classifyRings(geometry)
+      .map(polygon => polygon.map(ring => ring.map(transform))));
+  default:
+    return null;
+  }
+}
+
+// Returns a single geometry, a "Multi" geometry or null depending on the number of parts
+function getSingleOrMulti(type, parts) {
+  switch (parts.length) {
+  case 0:
+    return null;
+  case 1:
+    return {type, coordinates: parts[0]};
+  default:
+    return {type: `Multi${type}`, coordinates: parts};
+  }
+}
+
+// Twice the signed area of a ring, positive for clockwise rings in tile coordinates
+function getSignedArea(ring) {
+  let area = 0;
+  for (let i = 0; i < ring.length - 1; i++) {
+    area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+  }
+  return area;
+}
+
+/**
+ * Groups polygon rings into polygons. Each polygon starts with an exterior ring,
+ * followed by the interior rings (holes) that have the opposite winding order.
+ * The winding order of exterior rings is taken from the first ring.
+ * @param {Array} rings - rings in tile coordinates
+ * @return {Array} - array of polygons, each an array of rings
+ */
+export function classifyRings(rings) {
+  const polygons = [];
+  let polygon = null;
+  let exteriorSign = 0;
+
+  for (const ring of rings) {
+    const sign = Math.sign(getSignedArea(ring));
+    // Degenerate rings are dropped
+    if (sign !== 0) {
+      exteriorSign = exteriorSign || sign;
+      if (!polygon || sign === exteriorSign) {
+        polygon = [ring];
+        polygons.push(polygon);
+      } else {
+        polygon.push(ring);
+      }
+    }
+  }
+  return polygons;
+}
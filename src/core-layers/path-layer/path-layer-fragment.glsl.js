@@ -104,5 +104,8 @@ void main(void) {
 
   // use picking color if rendering to picking FBO.
   gl_FragColor = picking_filterPickingColor(gl_FragColor);
+
+  // discard fragments outside of the mask of the layer
+  gl_FragColor = mask_filterColor(gl_FragColor);
 }
 `;
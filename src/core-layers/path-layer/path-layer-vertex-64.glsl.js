@@ -30,8 +30,11 @@ attribute vec4 instanceStartEndPositions64xyLow;
 attribute vec3 instanceLeftDeltas;
 attribute vec3 instanceRightDeltas;
 attribute float instanceStrokeWidths;
+attribute float instanceEndStrokeWidths;
 attribute vec4 instanceColors;
+attribute vec4 instanceEndColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 attribute vec2 instanceDashArrays;
 
 uniform float widthScale;
@@ -52,14 +55,19 @@ varying float vPathLength;
 const float EPSILON = 0.001;
 const float PIXEL_EPSILON = 0.1;
 
+// half width in pixels
+float getHalfWidth(float strokeWidth) {
+  return clamp(project_scale(strokeWidth * widthScale), widthMinPixels, widthMaxPixels) / 2.0;
+}
+
 float flipIfTrue(bool flag) {
   return -(float(flag) * 2. - 1.);
 }
 
 vec3 lineJoin(vec2 prevPoint64[2], vec2 currPoint64[2], vec2 nextPoint64[2]) {
 
-  float width = clamp(project_scale(instanceStrokeWidths * widthScale),
-    widthMinPixels, widthMaxPixels) / 2.0;
+  // width at the current vertex, widths are interpolated along the segment
+  float width = getHalfWidth(mix(instanceStrokeWidths, instanceEndStrokeWidths, positions.x));
 
   vec2 deltaA64[2];
   vec2 deltaB64[2];
@@ -173,10 +181,12 @@ vec3 lineJoin(vec2 prevPoint64[2], vec2 currPoint64[2], vec2 nextPoint64[2]) {
   vCornerOffset = offsetVec * offsetDirection * offsetScale;
 
   // Generate variables for dash calculation
+  // Dashes are relative to the average width of the segment, which does not vary along it
+  float dashUnit = getHalfWidth((instanceStrokeWidths + instanceEndStrokeWidths) / 2.0);
   vDashArray = instanceDashArrays;
-  vPathLength = L / width;
+  vPathLength = L / dashUnit;
   float isEnd = positions.x;
-  vec2 offsetFromStartOfPath = mix(vCornerOffset, vCornerOffset + deltaA / width, isEnd);
+  vec2 offsetFromStartOfPath = (vCornerOffset * width + deltaA * isEnd) / dashUnit;
   vec2 dir = mix(dirB, dirA, isEnd);
   vPathPosition = dot(offsetFromStartOfPath, dir);
 
@@ -184,7 +194,8 @@ vec3 lineJoin(vec2 prevPoint64[2], vec2 currPoint64[2], vec2 nextPoint64[2]) {
 }
 
 void main() {
-  vColor = vec4(instanceColors.rgb, instanceColors.a * opacity) / 255.;
+  vec4 color = mix(instanceColors, instanceEndColors, positions.x);
+  vColor = vec4(color.rgb, color.a * opacity) / 255.;
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
@@ -252,5 +263,6 @@ void main() {
   vertex_pos_modelspace[3] = vec2(1.0, 0.0);
 
   gl_Position = project_to_clipspace_fp64(vertex_pos_modelspace);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 }
 `;
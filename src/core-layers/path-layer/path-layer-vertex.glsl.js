@@ -28,8 +28,11 @@ attribute vec3 instanceEndPositions;
 attribute vec3 instanceLeftDeltas;
 attribute vec3 instanceRightDeltas;
 attribute float instanceStrokeWidths;
+attribute float instanceEndStrokeWidths;
 attribute vec4 instanceColors;
+attribute vec4 instanceEndColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 attribute vec2 instanceDashArrays;
 
 uniform float widthScale;
@@ -50,6 +53,11 @@ varying float vPathLength;
 const float EPSILON = 0.001;
 const float PIXEL_EPSILON = 0.1;
 
+// half width in pixels
+float getHalfWidth(float strokeWidth) {
+  return clamp(project_scale(strokeWidth * widthScale), widthMinPixels, widthMaxPixels) / 2.0;
+}
+
 float flipIfTrue(bool flag) {
   return -(float(flag) * 2. - 1.);
 }
@@ -57,8 +65,8 @@ float flipIfTrue(bool flag) {
 // calculate line join positions
 vec3 lineJoin(vec3 prevPoint, vec3 currPoint, vec3 nextPoint) {
 
-  float width = clamp(project_scale(instanceStrokeWidths * widthScale),
-    widthMinPixels, widthMaxPixels) / 2.0;
+  // width at the current vertex, widths are interpolated along the segment
+  float width = getHalfWidth(mix(instanceStrokeWidths, instanceEndStrokeWidths, positions.x));
 
   vec2 deltaA = currPoint.xy - prevPoint.xy;
   vec2 deltaB = nextPoint.xy - currPoint.xy;
@@ -161,10 +169,12 @@ vec3 lineJoin(vec3 prevPoint, vec3 currPoint, vec3 nextPoint) {
   vCornerOffset = offsetVec * offsetDirection * offsetScale;
 
   // Generate variables for dash calculation
+  // Dashes are relative to the average width of the segment, which does not vary along it
+  float dashUnit = getHalfWidth((instanceStrokeWidths + instanceEndStrokeWidths) / 2.0);
   vDashArray = instanceDashArrays;
-  vPathLength = L / width;
+  vPathLength = L / dashUnit;
   float isEnd = positions.x;
-  vec2 offsetFromStartOfPath = mix(vCornerOffset, vCornerOffset + deltaA / width, isEnd);
+  vec2 offsetFromStartOfPath = (vCornerOffset * width + deltaA * isEnd) / dashUnit;
   vec2 dir = mix(dirB, dirA, isEnd);
   vPathPosition = dot(offsetFromStartOfPath, dir);
 
@@ -172,7 +182,8 @@ vec3 lineJoin(vec3 prevPoint, vec3 currPoint, vec3 nextPoint) {
 }
 
 void main() {
-  vColor = vec4(instanceColors.rgb, instanceColors.a * opacity) / 255.;
+  vec4 color = mix(instanceColors, instanceEndColors, positions.x);
+  vColor = vec4(color.rgb, color.a * opacity) / 255.;
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
@@ -193,5 +204,6 @@ void main() {
   pos = lineJoin(prevPosition, currPosition, nextPosition);
 
   gl_Position = project_to_clipspace(vec4(pos, 1.0));
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 }
 `;
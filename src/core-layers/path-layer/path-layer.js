@@ -19,8 +19,18 @@
 // THE SOFTWARE.
 
 import {COORDINATE_SYSTEM, Layer, experimental} from '../../core';
-const {fp64ify, enable64bitSupport} = experimental;
+const {enable64bitSupport, getObjectAt} = experimental;
 import {GL, Model, Geometry} from 'luma.gl';
+import {
+  getSegmentCount,
+  calculateStartPositions,
+  calculateEndPositions,
+  calculateStartEndPositions64xyLow,
+  calculateLeftDeltas,
+  calculateRightDeltas,
+  fillSegmentVertices
+} from './path-tesselator';
+import {startAttributeJob, cancelAttributeJob} from '../workers/worker-utils';
 
 import vs from './path-layer-vertex.glsl';
 import vs64 from './path-layer-vertex-64.glsl';
@@ -40,21 +50,19 @@ const defaultProps = {
   getPath: object => object.path,
   getColor: object => object.color || DEFAULT_COLOR,
   getWidth: object => object.width || 1,
-  getDashArray: null
-};
+  getDashArray: null,
 
-const isClosed = path => {
-  const firstPoint = path[0];
-  const lastPoint = path[path.length - 1];
-  return firstPoint[0] === lastPoint[0] && firstPoint[1] === lastPoint[1] &&
-    firstPoint[2] === lastPoint[2];
+  // Url of the attribute worker script. If supplied, attributes are generated in a worker
+  workerUrl: null,
+  // Called with `{layer, loading}` when attribute generation in a worker starts and ends
+  onLoadingChange: () => {}
 };
 
 export default class PathLayer extends Layer {
   getShaders() {
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'picking']} :
-      {vs, fs, modules: ['picking']}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', 'filter', 'picking', 'mask']} :
+      {vs, fs, modules: ['filter', 'picking', 'mask']}; // 'project' module added by default.
   }
 
   initializeState() {
@@ -68,10 +76,14 @@ export default class PathLayer extends Layer {
       instanceEndPositions: {size: 3, update: this.calculateEndPositions},
       instanceLeftDeltas: {size: 3, update: this.calculateLeftDeltas},
       instanceRightDeltas: {size: 3, update: this.calculateRightDeltas},
-      instanceStrokeWidths: {size: 1, accessor: 'getWidth', update: this.calculateStrokeWidths},
+      // Widths and colors at the start and end vertices of each segment
+      instanceStrokeWidths: {size: 1, accessor: 'getWidth', defaultValue: 1, update: this.calculateStrokeWidths},
+      instanceEndStrokeWidths: {size: 1, accessor: 'getWidth', defaultValue: 1, update: this.calculateEndStrokeWidths},
       instanceDashArrays: {size: 2, accessor: 'getDashArray', update: this.calculateDashArrays},
-      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', update: this.calculateColors},
-      instancePickingColors: {size: 3, type: GL.UNSIGNED_BYTE, update: this.calculatePickingColors}
+      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', defaultValue: DEFAULT_COLOR, update: this.calculateColors},
+      instanceEndColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', defaultValue: DEFAULT_COLOR, update: this.calculateEndColors},
+      instancePickingColors: {size: 3, type: GL.UNSIGNED_BYTE, update: this.calculatePickingColors},
+      instanceFilterValues: {size: 1, accessor: 'getFilterValue', update: this.calculateFilterValues}
     });
     /* eslint-enable max-len */
   }
@@ -107,7 +119,16 @@ export default class PathLayer extends Layer {
     }
     this.updateAttribute({props, oldProps, changeFlags});
 
-    const geometryChanged = changeFlags.dataChanged ||
+    if (props.workerUrl) {
+      this.updateStateInWorker({props, oldProps, changeFlags});
+      return;
+    }
+    if (oldProps.workerUrl) {
+      // Leaving worker mode, regenerate attributes on the main thread
+      this.setState({workerAttributes: null});
+    }
+
+    const geometryChanged = changeFlags.dataChanged || Boolean(oldProps.workerUrl) ||
       (changeFlags.updateTriggersChanged && (
         changeFlags.updateTriggersChanged.all ||
         changeFlags.updateTriggersChanged.getPath));
@@ -115,13 +136,64 @@ export default class PathLayer extends Layer {
     if (geometryChanged) {
       // this.state.paths only stores point positions in each path
       const paths = props.data.map(getPath);
-      const numInstances = paths.reduce((count, path) => count + path.length - 1, 0);
+      const numInstances = getSegmentCount(paths);
 
       this.setState({paths, numInstances});
       attributeManager.invalidateAll();
     }
   }
 
+  // Generates all attributes in a worker, so any accessor change restarts the job.
+  // Until the job completes the previous result is rendered.
+  updateStateInWorker({props, oldProps, changeFlags}) {
+    if (props.workerUrl !== oldProps.workerUrl) {
+      this.setState({workerAttributes: {}, paths: [], numInstances: 0});
+    }
+
+    if (changeFlags.dataChanged || changeFlags.updateTriggersChanged ||
+      props.fp64 !== oldProps.fp64 || props.workerUrl !== oldProps.workerUrl) {
+      const {data, getPath, getWidth, getColor, getDashArray, getFilterValue, fp64} = props;
+
+      const paths = data.map(getPath);
+      // Widths and colors can be per path or per vertex, see `fillSegmentVertices`
+      const widths = new Array(paths.length);
+      const colors = new Array(paths.length);
+      const dashArrays = getDashArray && new Float32Array(paths.length * 2);
+      const filterValues = getFilterValue && new Float32Array(paths.length);
+      data.forEach((object, index) => {
+        widths[index] = getWidth(object, index);
+        colors[index] = getColor(object, index);
+        if (dashArrays) {
+          dashArrays.set(getDashArray(object, index), index * 2);
+        }
+        if (filterValues) {
+          filterValues[index] = getFilterValue(object, index);
+        }
+      });
+
+      startAttributeJob(this, {
+        type: 'paths',
+        payload: {paths, widths, colors, dashArrays, filterValues, fp64},
+        onResult: (layer, {attributes, numInstances}) => {
+          // Paths are kept for attributes generated on the main thread, e.g. by subclasses
+          layer.setState({workerAttributes: attributes, paths, numInstances});
+          layer.state.attributeManager.invalidateAll();
+          layer.state.model.setInstanceCount(numInstances);
+        }
+      });
+    }
+  }
+
+  // Attributes generated in a worker are supplied to the attribute manager as external buffers
+  updateAttributes(props) {
+    const {workerAttributes} = this.state;
+    super.updateAttributes(workerAttributes ? Object.assign({}, props, workerAttributes) : props);
+  }
+
+  finalizeState() {
+    cancelAttributeJob(this);
+  }
+
   draw({uniforms}) {
     const {
       rounded, miterLimit, widthScale, widthMinPixels, widthMaxPixels, dashJustified
@@ -195,105 +267,31 @@ export default class PathLayer extends Layer {
   }
 
   calculateStartPositions(attribute) {
-    const {paths} = this.state;
-    const {value} = attribute;
-
-    let i = 0;
-    paths.forEach(path => {
-      const numSegments = path.length - 1;
-      for (let ptIndex = 0; ptIndex < numSegments; ptIndex++) {
-        const point = path[ptIndex];
-        value[i++] = point[0];
-        value[i++] = point[1];
-        value[i++] = point[2] || 0;
-      }
-    });
+    calculateStartPositions({paths: this.state.paths, value: attribute.value});
   }
 
   calculateEndPositions(attribute) {
-    const {paths} = this.state;
-    const {value} = attribute;
-
-    let i = 0;
-    paths.forEach(path => {
-      for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
-        const point = path[ptIndex];
-        value[i++] = point[0];
-        value[i++] = point[1];
-        value[i++] = point[2] || 0;
-      }
-    });
+    calculateEndPositions({paths: this.state.paths, value: attribute.value});
   }
 
   calculateInstanceStartEndPositions64xyLow(attribute) {
-    const {paths} = this.state;
-    const {value} = attribute;
-
-    let i = 0;
-    paths.forEach(path => {
-      const numSegments = path.length - 1;
-      for (let ptIndex = 0; ptIndex < numSegments; ptIndex++) {
-        const startPoint = path[ptIndex];
-        const endPoint = path[ptIndex + 1];
-        value[i++] = fp64ify(startPoint[0])[1];
-        value[i++] = fp64ify(startPoint[1])[1];
-        value[i++] = fp64ify(endPoint[0])[1];
-        value[i++] = fp64ify(endPoint[1])[1];
-      }
-    });
+    calculateStartEndPositions64xyLow({paths: this.state.paths, value: attribute.value});
   }
 
   calculateLeftDeltas(attribute) {
-    const {paths} = this.state;
-    const {value} = attribute;
-
-    let i = 0;
-    paths.forEach(path => {
-      const numSegments = path.length - 1;
-      let prevPoint = isClosed(path) ? path[path.length - 2] : path[0];
-
-      for (let ptIndex = 0; ptIndex < numSegments; ptIndex++) {
-        const point = path[ptIndex];
-        value[i++] = point[0] - prevPoint[0];
-        value[i++] = point[1] - prevPoint[1];
-        value[i++] = (point[2] - prevPoint[2]) || 0;
-        prevPoint = point;
-      }
-    });
+    calculateLeftDeltas({paths: this.state.paths, value: attribute.value});
   }
 
   calculateRightDeltas(attribute) {
-    const {paths} = this.state;
-    const {value} = attribute;
-
-    let i = 0;
-    paths.forEach(path => {
-      for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
-        const point = path[ptIndex];
-        let nextPoint = path[ptIndex + 1];
-        if (!nextPoint) {
-          nextPoint = isClosed(path) ? path[1] : point;
-        }
-
-        value[i++] = nextPoint[0] - point[0];
-        value[i++] = nextPoint[1] - point[1];
-        value[i++] = (nextPoint[2] - point[2]) || 0;
-      }
-    });
+    calculateRightDeltas({paths: this.state.paths, value: attribute.value});
   }
 
   calculateStrokeWidths(attribute) {
-    const {data, getWidth} = this.props;
-    const {paths} = this.state;
-    const {value} = attribute;
+    this._fillSegmentVertices(attribute, this.props.getWidth, false);
+  }
 
-    let i = 0;
-    paths.forEach((path, index) => {
-      const width = getWidth(data[index], index);
-      for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
-        value[i++] = width;
-      }
-    });
+  calculateEndStrokeWidths(attribute) {
+    this._fillSegmentVertices(attribute, this.props.getWidth, true);
   }
 
   calculateDashArrays(attribute) {
@@ -306,7 +304,7 @@ export default class PathLayer extends Layer {
     const {value} = attribute;
     let i = 0;
     paths.forEach((path, index) => {
-      const dashArray = getDashArray(data[index], index);
+      const dashArray = getDashArray(getObjectAt(data, index), index);
       for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
         value[i++] = dashArray[0];
         value[i++] = dashArray[1];
@@ -315,22 +313,25 @@ export default class PathLayer extends Layer {
   }
 
   calculateColors(attribute) {
-    const {data, getColor} = this.props;
-    const {paths} = this.state;
-    const {value} = attribute;
+    this._fillSegmentVertices(attribute, this.props.getColor, false);
+  }
 
-    let i = 0;
-    paths.forEach((path, index) => {
-      const pointColor = getColor(data[index], index);
-      if (isNaN(pointColor[3])) {
-        pointColor[3] = 255;
-      }
-      for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
-        value[i++] = pointColor[0];
-        value[i++] = pointColor[1];
-        value[i++] = pointColor[2];
-        value[i++] = pointColor[3];
-      }
+  calculateEndColors(attribute) {
+    this._fillSegmentVertices(attribute, this.props.getColor, true);
+  }
+
+  // Accessors return either one value per path or one value per vertex.
+  // Missing components use the default value of the attribute.
+  _fillSegmentVertices(attribute, accessor, isEnd) {
+    const {data} = this.props;
+    const {defaultValue} = attribute;
+    fillSegmentVertices({
+      paths: this.state.paths,
+      value: attribute.value,
+      size: attribute.size,
+      getValue: index => accessor(getObjectAt(data, index), index),
+      isEnd,
+      defaultValue: Array.isArray(defaultValue) ? defaultValue : [defaultValue]
     });
   }
 
@@ -350,6 +351,21 @@ export default class PathLayer extends Layer {
     });
   }
 
+  // Override the default filter values calculation, paths have one instance per segment
+  calculateFilterValues(attribute) {
+    const {data, getFilterValue} = this.props;
+    const {paths} = this.state;
+    const {value} = attribute;
+
+    let i = 0;
+    paths.forEach((path, index) => {
+      const filterValue = getFilterValue ? getFilterValue(getObjectAt(data, index), index) : 0;
+      for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
+        value[i++] = filterValue;
+      }
+    });
+  }
+
 }
 
 PathLayer.layerName = 'PathLayer';
@@ -0,0 +1,185 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Generates the per-segment instance attributes of the PathLayer
+// Note: only imports from utils, so that this module can be loaded in a worker
+import {fp64ify} from '../../core/utils/fp64';
+
+const isClosed = path => {
+  const firstPoint = path[0];
+  const lastPoint = path[path.length - 1];
+  return firstPoint[0] === lastPoint[0] && firstPoint[1] === lastPoint[1] &&
+    firstPoint[2] === lastPoint[2];
+};
+
+// Count number of segments in a list of paths
+export function getSegmentCount(paths) {
+  return paths.reduce((count, path) => count + path.length - 1, 0);
+}
+
+export function calculateStartPositions({paths, value}) {
+  let i = 0;
+  paths.forEach(path => {
+    const numSegments = path.length - 1;
+    for (let ptIndex = 0; ptIndex < numSegments; ptIndex++) {
+      const point = path[ptIndex];
+      value[i++] = point[0];
+      value[i++] = point[1];
+      value[i++] = point[2] || 0;
+    }
+  });
+  return value;
+}
+
+export function calculateEndPositions({paths, value}) {
+  let i = 0;
+  paths.forEach(path => {
+    for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
+      const point = path[ptIndex];
+      value[i++] = point[0];
+      value[i++] = point[1];
+      value[i++] = point[2] || 0;
+    }
+  });
+  return value;
+}
+
+export function calculateStartEndPositions64xyLow({paths, value}) {
+  let i = 0;
+  paths.forEach(path => {
+    const numSegments = path.length - 1;
+    for (let ptIndex = 0; ptIndex < numSegments; ptIndex++) {
+      const startPoint = path[ptIndex];
+      const endPoint = path[ptIndex + 1];
+      value[i++] = fp64ify(startPoint[0])[1];
+      value[i++] = fp64ify(startPoint[1])[1];
+      value[i++] = fp64ify(endPoint[0])[1];
+      value[i++] = fp64ify(endPoint[1])[1];
+    }
+  });
+  return value;
+}
+
+export function calculateLeftDeltas({paths, value}) {
+  let i = 0;
+  paths.forEach(path => {
+    const numSegments = path.length - 1;
+    let prevPoint = isClosed(path) ? path[path.length - 2] : path[0];
+
+    for (let ptIndex = 0; ptIndex < numSegments; ptIndex++) {
+      const point = path[ptIndex];
+      value[i++] = point[0] - prevPoint[0];
+      value[i++] = point[1] - prevPoint[1];
+      value[i++] = (point[2] - prevPoint[2]) || 0;
+      prevPoint = point;
+    }
+  });
+  return value;
+}
+
+export function calculateRightDeltas({paths, value}) {
+  let i = 0;
+  paths.forEach(path => {
+    for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
+      const point = path[ptIndex];
+      let nextPoint = path[ptIndex + 1];
+      if (!nextPoint) {
+        nextPoint = isClosed(path) ? path[1] : point;
+      }
+
+      value[i++] = nextPoint[0] - point[0];
+      value[i++] = nextPoint[1] - point[1];
+      value[i++] = (nextPoint[2] - point[2]) || 0;
+    }
+  });
+  return value;
+}
+
+/**
+ * Fills an attribute with one value per path, repeated for each segment of the path
+ * @param {Object} opts
+ * @param {Array} opts.paths - list of paths
+ * @param {TypedArray} opts.value - attribute value
+ * @param {Number} opts.size - attribute size
+ * @param {Function} opts.getValue - called with the path index, returns an array of `size`
+ * @return {TypedArray} - the attribute value
+ */
+export function fillSegments({paths, value, size, getValue}) {
+  let i = 0;
+  paths.forEach((path, index) => {
+    const pathValue = getValue(index);
+    for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
+      for (let j = 0; j < size; j++) {
+        value[i++] = pathValue[j];
+      }
+    }
+  });
+  return value;
+}
+
+/**
+ * Checks if an accessor returned one value per vertex rather than one value for the whole path
+ * @param {Number|Array} pathValue - accessor result
+ * @param {Number} size - number of components of a value
+ * @return {Boolean} - true if `pathValue` is an array of vertex values
+ */
+export function isVertexValue(pathValue, size) {
+  const firstComponent = size === 1 ? pathValue : pathValue && pathValue[0];
+  return Boolean(firstComponent) && typeof firstComponent === 'object';
+}
+
+/**
+ * Fills an attribute with the value at the start (or end) vertex of each segment.
+ * Paths either have a single value, or one value per vertex that the shaders
+ * interpolate along each segment.
+ * @param {Object} opts
+ * @param {Array} opts.paths - list of paths
+ * @param {TypedArray} opts.value - attribute value
+ * @param {Number} opts.size - attribute size
+ * @param {Function} opts.getValue - called with the path index, returns a value (a number
+ *   if `size` is 1, otherwise an array), or an array with one value per vertex of the path
+ * @param {Boolean} [opts.isEnd] - fill the values of the end vertices of the segments
+ * @param {Array} [opts.defaultValue] - padding for missing values and components
+ * @return {TypedArray} - the attribute value
+ */
+export function fillSegmentVertices({
+  paths, value, size, getValue, isEnd = false, defaultValue = []
+}) {
+  const vertexOffset = isEnd ? 1 : 0;
+  let i = 0;
+  paths.forEach((path, index) => {
+    const pathValue = getValue(index);
+    const perVertex = isVertexValue(pathValue, size);
+    for (let ptIndex = 0; ptIndex < path.length - 1; ptIndex++) {
+      const vertexValue = perVertex ?
+        pathValue[Math.min(ptIndex + vertexOffset, pathValue.length - 1)] :
+        pathValue;
+      if (size === 1) {
+        value[i++] = Number.isFinite(vertexValue) ? vertexValue : defaultValue[0];
+      } else {
+        for (let j = 0; j < size; j++) {
+          value[i++] = vertexValue && Number.isFinite(vertexValue[j]) ?
+            vertexValue[j] : defaultValue[j];
+        }
+      }
+    }
+  });
+  return value;
+}
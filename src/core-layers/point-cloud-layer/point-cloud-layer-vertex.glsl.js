@@ -27,6 +27,7 @@ attribute vec3 instancePositions;
 attribute vec3 instanceNormals;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
 
 uniform float opacity;
 uniform float radiusPixels;
@@ -43,13 +44,15 @@ void main(void) {
   vec4 position_worldspace = vec4(project_position(instancePositions), 1.0);
   gl_Position = project_to_clipspace(position_worldspace) ;
   gl_Position += project_pixel_to_clipspace(positions.xy * radiusPixels);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   // Apply lighting
-  float lightWeight = getLightWeight(position_worldspace.xyz, // the w component is always 1.0
+  vec3 lightColor = lighting_getLightColor(instanceColors.rgb / 255.,
+    position_worldspace.xyz, // the w component is always 1.0
     instanceNormals);
 
   // Apply opacity to instance color, or return instance picking color
-  vColor = vec4(lightWeight * instanceColors.rgb, instanceColors.a * opacity) / 255.;
+  vColor = vec4(lightColor, instanceColors.a * opacity / 255.);
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
@@ -34,24 +34,18 @@ const defaultProps = {
 
   getPosition: x => x.position,
   getNormal: x => x.normal,
-  getColor: x => x.color || DEFAULT_COLOR,
-
-  lightSettings: {
-    lightsPosition: [0, 0, 5000, -1000, 1000, 8000, 5000, -5000, 1000],
-    ambientRatio: 0.2,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [1.0, 0.0, 0.8, 0.0, 0.4, 0.0],
-    numberOfLights: 3
-  }
+  getColor: x => x.color || DEFAULT_COLOR
 };
 
 export default class PointCloudLayer extends Layer {
   getShaders(id) {
     const {shaderCache} = this.context;
+    const modules = ['lighting', 'filter', 'picking', 'mask'];
+    const defines = this.getLightingDefines();
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'lighting', 'picking'], shaderCache} :
-      {vs, fs, modules: ['lighting', 'picking'], shaderCache}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', ...modules], defines, shaderCache} :
+      // 'project' module added by default.
+      {vs, fs, modules, defines, shaderCache};
   }
 
   initializeState() {
@@ -60,9 +54,9 @@ export default class PointCloudLayer extends Layer {
 
     /* eslint-disable max-len */
     this.state.attributeManager.addInstanced({
-      instancePositions: {size: 3, accessor: 'getPosition', update: this.calculateInstancePositions},
-      instanceNormals: {size: 3, accessor: 'getNormal', defaultValue: 1, update: this.calculateInstanceNormals},
-      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', update: this.calculateInstanceColors}
+      instancePositions: {size: 3, accessor: 'getPosition', columnar: true, update: this.calculateInstancePositions},
+      instanceNormals: {size: 3, accessor: 'getNormal', columnar: true, defaultValue: [0, 0, 1], update: this.calculateInstanceNormals},
+      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', columnar: true, defaultValue: DEFAULT_COLOR, update: this.calculateInstanceColors}
     });
     /* eslint-enable max-len */
   }
@@ -91,18 +85,20 @@ export default class PointCloudLayer extends Layer {
 
   updateState({props, oldProps, changeFlags}) {
     super.updateState({props, oldProps, changeFlags});
-    if (props.fp64 !== oldProps.fp64) {
+    // Light arrays of the shader are sized to the lights of the scene
+    if (props.fp64 !== oldProps.fp64 || this.lightingDefinesChanged()) {
       const {gl} = this.context;
       this.setState({model: this._getModel(gl)});
+      this.state.attributeManager.invalidateAll();
     }
     this.updateAttribute({props, oldProps, changeFlags});
   }
 
   draw({uniforms}) {
-    const {radiusPixels, lightSettings} = this.props;
+    const {radiusPixels} = this.props;
     this.state.model.render(Object.assign({}, uniforms, {
       radiusPixels
-    }, lightSettings));
+    }));
   }
 
   _getModel(gl) {
@@ -18,11 +18,12 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
-import {CompositeLayer, experimental} from '../../core';
+import {COORDINATE_SYSTEM, CompositeLayer, experimental} from '../../core';
 const {get} = experimental;
 import SolidPolygonLayer from '../solid-polygon-layer/solid-polygon-layer';
 import PathLayer from '../path-layer/path-layer';
 import * as Polygon from '../solid-polygon-layer/polygon';
+import {isVertexValue} from '../path-layer/path-tesselator';
 
 const defaultLineColor = [0x0, 0x0, 0x0, 0xFF];
 const defaultFillColor = [0x0, 0x0, 0x0, 0xFF];
@@ -42,29 +43,46 @@ const defaultProps = {
   lineDashJustified: false,
   fp64: false,
 
+  // Fill patterns, see SolidPolygonLayer
+  fillPatternAtlas: null,
+  fillPatternMapping: {},
+  fillPatternSpace: 'world',
+
+  // Url of the attribute worker script. If supplied, tesselation runs in a worker
+  workerUrl: null,
+  // Called with `{layer, loading}` when tesselation in a worker starts and ends
+  onLoadingChange: () => {},
+
   getPolygon: f => get(f, 'polygon'),
   // Polygon fill color
   getFillColor: f => get(f, 'fillColor') || defaultFillColor,
-  // Point, line and polygon outline color
+  // Polygon fill pattern name
+  getFillPattern: f => get(f, 'fillPattern'),
+  // Polygon fill pattern size multiplier
+  getFillPatternScale: f => 1,
+  // Polygon outline color, or per-vertex colors
   getLineColor: f => get(f, 'lineColor') || defaultLineColor,
-  // Line and polygon outline accessors
+  // Polygon outline width, or per-vertex widths
   getLineWidth: f => get(f, 'lineWidth') || 1,
   // Line dash array accessor
   getLineDashArray: null,
   // Polygon extrusion accessor
-  getElevation: f => get(f, 'elevation') || 1000,
-
-  // Optional settings for 'lighting' shader module
-  lightSettings: {
-    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
-    ambientRatio: 0.05,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [2.0, 0.0, 0.0, 0.0],
-    numberOfLights: 2
-  }
+  getElevation: f => get(f, 'elevation') || 1000
 };
 
+// Per-vertex values of complex and multi polygons are nested like the polygon itself,
+// returns the values of the outlined ring
+function getRingValue(value, size, {ringIndices}) {
+  let ringValue = value;
+  for (const index of ringIndices) {
+    if (!isVertexValue(ringValue, size)) {
+      break;
+    }
+    ringValue = ringValue[index];
+  }
+  return ringValue;
+}
+
 export default class PolygonLayer extends CompositeLayer {
   initializeState() {
     this.state = {
@@ -73,7 +91,9 @@ export default class PolygonLayer extends CompositeLayer {
   }
 
   updateState({oldProps, props, changeFlags}) {
+    const wrapLongitude = props.coordinateSystem === COORDINATE_SYSTEM.LNGLAT;
     const geometryChanged = changeFlags.dataChanged ||
+      wrapLongitude !== (oldProps.coordinateSystem === COORDINATE_SYSTEM.LNGLAT) ||
       (changeFlags.updateTriggersChanged && (
         changeFlags.updateTriggersChanged.all ||
         changeFlags.updateTriggersChanged.getPolygon));
@@ -82,11 +102,27 @@ export default class PolygonLayer extends CompositeLayer {
       const {data, getPolygon} = this.props;
       this.state.paths = [];
       data.forEach(object => {
-        const complexPolygon = Polygon.normalize(getPolygon(object));
-        complexPolygon.forEach(polygon => this.state.paths.push({
-          path: polygon,
-          object
-        }));
+        const polygon = getPolygon(object);
+        const isMulti = Polygon.isMulti(polygon);
+        const isComplex = !isMulti && !Polygon.isSimple(polygon);
+
+        Polygon.normalizeMulti(polygon).forEach((complexPolygon, polygonIndex) => {
+          // Outlines follow the fill of polygons crossing the antimeridian
+          const rings = wrapLongitude ?
+            Polygon.unwrapLongitudes(complexPolygon) :
+            complexPolygon;
+
+          rings.forEach((ring, ringIndex) => {
+            // Indices of the ring in a multi or complex polygon, used to pick per-vertex values
+            let ringIndices = [];
+            if (isMulti) {
+              ringIndices = [polygonIndex, ringIndex];
+            } else if (isComplex) {
+              ringIndices = [ringIndex];
+            }
+            this.state.paths.push({path: ring, object, ringIndices});
+          });
+        });
       });
     }
   }
@@ -104,11 +140,14 @@ export default class PolygonLayer extends CompositeLayer {
 
     // Rendering props underlying layer
     const {lineWidthScale, lineWidthMinPixels, lineWidthMaxPixels,
-      lineJointRounded, lineMiterLimit, lineDashJustified, fp64} = this.props;
+      lineJointRounded, lineMiterLimit, lineDashJustified, fp64,
+      workerUrl, onLoadingChange} = this.props;
+    const {fillPatternAtlas, fillPatternMapping, fillPatternSpace} = this.props;
 
     // Accessor props for underlying layers
     const {getFillColor, getLineColor, getLineWidth, getLineDashArray, getElevation,
-      getPolygon, updateTriggers, lightSettings} = this.props;
+      getFilterValue, getFillPattern, getFillPatternScale, getPolygon, updateTriggers,
+      lightSettings} = this.props;
 
     const {paths} = this.state;
 
@@ -124,14 +163,25 @@ export default class PolygonLayer extends CompositeLayer {
           elevationScale,
 
           fp64,
+          workerUrl,
+          onLoadingChange,
           wireframe: false,
+          fillPatternAtlas,
+          fillPatternMapping,
+          fillPatternSpace,
 
           getPolygon,
           getElevation,
           getColor: getFillColor,
+          getFilterValue,
+          getFillPattern,
+          getFillPatternScale,
           updateTriggers: {
             getElevation: updateTriggers.getElevation,
-            getColor: updateTriggers.getFillColor
+            getFilterValue: updateTriggers.getFilterValue,
+            getColor: updateTriggers.getFillColor,
+            getFillPattern: updateTriggers.getFillPattern,
+            getFillPatternScale: updateTriggers.getFillPatternScale
           },
 
           lightSettings
@@ -145,6 +195,8 @@ export default class PolygonLayer extends CompositeLayer {
           data,
 
           fp64,
+          workerUrl,
+          onLoadingChange,
           extruded: true,
           elevationScale,
           wireframe: true,
@@ -152,8 +204,10 @@ export default class PolygonLayer extends CompositeLayer {
           getPolygon,
           getElevation,
           getColor: getLineColor,
+          getFilterValue,
           updateTriggers: {
             getElevation: updateTriggers.getElevation,
+            getFilterValue: updateTriggers.getFilterValue,
             getColor: updateTriggers.getLineColor
           }
         })
@@ -167,6 +221,8 @@ export default class PolygonLayer extends CompositeLayer {
           data: paths,
 
           fp64,
+          workerUrl,
+          onLoadingChange,
           widthScale: lineWidthScale,
           widthMinPixels: lineWidthMinPixels,
           widthMaxPixels: lineWidthMaxPixels,
@@ -175,10 +231,12 @@ export default class PolygonLayer extends CompositeLayer {
           dashJustified: lineDashJustified,
 
           getPath: x => x.path,
-          getColor: x => getLineColor(x.object),
-          getWidth: x => getLineWidth(x.object),
+          getColor: x => getRingValue(getLineColor(x.object), 4, x),
+          getWidth: x => getRingValue(getLineWidth(x.object), 1, x),
           getDashArray: getLineDashArray && (x => getLineDashArray(x.object)),
+          getFilterValue: getFilterValue && (x => getFilterValue(x.object)),
           updateTriggers: {
+            getFilterValue: updateTriggers.getFilterValue,
             getWidth: updateTriggers.getLineWidth,
             getColor: updateTriggers.getLineColor,
             getDashArray: updateTriggers.getLineDashArray
@@ -28,6 +28,13 @@ attribute vec2 instancePositions64xyLow;
 attribute float instanceRadius;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
+
+// Values and progress of attribute transitions
+attribute float instanceRadiusFrom;
+attribute vec4 instanceColorsFrom;
+uniform float instanceRadiusProgress;
+uniform float instanceColorsProgress;
 
 // Only one-dimensional arrays may be declared in GLSL ES 1.0. specs p.24
 uniform float opacity;
@@ -42,9 +49,12 @@ varying vec2 unitPosition;
 varying float innerUnitRadius;
 
 void main(void) {
+  float radius = mix(instanceRadiusFrom, instanceRadius, instanceRadiusProgress);
+  vec4 color = mix(instanceColorsFrom, instanceColors, instanceColorsProgress);
+
   // Multiply out radius and clamp to limits
   float outerRadiusPixels = clamp(
-    project_scale(radiusScale * instanceRadius),
+    project_scale(radiusScale * radius),
     radiusMinPixels, radiusMaxPixels
   );
 
@@ -75,8 +85,9 @@ void main(void) {
   vertex_pos_modelspace[3] = vec2(1.0, 0.0);
 
   gl_Position = project_to_clipspace_fp64(vertex_pos_modelspace);
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
-  vColor = vec4(instanceColors.rgb, instanceColors.a * opacity) / 255.;
+  vColor = vec4(color.rgb, color.a * opacity) / 255.;
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
@@ -27,6 +27,13 @@ attribute vec3 instancePositions;
 attribute float instanceRadius;
 attribute vec4 instanceColors;
 attribute vec3 instancePickingColors;
+attribute float instanceFilterValues;
+
+// Values and progress of attribute transitions
+attribute float instanceRadiusFrom;
+attribute vec4 instanceColorsFrom;
+uniform float instanceRadiusProgress;
+uniform float instanceColorsProgress;
 
 uniform float opacity;
 uniform float radiusScale;
@@ -40,9 +47,12 @@ varying vec2 unitPosition;
 varying float innerUnitRadius;
 
 void main(void) {
+  float radius = mix(instanceRadiusFrom, instanceRadius, instanceRadiusProgress);
+  vec4 color = mix(instanceColorsFrom, instanceColors, instanceColorsProgress);
+
   // Multiply out radius and clamp to limits
   float outerRadiusPixels = clamp(
-    project_scale(radiusScale * instanceRadius),
+    project_scale(radiusScale * radius),
     radiusMinPixels, radiusMaxPixels
   );
   // outline is centered at the radius
@@ -58,9 +68,10 @@ void main(void) {
   vec3 center = project_position(instancePositions);
   vec3 vertex = positions * outerRadiusPixels;
   gl_Position = project_to_clipspace(vec4(center + vertex, 1.0));
+  gl_Position = filter_filterPosition(instanceFilterValues, gl_Position);
 
   // Apply opacity to instance color, or return instance picking color
-  vColor = vec4(instanceColors.rgb, instanceColors.a * opacity) / 255.;
+  vColor = vec4(color.rgb, color.a * opacity) / 255.;
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(instancePickingColors);
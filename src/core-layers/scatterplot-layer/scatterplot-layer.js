@@ -19,7 +19,7 @@
 // THE SOFTWARE.
 
 import {COORDINATE_SYSTEM, Layer, experimental} from '../../core';
-const {fp64ify, enable64bitSupport, get} = experimental;
+const {fp64ify, enable64bitSupport, get, forEachInRange} = experimental;
 import {GL, Model, Geometry} from 'luma.gl';
 
 import vs from './scatterplot-layer-vertex.glsl';
@@ -45,8 +45,9 @@ export default class ScatterplotLayer extends Layer {
   getShaders(id) {
     const {shaderCache} = this.context;
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'picking'], shaderCache} :
-      {vs, fs, modules: ['picking'], shaderCache}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', 'filter', 'picking', 'mask'], shaderCache} :
+      // 'project' module added by default.
+      {vs, fs, modules: ['filter', 'picking', 'mask'], shaderCache};
   }
 
   initializeState() {
@@ -59,9 +60,9 @@ export default class ScatterplotLayer extends Layer {
     this._checkRemovedProp('drawOutline', 'outline');
 
     this.state.attributeManager.addInstanced({
-      instancePositions: {size: 3, accessor: 'getPosition', update: this.calculateInstancePositions},
-      instanceRadius: {size: 1, accessor: 'getRadius', defaultValue: 1, update: this.calculateInstanceRadius},
-      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', update: this.calculateInstanceColors}
+      instancePositions: {size: 3, accessor: 'getPosition', columnar: true, update: this.calculateInstancePositions},
+      instanceRadius: {size: 1, accessor: 'getRadius', columnar: true, defaultValue: 1, transition: true, update: this.calculateInstanceRadius},
+      instanceColors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', columnar: true, defaultValue: DEFAULT_COLOR, transition: true, update: this.calculateInstanceColors}
     });
     /* eslint-enable max-len */
   }
@@ -125,50 +126,50 @@ export default class ScatterplotLayer extends Layer {
     }));
   }
 
-  calculateInstancePositions(attribute) {
+  calculateInstancePositions(attribute, {startRow, endRow}) {
     const {data, getPosition} = this.props;
-    const {value} = attribute;
-    let i = 0;
-    for (const point of data) {
+    const {value, size} = attribute;
+    let i = startRow * size;
+    forEachInRange(data, startRow, endRow, point => {
       const position = getPosition(point);
       value[i++] = get(position, 0);
       value[i++] = get(position, 1);
       value[i++] = get(position, 2) || 0;
-    }
+    });
   }
 
-  calculateInstancePositions64xyLow(attribute) {
+  calculateInstancePositions64xyLow(attribute, {startRow, endRow}) {
     const {data, getPosition} = this.props;
-    const {value} = attribute;
-    let i = 0;
-    for (const point of data) {
+    const {value, size} = attribute;
+    let i = startRow * size;
+    forEachInRange(data, startRow, endRow, point => {
       const position = getPosition(point);
       value[i++] = fp64ify(get(position, 0))[1];
       value[i++] = fp64ify(get(position, 1))[1];
-    }
+    });
   }
 
-  calculateInstanceRadius(attribute) {
+  calculateInstanceRadius(attribute, {startRow, endRow}) {
     const {data, getRadius} = this.props;
-    const {value} = attribute;
-    let i = 0;
-    for (const point of data) {
+    const {value, size} = attribute;
+    let i = startRow * size;
+    forEachInRange(data, startRow, endRow, point => {
       const radius = getRadius(point);
       value[i++] = isNaN(radius) ? 1 : radius;
-    }
+    });
   }
 
-  calculateInstanceColors(attribute) {
+  calculateInstanceColors(attribute, {startRow, endRow}) {
     const {data, getColor} = this.props;
-    const {value} = attribute;
-    let i = 0;
-    for (const point of data) {
+    const {value, size} = attribute;
+    let i = startRow * size;
+    forEachInRange(data, startRow, endRow, point => {
       const color = getColor(point) || DEFAULT_COLOR;
       value[i++] = get(color, 0);
       value[i++] = get(color, 1);
       value[i++] = get(color, 2);
       value[i++] = isNaN(get(color, 3)) ? 255 : get(color, 3);
-    }
+    });
   }
 }
 
@@ -18,8 +18,9 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
-import {Layer} from '../../core';
+import {Layer, experimental} from '../../core';
 import {GL, Model, Geometry} from 'luma.gl';
+const {GridAggregator} = experimental;
 
 import vs from './screen-grid-layer-vertex.glsl';
 import fs from './screen-grid-layer-fragment.glsl';
@@ -32,12 +33,15 @@ const defaultProps = {
   maxColor: [0, 255, 0, 255],
 
   getPosition: d => d.position,
-  getWeight: d => 1
+  getWeight: d => 1,
+
+  // Aggregate on the GPU when supported, otherwise on the CPU
+  gpuAggregation: true
 };
 
 export default class ScreenGridLayer extends Layer {
   getShaders() {
-    return {vs, fs, modules: ['picking']}; // 'project' module added by default.
+    return {vs, fs, modules: ['picking', 'mask']}; // 'project' module added by default.
   }
 
   constructor(props) {
@@ -57,7 +61,17 @@ export default class ScreenGridLayer extends Layer {
     });
     /* eslint-disable max-len */
 
-    this.setState({model: this._getModel(gl)});
+    this.setState({
+      model: this._getModel(gl),
+      aggregator: new GridAggregator(gl, {
+        id: `${this.id}-aggregator`,
+        shaderCache: this.context.shaderCache
+      })
+    });
+  }
+
+  finalizeState() {
+    this.state.aggregator.delete();
   }
 
   shouldUpdateState({changeFlags}) {
@@ -68,6 +82,12 @@ export default class ScreenGridLayer extends Layer {
     super.updateState({props, oldProps, changeFlags});
     const cellSizeChanged =
       props.cellSizePixels !== oldProps.cellSizePixels;
+    const {updateTriggersChanged} = changeFlags;
+
+    if (changeFlags.dataChanged || (updateTriggersChanged && (updateTriggersChanged.all ||
+      updateTriggersChanged.getPosition || updateTriggersChanged.getWeight))) {
+      this.updatePoints();
+    }
 
     if (cellSizeChanged || changeFlags.viewportChanged) {
       this.updateCell();
@@ -125,6 +145,25 @@ export default class ScreenGridLayer extends Layer {
     attributeManager.invalidateAll();
   }
 
+  // Extracts the points to aggregate from data, only when data or accessors change.
+  // Viewport and cell size changes reaggregate these arrays, on the GPU if possible.
+  updatePoints() {
+    const {data, getPosition, getWeight} = this.props;
+    const positions = [];
+    const weights = [];
+
+    for (const point of data) {
+      const position = getPosition(point);
+      positions.push(position[0], position[1], position[2] || 0);
+      weights.push(getWeight(point));
+    }
+
+    this.setState({
+      positions: new Float64Array(positions),
+      weights: new Float64Array(weights)
+    });
+  }
+
   calculateInstancePositions(attribute, {numInstances}) {
     const {width, height} = this.context.viewport;
     const {cellSizePixels} = this.props;
@@ -141,23 +180,27 @@ export default class ScreenGridLayer extends Layer {
   }
 
   calculateInstanceCount(attribute) {
-    const {data, cellSizePixels, getPosition, getWeight} = this.props;
-    const {numCol, numRow} = this.state;
+    const {cellSizePixels, gpuAggregation} = this.props;
+    const {aggregator, positions, weights, numCol, numRow} = this.state;
     const {value} = attribute;
     let maxCount = 0;
 
     value.fill(0.0);
 
-    for (const point of data) {
-      const pixel = this.project(getPosition(point));
-      const colId = Math.floor(pixel[0] / cellSizePixels);
-      const rowId = Math.floor(pixel[1] / cellSizePixels);
-      if (colId >= 0 && colId < numCol && rowId >= 0 && rowId < numRow) {
-        const i = colId + rowId * numCol;
-        value[i] += getWeight(point);
-        if (value[i] > maxCount) {
-          maxCount = value[i];
-        }
+    const {cells} = aggregator.run({
+      positions,
+      weights: {weight: {values: weights}},
+      cellSize: [cellSizePixels, cellSizePixels],
+      viewport: this.context.viewport,
+      gridRange: {gridOffset: [0, 0], numCol, numRow},
+      useGPU: gpuAggregation
+    });
+
+    for (const cell of cells) {
+      const count = cell.weights.weight;
+      value[cell.col + cell.row * numCol] = count;
+      if (count > maxCount) {
+        maxCount = count;
       }
     }
 
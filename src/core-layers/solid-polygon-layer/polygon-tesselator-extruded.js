@@ -19,8 +19,11 @@
 // THE SOFTWARE.
 
 import * as Polygon from './polygon';
-import {experimental} from '../../core';
-const {fp64ify, get, count, fillArray} = experimental;
+// Note: only imports from utils, so that this module can be loaded in a worker
+import {fp64ify} from '../../core/utils/fp64';
+import {get} from '../../core/utils/get';
+import {count} from '../../core/utils/count';
+import {fillArray} from '../../core/utils/flatten';
 import earcut from 'earcut';
 
 function getPickingColor(index) {
@@ -58,7 +61,40 @@ function flatten(values, level, result = []) {
   return result;
 }
 
+// Twice the signed area of a ring, positive if the ring is counter-clockwise
+function getSignedArea(vertices) {
+  let area = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const [x1, y1] = vertices[i];
+    const [x2, y2] = vertices[(i + 1) % vertices.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area;
+}
+
+// Converts a ring to a closed array of [x, y, height] vertices. Outer rings are wound
+// clockwise and holes counter-clockwise, so that the side walls of both face outwards.
+function normalizeRing(ring, height, isOuterRing) {
+  const vertices = [];
+  ring.forEach(coord => {
+    vertices.push([get(coord, 0), get(coord, 1), height]);
+  });
+
+  const firstVertex = vertices[0];
+  const lastVertex = vertices[vertices.length - 1];
+  if (firstVertex && (firstVertex[0] !== lastVertex[0] || firstVertex[1] !== lastVertex[1])) {
+    vertices.push(firstVertex.slice());
+  }
+
+  if ((getSignedArea(vertices) > 0) === isOuterRing) {
+    vertices.reverse();
+  }
+  return vertices;
+}
+
 const DEFAULT_COLOR = [0, 0, 0, 255]; // Black
+const NO_FILL_PATTERN_FRAME = [0, 0, 0, 0];
+const DEFAULT_FILL_PATTERN_OPTIONS = [1, 1];
 
 export class PolygonTesselatorExtruded {
 
@@ -67,16 +103,25 @@ export class PolygonTesselatorExtruded {
     getHeight = x => 1000,
     getColor = x => DEFAULT_COLOR,
     wireframe = false,
-    fp64 = false
+    fp64 = false,
+    wrapLongitude = false
   }) {
     this.fp64 = fp64;
 
+    // Normalize all polygons, multi polygons are split into complex polygons
+    const normalized = Polygon.normalizeAll(polygons, {wrapLongitude});
+    // Index of the polygon (object) that each complex polygon belongs to
+    const polygonIndices = normalized.polygonIndices;
+    this.polygonIndices = polygonIndices;
+
     // Expensive operation, convert all polygons to arrays
-    polygons = polygons.map((complexPolygon, polygonIndex) => {
-      const height = getHeight(polygonIndex) || 0;
-      return Polygon.normalize(complexPolygon).map(
-        polygon => polygon.map(coord => [get(coord, 0), get(coord, 1), height])
-      );
+    polygons = normalized.polygons.map((complexPolygon, index) => {
+      const height = getHeight(polygonIndices[index]) || 0;
+      const rings = [];
+      complexPolygon.forEach((ring, ringIndex) => {
+        rings.push(normalizeRing(ring, height, ringIndex === 0));
+      });
+      return rings;
     });
 
     const groupedVertices = polygons;
@@ -93,7 +138,9 @@ export class PolygonTesselatorExtruded {
       indices: calculateIndices({groupedVertices, wireframe}),
       normals: calculateNormals({groupedVertices, pointCount, wireframe}),
       // colors: calculateColors({groupedVertices, wireframe, getColor}),
-      pickingColors: calculatePickingColors({groupedVertices, pointCount, wireframe})
+      pickingColors: calculatePickingColors({
+        groupedVertices, polygonIndices, pointCount, wireframe
+      })
     });
   }
 
@@ -110,14 +157,40 @@ export class PolygonTesselatorExtruded {
   }
 
   colors({getColor = x => DEFAULT_COLOR} = {}) {
-    const {groupedVertices, pointCount, wireframe} = this;
-    return calculateColors({groupedVertices, pointCount, wireframe, getColor});
+    const {groupedVertices, polygonIndices, pointCount, wireframe} = this;
+    return calculateColors({groupedVertices, polygonIndices, pointCount, wireframe, getColor});
   }
 
   pickingColors() {
     return this.attributes.pickingColors;
   }
 
+  filterValues({getFilterValue = x => 0} = {}) {
+    const {groupedVertices, polygonIndices, pointCount, wireframe} = this;
+    return calculateFilterValues({
+      groupedVertices, polygonIndices, pointCount, wireframe, getFilterValue
+    });
+  }
+
+  // `[x, y, width, height]` of the fill pattern in the atlas, zeros for solid fills.
+  // Only top surfaces are patterned, side walls remain solid.
+  fillPatternFrames({getFillPatternFrame = x => NO_FILL_PATTERN_FRAME} = {}) {
+    const {groupedVertices, polygonIndices, pointCount, wireframe} = this;
+    return calculateSurfaceValues({
+      groupedVertices, polygonIndices, pointCount, wireframe, size: 4,
+      getValue: getFillPatternFrame
+    });
+  }
+
+  // `[scale, mask]` of the fill pattern
+  fillPatternOptions({getFillPatternOptions = x => DEFAULT_FILL_PATTERN_OPTIONS} = {}) {
+    const {groupedVertices, polygonIndices, pointCount, wireframe} = this;
+    return calculateSurfaceValues({
+      groupedVertices, polygonIndices, pointCount, wireframe, size: 2,
+      getValue: getFillPatternOptions
+    });
+  }
+
   // updateTriggers: {
   //   positions: ['getHeight'],
   //   colors: ['getColors']
@@ -258,13 +331,15 @@ function calculateSideNormals(vertices) {
   return normals;
 }
 
-function calculateColors({groupedVertices, pointCount, getColor, wireframe = false}) {
+function calculateColors({
+  groupedVertices, polygonIndices, pointCount, getColor, wireframe = false
+}) {
   const multiplier = wireframe ? 2 : 5;
   const colors = new Uint8ClampedArray(pointCount * 4 * multiplier);
   let vertexIndex = 0;
 
-  groupedVertices.forEach((complexPolygon, polygonIndex) => {
-    let color = getColor(polygonIndex);
+  groupedVertices.forEach((complexPolygon, index) => {
+    let color = getColor(polygonIndices[index]);
     color = parseColor(color);
 
     const numVertices = Polygon.getVertexCount(complexPolygon);
@@ -276,14 +351,52 @@ function calculateColors({groupedVertices, pointCount, getColor, wireframe = fal
   return colors;
 }
 
-function calculatePickingColors({groupedVertices, pointCount, wireframe = false}) {
+function calculateFilterValues({
+  groupedVertices, polygonIndices, pointCount, getFilterValue, wireframe = false
+}) {
+  const multiplier = wireframe ? 2 : 5;
+  const filterValues = new Float32Array(pointCount * multiplier);
+  let vertexIndex = 0;
+
+  groupedVertices.forEach((vertices, index) => {
+    const vertexCount = Polygon.getVertexCount(vertices) * multiplier;
+    filterValues.fill(getFilterValue(polygonIndices[index]), vertexIndex,
+      vertexIndex + vertexCount);
+    vertexIndex += vertexCount;
+  });
+  return filterValues;
+}
+
+function calculateSurfaceValues({
+  groupedVertices, polygonIndices, pointCount, wireframe, size, getValue
+}) {
+  const multiplier = wireframe ? 2 : 5;
+  const values = new Float32Array(pointCount * size * multiplier);
+  if (wireframe) {
+    return values;
+  }
+
+  let vertexIndex = 0;
+  groupedVertices.forEach((vertices, index) => {
+    const numVertices = Polygon.getVertexCount(vertices);
+    // Top surface vertices come first, see `calculatePositionsJS`
+    if (numVertices > 0) {
+      fillArray({target: values, source: getValue(polygonIndices[index]), start: vertexIndex,
+        count: numVertices});
+    }
+    vertexIndex += size * numVertices * multiplier;
+  });
+  return values;
+}
+
+function calculatePickingColors({groupedVertices, polygonIndices, pointCount, wireframe = false}) {
   const multiplier = wireframe ? 2 : 5;
   const colors = new Uint8ClampedArray(pointCount * 3 * multiplier);
   let vertexIndex = 0;
 
-  groupedVertices.forEach((vertices, polygonIndex) => {
+  groupedVertices.forEach((vertices, index) => {
     const numVertices = Polygon.getVertexCount(vertices);
-    const color = getPickingColor(polygonIndex);
+    const color = getPickingColor(polygonIndices[index]);
 
     fillArray({target: colors, source: color, start: vertexIndex, count: numVertices * multiplier});
     vertexIndex += color.length * numVertices * multiplier;
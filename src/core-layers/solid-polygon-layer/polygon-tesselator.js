@@ -25,8 +25,11 @@
 // - 3D wireframes (not yet)
 import * as Polygon from './polygon';
 import earcut from 'earcut';
-import {experimental} from '../../core';
-const {fp64ify, get, count, flattenVertices, fillArray} = experimental;
+// Note: only imports from utils, so that this module can be loaded in a worker
+import {fp64ify} from '../../core/utils/fp64';
+import {get} from '../../core/utils/get';
+import {count} from '../../core/utils/count';
+import {flattenVertices, fillArray} from '../../core/utils/flatten';
 
 // Maybe deck.gl or luma.gl needs to export this
 function getPickingColor(index) {
@@ -46,21 +49,26 @@ function parseColor(color) {
 }
 
 const DEFAULT_COLOR = [0, 0, 0, 255]; // Black
+const NO_FILL_PATTERN_FRAME = [0, 0, 0, 0];
+const DEFAULT_FILL_PATTERN_OPTIONS = [1, 1];
 
 // This class is set up to allow querying one attribute at a time
 // the way the AttributeManager expects it
 export class PolygonTesselator {
-  constructor({polygons, fp64 = false}) {
-    // Normalize all polygons
-    this.polygons = polygons.map(polygon => Polygon.normalize(polygon));
+  constructor({polygons, fp64 = false, wrapLongitude = false}) {
+    // Normalize all polygons, multi polygons are split into complex polygons
+    const normalized = Polygon.normalizeAll(polygons, {wrapLongitude});
+    this.polygons = normalized.polygons;
+    // Index of the polygon (object) that each complex polygon belongs to
+    this.polygonIndices = normalized.polygonIndices;
     // Count all polygon vertices
     this.pointCount = getPointCount(this.polygons);
     this.fp64 = fp64;
   }
 
   indices() {
-    const {polygons, indexCount} = this;
-    return calculateIndices({polygons, indexCount});
+    const {polygons} = this;
+    return calculateIndices({polygons});
   }
 
   positions() {
@@ -74,13 +82,34 @@ export class PolygonTesselator {
   }
 
   colors({getColor = x => DEFAULT_COLOR} = {}) {
-    const {polygons, pointCount} = this;
-    return calculateColors({polygons, pointCount, getColor});
+    const {polygons, polygonIndices, pointCount} = this;
+    return calculateColors({polygons, polygonIndices, pointCount, getColor});
   }
 
   pickingColors() {
-    const {polygons, pointCount} = this;
-    return calculatePickingColors({polygons, pointCount});
+    const {polygons, polygonIndices, pointCount} = this;
+    return calculatePickingColors({polygons, polygonIndices, pointCount});
+  }
+
+  filterValues({getFilterValue = x => 0} = {}) {
+    const {polygons, polygonIndices, pointCount} = this;
+    return calculateFilterValues({polygons, polygonIndices, pointCount, getFilterValue});
+  }
+
+  // `[x, y, width, height]` of the fill pattern in the atlas, zeros for solid fills
+  fillPatternFrames({getFillPatternFrame = x => NO_FILL_PATTERN_FRAME} = {}) {
+    const {polygons, polygonIndices, pointCount} = this;
+    return calculateSurfaceValues({
+      polygons, polygonIndices, pointCount, size: 4, getValue: getFillPatternFrame
+    });
+  }
+
+  // `[scale, mask]` of the fill pattern
+  fillPatternOptions({getFillPatternOptions = x => DEFAULT_FILL_PATTERN_OPTIONS} = {}) {
+    const {polygons, polygonIndices, pointCount} = this;
+    return calculateSurfaceValues({
+      polygons, polygonIndices, pointCount, size: 2, getValue: getFillPatternOptions
+    });
   }
 
   // getAttribute({size, accessor}) {
@@ -94,11 +123,6 @@ function getPointCount(polygons) {
   return polygons.reduce((points, polygon) => points + Polygon.getVertexCount(polygon), 0);
 }
 
-// COunt number of triangles in a list of complex polygons
-function getTriangleCount(polygons) {
-  return polygons.reduce((triangles, polygon) => triangles + Polygon.getTriangleCount(polygon), 0);
-}
-
 // Returns the offsets of each complex polygon in the combined array of all polygons
 function getPolygonOffsets(polygons) {
   const offsets = new Array(count(polygons) + 1);
@@ -128,27 +152,23 @@ function getHoleIndices(complexPolygon) {
 }
 
 function calculateIndices({polygons, IndexType = Uint32Array}) {
-  // Calculate length of index array (3 * number of triangles)
-  const indexCount = 3 * getTriangleCount(polygons);
   const offsets = getPolygonOffsets(polygons);
 
-  // Allocate the attribute
-  // TODO it's not the index count but the vertex count that must be checked
-  if (IndexType === Uint16Array && indexCount > 65535) {
+  if (IndexType === Uint16Array && offsets[offsets.length - 1] > 65535) {
     throw new Error('Vertex count exceeds browser\'s limit');
   }
-  const attribute = new IndexType(indexCount);
 
   // 1. get triangulated indices for the internal areas
   // 2. offset them by the number of indices in previous polygons
-  let i = 0;
+  // Holes change the number of triangles, so the indices are collected as they are generated
+  const indices = [];
   polygons.forEach((polygon, polygonIndex) => {
     for (const index of calculateSurfaceIndices(polygon)) {
-      attribute[i++] = index + offsets[polygonIndex];
+      indices.push(index + offsets[polygonIndex]);
     }
   });
 
-  return attribute;
+  return new IndexType(indices);
 }
 
 /*
@@ -231,12 +251,12 @@ function calculateNormals({polygons, pointCount}) {
   return attribute;
 }
 
-function calculateColors({polygons, pointCount, getColor}) {
+function calculateColors({polygons, polygonIndices, pointCount, getColor}) {
   const attribute = new Uint8ClampedArray(pointCount * 4);
   let i = 0;
-  polygons.forEach((complexPolygon, polygonIndex) => {
+  polygons.forEach((complexPolygon, index) => {
     // Calculate polygon color
-    let color = getColor(polygonIndex);
+    let color = getColor(polygonIndices[index]);
     color = parseColor(color);
 
     const vertexCount = Polygon.getVertexCount(complexPolygon);
@@ -246,11 +266,36 @@ function calculateColors({polygons, pointCount, getColor}) {
   return attribute;
 }
 
-function calculatePickingColors({polygons, pointCount}) {
+function calculateFilterValues({polygons, polygonIndices, pointCount, getFilterValue}) {
+  const attribute = new Float32Array(pointCount);
+  let i = 0;
+  polygons.forEach((complexPolygon, index) => {
+    const vertexCount = Polygon.getVertexCount(complexPolygon);
+    attribute.fill(getFilterValue(polygonIndices[index]), i, i + vertexCount);
+    i += vertexCount;
+  });
+  return attribute;
+}
+
+function calculateSurfaceValues({polygons, polygonIndices, pointCount, size, getValue}) {
+  const attribute = new Float32Array(pointCount * size);
+  let i = 0;
+  polygons.forEach((complexPolygon, index) => {
+    const vertexCount = Polygon.getVertexCount(complexPolygon);
+    if (vertexCount > 0) {
+      fillArray({target: attribute, source: getValue(polygonIndices[index]), start: i,
+        count: vertexCount});
+    }
+    i += size * vertexCount;
+  });
+  return attribute;
+}
+
+function calculatePickingColors({polygons, polygonIndices, pointCount}) {
   const attribute = new Uint8ClampedArray(pointCount * 3);
   let i = 0;
-  polygons.forEach((complexPolygon, polygonIndex) => {
-    const color = getPickingColor(polygonIndex);
+  polygons.forEach((complexPolygon, index) => {
+    const color = getPickingColor(polygonIndices[index]);
     const vertexCount = Polygon.getVertexCount(complexPolygon);
     fillArray({target: attribute, source: color, start: i, count: vertexCount});
     i += color.length * vertexCount;
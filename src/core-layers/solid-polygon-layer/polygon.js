@@ -18,8 +18,9 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
-import {experimental} from '../../core';
-const {get, count} = experimental;
+// Note: only imports from utils, so that this module can be loaded in a worker
+import {get} from '../../core/utils/get';
+import {count} from '../../core/utils/count';
 
 // Basic polygon support
 //
@@ -50,6 +51,118 @@ export function normalize(polygon, {dimensions = 3} = {}) {
   return isSimple(polygon) ? [polygon] : polygon;
 }
 
+/**
+ * Check if this is a multi polygon (i.e. an array of complex polygons)
+ * @param {Array} polygon - either a multi, complex or simple polygon
+ * @return {Boolean} - true if the polygon is a multi polygon
+ */
+export function isMulti(polygon) {
+  if (count(polygon) < 1 || isSimple(polygon)) {
+    return false;
+  }
+  const firstPolygon = get(polygon, 0);
+  return count(firstPolygon) >= 1 && !isSimple(firstPolygon);
+}
+
+/**
+ * Normalize a multi, complex or simple polygon to a list of complex polygons
+ * @param {Array} polygon - either a multi, complex or simple polygon
+ * @return {Array} - returns a list of complex polygons
+ */
+export function normalizeMulti(polygon) {
+  return isMulti(polygon) ? polygon : [normalize(polygon)];
+}
+
+/**
+ * Normalize the polygons of a list of objects to a flat list of complex polygons.
+ * Multi polygons contribute one complex polygon per part.
+ * @param {Array} polygons - multi, complex or simple polygon of each object
+ * @param {Object} opts
+ * @param {Boolean} opts.wrapLongitude - unwrap polygons crossing the antimeridian,
+ *   see `unwrapLongitudes`
+ * @return {Object} - `{polygons, polygonIndices}`, where `polygonIndices` holds the index of
+ *   the object that each complex polygon belongs to
+ */
+export function normalizeAll(polygons, {wrapLongitude = false} = {}) {
+  const complexPolygons = [];
+  const polygonIndices = [];
+  polygons.forEach((polygon, polygonIndex) => {
+    normalizeMulti(polygon).forEach(complexPolygon => {
+      complexPolygons.push(wrapLongitude ? unwrapLongitudes(complexPolygon) : complexPolygon);
+      polygonIndices.push(polygonIndex);
+    });
+  });
+  return {polygons: complexPolygons, polygonIndices};
+}
+
+// Replaces the longitude of a vertex
+function setLongitude(vertex, lng) {
+  return count(vertex) > 2 ?
+    [lng, get(vertex, 1), get(vertex, 2)] :
+    [lng, get(vertex, 1)];
+}
+
+// Shifts longitudes by multiples of 360 degrees so that consecutive vertices are less than
+// 180 degrees apart. The first vertex is moved close to `referenceLng`, if supplied.
+// Rings that circle a pole do not close after unwrapping and are returned untouched.
+function unwrapRing(ring, referenceLng) {
+  const vertexCount = count(ring);
+  const result = new Array(vertexCount);
+  let changed = false;
+  let prevLng = referenceLng;
+
+  for (let i = 0; i < vertexCount; i++) {
+    const vertex = get(ring, i);
+    const lng = get(vertex, 0);
+    const unwrappedLng = Number.isFinite(prevLng) ?
+      lng + Math.round((prevLng - lng) / 360) * 360 :
+      lng;
+    if (unwrappedLng !== lng) {
+      changed = true;
+      result[i] = setLongitude(vertex, unwrappedLng);
+    } else {
+      result[i] = vertex;
+    }
+    prevLng = unwrappedLng;
+  }
+
+  if (!changed || Math.abs(prevLng - get(result[0], 0)) > 180) {
+    return ring;
+  }
+  return result;
+}
+
+/**
+ * Shifts the longitudes of a complex polygon by multiples of 360 degrees, so that polygons
+ * crossing the antimeridian are not stretched across the whole map.
+ * Holes are moved next to the outer ring.
+ * @param {Array} complexPolygon - complex polygon in longitude/latitude
+ * @return {Array} - complex polygon, the same object if no vertex moved
+ */
+export function unwrapLongitudes(complexPolygon) {
+  let changed = false;
+  let centerLng;
+
+  const rings = [];
+  complexPolygon.forEach((ring, ringIndex) => {
+    const unwrappedRing = unwrapRing(ring, centerLng);
+    changed = changed || unwrappedRing !== ring;
+    rings.push(unwrappedRing);
+
+    if (ringIndex === 0) {
+      let minLng = Infinity;
+      let maxLng = -Infinity;
+      unwrappedRing.forEach(vertex => {
+        minLng = Math.min(minLng, get(vertex, 0));
+        maxLng = Math.max(maxLng, get(vertex, 0));
+      });
+      centerLng = (minLng + maxLng) / 2;
+    }
+  });
+
+  return changed ? rings : complexPolygon;
+}
+
 /**
  * Check if this is a non-nested polygon (i.e. the first element of the first element is a number)
  * @param {Array} polygon - either a complex or simple polygon
@@ -70,7 +183,8 @@ export function getTriangleCount(polygon) {
     if (first) {
       triangleCount += size >= 3 ? size - 2 : 0;
     } else {
-      triangleCount += size + 1;
+      // Each hole is connected to the outer ring by a bridge of two extra triangles
+      triangleCount += size + 2;
     }
     first = false;
   }
@@ -28,14 +28,47 @@ precision highp float;
 // PICKING
 // uniform bool pickingEnabled;
 varying vec4 vColor;
+varying vec4 vFillPatternFrame;
+varying float vFillPatternMask;
+varying vec2 vFillPatternCoord;
+varying vec2 vFillPatternScreenSize;
+
+uniform float fillPatternEnabled;
+uniform float fillPatternScreenSpace;
+uniform sampler2D fillPatternTexture;
+uniform vec2 fillPatternTextureSize;
 
 void main(void) {
   gl_FragColor = vColor;
 
+  // Side walls and polygons without a pattern have an empty frame
+  if (fillPatternEnabled > 0.5 && vFillPatternFrame.z > 0.0) {
+    // Position within one repeat of the pattern, y increases downwards like image rows
+    vec2 screenCoord = vec2(gl_FragCoord.x, -gl_FragCoord.y) / vFillPatternScreenSize;
+    vec2 patternCoord = fract(mix(vFillPatternCoord, screenCoord, fillPatternScreenSpace));
+
+    vec2 texCoords = (vFillPatternFrame.xy + patternCoord * vFillPatternFrame.zw) /
+      fillPatternTextureSize;
+    texCoords.y = 1.0 - texCoords.y;
+    vec4 patternColor = texture2D(fillPatternTexture, texCoords);
+
+    // Masked patterns are tinted with the fill color
+    gl_FragColor = vec4(
+      mix(patternColor.rgb, vColor.rgb, vFillPatternMask),
+      patternColor.a * vColor.a
+    );
+  }
+
   // use highlight color if this fragment belongs to the selected object.
   gl_FragColor = picking_filterHighlightColor(gl_FragColor);
 
   // use picking color if rendering to picking FBO.
   gl_FragColor = picking_filterPickingColor(gl_FragColor);
+
+  // write depth when drawing the shadow map, otherwise shade fragments in shadow
+  gl_FragColor = shadow_filterColor(gl_FragColor);
+
+  // discard fragments outside of the mask of the layer
+  gl_FragColor = mask_filterColor(gl_FragColor);
 }
 `;
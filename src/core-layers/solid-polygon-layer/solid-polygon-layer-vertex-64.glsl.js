@@ -26,6 +26,9 @@ attribute vec2 positions64xyLow;
 attribute vec3 normals;
 attribute vec4 colors;
 attribute vec3 pickingColors;
+attribute float filterValues;
+attribute vec4 fillPatternFrames;
+attribute vec2 fillPatternOptions;
 
 uniform float extruded;
 uniform float elevationScale;
@@ -33,6 +36,10 @@ uniform float opacity;
 uniform vec3 pixelsPerUnit;
 
 varying vec4 vColor;
+varying vec4 vFillPatternFrame;
+varying float vFillPatternMask;
+varying vec2 vFillPatternCoord;
+varying vec2 vFillPatternScreenSize;
 
 void main(void) {
   vec4 positions64xy = vec4(positions.x, positions64xyLow.x, positions.y, positions64xyLow.y);
@@ -47,22 +54,30 @@ void main(void) {
   vertex_pos_modelspace[3] = vec2(1.0, 0.0);
 
   gl_Position = project_to_clipspace_fp64(vertex_pos_modelspace);
+  gl_Position = shadow_setVertexPosition(gl_Position);
+  gl_Position = filter_filterPosition(filterValues, gl_Position);
 
   vec4 position_worldspace = vec4(
     vertex_pos_modelspace[0].x, vertex_pos_modelspace[1].x,
     vertex_pos_modelspace[2].x, vertex_pos_modelspace[3].x);
 
-  float lightWeight = 1.0;
+  // Pattern size is in meters in world space and in pixels in screen space
+  vec2 fillPatternSize = fillPatternFrames.zw * fillPatternOptions.x;
+  vFillPatternFrame = fillPatternFrames;
+  vFillPatternMask = fillPatternOptions.y;
+  vFillPatternCoord = position_worldspace.xy / max(project_scale(fillPatternSize), vec2(1e-6));
+  vFillPatternScreenSize = max(fillPatternSize * project_uDevicePixelRatio, vec2(1.0));
+
+  vec3 lightColor = colors.rgb / 255.0;
 
   if (extruded > 0.5) {
-    lightWeight = getLightWeight(
+    lightColor = lighting_getLightColor(
+      lightColor,
       position_worldspace.xyz, // the w component is always 1.0
-      normalize(normals * pixelsPerUnit)
+      normals * pixelsPerUnit
     );
   }
-
-  vec3 lightWeightedColor = lightWeight * colors.rgb;
-  vColor = vec4(lightWeightedColor, colors.a * opacity) / 255.0;
+  vColor = vec4(lightColor, colors.a * opacity / 255.0);
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(pickingColors);
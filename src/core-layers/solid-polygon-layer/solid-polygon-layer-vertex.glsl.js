@@ -25,6 +25,9 @@ attribute vec3 positions;
 attribute vec3 normals;
 attribute vec4 colors;
 attribute vec3 pickingColors;
+attribute float filterValues;
+attribute vec4 fillPatternFrames;
+attribute vec2 fillPatternOptions;
 
 uniform float extruded;
 uniform float elevationScale;
@@ -32,6 +35,10 @@ uniform float opacity;
 uniform vec3 pixelsPerUnit;
 
 varying vec4 vColor;
+varying vec4 vFillPatternFrame;
+varying float vFillPatternMask;
+varying vec2 vFillPatternCoord;
+varying vec2 vFillPatternScreenSize;
 
 void main(void) {
   
@@ -40,8 +47,17 @@ void main(void) {
     1.0
   );
   gl_Position = project_to_clipspace(position_worldspace);
+  gl_Position = shadow_setVertexPosition(gl_Position);
+  gl_Position = filter_filterPosition(filterValues, gl_Position);
 
-  float lightWeight = 1.0;
+  // Pattern size is in meters in world space and in pixels in screen space
+  vec2 fillPatternSize = fillPatternFrames.zw * fillPatternOptions.x;
+  vFillPatternFrame = fillPatternFrames;
+  vFillPatternMask = fillPatternOptions.y;
+  vFillPatternCoord = position_worldspace.xy / max(project_scale(fillPatternSize), vec2(1e-6));
+  vFillPatternScreenSize = max(fillPatternSize * project_uDevicePixelRatio, vec2(1.0));
+
+  vec3 lightColor = colors.rgb / 255.0;
   
   if (extruded > 0.5) {
     // Here, the input parameters should be
@@ -51,15 +67,15 @@ void main(void) {
     // (see https://github.com/uber/deck.gl/issues/559)
     // Since the w component is always 1.0 in our shaders,
     // we decided to just provide xyz component of position_worldspace
-    // to the getLightWeight() function
-    lightWeight = getLightWeight(
+    // to the lighting_getLightColor() function
+    lightColor = lighting_getLightColor(
+      lightColor,
       position_worldspace.xyz,
-      normalize(normals * pixelsPerUnit)
+      normals * pixelsPerUnit
     );
   }
 
-  vec3 lightWeightedColor = lightWeight * colors.rgb;
-  vColor = vec4(lightWeightedColor, colors.a * opacity) / 255.0;
+  vColor = vec4(lightColor, colors.a * opacity / 255.0);
 
   // Set color to be rendered to picking fbo (also used to check for selection highlight).
   picking_setPickingColor(pickingColors);
@@ -19,18 +19,30 @@
 // THE SOFTWARE.
 
 import {COORDINATE_SYSTEM, Layer, experimental} from '../../core';
-const {enable64bitSupport, get} = experimental;
-import {GL, Model, Geometry} from 'luma.gl';
+const {enable64bitSupport, get, getObjectAt, log} = experimental;
+import {GL, Model, Geometry, Texture2D, loadTextures} from 'luma.gl';
 import {compareProps} from '../../core/lib/props';
 
 // Polygon geometry generation is managed by the polygon tesselator
 import {PolygonTesselator} from './polygon-tesselator';
 import {PolygonTesselatorExtruded} from './polygon-tesselator-extruded';
+import {startAttributeJob, cancelAttributeJob} from '../workers/worker-utils';
 
 import vs from './solid-polygon-layer-vertex.glsl';
 import vs64 from './solid-polygon-layer-vertex-64.glsl';
 import fs from './solid-polygon-layer-fragment.glsl';
 
+const DEFAULT_COLOR = [0, 0, 0, 255];
+const NO_FILL_PATTERN_FRAME = [0, 0, 0, 0];
+
+// Patterns repeat within their frames, mipmaps would blend neighboring patterns
+const FILL_PATTERN_TEXTURE_PARAMETERS = {
+  [GL.TEXTURE_MIN_FILTER]: GL.LINEAR,
+  [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+  [GL.TEXTURE_WRAP_S]: GL.CLAMP_TO_EDGE,
+  [GL.TEXTURE_WRAP_T]: GL.CLAMP_TO_EDGE
+};
+
 const defaultProps = {
   // Whether to extrude
   extruded: false,
@@ -48,22 +60,65 @@ const defaultProps = {
   // Accessor for color
   getColor: f => get(f, 'color') || get(f, 'properties.color'),
 
-  // Optional settings for 'lighting' shader module
-  lightSettings: {
-    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
-    ambientRatio: 0.05,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [2.0, 0.0, 0.0, 0.0],
-    numberOfLights: 2
-  }
+  // Fill patterns atlas image url or texture
+  fillPatternAtlas: null,
+  // Pattern names mapped to `{x, y, width, height, mask}` frames in the atlas
+  fillPatternMapping: {},
+  // 'world': patterns are anchored to the map, a pattern pixel is a meter times the scale
+  // 'screen': patterns are anchored to the screen, a pattern pixel is a pixel times the scale
+  fillPatternSpace: 'world',
+  // Accessor for the name of the fill pattern, solid fill if not in `fillPatternMapping`
+  getFillPattern: f => get(f, 'fillPattern') || get(f, 'properties.fillPattern'),
+  // Accessor for the size multiplier of the fill pattern
+  getFillPatternScale: f => 1,
+
+  // Url of the attribute worker script. If supplied, tesselation runs in a worker
+  workerUrl: null,
+  // Called with `{layer, loading}` when tesselation in a worker starts and ends
+  onLoadingChange: () => {}
+};
+
+const EMPTY_ATTRIBUTES = {
+  indices: new Uint32Array(0),
+  positions: new Float32Array(0),
+  normals: new Float32Array(0),
+  colors: new Uint8ClampedArray(0),
+  pickingColors: new Uint8ClampedArray(0),
+  filterValues: new Float32Array(0),
+  fillPatternFrames: new Float32Array(0),
+  fillPatternOptions: new Float32Array(0)
 };
 
+// Exposes attributes generated by a worker through the interface of the tesselators
+function getTesselatorFromAttributes(attributes) {
+  const {
+    indices, positions, normals, colors, pickingColors, filterValues,
+    fillPatternFrames, fillPatternOptions
+  } = attributes;
+  // positions64xyLow is only generated when fp64 is enabled
+  const positions64xyLow = attributes.positions64xyLow ||
+    new Float32Array(positions.length / 3 * 2);
+
+  return {
+    indices: () => indices,
+    positions: () => ({positions, positions64xyLow}),
+    normals: () => normals,
+    colors: () => colors,
+    pickingColors: () => pickingColors,
+    filterValues: () => filterValues,
+    fillPatternFrames: () => fillPatternFrames,
+    fillPatternOptions: () => fillPatternOptions
+  };
+}
+
 export default class SolidPolygonLayer extends Layer {
   getShaders() {
+    const modules = ['lighting', 'filter', 'shadow', 'picking', 'mask'];
+    const defines = this.getLightingDefines();
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: ['project64', 'lighting', 'picking']} :
-      {vs, fs, modules: ['lighting', 'picking']}; // 'project' module added by default.
+      {vs: vs64, fs, modules: ['project64', ...modules], defines} :
+      // 'project' module added by default.
+      {vs, fs, modules, defines};
   }
 
   initializeState() {
@@ -82,7 +137,20 @@ export default class SolidPolygonLayer extends Layer {
       positions: {size: 3, accessor: 'getElevation', update: this.calculatePositions, noAlloc},
       normals: {size: 3, update: this.calculateNormals, noAlloc},
       colors: {size: 4, type: GL.UNSIGNED_BYTE, accessor: 'getColor', update: this.calculateColors, noAlloc},
-      pickingColors: {size: 3, type: GL.UNSIGNED_BYTE, update: this.calculatePickingColors, noAlloc}
+      pickingColors: {size: 3, type: GL.UNSIGNED_BYTE, update: this.calculatePickingColors, noAlloc},
+      filterValues: {size: 1, accessor: 'getFilterValue', update: this.calculateFilterValues, noAlloc},
+      fillPatternFrames: {
+        size: 4,
+        accessor: 'getFillPattern',
+        update: this.calculateFillPatternFrames,
+        noAlloc
+      },
+      fillPatternOptions: {
+        size: 2,
+        accessor: ['getFillPattern', 'getFillPatternScale'],
+        update: this.calculateFillPatternOptions,
+        noAlloc
+      }
     });
     /* eslint-enable max-len */
   }
@@ -105,15 +173,21 @@ export default class SolidPolygonLayer extends Layer {
   }
 
   draw({uniforms}) {
-    const {extruded, lightSettings, elevationScale} = this.props;
+    const {extruded, elevationScale, fillPatternSpace} = this.props;
     const {viewport} = this.context;
+    const {fillPatternTexture} = this.state;
 
     this.state.model.render(Object.assign({}, uniforms, {
       extruded: extruded ? 1.0 : 0.0,
       elevationScale,
-      pixelsPerUnit: viewport.getDistanceScales().pixelsPerDegree
+      pixelsPerUnit: viewport.getDistanceScales().pixelsPerDegree,
+      fillPatternEnabled: fillPatternTexture ? 1 : 0,
+      fillPatternScreenSpace: fillPatternSpace === 'screen' ? 1 : 0
     },
-    lightSettings));
+    fillPatternTexture && {
+      fillPatternTexture,
+      fillPatternTextureSize: [fillPatternTexture.width, fillPatternTexture.height]
+    }));
   }
 
   updateState({props, oldProps, changeFlags}) {
@@ -121,13 +195,50 @@ export default class SolidPolygonLayer extends Layer {
 
     const regenerateModel = this.updateGeometry({props, oldProps, changeFlags});
 
-    if (regenerateModel) {
+    // Light arrays of the shader are sized to the lights of the scene
+    if (regenerateModel || this.lightingDefinesChanged()) {
       const {gl} = this.context;
       this.setState({model: this._getModel(gl)});
+      this.state.attributeManager.invalidateAll();
     }
     this.updateAttribute({props, oldProps, changeFlags});
+    this.updateFillPatterns({props, oldProps});
   }
 
+  updateFillPatterns({props, oldProps}) {
+    const {fillPatternAtlas} = props;
+
+    if (props.fillPatternMapping !== oldProps.fillPatternMapping && !props.workerUrl) {
+      this.state.attributeManager.invalidate('getFillPattern');
+    }
+
+    if (fillPatternAtlas !== oldProps.fillPatternAtlas) {
+      if (fillPatternAtlas instanceof Texture2D) {
+        fillPatternAtlas.setParameters(FILL_PATTERN_TEXTURE_PARAMETERS);
+        this.setState({fillPatternTexture: fillPatternAtlas});
+      } else if (typeof fillPatternAtlas === 'string') {
+        const {state} = this;
+        loadTextures(this.context.gl, {urls: [fillPatternAtlas]})
+          .then(([texture]) => {
+            // Ignore the texture if the atlas changed while it was loading
+            if (state.layer && state.layer.props.fillPatternAtlas === fillPatternAtlas) {
+              texture.setParameters(FILL_PATTERN_TEXTURE_PARAMETERS);
+              state.layer.setState({fillPatternTexture: texture});
+            }
+          })
+          .catch(error => log.warn(0,
+            `SolidPolygonLayer: failed to load fill pattern atlas ${fillPatternAtlas}: ${error}`));
+      } else {
+        this.setState({fillPatternTexture: null});
+      }
+    }
+  }
+
+  finalizeState() {
+    cancelAttributeJob(this);
+  }
+
+  /* eslint-disable complexity */
   updateGeometry({props, oldProps, changeFlags}) {
     const geometryConfigChanged = props.extruded !== oldProps.extruded ||
       props.wireframe !== oldProps.wireframe || props.fp64 !== oldProps.fp64 ||
@@ -135,6 +246,21 @@ export default class SolidPolygonLayer extends Layer {
         changeFlags.updateTriggersChanged.all ||
         changeFlags.updateTriggersChanged.getPolygon));
 
+    // Polygons crossing the antimeridian are unwrapped in longitude/latitude
+    const wrapLongitude = props.coordinateSystem === COORDINATE_SYSTEM.LNGLAT;
+    const wrapLongitudeChanged =
+      wrapLongitude !== (oldProps.coordinateSystem === COORDINATE_SYSTEM.LNGLAT);
+
+    if (props.workerUrl) {
+      this.updateGeometryInWorker({
+        props,
+        oldProps,
+        changeFlags,
+        geometryConfigChanged: geometryConfigChanged || wrapLongitudeChanged
+      });
+      return geometryConfigChanged;
+    }
+
     // check if updateTriggers.getElevation has been triggered
     const getElevationTriggered = changeFlags.updateTriggersChanged &&
       compareProps({
@@ -145,7 +271,8 @@ export default class SolidPolygonLayer extends Layer {
 
     // When the geometry config  or the data is changed,
     // tessellator needs to be invoked
-    if (changeFlags.dataChanged || geometryConfigChanged || getElevationTriggered) {
+    if (changeFlags.dataChanged || geometryConfigChanged || getElevationTriggered ||
+      wrapLongitudeChanged) {
       const {getPolygon, extruded, wireframe, getElevation} = props;
 
       // TODO - avoid creating a temporary array here: let the tesselator iterate
@@ -153,10 +280,11 @@ export default class SolidPolygonLayer extends Layer {
 
       this.setState({
         polygonTesselator: !extruded ?
-          new PolygonTesselator({polygons, fp64: this.props.fp64}) :
+          new PolygonTesselator({polygons, fp64: this.props.fp64, wrapLongitude}) :
           new PolygonTesselatorExtruded({polygons, wireframe,
-            getHeight: polygonIndex => getElevation(this.props.data[polygonIndex]),
-            fp64: this.props.fp64
+            getHeight: polygonIndex => getElevation(getObjectAt(this.props.data, polygonIndex)),
+            fp64: this.props.fp64,
+            wrapLongitude
           })
       });
 
@@ -165,6 +293,56 @@ export default class SolidPolygonLayer extends Layer {
 
     return geometryConfigChanged;
   }
+  /* eslint-enable complexity */
+
+  // Tesselates in a worker. Worker results include colors, so color changes
+  // also restart the job. Until the job completes the previous result is rendered.
+  updateGeometryInWorker({props, oldProps, changeFlags, geometryConfigChanged}) {
+    const workerChanged = props.workerUrl !== oldProps.workerUrl;
+    if (workerChanged) {
+      this.setState({polygonTesselator: getTesselatorFromAttributes(EMPTY_ATTRIBUTES)});
+    }
+
+    if (changeFlags.dataChanged || changeFlags.updateTriggersChanged ||
+      geometryConfigChanged || workerChanged ||
+      props.fillPatternMapping !== oldProps.fillPatternMapping) {
+      const {data, getPolygon, getElevation, getColor, getFilterValue, extruded, wireframe, fp64} =
+        props;
+      const wrapLongitude = props.coordinateSystem === COORDINATE_SYSTEM.LNGLAT;
+
+      const polygons = data.map(getPolygon);
+      const elevations = new Float32Array(polygons.length);
+      const colors = new Uint8ClampedArray(polygons.length * 4);
+      const filterValues = getFilterValue && new Float32Array(polygons.length);
+      // Frame and options of the fill pattern of each polygon
+      const fillPatterns = new Float32Array(polygons.length * 6);
+      data.forEach((object, polygonIndex) => {
+        fillPatterns.set(this._getFillPatternFrame(object), polygonIndex * 6);
+        fillPatterns.set(this._getFillPatternOptions(object), polygonIndex * 6 + 4);
+        elevations[polygonIndex] = extruded ? getElevation(object) || 0 : 0;
+        if (filterValues) {
+          filterValues[polygonIndex] = getFilterValue(object);
+        }
+        const color = getColor(object) || DEFAULT_COLOR;
+        colors[polygonIndex * 4 + 0] = get(color, 0);
+        colors[polygonIndex * 4 + 1] = get(color, 1);
+        colors[polygonIndex * 4 + 2] = get(color, 2);
+        colors[polygonIndex * 4 + 3] = Number.isFinite(get(color, 3)) ? get(color, 3) : 255;
+      });
+
+      startAttributeJob(this, {
+        type: 'polygons',
+        payload: {
+          polygons, elevations, colors, filterValues, fillPatterns,
+          extruded, wireframe, fp64, wrapLongitude
+        },
+        onResult: (layer, {attributes}) => {
+          layer.setState({polygonTesselator: getTesselatorFromAttributes(attributes)});
+          layer.state.attributeManager.invalidateAll();
+        }
+      });
+    }
+  }
 
   _getModel(gl) {
     return new Model(gl, Object.assign({}, this.getShaders(), {
@@ -197,7 +375,7 @@ export default class SolidPolygonLayer extends Layer {
 
   calculateColors(attribute) {
     attribute.value = this.state.polygonTesselator.colors({
-      getColor: polygonIndex => this.props.getColor(this.props.data[polygonIndex])
+      getColor: polygonIndex => this.props.getColor(getObjectAt(this.props.data, polygonIndex))
     });
   }
 
@@ -205,6 +383,45 @@ export default class SolidPolygonLayer extends Layer {
   calculatePickingColors(attribute) {
     attribute.value = this.state.polygonTesselator.pickingColors();
   }
+
+  calculateFillPatternFrames(attribute) {
+    const {data} = this.props;
+    attribute.value = this.state.polygonTesselator.fillPatternFrames({
+      getFillPatternFrame: polygonIndex =>
+        this._getFillPatternFrame(getObjectAt(data, polygonIndex))
+    });
+  }
+
+  calculateFillPatternOptions(attribute) {
+    const {data} = this.props;
+    attribute.value = this.state.polygonTesselator.fillPatternOptions({
+      getFillPatternOptions: polygonIndex =>
+        this._getFillPatternOptions(getObjectAt(data, polygonIndex))
+    });
+  }
+
+  // Returns `[x, y, width, height]` of the fill pattern of an object in the atlas
+  _getFillPatternFrame(object) {
+    const frame = this.props.fillPatternMapping[this.props.getFillPattern(object)];
+    return frame ? [frame.x, frame.y, frame.width, frame.height] : NO_FILL_PATTERN_FRAME;
+  }
+
+  // Returns `[scale, mask]` of the fill pattern of an object
+  _getFillPatternOptions(object) {
+    const {fillPatternMapping, getFillPattern, getFillPatternScale} = this.props;
+    const frame = fillPatternMapping[getFillPattern(object)];
+    return [getFillPatternScale(object), frame && frame.mask === false ? 0 : 1];
+  }
+
+  calculateFilterValues(attribute) {
+    const {data, getFilterValue} = this.props;
+    const {polygonTesselator} = this.state;
+    attribute.value = getFilterValue ?
+      polygonTesselator.filterValues({
+        getFilterValue: polygonIndex => getFilterValue(getObjectAt(data, polygonIndex))
+      }) :
+      polygonTesselator.filterValues();
+  }
 }
 
 SolidPolygonLayer.layerName = 'SolidPolygonLayer';
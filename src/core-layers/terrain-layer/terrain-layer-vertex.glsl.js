@@ -0,0 +1,45 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+#define SHADER_NAME terrain-layer-vertex-shader
+
+attribute vec3 positions;
+attribute vec3 normals;
+attribute vec2 texCoords;
+
+uniform float opacity;
+
+varying vec2 vTexCoord;
+varying vec3 vLightColor;
+
+void main(void) {
+  vec4 position_worldspace = vec4(project_position(positions), 1.0);
+  gl_Position = project_to_clipspace(position_worldspace);
+
+  // Normals are calculated in meters, see TerrainLayer.calculateNormals
+  // Light reflected by a white surface, tinted by the texture in the fragment shader
+  vLightColor = lighting_getLightColor(vec3(1.0), position_worldspace.xyz, normals);
+  vTexCoord = texCoords;
+
+  // The terrain is picked as a single object
+  picking_setPickingColor(vec3(1.0, 0.0, 0.0));
+}
+`;
@@ -0,0 +1,405 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {COORDINATE_SYSTEM, Layer, experimental} from '../../core';
+const {log} = experimental;
+import {GL, Model, Geometry, Texture2D, loadTextures} from 'luma.gl';
+
+import {
+  TERRAIN_RGB_DECODER,
+  decodeElevations,
+  loadImageData,
+  getTerrainGrid,
+  sampleGrid,
+  getTriangleErrors,
+  getMesh
+} from './terrain-utils';
+
+import vs from './terrain-layer-vertex.glsl';
+import fs from './terrain-layer-fragment.glsl';
+
+// Meters per degree along the equator
+const METERS_PER_DEGREE = 111319.49;
+
+const TEXTURE_OPTIONS = {
+  mipmaps: false,
+  parameters: {
+    [GL.TEXTURE_MIN_FILTER]: GL.LINEAR,
+    [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+    [GL.TEXTURE_WRAP_S]: GL.CLAMP_TO_EDGE,
+    [GL.TEXTURE_WRAP_T]: GL.CLAMP_TO_EDGE
+  }
+};
+
+/*
+ * @param {object} props
+ * @param {string | object} props.elevationData - url of a Terrain-RGB encoded image,
+ *   `ImageData`, or `{width, height, data}` where data is a Float32Array of elevations in meters
+ * @param {array} props.bounds - `[left, bottom, right, top]` of the elevation raster
+ *   in the layer's coordinate system
+ * @param {object} props.elevationDecoder - `{rScaler, gScaler, bScaler, offset}`, decodes
+ *   pixel colors into elevations
+ * @param {number} props.meshMaxError - maximum deviation of the mesh from the raster, in meters
+ * @param {Texture2D | string | Image | HTMLCanvasElement} props.texture - image draped
+ *   over the terrain
+ * @param {array} props.color - color in [r, g, b, a] of the terrain if there is no texture
+ */
+const defaultProps = {
+  elevationData: null,
+  bounds: [0, 0, 1, 1],
+  elevationDecoder: TERRAIN_RGB_DECODER,
+  meshMaxError: 4,
+  texture: null,
+  color: [255, 255, 255, 255],
+  // Called with `{layer}` when the elevation data is decoded
+  onTerrainLoad: () => {}
+};
+
+// Returns the normal of a triangle, pointing up regardless of the winding of the triangle.
+// The length of the normal is proportional to the area of the triangle
+function getUpwardNormal(a, b, c) {
+  const ux = b[0] - a[0];
+  const uy = b[1] - a[1];
+  const uz = b[2] - a[2];
+  const vx = c[0] - a[0];
+  const vy = c[1] - a[1];
+  const vz = c[2] - a[2];
+  const normal = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+  return normal[2] < 0 ? normal.map(n => -n) : normal;
+}
+
+export default class TerrainLayer extends Layer {
+  getShaders() {
+    // 'project' module added by default.
+    return {vs, fs, modules: ['lighting', 'picking', 'mask'], defines: this.getLightingDefines()};
+  }
+
+  initializeState() {
+    const {gl} = this.context;
+    this.setState({
+      model: this._getModel(gl),
+      // Elevation raster that is loaded or being loaded
+      raster: null,
+      // Decoded elevations and the RTIN errors of the raster
+      terrain: null,
+      mesh: null,
+      texture: null,
+      // Textures created by this layer are deleted with it
+      ownsTexture: false,
+      isFinalized: false
+    });
+
+    const {attributeManager} = this.state;
+    const noAlloc = true;
+    attributeManager.add({
+      indices: {size: 1, isIndexed: true, update: this.calculateIndices, noAlloc},
+      positions: {size: 3, update: this.calculatePositions, noAlloc},
+      normals: {size: 3, update: this.calculateNormals, noAlloc},
+      texCoords: {size: 2, update: this.calculateTexCoords, noAlloc}
+    });
+  }
+
+  updateState({props, oldProps, changeFlags}) {
+    super.updateState({props, oldProps, changeFlags});
+
+    if (props.elevationData !== oldProps.elevationData) {
+      this._loadElevationData(props.elevationData);
+    }
+
+    const {raster, terrain} = this.state;
+    if (
+      (terrain ? terrain.raster : null) !== raster ||
+      props.elevationDecoder !== oldProps.elevationDecoder
+    ) {
+      this._updateTerrain();
+    } else if (props.meshMaxError !== oldProps.meshMaxError) {
+      this._updateMesh();
+    } else if (props.bounds !== oldProps.bounds) {
+      this.state.attributeManager.invalidateAll();
+    }
+
+    if (props.texture !== oldProps.texture) {
+      this._loadTexture(props.texture);
+    }
+
+    // Light arrays of the shader are sized to the lights of the scene
+    if (this.lightingDefinesChanged()) {
+      this.setState({model: this._getModel(this.context.gl)});
+      this.state.attributeManager.invalidateAll();
+    }
+  }
+
+  finalizeState() {
+    this._deleteTexture();
+    // Images may still be loading
+    this.state.isFinalized = true;
+  }
+
+  /**
+   * Returns the elevation of the terrain
+   * @param {Number} x - longitude, or x in the layer's coordinate system
+   * @param {Number} y - latitude, or y in the layer's coordinate system
+   * @return {Number|null} - elevation in meters, or null if the point is outside of
+   *   the terrain or the terrain is not loaded
+   */
+  getElevationAt(x, y) {
+    const {terrain} = this.state;
+    const [left, bottom, right, top] = this.props.bounds;
+    const u = (x - left) / (right - left);
+    const v = (top - y) / (top - bottom);
+    if (!terrain || !(u >= 0 && u <= 1 && v >= 0 && v <= 1)) {
+      return null;
+    }
+    const {elevations, width, height} = terrain;
+    return sampleGrid(elevations, width, height, u * (width - 1), v * (height - 1));
+  }
+
+  getPickingInfo({info, mode}) {
+    info = super.getPickingInfo({info, mode});
+    if (info.index >= 0 && info.coordinate) {
+      info.elevation = this.getElevationAt(info.coordinate[0], info.coordinate[1]);
+    }
+    return info;
+  }
+
+  draw({uniforms}) {
+    const {color} = this.props;
+    const {mesh, texture} = this.state;
+
+    if (mesh) {
+      this.state.model.render(Object.assign({}, uniforms, {
+        hasTexture: Boolean(texture),
+        color: [color[0], color[1], color[2], Number.isFinite(color[3]) ? color[3] : 255]
+          .map(x => x / 255)
+      },
+      // Samplers cannot be set to null
+      texture && {terrainTexture: texture}));
+    }
+  }
+
+  _getModel(gl) {
+    return new Model(gl, Object.assign({}, this.getShaders(), {
+      id: this.props.id,
+      geometry: new Geometry({
+        drawMode: GL.TRIANGLES,
+        attributes: {}
+      }),
+      vertexCount: 0,
+      isIndexed: true,
+      shaderCache: this.context.shaderCache
+    }));
+  }
+
+  _loadElevationData(elevationData) {
+    if (typeof elevationData === 'string') {
+      // Layer state is transferred between layer instances, update the current one
+      // unless the elevation data changed while loading
+      const {state} = this;
+      loadImageData(elevationData)
+        .then(imageData => {
+          const {layer} = state;
+          if (layer && !state.isFinalized && layer.props.elevationData === elevationData) {
+            layer.setState({raster: imageData});
+            layer.setNeedsUpdate();
+          }
+        })
+        .catch(error => log.warn(0, `TerrainLayer: failed to load ${elevationData}: ${error}`));
+      this.setState({raster: null});
+    } else {
+      this.setState({raster: elevationData});
+    }
+  }
+
+  _updateTerrain() {
+    const {raster} = this.state;
+    let terrain = null;
+
+    if (raster) {
+      const {width, height} = raster;
+      const elevations = decodeElevations(raster, this.props.elevationDecoder);
+      const {grid, size} = getTerrainGrid(elevations, width, height);
+      terrain = {
+        raster,
+        width,
+        height,
+        elevations,
+        grid,
+        size,
+        errors: getTriangleErrors(grid, size)
+      };
+    }
+
+    this.setState({terrain});
+    this._updateMesh();
+
+    if (terrain) {
+      this.props.onTerrainLoad({layer: this});
+    }
+  }
+
+  _updateMesh() {
+    const {terrain} = this.state;
+    this.setState({
+      mesh: terrain && getMesh(terrain.errors, terrain.size, this.props.meshMaxError)
+    });
+    this.state.attributeManager.invalidateAll();
+  }
+
+  _loadTexture(image) {
+    const {gl} = this.context;
+    this._deleteTexture();
+
+    if (image instanceof Texture2D) {
+      this.setState({texture: image, ownsTexture: false});
+    } else if (typeof image === 'string') {
+      const {state} = this;
+      loadTextures(gl, {urls: [image], parameters: TEXTURE_OPTIONS})
+        .then(([texture]) => {
+          const {layer} = state;
+          if (layer && !state.isFinalized && layer.props.texture === image) {
+            layer._deleteTexture();
+            layer.setState({texture, ownsTexture: true});
+          } else {
+            texture.delete();
+          }
+        });
+    } else if (image) {
+      this.setState({
+        texture: new Texture2D(gl, Object.assign({data: image}, TEXTURE_OPTIONS)),
+        ownsTexture: true
+      });
+    }
+  }
+
+  _deleteTexture() {
+    const {texture, ownsTexture} = this.state;
+    if (texture && ownsTexture) {
+      texture.delete();
+    }
+    this.setState({texture: null, ownsTexture: false});
+  }
+
+  // Returns the size of a grid cell in the layer's units, and in meters
+  _getCellSize() {
+    const {bounds, coordinateSystem} = this.props;
+    const {size} = this.state.terrain;
+    const [left, bottom, right, top] = bounds;
+    const width = (right - left) / (size - 1);
+    const height = (top - bottom) / (size - 1);
+
+    if (coordinateSystem === COORDINATE_SYSTEM.LNGLAT) {
+      const latitude = (top + bottom) / 2 * Math.PI / 180;
+      return {
+        width,
+        height,
+        widthInMeters: width * METERS_PER_DEGREE * Math.cos(latitude),
+        heightInMeters: height * METERS_PER_DEGREE
+      };
+    }
+    return {width, height, widthInMeters: width, heightInMeters: height};
+  }
+
+  calculateIndices(attribute) {
+    const {mesh} = this.state;
+    attribute.value = mesh ? mesh.triangles : new Uint32Array(0);
+    attribute.target = GL.ELEMENT_ARRAY_BUFFER;
+    this.state.model.setVertexCount(attribute.value.length / attribute.size);
+  }
+
+  calculatePositions(attribute) {
+    const {mesh, terrain} = this.state;
+    if (!mesh) {
+      attribute.value = new Float32Array(0);
+      return;
+    }
+
+    const {vertices} = mesh;
+    const {grid, size} = terrain;
+    const [left, , , top] = this.props.bounds;
+    const {width, height} = this._getCellSize();
+    const value = new Float32Array(vertices.length / 2 * 3);
+
+    for (let i = 0; i < vertices.length / 2; i++) {
+      const x = vertices[i * 2];
+      const y = vertices[i * 2 + 1];
+      value[i * 3] = left + x * width;
+      // The first row of the raster is the top of the terrain
+      value[i * 3 + 1] = top - y * height;
+      value[i * 3 + 2] = grid[y * size + x];
+    }
+    attribute.value = value;
+  }
+
+  // Vertex normals are the sum of the normals of the adjacent triangles,
+  // calculated in meters so that they are independent from the coordinate system
+  calculateNormals(attribute) {
+    const {mesh, terrain} = this.state;
+    if (!mesh) {
+      attribute.value = new Float32Array(0);
+      return;
+    }
+
+    const {vertices, triangles} = mesh;
+    const {grid, size} = terrain;
+    const {widthInMeters, heightInMeters} = this._getCellSize();
+    const value = new Float32Array(vertices.length / 2 * 3);
+
+    const getPosition = i => {
+      const x = vertices[i * 2];
+      const y = vertices[i * 2 + 1];
+      return [x * widthInMeters, -y * heightInMeters, grid[y * size + x]];
+    };
+
+    for (let i = 0; i < triangles.length; i += 3) {
+      const normal = getUpwardNormal(
+        getPosition(triangles[i]), getPosition(triangles[i + 1]), getPosition(triangles[i + 2])
+      );
+
+      for (let j = 0; j < 3; j++) {
+        const vertex = triangles[i + j];
+        value[vertex * 3] += normal[0];
+        value[vertex * 3 + 1] += normal[1];
+        value[vertex * 3 + 2] += normal[2];
+      }
+    }
+    attribute.value = value;
+  }
+
+  calculateTexCoords(attribute) {
+    const {mesh, terrain} = this.state;
+    if (!mesh) {
+      attribute.value = new Float32Array(0);
+      return;
+    }
+
+    const {vertices} = mesh;
+    const max = terrain.size - 1;
+    const value = new Float32Array(vertices.length);
+    for (let i = 0; i < vertices.length / 2; i++) {
+      value[i * 2] = vertices[i * 2] / max;
+      // Textures are flipped on upload, so that v = 0 is the bottom of the image
+      value[i * 2 + 1] = 1 - vertices[i * 2 + 1] / max;
+    }
+    attribute.value = value;
+  }
+}
+
+TerrainLayer.layerName = 'TerrainLayer';
+TerrainLayer.defaultProps = defaultProps;
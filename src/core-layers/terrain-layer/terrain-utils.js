@@ -0,0 +1,247 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+/* global document */
+import {loadImage} from 'luma.gl';
+
+// Decodes Mapbox Terrain-RGB tiles, elevation = R * 6553.6 + G * 25.6 + B * 0.1 - 10000
+export const TERRAIN_RGB_DECODER = {
+  rScaler: 6553.6,
+  gScaler: 25.6,
+  bScaler: 0.1,
+  offset: -10000
+};
+
+/**
+ * Decodes an elevation raster into elevations in meters
+ * @param {Object} raster - `{width, height, data}`, where `data` is either a Float32Array
+ *   of elevations or RGBA pixels (e.g. an `ImageData`) decoded with `elevationDecoder`
+ * @param {Object} elevationDecoder - `{rScaler, gScaler, bScaler, offset}`
+ * @return {Float32Array} - elevations, row by row from the top of the raster
+ */
+export function decodeElevations({width, height, data}, elevationDecoder = TERRAIN_RGB_DECODER) {
+  if (data instanceof Float32Array) {
+    return data;
+  }
+
+  const {rScaler, gScaler, bScaler, offset} = elevationDecoder;
+  const elevations = new Float32Array(width * height);
+  for (let i = 0; i < elevations.length; i++) {
+    elevations[i] = data[i * 4] * rScaler + data[i * 4 + 1] * gScaler +
+      data[i * 4 + 2] * bScaler + offset;
+  }
+  return elevations;
+}
+
+/**
+ * Loads the pixels of an image
+ * @param {String} url - image url
+ * @return {Promise} - resolves to the `ImageData` of the image
+ */
+export function loadImageData(url) {
+  return loadImage(url).then(image => {
+    const canvas = document.createElement('canvas');
+    canvas.width = image.width;
+    canvas.height = image.height;
+    const context = canvas.getContext('2d');
+    context.drawImage(image, 0, 0);
+    return context.getImageData(0, 0, image.width, image.height);
+  });
+}
+
+/**
+ * Resamples elevations into a square grid of 2^n + 1 by 2^n + 1 points,
+ * the shape required by `getTriangleErrors`
+ * @param {Float32Array} elevations - elevations, row by row
+ * @param {Number} width - number of columns
+ * @param {Number} height - number of rows
+ * @return {Object} - `{grid, size}`, where `grid` covers the same area as the elevations
+ */
+export function getTerrainGrid(elevations, width, height) {
+  let size = 2;
+  while (size + 1 < Math.max(width, height)) {
+    size *= 2;
+  }
+  size++;
+
+  const grid = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      grid[y * size + x] = sampleGrid(elevations, width, height,
+        x / (size - 1) * (width - 1), y / (size - 1) * (height - 1));
+    }
+  }
+  return {grid, size};
+}
+
+/**
+ * Bilinearly interpolates a grid of values
+ * @param {Float32Array} values - values, row by row
+ * @param {Number} width - number of columns
+ * @param {Number} height - number of rows
+ * @param {Number} x - fractional column, in `[0, width - 1]`
+ * @param {Number} y - fractional row, in `[0, height - 1]`
+ * @return {Number} - interpolated value
+ */
+export function sampleGrid(values, width, height, x, y) {
+  const x0 = Math.max(Math.min(Math.floor(x), width - 1), 0);
+  const y0 = Math.max(Math.min(Math.floor(y), height - 1), 0);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const dx = x - x0;
+  const dy = y - y0;
+  const top = values[y0 * width + x0] * (1 - dx) + values[y0 * width + x1] * dx;
+  const bottom = values[y1 * width + x0] * (1 - dx) + values[y1 * width + x1] * dx;
+  return top * (1 - dy) + bottom * dy;
+}
+
+/**
+ * Right-triangulated irregular network (RTIN) mesh simplification, see
+ * "Right-Triangulated Irregular Networks" (Evans, Kirkpatrick, Townsend) and
+ * https://observablehq.com/@mourner/martin-real-time-rtin-terrain-mesh
+ *
+ * The grid is recursively split into right triangles, the error of each
+ * triangle is the largest deviation of the grid from the triangle surface.
+ */
+
+// Returns the grid coordinates `[ax, ay, bx, by]` of the hypotenuse of the i-th triangle
+// of the full resolution RTIN hierarchy, children come after their parents
+function getTriangleHypotenuse(i, tileSize) {
+  let id = i + 2;
+  let ax = 0;
+  let ay = 0;
+  let bx = 0;
+  let by = 0;
+  let cx = 0;
+  let cy = 0;
+  if (id & 1) {
+    // bottom left triangle
+    bx = by = cx = tileSize;
+  } else {
+    // top right triangle
+    ax = ay = cy = tileSize;
+  }
+  while ((id >>= 1) > 1) {
+    const mx = (ax + bx) >> 1;
+    const my = (ay + by) >> 1;
+    if (id & 1) {
+      // left child
+      bx = ax;
+      by = ay;
+      ax = cx;
+      ay = cy;
+    } else {
+      // right child
+      ax = bx;
+      ay = by;
+      bx = cx;
+      by = cy;
+    }
+    cx = mx;
+    cy = my;
+  }
+  return [ax, ay, bx, by];
+}
+
+/**
+ * Calculates the approximation error at each point of a terrain grid
+ * @param {Float32Array} grid - elevations of a 2^n + 1 square grid
+ * @param {Number} size - 2^n + 1
+ * @return {Float32Array} - error of the triangles split at each point
+ */
+export function getTriangleErrors(grid, size) {
+  const tileSize = size - 1;
+  const numTriangles = tileSize * tileSize * 2 - 2;
+  const numParentTriangles = numTriangles - tileSize * tileSize;
+  const errors = new Float32Array(size * size);
+
+  // Iterate from the smallest triangles up, so that children are processed before parents
+  for (let i = numTriangles - 1; i >= 0; i--) {
+    const [ax, ay, bx, by] = getTriangleHypotenuse(i, tileSize);
+    const mx = (ax + bx) >> 1;
+    const my = (ay + by) >> 1;
+    const cx = mx + my - ay;
+    const cy = my + ax - mx;
+
+    // Error of splitting the triangle at the middle of its hypotenuse
+    const interpolatedHeight = (grid[ay * size + ax] + grid[by * size + bx]) / 2;
+    const middleIndex = my * size + mx;
+    const middleError = Math.abs(interpolatedHeight - grid[middleIndex]);
+    errors[middleIndex] = Math.max(errors[middleIndex], middleError);
+
+    if (i < numParentTriangles) {
+      // Propagate the errors of the children
+      const leftChildIndex = ((ay + cy) >> 1) * size + ((ax + cx) >> 1);
+      const rightChildIndex = ((by + cy) >> 1) * size + ((bx + cx) >> 1);
+      errors[middleIndex] = Math.max(
+        errors[middleIndex], errors[leftChildIndex], errors[rightChildIndex]
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Generates the simplified mesh of a terrain grid
+ * @param {Float32Array} errors - see `getTriangleErrors`
+ * @param {Number} size - 2^n + 1
+ * @param {Number} maxError - maximum deviation of the mesh from the grid
+ * @return {Object} - `{vertices, triangles}`, where `vertices` are `[x, y]` grid coordinates
+ *   and `triangles` are indices of the vertices
+ */
+export function getMesh(errors, size, maxError) {
+  const max = size - 1;
+  // 1-based index of the vertex at each grid point, 0 if the point is not used
+  const vertexIndices = new Uint32Array(size * size);
+  const vertices = [];
+  const triangles = [];
+
+  const addVertex = (x, y) => {
+    const gridIndex = y * size + x;
+    if (!vertexIndices[gridIndex]) {
+      vertices.push(x, y);
+      vertexIndices[gridIndex] = vertices.length / 2;
+    }
+    return vertexIndices[gridIndex] - 1;
+  };
+
+  // Triangle with the hypotenuse from a to b, and right angle at c
+  /* eslint-disable max-params */
+  const addTriangle = (ax, ay, bx, by, cx, cy) => {
+    const mx = (ax + bx) >> 1;
+    const my = (ay + by) >> 1;
+    if (Math.abs(ax - cx) + Math.abs(ay - cy) > 1 && errors[my * size + mx] > maxError) {
+      // Split the triangle at the middle of its hypotenuse
+      addTriangle(cx, cy, ax, ay, mx, my);
+      addTriangle(bx, by, cx, cy, mx, my);
+    } else {
+      triangles.push(addVertex(ax, ay), addVertex(bx, by), addVertex(cx, cy));
+    }
+  };
+  /* eslint-enable max-params */
+
+  addTriangle(0, 0, max, max, max, 0);
+  addTriangle(max, max, 0, 0, 0, max);
+
+  return {
+    vertices: new Uint16Array(vertices),
+    triangles: new Uint32Array(triangles)
+  };
+}
@@ -0,0 +1,79 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import Tile from './tile';
+
+/**
+ * Least recently used cache of tiles.
+ * Tiles that are in use are never evicted, so the cache may temporarily grow
+ * beyond `maxSize` if more tiles than that are visible.
+ */
+export default class TileCache {
+  constructor({maxSize = 100} = {}) {
+    this.maxSize = maxSize;
+    // Map iterates in insertion order, which is kept in order of last use
+    this._cache = new Map();
+  }
+
+  get size() {
+    return this._cache.size;
+  }
+
+  // Returns a cached tile without marking it as used, or null
+  peek({x, y, z}) {
+    return this._cache.get(Tile.getId({x, y, z})) || null;
+  }
+
+  // Returns the tile at an index, creating it if not cached, and marks it as most recently used
+  get({x, y, z}) {
+    const id = Tile.getId({x, y, z});
+    let tile = this._cache.get(id);
+    if (tile) {
+      this._cache.delete(id);
+    } else {
+      tile = new Tile({x, y, z});
+    }
+    this._cache.set(id, tile);
+    return tile;
+  }
+
+  /**
+   * Evicts least recently used tiles until the cache fits its budget
+   * @param {Set} usedTiles - tiles that must not be evicted
+   * @return {Array} - evicted tiles
+   */
+  prune(usedTiles = new Set()) {
+    const evicted = [];
+    for (const [id, tile] of this._cache) {
+      if (this._cache.size <= this.maxSize) {
+        break;
+      }
+      if (!usedTiles.has(tile)) {
+        this._cache.delete(id);
+        evicted.push(tile);
+      }
+    }
+    return evicted;
+  }
+
+  clear() {
+    this._cache.clear();
+  }
+}
@@ -0,0 +1,185 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {CompositeLayer, experimental} from '../../core';
+const {log} = experimental;
+
+import TileCache from './tile-cache';
+import {getTileIndices} from './viewport-utils';
+
+const defaultProps = {
+  // `({x, y, z, bbox}) => data or Promise`
+  getTileData: ({x, y, z, bbox}) => null,
+  // `props => Layer`, props contain `data` and `tile` of the tile to render
+  renderSubLayers: props => null,
+  tileSize: 512,
+  minZoom: 0,
+  maxZoom: null,
+  maxCacheSize: 100,
+  onTileLoad: tile => {},
+  onTileError: error => log.warn(0, `TileLayer: failed to load tile: ${error}`)
+};
+
+// Returns the nearest loaded ancestor of a tile in the cache, if any
+function getLoadedAncestor(tile, cache, minZoom) {
+  for (let z = tile.z - 1; z >= minZoom; z--) {
+    const ancestor = cache.peek(tile.getParentIndex(z));
+    if (ancestor && ancestor.isLoaded) {
+      return ancestor;
+    }
+  }
+  return null;
+}
+
+export default class TileLayer extends CompositeLayer {
+  initializeState() {
+    this.state = {
+      cache: new TileCache({maxSize: this.props.maxCacheSize}),
+      // tiles covering the viewport
+      visibleTiles: [],
+      // tiles with a rendered sublayer: loaded visible tiles, and loaded
+      // ancestors of visible tiles that are still loading
+      renderedTiles: [],
+      isFinalized: false
+    };
+  }
+
+  shouldUpdateState({changeFlags}) {
+    return changeFlags.propsOrDataChanged || changeFlags.viewportChanged;
+  }
+
+  updateState({props, oldProps, changeFlags}) {
+    const {cache} = this.state;
+
+    if (props.getTileData !== oldProps.getTileData || props.tileSize !== oldProps.tileSize) {
+      cache.clear();
+      this.setState({visibleTiles: []});
+    }
+    cache.maxSize = props.maxCacheSize;
+
+    if (changeFlags.propsOrDataChanged || changeFlags.viewportChanged) {
+      this._updateVisibleTiles();
+    }
+    this._updateRenderedTiles();
+  }
+
+  finalizeState() {
+    // Tiles may still be loading
+    this.state.isFinalized = true;
+  }
+
+  getPickingInfo({info, sourceLayer}) {
+    info.tile = sourceLayer.props.tile;
+    return info;
+  }
+
+  renderLayers() {
+    const {renderSubLayers} = this.props;
+
+    return this.state.renderedTiles.map(tile => {
+      // Only regenerate the sublayer of a tile if this layer's props changed
+      if (tile.layerProps !== this.props) {
+        tile.layerProps = this.props;
+        tile.layer = renderSubLayers(this.getTileSubLayerProps(tile));
+      }
+      return tile.layer;
+    });
+  }
+
+  // Returns the props passed to `renderSubLayers` for a tile, can be overridden by subclasses
+  getTileSubLayerProps(tile) {
+    return Object.assign(this.getSubLayerProps({id: tile.id}), {data: tile.data, tile});
+  }
+
+  _updateVisibleTiles() {
+    const {getTileData, minZoom, maxZoom, tileSize} = this.props;
+    const {viewport} = this.context;
+    const {cache} = this.state;
+    // Tile layer state is transferred between layer instances,
+    // always report to the current one
+    const {state} = this;
+
+    const visibleTiles = getTileIndices(viewport, {minZoom, maxZoom, tileSize})
+      .map(index => cache.get(index));
+
+    for (const tile of visibleTiles) {
+      if (!tile.isLoaded && !tile.isLoading) {
+        tile.load(getTileData).then(() => state.layer && state.layer._onTileLoad(tile));
+      }
+    }
+
+    this.setState({visibleTiles});
+  }
+
+  _onTileLoad(tile) {
+    if (this.state.isFinalized) {
+      return;
+    }
+    this.setNeedsUpdate();
+    if (tile.error) {
+      this.props.onTileError(tile.error);
+    } else {
+      this.props.onTileLoad(tile);
+    }
+  }
+
+  _updateRenderedTiles() {
+    const {minZoom} = this.props;
+    const {cache, visibleTiles, renderedTiles: oldRenderedTiles} = this.state;
+
+    // Show the nearest loaded ancestors of loading tiles as placeholders
+    const placeholders = new Set();
+    for (const tile of visibleTiles) {
+      const placeholder = !tile.isLoaded && getLoadedAncestor(tile, cache, minZoom);
+      if (placeholder) {
+        placeholders.add(placeholder);
+      }
+    }
+
+    // Placeholders are rendered first (below), lowest zoom level first
+    const renderedTiles = Array.from(placeholders)
+      .sort((tile1, tile2) => tile1.z - tile2.z)
+      .concat(visibleTiles.filter(tile => tile.isLoaded))
+      .filter(tile => tile.data);
+
+    const tilesChanged = renderedTiles.length !== oldRenderedTiles.length ||
+      renderedTiles.some((tile, i) => tile !== oldRenderedTiles[i]);
+
+    if (tilesChanged) {
+      // Sublayers of tiles that are no longer rendered get finalized
+      // and cannot be reused
+      for (const tile of oldRenderedTiles) {
+        if (renderedTiles.indexOf(tile) < 0) {
+          tile.layer = null;
+          tile.layerProps = null;
+        }
+      }
+      this.setState({renderedTiles});
+      // Sublayers may be regenerated outside of layer matching (e.g. on viewport change),
+      // make sure that they are matched on next redraw
+      this.setNeedsUpdate();
+    }
+
+    cache.prune(new Set(visibleTiles.concat(renderedTiles)));
+  }
+}
+
+TileLayer.layerName = 'TileLayer';
+TileLayer.defaultProps = defaultProps;
@@ -0,0 +1,79 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {tileToBoundingBox} from './viewport-utils';
+
+/**
+ * A single map tile and its asynchronously loaded content
+ */
+export default class Tile {
+  constructor({x, y, z}) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.id = Tile.getId({x, y, z});
+    this.bbox = tileToBoundingBox({x, y, z});
+    this.data = null;
+    this.isLoaded = false;
+    this.error = null;
+    // Sublayer rendered for this tile, reused while the parent layer props are unchanged
+    this.layer = null;
+    this.layerProps = null;
+    this._loader = null;
+  }
+
+  get isLoading() {
+    return Boolean(this._loader) && !this.isLoaded;
+  }
+
+  static getId({x, y, z}) {
+    return `${z}-${x}-${y}`;
+  }
+
+  // Returns the index of the tile at a lower zoom level that contains this tile
+  getParentIndex(z = this.z - 1) {
+    const scale = Math.pow(2, this.z - z);
+    return {x: Math.floor(this.x / scale), y: Math.floor(this.y / scale), z};
+  }
+
+  /**
+   * Starts loading the tile content, if not already started
+   * @param {Function} getTileData - `({x, y, z, bbox}) => data or Promise`
+   * @return {Promise} - resolves to the tile when loaded, never rejects:
+   *   a failed tile is marked as loaded with null data and its `error` set
+   */
+  load(getTileData) {
+    if (!this._loader) {
+      const {x, y, z, bbox} = this;
+      this._loader = new Promise(resolve => resolve(getTileData({x, y, z, bbox})))
+        .then(data => {
+          this.data = data;
+        })
+        .catch(error => {
+          this.error = error;
+        })
+        .then(() => {
+          this.isLoaded = true;
+          return this;
+        });
+    }
+    return this._loader;
+  }
+}
@@ -0,0 +1,110 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Web Mercator projection cannot show latitudes beyond this limit
+const MAX_LATITUDE = 85.051129;
+// Tile size that web mercator zoom levels are defined against
+const DEFAULT_TILE_SIZE = 512;
+
+// Returns the x index of the tile containing a longitude at a zoom level
+export function lngToTileX(lng, z) {
+  const scale = Math.pow(2, z);
+  const x = Math.floor((lng + 180) / 360 * scale);
+  return Math.min(Math.max(x, 0), scale - 1);
+}
+
+// Returns the y index of the tile containing a latitude at a zoom level
+export function latToTileY(lat, z) {
+  const scale = Math.pow(2, z);
+  const phi = Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE) * Math.PI / 180;
+  const y = Math.floor((1 - Math.log(Math.tan(phi) + 1 / Math.cos(phi)) / Math.PI) / 2 * scale);
+  return Math.min(Math.max(y, 0), scale - 1);
+}
+
+// Returns the longitude of a (fractional) tile x index at a zoom level
+export function tileXToLng(x, z) {
+  return x / Math.pow(2, z) * 360 - 180;
+}
+
+// Returns the latitude of a (fractional) tile y index at a zoom level
+export function tileYToLat(y, z) {
+  const n = Math.PI - 2 * Math.PI * y / Math.pow(2, z);
+  return 180 / Math.PI * Math.atan(0.5 * (Math.exp(n) - Math.exp(-n)));
+}
+
+/**
+ * Returns the bounding box of a tile
+ * @param {Object} tile - `{x, y, z}` tile index
+ * @return {Object} - `{west, north, east, south}` in degrees
+ */
+export function tileToBoundingBox({x, y, z}) {
+  return {
+    west: tileXToLng(x, z),
+    north: tileYToLat(y, z),
+    east: tileXToLng(x + 1, z),
+    south: tileYToLat(y + 1, z)
+  };
+}
+
+/**
+ * Returns the zoom level of the tiles that cover a viewport
+ * @param {Viewport} viewport - a WebMercatorViewport
+ * @param {Object} opts
+ * @param {Number} opts.minZoom - lowest zoom level that tiles are available at
+ * @param {Number} opts.maxZoom - highest zoom level that tiles are available at
+ * @param {Number} opts.tileSize - size of a tile in pixels
+ * @return {Number} - integer zoom level
+ */
+export function getTileZoom(viewport, {minZoom = 0, maxZoom = null, tileSize = DEFAULT_TILE_SIZE}) {
+  let z = Math.floor(viewport.zoom + Math.log2(DEFAULT_TILE_SIZE / tileSize));
+  if (Number.isFinite(maxZoom)) {
+    z = Math.min(z, maxZoom);
+  }
+  return Math.max(z, minZoom);
+}
+
+/**
+ * Returns the indices of the tiles that cover a viewport
+ * @param {Viewport} viewport - a WebMercatorViewport
+ * @param {Object} opts - see `getTileZoom`
+ * @return {Array} - array of `{x, y, z}` tile indices
+ */
+export function getTileIndices(viewport, opts = {}) {
+  const z = getTileZoom(viewport, opts);
+  const {width, height} = viewport;
+  const corners = [[0, 0], [width, 0], [0, height], [width, height]]
+    .map(pixel => viewport.unproject(pixel));
+
+  const lngs = corners.map(lngLat => lngLat[0]);
+  const lats = corners.map(lngLat => lngLat[1]);
+  const minX = lngToTileX(Math.min(...lngs), z);
+  const maxX = lngToTileX(Math.max(...lngs), z);
+  // Tile y indices grow southwards
+  const minY = latToTileY(Math.max(...lats), z);
+  const maxY = latToTileY(Math.min(...lats), z);
+
+  const indices = [];
+  for (let x = minX; x <= maxX; x++) {
+    for (let y = minY; y <= maxY; y++) {
+      indices.push({x, y, z});
+    }
+  }
+  return indices;
+}
@@ -0,0 +1,146 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {experimental} from '../../core';
+const {getObjectAt} = experimental;
+
+import PathLayer from '../path-layer/path-layer';
+
+const VS_DECLARATIONS = `\
+attribute vec2 instanceTimestamps;
+
+varying float vTime;
+`;
+
+const VS_CODE = `\
+  // timestamp of the vertex, interpolated along the segment
+  vTime = mix(instanceTimestamps.x, instanceTimestamps.y, positions.x);
+`;
+
+const FS_DECLARATIONS = `\
+uniform float currentTime;
+uniform float trailLength;
+
+varying float vTime;
+`;
+
+const FS_CODE = `\
+  // fade out the trail by how long ago it was traversed
+  float age = currentTime - vTime;
+  if (age < 0.0 || age > trailLength) {
+    discard;
+  }
+  gl_FragColor.a *= 1.0 - age / trailLength;
+`;
+
+const INJECT_DECLARATIONS = /void main\s*\(/;
+// End of the main function
+const INJECT_VS_CODE = /}[^{}]*$/;
+// Before the picking and mask filters and their comment, so that they see the faded color
+const INJECT_FS_CODE = /(\n[ \t]*\/\/[^\n]*)?\n[^\n]*gl_FragColor = picking_filterPickingColor/;
+
+// Adds declarations before the main function of a shader, and code at the given location
+function injectShaderCode({source, declarations, code, location}) {
+  return source
+    .replace(INJECT_DECLARATIONS, match => declarations.concat(`\n${match}`))
+    .replace(location, match => `\n${code}${match}`);
+}
+
+/*
+ * @param {object} props
+ * @param {number} props.currentTime - time of the head of the trails
+ * @param {number} props.trailLength - duration over which segments fade out after being
+ *   traversed, in the unit of the timestamps
+ * @param {func} props.getTimestamps - returns the timestamp of each vertex of the path
+ */
+const defaultProps = {
+  currentTime: 0,
+  trailLength: 120,
+
+  getTimestamps: object => object.timestamps
+};
+
+export default class TripsLayer extends PathLayer {
+  getShaders() {
+    const shaders = super.getShaders();
+    return Object.assign({}, shaders, {
+      vs: injectShaderCode({
+        source: shaders.vs,
+        declarations: VS_DECLARATIONS,
+        code: VS_CODE,
+        location: INJECT_VS_CODE
+      }),
+      fs: injectShaderCode({
+        source: shaders.fs,
+        declarations: FS_DECLARATIONS,
+        code: FS_CODE,
+        location: INJECT_FS_CODE
+      })
+    });
+  }
+
+  initializeState() {
+    super.initializeState();
+
+    this.state.attributeManager.addInstanced({
+      instanceTimestamps: {
+        size: 2,
+        accessor: 'getTimestamps',
+        update: this.calculateInstanceTimestamps
+      }
+    });
+  }
+
+  draw({uniforms}) {
+    const {currentTime, trailLength} = this.props;
+
+    // Scrubbing time only changes uniforms
+    super.draw({
+      uniforms: Object.assign({}, uniforms, {
+        currentTime,
+        trailLength
+      })
+    });
+  }
+
+  // Each segment of a path is an instance, with the timestamps of its start and end.
+  // Timestamps are matched to the vertices of the path: extra timestamps are ignored,
+  // and vertices without a timestamp use the last one.
+  calculateInstanceTimestamps(attribute) {
+    const {data, getTimestamps} = this.props;
+    const {paths} = this.state;
+    const {value} = attribute;
+
+    let i = 0;
+    paths.forEach((path, index) => {
+      const timestamps = getTimestamps(getObjectAt(data, index), index) || [];
+      const lastIndex = timestamps.length - 1;
+      const getTimestamp = ptIndex => lastIndex < 0 ? 0 : timestamps[Math.min(ptIndex, lastIndex)];
+
+      for (let ptIndex = 1; ptIndex < path.length; ptIndex++) {
+        value[i++] = getTimestamp(ptIndex - 1);
+        value[i++] = getTimestamp(ptIndex);
+      }
+    });
+  }
+}
+
+TripsLayer.layerName = 'TripsLayer';
+TripsLayer.defaultProps = defaultProps;
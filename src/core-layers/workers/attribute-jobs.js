@@ -0,0 +1,198 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Attribute generation jobs that can run in a worker
+// Jobs take plain data (accessors are resolved on the main thread) and return
+// `{attributes}`, a map of attribute names to typed arrays.
+// Note: only imports modules that do not depend on WebGL or the DOM
+import {PolygonTesselator} from '../solid-polygon-layer/polygon-tesselator';
+import {PolygonTesselatorExtruded} from '../solid-polygon-layer/polygon-tesselator-extruded';
+import {
+  getSegmentCount,
+  calculateStartPositions,
+  calculateEndPositions,
+  calculateStartEndPositions64xyLow,
+  calculateLeftDeltas,
+  calculateRightDeltas,
+  fillSegments,
+  fillSegmentVertices
+} from '../path-layer/path-tesselator';
+
+const DEFAULT_COLOR = [0, 0, 0, 255];
+const DEFAULT_WIDTH = [1];
+
+function getPickingColor(index) {
+  return [
+    (index + 1) & 255,
+    ((index + 1) >> 8) & 255,
+    (((index + 1) >> 8) >> 8) & 255
+  ];
+}
+
+/**
+ * Tesselates polygons, generating the attributes of the SolidPolygonLayer
+ * @param {Object} opts
+ * @param {Array} opts.polygons - list of simple, complex or multi polygons
+ * @param {Float32Array} opts.elevations - elevation of each polygon (extruded only)
+ * @param {Uint8ClampedArray} opts.colors - RGBA color of each polygon
+ * @param {Float32Array} [opts.filterValues] - filter value of each polygon
+ * @param {Float32Array} [opts.fillPatterns] - fill pattern `[x, y, width, height, scale, mask]`
+ *   of each polygon
+ * @param {Boolean} opts.extruded
+ * @param {Boolean} opts.wireframe
+ * @param {Boolean} opts.fp64
+ * @param {Boolean} [opts.wrapLongitude] - unwrap polygons crossing the antimeridian
+ * @return {Object} - `{attributes}`
+ */
+export function tesselatePolygons({
+  polygons, elevations, colors, filterValues, fillPatterns,
+  extruded, wireframe, fp64, wrapLongitude = false
+}) {
+  const tesselator = extruded ?
+    new PolygonTesselatorExtruded({
+      polygons,
+      wireframe,
+      getHeight: polygonIndex => elevations[polygonIndex],
+      fp64,
+      wrapLongitude
+    }) :
+    new PolygonTesselator({polygons, fp64, wrapLongitude});
+
+  const {positions, positions64xyLow} = tesselator.positions();
+  const attributes = {
+    indices: tesselator.indices(),
+    positions,
+    normals: tesselator.normals(),
+    colors: tesselator.colors({
+      getColor: polygonIndex => Array.from(colors.subarray(polygonIndex * 4, polygonIndex * 4 + 4))
+    }),
+    pickingColors: tesselator.pickingColors(),
+    filterValues: filterValues ?
+      tesselator.filterValues({getFilterValue: polygonIndex => filterValues[polygonIndex]}) :
+      tesselator.filterValues(),
+    fillPatternFrames: fillPatterns ?
+      tesselator.fillPatternFrames({
+        getFillPatternFrame: polygonIndex =>
+          Array.from(fillPatterns.subarray(polygonIndex * 6, polygonIndex * 6 + 4))
+      }) :
+      tesselator.fillPatternFrames(),
+    fillPatternOptions: fillPatterns ?
+      tesselator.fillPatternOptions({
+        getFillPatternOptions: polygonIndex =>
+          Array.from(fillPatterns.subarray(polygonIndex * 6 + 4, polygonIndex * 6 + 6))
+      }) :
+      tesselator.fillPatternOptions()
+  };
+  if (positions64xyLow) {
+    attributes.positions64xyLow = positions64xyLow;
+  }
+  return {attributes};
+}
+
+/**
+ * Generates the per-segment attributes of the PathLayer
+ * @param {Object} opts
+ * @param {Array} opts.paths - list of paths
+ * @param {Float32Array|Array} opts.widths - width of each path, or an array of per-vertex
+ *   widths for paths with varying widths
+ * @param {Uint8ClampedArray|Array} opts.colors - RGBA colors of the paths, either packed or
+ *   as an array of colors, or of per-vertex colors for paths with varying colors
+ * @param {Float32Array} [opts.dashArrays] - dash array of each path
+ * @param {Float32Array} [opts.filterValues] - filter value of each path
+ * @param {Boolean} opts.fp64
+ * @return {Object} - `{attributes, numInstances}`
+ */
+export function tesselatePaths({paths, widths, colors, dashArrays, filterValues, fp64}) {
+  const numInstances = getSegmentCount(paths);
+  const getWidth = index => widths[index];
+  const getColor = ArrayBuffer.isView(colors) ?
+    index => colors.subarray(index * 4, index * 4 + 4) :
+    index => colors[index];
+
+  const attributes = {
+    instanceStartPositions:
+      calculateStartPositions({paths, value: new Float32Array(numInstances * 3)}),
+    instanceEndPositions:
+      calculateEndPositions({paths, value: new Float32Array(numInstances * 3)}),
+    instanceLeftDeltas:
+      calculateLeftDeltas({paths, value: new Float32Array(numInstances * 3)}),
+    instanceRightDeltas:
+      calculateRightDeltas({paths, value: new Float32Array(numInstances * 3)}),
+    instanceStrokeWidths: fillSegmentVertices({
+      paths,
+      value: new Float32Array(numInstances),
+      size: 1,
+      getValue: getWidth,
+      defaultValue: DEFAULT_WIDTH
+    }),
+    instanceEndStrokeWidths: fillSegmentVertices({
+      paths,
+      value: new Float32Array(numInstances),
+      size: 1,
+      getValue: getWidth,
+      isEnd: true,
+      defaultValue: DEFAULT_WIDTH
+    }),
+    instanceDashArrays: dashArrays ? fillSegments({
+      paths,
+      value: new Float32Array(numInstances * 2),
+      size: 2,
+      getValue: index => dashArrays.subarray(index * 2, index * 2 + 2)
+    }) : new Float32Array(numInstances * 2),
+    instanceColors: fillSegmentVertices({
+      paths,
+      value: new Uint8ClampedArray(numInstances * 4),
+      size: 4,
+      getValue: getColor,
+      defaultValue: DEFAULT_COLOR
+    }),
+    instanceEndColors: fillSegmentVertices({
+      paths,
+      value: new Uint8ClampedArray(numInstances * 4),
+      size: 4,
+      getValue: getColor,
+      isEnd: true,
+      defaultValue: DEFAULT_COLOR
+    }),
+    instancePickingColors: fillSegments({
+      paths,
+      value: new Uint8ClampedArray(numInstances * 3),
+      size: 3,
+      getValue: getPickingColor
+    }),
+    instanceFilterValues: filterValues ? fillSegments({
+      paths,
+      value: new Float32Array(numInstances),
+      size: 1,
+      getValue: index => [filterValues[index]]
+    }) : new Float32Array(numInstances)
+  };
+  if (fp64) {
+    attributes.instanceStartEndPositions64xyLow =
+      calculateStartEndPositions64xyLow({paths, value: new Float32Array(numInstances * 4)});
+  }
+  return {attributes, numInstances};
+}
+
+// Jobs by type, see `WorkerPool.startJob`
+export const ATTRIBUTE_JOBS = {
+  polygons: tesselatePolygons,
+  paths: tesselatePaths
+};
@@ -0,0 +1,72 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {experimental} from '../../core';
+const {getWorkerPool, log} = experimental;
+
+/**
+ * Runs an attribute job on the worker pool for the layer's `workerUrl`.
+ * The layer keeps rendering its current attributes until the job completes.
+ * Results of jobs that were superseded by a later job, or that complete after
+ * the layer was finalized, are discarded.
+ * Calls `props.onLoadingChange` when the job starts and ends.
+ *
+ * @param {Layer} layer - the layer starting the job
+ * @param {Object} opts
+ * @param {String} opts.type - job type, see `ATTRIBUTE_JOBS`
+ * @param {Object} opts.payload - job parameters
+ * @param {Function} opts.onResult - called with the current layer and the job result
+ */
+export function startAttributeJob(layer, {type, payload, onResult}) {
+  const {state} = layer;
+  const jobId = (state.attributeJobId || 0) + 1;
+  state.attributeJobId = jobId;
+
+  layer.props.onLoadingChange({layer, loading: true});
+
+  getWorkerPool(layer.props.workerUrl).startJob({type, payload})
+    .then(result => {
+      if (state.attributeJobId !== jobId) {
+        return;
+      }
+      // The layer that started the job may have been replaced by a newer instance
+      const currentLayer = state.layer || layer;
+      onResult(currentLayer, result);
+      currentLayer.updateAttributes(currentLayer.props);
+      currentLayer.setNeedsRedraw();
+      currentLayer.props.onLoadingChange({layer: currentLayer, loading: false});
+    })
+    .catch(error => {
+      if (state.attributeJobId !== jobId) {
+        return;
+      }
+      log.error(0, `${layer} failed to generate attributes in worker`, error);
+      const currentLayer = state.layer || layer;
+      currentLayer.props.onLoadingChange({layer: currentLayer, loading: false});
+    });
+}
+
+/**
+ * Discards the results of any running attribute job, e.g. when the layer is finalized
+ * @param {Layer} layer
+ */
+export function cancelAttributeJob(layer) {
+  layer.state.attributeJobId = (layer.state.attributeJobId || 0) + 1;
+}
@@ -0,0 +1,161 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export const AGGREGATION_OPERATION = {
+  SUM: 'SUM',
+  MEAN: 'MEAN',
+  MIN: 'MIN',
+  MAX: 'MAX'
+};
+
+export const GRID_LAYOUT = {
+  SQUARE: 'square',
+  // Pointy-top hexagons, laid out in offset rows like d3-hexbin
+  HEXAGON: 'hexagon'
+};
+
+/**
+ * Returns the distance between the centers of two adjacent hexagons, matching d3-hexbin
+ * @param {Number} radius - hexagon radius
+ * @return {Number[]} - [horizontal spacing, vertical spacing], use as `cellSize`
+ */
+export function getHexagonCellSize(radius) {
+  return [radius * 2 * Math.sin(Math.PI / 3), radius * 1.5];
+}
+
+/**
+ * Returns the column and row of the cell that contains a point.
+ * Must be kept in sync with `getCell` in the aggregation vertex shader.
+ * @param {Number} x - x coordinate of the point
+ * @param {Number} y - y coordinate of the point
+ * @param {Object} opts
+ * @param {String} opts.layout - one of GRID_LAYOUT
+ * @param {Number[]} opts.cellSize - [width, height] of a cell
+ * @param {Number[]} [out] - optional array to write the result to
+ * @return {Number[]} - [col, row]
+ */
+export function getCell(x, y, {layout, cellSize}, out = [0, 0]) {
+  if (layout === GRID_LAYOUT.HEXAGON) {
+    return getHexagonCell(x / cellSize[0], y / cellSize[1], out);
+  }
+  out[0] = Math.floor(x / cellSize[0]);
+  out[1] = Math.floor(y / cellSize[1]);
+  return out;
+}
+
+/**
+ * Returns the center of a cell, in the same space as the aggregated points
+ * @param {Number} col - column of the cell
+ * @param {Number} row - row of the cell
+ * @param {Object} opts
+ * @param {String} opts.layout - one of GRID_LAYOUT
+ * @param {Number[]} opts.cellSize - [width, height] of a cell
+ * @return {Number[]} - [x, y]
+ */
+export function getCellCenter(col, row, {layout, cellSize}) {
+  if (layout === GRID_LAYOUT.HEXAGON) {
+    return [(col + (row & 1) / 2) * cellSize[0], row * cellSize[1]];
+  }
+  return [(col + 0.5) * cellSize[0], (row + 0.5) * cellSize[1]];
+}
+
+/**
+ * Returns the range of cells that covers a bounding box
+ * @param {Number[][]} bounds - [[minX, minY], [maxX, maxY]]
+ * @param {Object} opts
+ * @param {String} opts.layout - one of GRID_LAYOUT
+ * @param {Number[]} opts.cellSize - [width, height] of a cell
+ * @return {Object} - {gridOffset: [first column, first row], numCol, numRow}
+ */
+export function getGridRange(bounds, {layout, cellSize}) {
+  const [[minX, minY], [maxX, maxY]] = bounds;
+  let minCol;
+  let minRow;
+  let maxCol;
+  let maxRow;
+
+  if (layout === GRID_LAYOUT.HEXAGON) {
+    // A point may be binned into a hexagon of the neighboring row or column
+    minCol = Math.round(minX / cellSize[0]) - 1;
+    maxCol = Math.round(maxX / cellSize[0]) + 1;
+    minRow = Math.round(minY / cellSize[1]) - 1;
+    maxRow = Math.round(maxY / cellSize[1]) + 1;
+  } else {
+    minCol = Math.floor(minX / cellSize[0]);
+    maxCol = Math.floor(maxX / cellSize[0]);
+    minRow = Math.floor(minY / cellSize[1]);
+    maxRow = Math.floor(maxY / cellSize[1]);
+  }
+
+  return {
+    gridOffset: [minCol, minRow],
+    numCol: maxCol - minCol + 1,
+    numRow: maxRow - minRow + 1
+  };
+}
+
+/**
+ * Returns the bounding box of a list of points, ignoring invalid points
+ * @param {Number[]|TypedArray} positions - flat array of points
+ * @param {Number} size - number of components per point, only the first two are used
+ * @return {Number[][]} - [[minX, minY], [maxX, maxY]]
+ */
+export function getBounds(positions, size) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+
+  for (let i = 0; i < positions.length; i += size) {
+    const x = positions[i];
+    const y = positions[i + 1];
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      minX = x < minX ? x : minX;
+      minY = y < minY ? y : minY;
+      maxX = x > maxX ? x : maxX;
+      maxY = y > maxY ? y : maxY;
+    }
+  }
+  return [[minX, minY], [maxX, maxY]];
+}
+
+// Port of the d3-hexbin binning, with coordinates in units of cell size
+function getHexagonCell(px, py, out) {
+  let pj = Math.round(py);
+  px -= (pj & 1) / 2;
+  let pi = Math.round(px);
+  const py1 = py - pj;
+
+  if (Math.abs(py1) * 3 > 1) {
+    const px1 = px - pi;
+    const pi2 = pi + (px < pi ? -1 : 1) / 2;
+    const pj2 = pj + (py < pj ? -1 : 1);
+    const px2 = px - pi2;
+    const py2 = py - pj2;
+    if (px1 * px1 + py1 * py1 > px2 * px2 + py2 * py2) {
+      pi = pi2 + (pj & 1 ? 1 : -1) / 2;
+      pj = pj2;
+    }
+  }
+
+  out[0] = pi;
+  out[1] = pj;
+  return out;
+}
@@ -0,0 +1,115 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {AGGREGATION_OPERATION, getCell, getGridRange, getBounds} from './aggregation-utils';
+
+/**
+ * Aggregates points into the cells of a grid on the CPU.
+ * Produces the same cells as the GPU aggregation, see `GridAggregator.run` for options.
+ * @return {Object[]} - non empty cells, in the order they were first hit:
+ *   {col, row, count, weights: {[name]: aggregated value}}
+ */
+export function aggregateToGrid({
+  positions,
+  size = 3,
+  weights = {},
+  layout,
+  cellSize,
+  viewport = null,
+  gridRange = null
+}) {
+  const numPoints = Math.floor(positions.length / size);
+  const grid = gridRange || getGridRange(getBounds(positions, size), {layout, cellSize});
+  const opts = {positions, size, layout, cellSize, viewport, grid};
+
+  const cellsByIndex = new Map();
+  const cell = [0, 0];
+
+  for (let i = 0; i < numPoints; i++) {
+    const index = getCellIndex(i, opts, cell);
+    if (index >= 0) {
+      let aggregatedCell = cellsByIndex.get(index);
+      if (!aggregatedCell) {
+        aggregatedCell = {col: cell[0], row: cell[1], count: 0, weights: {}};
+        cellsByIndex.set(index, aggregatedCell);
+      }
+      addPoint(aggregatedCell, i, weights);
+    }
+  }
+
+  const cells = Array.from(cellsByIndex.values());
+
+  for (const name in weights) {
+    if (weights[name].operation === AGGREGATION_OPERATION.MEAN) {
+      for (const aggregatedCell of cells) {
+        aggregatedCell.weights[name] /= aggregatedCell.count;
+      }
+    }
+  }
+
+  return cells;
+}
+
+// Finds the cell of a point, returns its index in the grid range, or -1 if the point
+// is outside of the grid range. The cell coordinates are written to `cell`
+function getCellIndex(i, {positions, size, layout, cellSize, viewport, grid}, cell) {
+  const point = [
+    positions[i * size],
+    positions[i * size + 1],
+    size > 2 ? positions[i * size + 2] : 0
+  ];
+  const [x, y] = viewport ? viewport.project(point) : point;
+  if (!Number.isFinite(x) || !Number.isFinite(y)) {
+    return -1;
+  }
+
+  getCell(x, y, {layout, cellSize}, cell);
+  const col = cell[0] - grid.gridOffset[0];
+  const row = cell[1] - grid.gridOffset[1];
+  if (col < 0 || col >= grid.numCol || row < 0 || row >= grid.numRow) {
+    return -1;
+  }
+  return row * grid.numCol + col;
+}
+
+// Adds a point to a cell
+function addPoint(cell, index, weights) {
+  cell.count++;
+  for (const name in weights) {
+    const {values, operation} = weights[name];
+    cell.weights[name] = aggregateValue(cell.weights[name], values ? values[index] : 1, operation);
+  }
+}
+
+// Adds a value to the aggregated value of a cell, `aggregated` is undefined for the first value
+function aggregateValue(aggregated, value, operation) {
+  if (aggregated === undefined) {
+    return value;
+  }
+  switch (operation) {
+  case AGGREGATION_OPERATION.MIN:
+    return Math.min(aggregated, value);
+  case AGGREGATION_OPERATION.MAX:
+    return Math.max(aggregated, value);
+  default:
+    // SUM, and MEAN which is divided by the count once all points are added
+    return aggregated + value;
+  }
+}
@@ -0,0 +1,86 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+#define SHADER_NAME grid-aggregator-vertex-shader
+
+attribute vec3 positions;
+attribute float weights;
+
+uniform vec2 cellSize;
+uniform vec2 gridOffset;
+uniform vec2 gridSize;
+uniform float hexagonLayout;
+uniform float projectPoints;
+uniform float weightSign;
+
+varying float vWeight;
+
+// Port of the d3-hexbin binning, with coordinates in units of cell size.
+// Must be kept in sync with getHexagonCell in aggregation-utils.js
+vec2 getHexagonCell(vec2 point) {
+  float row = floor(point.y + 0.5);
+  float isOddRow = mod(row, 2.0);
+  float x = point.x - isOddRow / 2.0;
+  float col = floor(x + 0.5);
+  float dy1 = point.y - row;
+
+  if (abs(dy1) * 3.0 > 1.0) {
+    float dx1 = x - col;
+    float col2 = col + (x < col ? -1.0 : 1.0) / 2.0;
+    float row2 = row + (point.y < row ? -1.0 : 1.0);
+    float dx2 = x - col2;
+    float dy2 = point.y - row2;
+    if (dx1 * dx1 + dy1 * dy1 > dx2 * dx2 + dy2 * dy2) {
+      col = col2 + (isOddRow > 0.5 ? 1.0 : -1.0) / 2.0;
+      row = row2;
+    }
+  }
+  return vec2(col, row);
+}
+
+vec2 getCell(vec2 point) {
+  vec2 cellPosition = point / cellSize;
+  return hexagonLayout > 0.5 ? getHexagonCell(cellPosition) : floor(cellPosition);
+}
+
+void main(void) {
+  vec2 point = positions.xy;
+
+  if (projectPoints > 0.5) {
+    // Screen pixels with the origin at the top left corner, like Viewport.project
+    vec4 clipPosition = project_to_clipspace(vec4(project_position(positions), 1.0));
+    vec2 ndcPosition = clipPosition.xy / clipPosition.w;
+    vec2 screenSize = project_uViewportSize / project_uDevicePixelRatio;
+    point = vec2(1.0 + ndcPosition.x, 1.0 - ndcPosition.y) * screenSize / 2.0;
+  }
+
+  // Each point is drawn into the pixel of its cell, points outside of the grid are clipped
+  vec2 cell = getCell(point) - gridOffset;
+  bool isInGrid = all(greaterThanEqual(cell, vec2(0.0))) && all(lessThan(cell, gridSize));
+  gl_Position = isInGrid ?
+    vec4((cell + 0.5) / gridSize * 2.0 - 1.0, 0.0, 1.0) :
+    vec4(0.0, 0.0, 2.0, 1.0);
+  gl_PointSize = 1.0;
+
+  // MIN is aggregated as the MAX of negated weights
+  vWeight = weights * weightSign;
+}
+`;
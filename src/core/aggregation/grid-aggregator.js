@@ -0,0 +1,347 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {GL, Model, Buffer, Framebuffer, Texture2D, withParameters,
+  isWebGL2, hasFeature, hasFeatures, FEATURES} from 'luma.gl';
+import {aggregateToGrid} from './cpu-grid-aggregator';
+import {AGGREGATION_OPERATION, GRID_LAYOUT, getGridRange, getBounds} from './aggregation-utils';
+
+import vs from './grid-aggregator-vertex.glsl';
+import fs from './grid-aggregator-fragment.glsl';
+
+// Grids with more cells are aggregated on the CPU, to bound the size of the read back
+const MAX_GPU_CELLS = 1 << 22;
+// Initial value of cells when aggregating MIN or MAX
+const MIN_FLOAT = -3.4e38;
+
+/**
+ * Aggregates points into the cells of a square or hexagonal grid, computing the number
+ * of points and any number of aggregated weights per cell.
+ * Points are binned on the GPU by rendering them into a float texture with additive or
+ * MAX blending. If the context does not support this, or the grid is too large,
+ * the aggregation runs on the CPU instead. Both produce the same cells.
+ */
+export default class GridAggregator {
+  /**
+   * Checks if a context can aggregate on the GPU
+   * @param {WebGLRenderingContext} gl - context
+   * @return {Boolean} - true if float textures can be rendered to, blended and read back
+   */
+  static isSupported(gl) {
+    if (!gl) {
+      return false;
+    }
+    const canRenderToFloat = isWebGL2(gl) ?
+      hasFeature(gl, FEATURES.COLOR_ATTACHMENT_FLOAT) :
+      hasFeatures(gl, [FEATURES.TEXTURE_FLOAT, FEATURES.COLOR_ATTACHMENT_RGBA32F]);
+    return canRenderToFloat &&
+      hasFeature(gl, FEATURES.BLEND_EQUATION_MINMAX) &&
+      Boolean(gl.getExtension('EXT_float_blend'));
+  }
+
+  /**
+   * @param {WebGLRenderingContext} gl - context, can be null to always aggregate on the CPU
+   * @param {Object} opts
+   * @param {String} [opts.id] - id of the GPU resources
+   * @param {ShaderCache} [opts.shaderCache] - shader cache of the layer manager
+   */
+  constructor(gl, {id = 'grid-aggregator', shaderCache = null} = {}) {
+    this.id = id;
+    this.gl = gl;
+    this.shaderCache = shaderCache;
+    this.isGPUSupported = GridAggregator.isSupported(gl);
+
+    this.model = null;
+    this.framebuffer = null;
+    // GPU buffers and the arrays they were last filled from, keyed by name.
+    // Arrays that did not change since the last run are not uploaded again.
+    this.buffers = {};
+  }
+
+  /**
+   * Aggregates points into grid cells
+   * @param {Object} opts
+   * @param {Number[]|TypedArray} opts.positions - flat array of points
+   * @param {Number} [opts.size] - number of components per point, default 3
+   * @param {Object} [opts.weights] - weights to aggregate, keyed by name:
+   *   {values: one number per point (default 1), operation: AGGREGATION_OPERATION (default SUM)}
+   * @param {String} [opts.layout] - GRID_LAYOUT, default SQUARE
+   * @param {Number[]} opts.cellSize - [width, height] of a cell, see `getHexagonCellSize`
+   * @param {Viewport} [opts.viewport] - if supplied, points are projected to screen pixels
+   * @param {Object} [opts.gridRange] - cells to aggregate into, as returned by `getGridRange`.
+   *   Default to all cells that contain points.
+   * @param {Number[][]} [opts.bounds] - bounding box of the points, calculated if not supplied
+   * @param {Boolean} [opts.useGPU] - set to false to force aggregation on the CPU, default true
+   * @return {Object} - {cells, isGPU}, where `cells` is a list of non empty cells:
+   *   {col, row, count, weights: {[name]: aggregated value}}
+   */
+  run(opts) {
+    const {positions, size = 3, layout = GRID_LAYOUT.SQUARE, cellSize, useGPU = true} = opts;
+    let {weights = {}, gridRange} = opts;
+
+    weights = normalizeWeights(weights);
+    gridRange = gridRange ||
+      getGridRange(opts.bounds || getBounds(positions, size), {layout, cellSize});
+
+    const {numCol, numRow} = gridRange;
+    if (!(numCol > 0 && numRow > 0)) {
+      return {cells: [], isGPU: false};
+    }
+
+    const aggregationOpts = Object.assign({}, opts, {size, layout, weights, gridRange});
+    if (useGPU && this._canRunOnGPU(gridRange)) {
+      return {cells: this._runOnGPU(aggregationOpts), isGPU: true};
+    }
+    return {cells: aggregateToGrid(aggregationOpts), isGPU: false};
+  }
+
+  /**
+   * Releases GPU resources
+   */
+  delete() {
+    if (this.model) {
+      this.model.delete();
+    }
+    if (this.framebuffer) {
+      this.framebuffer.texture.delete();
+      this.framebuffer.delete();
+    }
+    for (const name in this.buffers) {
+      this.buffers[name].buffer.delete();
+    }
+    this.model = null;
+    this.framebuffer = null;
+    this.buffers = {};
+  }
+
+  // PRIVATE
+
+  _canRunOnGPU({numCol, numRow}) {
+    if (!this.isGPUSupported || numCol * numRow > MAX_GPU_CELLS) {
+      return false;
+    }
+    const {gl} = this;
+    const maxTextureSize = gl.getParameter(GL.MAX_TEXTURE_SIZE);
+    const maxViewportSize = gl.getParameter(GL.MAX_VIEWPORT_DIMS);
+    return getPowerOfTwo(numCol) <= Math.min(maxTextureSize, maxViewportSize[0]) &&
+      getPowerOfTwo(numRow) <= Math.min(maxTextureSize, maxViewportSize[1]);
+  }
+
+  _runOnGPU({positions, size, weights, layout, cellSize, viewport, gridRange}) {
+    const {gridOffset, numCol, numRow} = gridRange;
+    const numPoints = Math.floor(positions.length / size);
+    const model = this._getModel();
+    const framebuffer = this._getFramebuffer(numCol, numRow);
+
+    model.setVertexCount(numPoints);
+    model.setAttributes({positions: this._getBuffer('positions', positions, size)});
+
+    const uniforms = {
+      cellSize,
+      gridOffset,
+      gridSize: [numCol, numRow],
+      hexagonLayout: layout === GRID_LAYOUT.HEXAGON ? 1 : 0,
+      projectPoints: viewport ? 1 : 0
+    };
+    if (viewport) {
+      model.updateModuleSettings({viewport});
+    }
+
+    // Always render at least once to count the points
+    const weightNames = Object.keys(weights);
+    const passes = weightNames.length ? weightNames : [null];
+    const pixelsByWeight = {};
+    let pixels = null;
+
+    for (const name of passes) {
+      const {values, operation} = name ? weights[name] : {values: null};
+      model.setAttributes({weights: this._getWeightBuffer(name, values, numPoints)});
+      pixels = this._renderWeight({framebuffer, uniforms, operation, numCol, numRow});
+      if (name) {
+        pixelsByWeight[name] = pixels;
+      }
+    }
+
+    return getCellsFromPixels({pixels, pixelsByWeight, weights, gridOffset, numCol, numRow});
+  }
+
+  // Renders the weights of all points into the grid, and reads back the aggregated values
+  _renderWeight({framebuffer, uniforms, operation, numCol, numRow}) {
+    const isMinMax = operation === AGGREGATION_OPERATION.MIN ||
+      operation === AGGREGATION_OPERATION.MAX;
+    const viewport = [0, 0, numCol, numRow];
+
+    withParameters(this.gl, {
+      framebuffer,
+      viewport,
+      clearColor: [isMinMax ? MIN_FLOAT : 0, 0, 0, 0]
+    }, () => this.gl.clear(GL.COLOR_BUFFER_BIT));
+
+    this.model.draw({
+      framebuffer,
+      uniforms: Object.assign({
+        weightSign: operation === AGGREGATION_OPERATION.MIN ? -1 : 1
+      }, uniforms),
+      parameters: {
+        viewport,
+        depthTest: false,
+        blend: true,
+        blendFunc: [GL.ONE, GL.ONE],
+        blendEquation: [isMinMax ? GL.MAX : GL.FUNC_ADD, GL.FUNC_ADD]
+      }
+    });
+
+    return framebuffer.readPixels({width: numCol, height: numRow, type: GL.FLOAT});
+  }
+
+  _getModel() {
+    if (!this.model) {
+      this.model = new Model(this.gl, {
+        id: this.id,
+        vs,
+        fs,
+        modules: ['project'],
+        shaderCache: this.shaderCache,
+        drawMode: GL.POINTS,
+        vertexCount: 0,
+        isInstanced: false
+      });
+    }
+    return this.model;
+  }
+
+  // The float texture is sized to powers of two, and only reallocated when it needs to grow
+  _getFramebuffer(numCol, numRow) {
+    let {framebuffer} = this;
+
+    if (!framebuffer || framebuffer.width < numCol || framebuffer.height < numRow) {
+      const {gl} = this;
+      const width = Math.max(getPowerOfTwo(numCol), framebuffer ? framebuffer.width : 0);
+      const height = Math.max(getPowerOfTwo(numRow), framebuffer ? framebuffer.height : 0);
+
+      if (framebuffer) {
+        framebuffer.texture.delete();
+        framebuffer.delete();
+      }
+
+      const texture = new Texture2D(gl, {
+        format: isWebGL2(gl) ? GL.RGBA32F : GL.RGBA,
+        dataFormat: GL.RGBA,
+        type: GL.FLOAT,
+        width,
+        height,
+        mipmaps: false,
+        parameters: {
+          [GL.TEXTURE_MIN_FILTER]: GL.NEAREST,
+          [GL.TEXTURE_MAG_FILTER]: GL.NEAREST
+        }
+      });
+      framebuffer = new Framebuffer(gl, {
+        id: `${this.id}-framebuffer`,
+        width,
+        height,
+        attachments: {[GL.COLOR_ATTACHMENT0]: texture}
+      });
+      this.framebuffer = framebuffer;
+    }
+    return framebuffer;
+  }
+
+  // Returns a buffer filled with an array, uploading the array only if it changed
+  _getBuffer(name, array, size) {
+    let entry = this.buffers[name];
+    if (!entry) {
+      entry = {buffer: new Buffer(this.gl, {size}), source: null};
+      this.buffers[name] = entry;
+    }
+    if (entry.source !== array) {
+      const data = array instanceof Float32Array ? array : new Float32Array(array);
+      entry.buffer.setData({data, size});
+      entry.source = array;
+    }
+    return entry.buffer;
+  }
+
+  _getWeightBuffer(name, values, numPoints) {
+    if (values) {
+      return this._getBuffer(`weights-${name}`, values, 1);
+    }
+    // Points without weights count as 1
+    const entry = this.buffers.ones;
+    const ones = entry && entry.source.length >= numPoints ?
+      entry.source : new Float32Array(numPoints).fill(1);
+    return this._getBuffer('ones', ones, 1);
+  }
+}
+
+// Fills in default weight settings
+function normalizeWeights(weights) {
+  const normalizedWeights = {};
+  for (const name in weights) {
+    normalizedWeights[name] = Object.assign({
+      values: null,
+      operation: AGGREGATION_OPERATION.SUM
+    }, weights[name]);
+  }
+  return normalizedWeights;
+}
+
+// Builds the list of non empty cells from the aggregation textures.
+// The alpha channel of every pass holds the point count, red holds the aggregated weight.
+function getCellsFromPixels({pixels, pixelsByWeight, weights, gridOffset, numCol, numRow}) {
+  const cells = [];
+  for (let row = 0; row < numRow; row++) {
+    for (let col = 0; col < numCol; col++) {
+      const index = (row * numCol + col) * 4;
+      const count = pixels[index + 3];
+      if (count > 0) {
+        cells.push({
+          col: col + gridOffset[0],
+          row: row + gridOffset[1],
+          count,
+          weights: getCellWeights(pixelsByWeight, weights, index, count)
+        });
+      }
+    }
+  }
+  return cells;
+}
+
+function getCellWeights(pixelsByWeight, weights, index, count) {
+  const cellWeights = {};
+  for (const name in pixelsByWeight) {
+    const value = pixelsByWeight[name][index];
+    switch (weights[name].operation) {
+    case AGGREGATION_OPERATION.MIN:
+      cellWeights[name] = -value;
+      break;
+    case AGGREGATION_OPERATION.MEAN:
+      cellWeights[name] = value / count;
+      break;
+    default:
+      cellWeights[name] = value;
+    }
+  }
+  return cellWeights;
+}
+
+function getPowerOfTwo(value) {
+  return Math.pow(2, Math.ceil(Math.log2(Math.max(value, 1))));
+}
@@ -19,12 +19,69 @@
 // THE SOFTWARE.
 
 /* eslint-disable no-try-catch */
+import {GL, Framebuffer, withParameters} from 'luma.gl';
+
+const BUFFER_TEXTURE_PARAMETERS = {
+  [GL.TEXTURE_MIN_FILTER]: GL.LINEAR,
+  [GL.TEXTURE_MAG_FILTER]: GL.LINEAR,
+  [GL.TEXTURE_WRAP_S]: GL.CLAMP_TO_EDGE,
+  [GL.TEXTURE_WRAP_T]: GL.CLAMP_TO_EDGE
+};
 
 export default class EffectManager {
   constructor({gl, layerManager}) {
     this.gl = gl;
     this.layerManager = layerManager;
     this._effects = [];
+    // Effects in the order they were supplied to `setEffects`
+    this._effectList = [];
+    // Offscreen buffers of post-processing, created on demand
+    this._buffers = null;
+  }
+
+  /**
+   * Replaces the managed effects, e.g. from the `effects` prop of DeckGL.
+   * New effects are initialized and removed effects are finalized.
+   * Post-process effects are applied in the order of the list.
+   * @param {Effect[]} effects - the effects to be managed
+   */
+  setEffects(effects = []) {
+    if (effects.length === this._effectList.length &&
+      effects.every((effect, i) => effect === this._effectList[i])) {
+      return;
+    }
+    const oldEffects = this._effects.slice();
+    this._effectList = effects.slice();
+
+    for (const effect of oldEffects) {
+      if (effects.indexOf(effect) === -1) {
+        this.removeEffect(effect);
+      }
+    }
+    for (const effect of effects) {
+      if (oldEffects.indexOf(effect) === -1) {
+        this.addEffect(effect);
+      }
+    }
+    // Keep the order of the list among effects of equal priority
+    for (const effect of this._effects) {
+      effect.count = effects.indexOf(effect);
+    }
+    this._sortEffects();
+    this.layerManager.setNeedsRedraw('effects changed');
+  }
+
+  finalize() {
+    for (const effect of this._effects.slice()) {
+      this.removeEffect(effect);
+    }
+    this._effectList = [];
+    if (this._buffers) {
+      for (const buffer of this._buffers) {
+        buffer.delete();
+      }
+      this._buffers = null;
+    }
   }
 
   /**
@@ -81,6 +138,102 @@ export default class EffectManager {
     }
   }
 
+  /**
+   * Collect the shader module settings that managed effects supply to the layers
+   * @return {Object} - module parameters to use when drawing the layers
+   */
+  getModuleParameters() {
+    const moduleParameters = {};
+    for (const effect of this._effects) {
+      if (effect.needsRedraw) {
+        Object.assign(moduleParameters,
+          effect.getModuleParameters({gl: this.gl, layerManager: this.layerManager}));
+      }
+    }
+    return moduleParameters;
+  }
+
+  /**
+   * Draws the layers and the effects. If there are post-process effects, the layers
+   * are drawn into an offscreen framebuffer, and the post-process passes are applied
+   * before presenting the result on screen.
+   * @param {Function} drawLayers - draws the layers into the bound framebuffer
+   */
+  drawScene(drawLayers) {
+    const postProcessEffects = this._effects.filter(
+      effect => effect.isPostProcessEffect && effect.needsRedraw && effect.visible
+    );
+
+    if (postProcessEffects.length === 0) {
+      drawLayers();
+      this.draw();
+      return;
+    }
+
+    const buffers = this._getBuffers();
+    withParameters(this.gl, {framebuffer: buffers[0]}, () => {
+      drawLayers();
+      this.draw();
+    });
+    this._postProcess(postProcessEffects, buffers);
+  }
+
+  // Applies the post-process effects in order, the last one draws on screen
+  _postProcess(effects, buffers) {
+    const size = [buffers[0].width, buffers[0].height];
+    let input = buffers[0];
+
+    withParameters(this.gl, {
+      viewport: [0, 0, size[0], size[1]],
+      blend: false,
+      depthTest: false
+    }, () => {
+      effects.forEach((effect, i) => {
+        const toScreen = i === effects.length - 1;
+        input = this._applyEffect(effect, {input, buffers, size, toScreen});
+      });
+    });
+  }
+
+  // Applies the passes of one post-process effect. The effect reads its input from one
+  // buffer and its passes ping-pong between the two other buffers, so that the input stays
+  // available to all passes. Returns the buffer holding the output.
+  _applyEffect(effect, {input, buffers, size, toScreen}) {
+    const swapBuffers = buffers.filter(buffer => buffer !== input);
+    let source = input;
+
+    effect.passes.forEach((pass, passIndex) => {
+      const isLastPass = passIndex === effect.passes.length - 1;
+      const target = toScreen && isLastPass ? null : swapBuffers[passIndex % 2];
+
+      withParameters(this.gl, {framebuffer: target}, () => {
+        effect.renderPass(passIndex, {
+          sourceTexture: source.texture,
+          inputTexture: input.texture,
+          size
+        });
+      });
+      source = target;
+    });
+    return source;
+  }
+
+  // Returns three framebuffers the size of the drawing buffer
+  _getBuffers() {
+    const {gl} = this;
+    if (!this._buffers) {
+      this._buffers = [0, 1, 2].map(i => {
+        const buffer = new Framebuffer(gl, {id: `effect-buffer-${i}`, depth: i === 0});
+        buffer.texture.setParameters(BUFFER_TEXTURE_PARAMETERS);
+        return buffer;
+      });
+    }
+    for (const buffer of this._buffers) {
+      buffer.resize({width: gl.drawingBufferWidth, height: gl.drawingBufferHeight});
+    }
+    return this._buffers;
+  }
+
   _sortEffects() {
     this._effects.sort((a, b) => {
       if (a.priority > b.priority) {
@@ -50,6 +50,12 @@ export default class Effect {
    */
   draw({gl, layerManager}) {
   }
+  /**
+   * override to supply shader module settings to the layers when drawing a frame
+   */
+  getModuleParameters({gl, layerManager}) {
+    return null;
+  }
 
   setNeedsRedraw(redraw = true) {
     this.needsRedraw = redraw;
@@ -0,0 +1,102 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {GL, Model, Geometry} from 'luma.gl';
+import Effect from './effect';
+
+import postProcessVertex from './post-process-vertex.glsl';
+import postProcessFragmentHeader from './post-process-fragment-header.glsl';
+
+export default class PostProcessEffect extends Effect {
+
+  /**
+   * @classdesc
+   * PostProcessEffect
+   * A screen-space effect, applied to the rendered layers in the order of the `effects`
+   * prop of DeckGL. Each pass draws a full screen quad with a fragment shader that samples
+   * `texSrc`, the output of the previous pass, and `texInput`, the input of the effect.
+   *
+   * @class
+   * @param {Object} opts
+   * @param {String} opts.fs - fragment shader of a single pass effect
+   * @param {Object} opts.uniforms - uniforms of a single pass effect
+   * @param {Array} opts.passes - `[{fs, uniforms}]`, where `uniforms` is an object or
+   *   a function that returns uniforms from the options of the effect
+   */
+  constructor(opts = {}) {
+    super();
+    this.id = opts.id || 'post-process-effect';
+    this.isPostProcessEffect = true;
+    this.opts = Object.assign({uniforms: {}}, opts);
+    this.passes = opts.passes || [{fs: opts.fs, uniforms: ({uniforms}) => uniforms}];
+    this.layerManager = null;
+    this.models = [];
+    this.setNeedsRedraw();
+  }
+
+  /**
+   * Updates the options and redraws the layers
+   * @param {Object} opts - see constructor
+   */
+  setOptions(opts) {
+    Object.assign(this.opts, opts);
+    if (this.layerManager) {
+      this.layerManager.setNeedsRedraw('post-process effect changed');
+    }
+  }
+
+  initialize({gl, layerManager}) {
+    this.layerManager = layerManager;
+    this.models = this.passes.map((pass, i) => new Model(gl, {
+      id: `${this.id}-pass-${i}`,
+      vs: postProcessVertex,
+      fs: `${postProcessFragmentHeader}${pass.fs}`,
+      geometry: new Geometry({
+        drawMode: GL.TRIANGLE_FAN,
+        vertices: new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0])
+      })
+    }));
+  }
+
+  finalize({gl, layerManager}) {
+    for (const model of this.models) {
+      model.delete();
+    }
+    this.models = [];
+    this.layerManager = null;
+  }
+
+  /**
+   * Draws one pass into the bound framebuffer
+   * @param {Number} index - index of the pass
+   * @param {Object} opts
+   * @param {Texture2D} opts.sourceTexture - output of the previous pass
+   * @param {Texture2D} opts.inputTexture - input of the effect
+   * @param {Array} opts.size - `[width, height]` of the textures
+   */
+  renderPass(index, {sourceTexture, inputTexture, size}) {
+    const {uniforms} = this.passes[index];
+    this.models[index].render(Object.assign(
+      {},
+      typeof uniforms === 'function' ? uniforms(this.opts) : uniforms,
+      {texSrc: sourceTexture, texInput: inputTexture, texSize: size}
+    ));
+  }
+}
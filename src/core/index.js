@@ -59,6 +59,10 @@ import {default as MapControllerJS} from './pure-js/map-controller-js';
 // Experimental Effects (non-React) bindings
 import {default as EffectManager} from './experimental/lib/effect-manager';
 import {default as Effect} from './experimental/lib/effect';
+import {default as PostProcessEffect} from './experimental/lib/post-process-effect';
+
+// Experimental label collisions
+import {default as CollisionManager, projectPosition} from './lib/collision-manager';
 
 // Eperimental Transitions
 import {TRANSITION_EVENTS} from './lib/transition-manager';
@@ -76,13 +80,20 @@ import {extractViewportFrom} from './transitions/transition-utils';
 import {default as log} from './utils/log';
 import {get} from './utils/get';
 import {count} from './utils/count';
+import {forEachInRange, getObjectAt} from './utils/iterable-utils';
+import {default as WorkerPool, getWorkerPool} from './utils/worker-pool';
 
 import {default as BinSorter} from './utils/bin-sorter';
+import {default as GridAggregator} from './aggregation/grid-aggregator';
+import {
+  AGGREGATION_OPERATION, GRID_LAYOUT, getHexagonCellSize, getCell, getCellCenter
+} from './aggregation/aggregation-utils';
 import {defaultColorRange} from './utils/color-utils';
 import {linearScale, getLinearScale, quantizeScale, getQuantizeScale} from './utils/scale-utils';
 import {clamp} from './utils/scale-utils';
 
 import {flatten, countVertices, flattenVertices, fillArray} from './utils/flatten';
+import {getSunPosition, getSunDirection} from './shaderlib/lighting/sun-position';
 // TODO - just expose as layer methods instead?
 import {enable64bitSupport} from './utils/fp64';
 import {fp64ify} from './utils/fp64';
@@ -106,6 +117,8 @@ export const experimental = {
   MapControllerJS,
   EffectManager,
   Effect,
+  PostProcessEffect,
+  CollisionManager,
 
   // Transitions
   TRANSITION_EVENTS,
@@ -116,6 +129,14 @@ export const experimental = {
   TransitionManager,
   extractViewportFrom,
 
+  // Aggregation
+  GridAggregator,
+  AGGREGATION_OPERATION,
+  GRID_LAYOUT,
+  getHexagonCellSize,
+  getCell,
+  getCellCenter,
+
   // For layers
   BinSorter,
   linearScale,
@@ -124,11 +145,17 @@ export const experimental = {
   getQuantizeScale,
   clamp,
   defaultColorRange,
+  projectPosition,
 
   log,
 
   get,
   count,
+  forEachInRange,
+  getObjectAt,
+
+  WorkerPool,
+  getWorkerPool,
 
   flatten,
   countVertices,
@@ -136,5 +163,9 @@ export const experimental = {
   fillArray,
 
   enable64bitSupport,
-  fp64ify
+  fp64ify,
+
+  // Lighting
+  getSunPosition,
+  getSunDirection
 };
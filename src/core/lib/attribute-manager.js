@@ -21,6 +21,8 @@
 /* eslint-disable guard-for-in */
 import Stats from './stats';
 import log from '../utils/log';
+import {getColumnarTable, getColumn, copyColumn} from '../utils/columnar-data';
+import {forEachInRange} from '../utils/iterable-utils';
 import {GL} from 'luma.gl';
 import assert from 'assert';
 
@@ -29,6 +31,43 @@ const LOG_DETAIL_PRIORITY = 2;
 
 function noop() {}
 
+// Returns the smallest range of rows covering both ranges
+function mergeRanges(range, {startRow = 0, endRow = Infinity}) {
+  return range ? {
+    startRow: Math.min(range.startRow, startRow),
+    endRow: Math.max(range.endRow, endRow)
+  } : {startRow, endRow};
+}
+
+const DEFAULT_TRANSITION_SETTINGS = {
+  duration: 0,
+  easing: t => t,
+  enter: value => value,
+  onComplete: noop
+};
+
+// Returns the settings of the `transitions` prop that apply to an attribute,
+// looked up by attribute name or accessor name, or null if it should not transition
+function getTransitionSettings(transitions, attributeName, accessor) {
+  if (!transitions) {
+    return null;
+  }
+  const key = [attributeName].concat(accessor || []).find(name => transitions[name]);
+  let settings = key && transitions[key];
+  if (!settings) {
+    return null;
+  }
+  // A number is a shorthand for the duration
+  settings = Number.isFinite(settings) ? {duration: settings} : settings;
+  settings = Object.assign({}, DEFAULT_TRANSITION_SETTINGS, settings);
+  return settings.duration > 0 ? settings : null;
+}
+
+// Returns the linear progress of a transition at a given time, between 0 and 1
+function getTransitionRatio({startTime, settings}, time) {
+  return Math.max(0, Math.min((time - startTime) / settings.duration, 1));
+}
+
 /* eslint-disable complexity */
 export function glArrayFromType(glType, {clamped = true} = {}) {
   // Sorted in some order of likelihood to reduce amount of comparisons
@@ -151,10 +190,16 @@ export default class AttributeManager {
    * - auto reallocates attributes when needed
    * - auto updates attributes with registered updater functions
    * - allows overriding with application supplied buffers
+   * - copies `columnar` attributes directly from columnar data tables
+   * - instanced attributes can be invalidated for a range of rows, in which
+   *   case only those rows are regenerated (see `invalidate`)
+   * - instanced attributes grow geometrically, so appending rows is amortized
+   * - `transition` attributes keep the values they were drawn with before an
+   *   update, so that shaders can interpolate to the new values (see `update`)
    *
    * Limitations:
-   * - There are currently no provisions for only invalidating a range of
-   *   indices in an attribute.
+   * - Only a single contiguous range of rows is tracked per attribute,
+   *   multiple invalidated ranges are merged into the range covering them.
    *
    * @class
    * @param {Object} [props]
@@ -166,7 +211,9 @@ export default class AttributeManager {
     this.attributes = {};
     this.updateTriggers = {};
     this.accessors = {};
+    this.transitions = {};
     this.allocedInstances = -1;
+    this.numInstances = 0;
     this.needsRedraw = true;
 
     this.userData = {};
@@ -186,6 +233,11 @@ export default class AttributeManager {
    * attribute.updater - number of elements
    * attribute.instanced=0 - is this is an instanced attribute (a.k.a. divisor)
    * attribute.noAlloc=false - if this attribute should not be allocated
+   * attribute.columnar=false - if the attribute is a direct copy of its accessor's
+   *   values, i.e. can be copied from a column when data is a columnar table
+   * attribute.transition=false - if the attribute can transition between values,
+   *   in which case an `<name>From` attribute and an `<name>Progress` uniform
+   *   must be declared by the vertex shader
    *
    * @example
    * attributeManager.add({
@@ -215,15 +267,19 @@ export default class AttributeManager {
       const name = attributeNameArray[i];
       if (this.attributes[name] !== undefined) {
         delete this.attributes[name];
+        delete this.transitions[name];
       }
     }
   }
 
   /* Marks an attribute for update
    * @param {string} triggerName: attribute or accessor name
+   * @param {Object} [range] - only invalidate a range of rows (instanced attributes only)
+   * @param {Number} [range.startRow=0] - first row to update
+   * @param {Number} [range.endRow] - row after the last row to update, defaults to all rows
    */
-  invalidate(triggerName) {
-    const invalidatedAttributes = this._invalidateTrigger(triggerName);
+  invalidate(triggerName, range) {
+    const invalidatedAttributes = this._invalidateTrigger(triggerName, range);
 
     // For performance tuning
     logFunctions.onLog({
@@ -233,9 +289,12 @@ export default class AttributeManager {
     });
   }
 
-  invalidateAll() {
+  /* Marks all attributes for update
+   * @param {Object} [range] - only invalidate a range of rows, see `invalidate`
+   */
+  invalidateAll(range) {
     for (const attributeName in this.attributes) {
-      this.attributes[attributeName].needsUpdate = true;
+      this._invalidateAttribute(this.attributes[attributeName], range);
     }
 
     // For performance tuning
@@ -246,7 +305,7 @@ export default class AttributeManager {
     });
   }
 
-  _invalidateTrigger(triggerName) {
+  _invalidateTrigger(triggerName, range) {
     const {attributes, updateTriggers} = this;
     const invalidatedAttributes = updateTriggers[triggerName];
 
@@ -259,12 +318,22 @@ export default class AttributeManager {
     invalidatedAttributes.forEach(name => {
       const attribute = attributes[name];
       if (attribute) {
-        attribute.needsUpdate = true;
+        this._invalidateAttribute(attribute, range);
       }
     });
     return invalidatedAttributes;
   }
 
+  // Marks an attribute for update, merging the row range with any pending range.
+  // Only instanced attributes support ranges, since rows map 1:1 to their elements
+  _invalidateAttribute(attribute, range) {
+    const isPartial = Boolean(range) && Boolean(attribute.instanced) &&
+      (!attribute.needsUpdate || attribute.updateRange !== null);
+
+    attribute.updateRange = isPartial ? mergeRanges(attribute.updateRange, range) : null;
+    attribute.needsUpdate = true;
+  }
+
   /**
    * Ensure all attribute buffers are updated from props or data.
    *
@@ -278,6 +347,9 @@ export default class AttributeManager {
    * @param {Object} opts.buffers = {} - pre-allocated buffers
    * @param {Object} opts.props - passed to updaters
    * @param {Object} opts.context - Used as "this" context for updaters
+   * @param {Object} opts.transitions - transition settings, keyed by attribute
+   *   or accessor name. Updated `transition` attributes animate from their
+   *   current values to the new values
    */
   update({
     data,
@@ -285,7 +357,8 @@ export default class AttributeManager {
     props = {},
     buffers = {},
     context = {},
-    ignoreUnknownAttributes = false
+    ignoreUnknownAttributes = false,
+    transitions = null
   } = {}) {
     // First apply any application provided buffers
     this._checkExternalBuffers({buffers, ignoreUnknownAttributes});
@@ -295,10 +368,12 @@ export default class AttributeManager {
     if (this._analyzeBuffers({numInstances})) {
       logFunctions.onUpdateStart({level: LOG_START_END_PRIORITY, id: this.id, numInstances});
       this.stats.timeStart();
-      this._updateBuffers({numInstances, data, props, context});
+      this._updateBuffers({numInstances, data, props, context, transitions});
       this.stats.timeEnd();
       logFunctions.onUpdateEnd({level: LOG_START_END_PRIORITY, id: this.id, numInstances});
     }
+
+    this.numInstances = numInstances;
   }
 
   /**
@@ -313,11 +388,13 @@ export default class AttributeManager {
   /**
    * Returns changed attribute descriptors
    * This indicates which WebGLBuggers need to be updated
+   * Attributes where only a range of rows changed have a `changedRange`
+   * (`{startRow, endRow}`) that can be used to upload just those rows.
    * @return {Object} attributes - descriptors
    */
   getChangedAttributes({clearChangedFlags = false}) {
     const {attributes} = this;
-    const changedAttributes = {};
+    const changedAttributes = this._getChangedTransitionAttributes({clearChangedFlags});
     for (const attributeName in attributes) {
       const attribute = attributes[attributeName];
       if (attribute.changed) {
@@ -338,11 +415,41 @@ export default class AttributeManager {
    * @return {false|String} - reason a redraw is needed.
    */
   getNeedsRedraw({clearRedrawFlags = false} = {}) {
-    const redraw = this.needsRedraw;
+    const redraw = this.needsRedraw || this._isTransitioning();
     this.needsRedraw = this.needsRedraw && !clearRedrawFlags;
     return redraw && this.id;
   }
 
+  /**
+   * Returns the `<name>Progress` uniforms of `transition` attributes, i.e. the
+   * eased ratio of each transition, or 1 when the attribute is not transitioning.
+   * Transitions that have reached their end are completed.
+   *
+   * @param {Object} [opts]
+   * @param {Number} [opts.time=Date.now()] - current time in milliseconds
+   * @return {Object} uniforms
+   */
+  getTransitionUniforms({time = Date.now()} = {}) {
+    const uniforms = {};
+    for (const attributeName in this.transitions) {
+      const transition = this.transitions[attributeName];
+      let progress = 1;
+
+      if (transition.isActive) {
+        const ratio = getTransitionRatio(transition, time);
+        progress = transition.settings.easing(ratio);
+
+        if (ratio >= 1) {
+          transition.isActive = false;
+          transition.fromAttribute.value = null;
+          transition.settings.onComplete({attributeName});
+        }
+      }
+      uniforms[`${attributeName}Progress`] = progress;
+    }
+    return uniforms;
+  }
+
   /**
    * Sets the redraw flag.
    * @param {Boolean} redraw=true
@@ -402,6 +509,7 @@ export default class AttributeManager {
         {
           // Ensure that fields are present before Object.seal()
           target: undefined,
+          transition: false,
           userData: {}        // Reserved for application
         },
         // Metadata
@@ -412,6 +520,8 @@ export default class AttributeManager {
           needsAlloc: false,
           needsUpdate: false,
           changed: false,
+          updateRange: null,
+          changedRange: null,
 
           // Luma fields
           isIndexed,
@@ -428,6 +538,10 @@ export default class AttributeManager {
 
       // Add to both attributes list (for registration with model)
       newAttributes[attributeName] = attributeData;
+
+      if (attributeData.transition) {
+        this.transitions[attributeName] = this._createTransition(attributeName, attributeData);
+      }
     }
 
     Object.assign(this.attributes, newAttributes);
@@ -463,6 +577,52 @@ export default class AttributeManager {
     this.updateTriggers = triggers;
   }
 
+  // Creates the state of a `transition` attribute. The `<name>From` attribute holds the
+  // values to transition from, or no value when the attribute is not transitioning,
+  // in which case it should share the buffer of the attribute (`transitionOf`)
+  _createTransition(attributeName, attribute) {
+    const {size, type, instanced} = attribute;
+    return {
+      fromAttribute: {
+        size,
+        type,
+        instanced,
+        isIndexed: false,
+        value: null,
+        changed: true,
+        transitionOf: attributeName
+      },
+      settings: null,
+      startTime: 0,
+      isActive: false
+    };
+  }
+
+  _isTransitioning() {
+    for (const attributeName in this.transitions) {
+      if (this.transitions[attributeName].isActive) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  // Returns the `<name>From` attributes that need to be set on the model. Attributes
+  // that are not transitioning share the attribute's buffer again whenever it changes
+  _getChangedTransitionAttributes({clearChangedFlags}) {
+    const {attributes, transitions} = this;
+    const changedAttributes = {};
+    for (const attributeName in transitions) {
+      const {fromAttribute} = transitions[attributeName];
+      const needsShare = fromAttribute.value === null && attributes[attributeName].changed;
+      if (fromAttribute.changed || needsShare) {
+        fromAttribute.changed = fromAttribute.changed && !clearChangedFlags;
+        changedAttributes[`${attributeName}From`] = fromAttribute;
+      }
+    }
+    return changedAttributes;
+  }
+
   _validateAttributeDefinition(attributeName, attribute) {
     assert(attribute.size >= 1 && attribute.size <= 4,
       `Attribute definition for ${attributeName} invalid size`);
@@ -541,14 +701,21 @@ export default class AttributeManager {
     for (const attributeName in attributes) {
       const attribute = attributes[attributeName];
       if (!attribute.isExternalBuffer) {
+        const hasUpdater = Boolean(attribute.update || attribute.accessor);
         // Do we need to reallocate the attribute's typed array?
         const needsAlloc =
           attribute.value === null ||
           attribute.value.length / attribute.size < numInstances;
-        if (needsAlloc && (attribute.update || attribute.accessor)) {
+        if (needsAlloc && hasUpdater) {
           attribute.needsAlloc = true;
           needsUpdate = true;
         }
+        // Appended rows always need to be generated
+        const isAppending = numInstances > this.numInstances && attribute.value !== null;
+        if (isAppending && hasUpdater && attribute.instanced) {
+          this._invalidateAttribute(attribute, {startRow: this.numInstances, endRow: numInstances});
+          needsUpdate = true;
+        }
         if (attribute.needsUpdate) {
           needsUpdate = true;
         }
@@ -571,26 +738,22 @@ export default class AttributeManager {
    * @param {Object} opts.context - Used as "this" context for updaters
    */
   /* eslint-disable max-statements, complexity */
-  _updateBuffers({numInstances, data, props, context}) {
+  _updateBuffers({numInstances, data, props, context, transitions}) {
     const {attributes} = this;
 
     // Allocate at least one element to ensure a valid buffer
     const allocCount = Math.max(numInstances, 1);
 
+    // Capture the values of transitioning attributes before they are overwritten
+    const time = Date.now();
+    const startValues = this._getTransitionStartValues({transitions, time});
+
     for (const attributeName in attributes) {
       const attribute = attributes[attributeName];
 
       // Allocate a new typed array if needed
       if (attribute.needsAlloc) {
-        const ArrayType = glArrayFromType(attribute.type || GL.FLOAT);
-        attribute.value = new ArrayType(attribute.size * allocCount);
-        logFunctions.onUpdate({
-          level: LOG_DETAIL_PRIORITY,
-          message: `${attributeName} allocated ${allocCount}`,
-          id: this.id
-        });
-        attribute.needsAlloc = false;
-        attribute.needsUpdate = true;
+        this._allocateBuffer({attribute, attributeName, allocCount});
       }
     }
 
@@ -602,20 +765,128 @@ export default class AttributeManager {
       }
     }
 
+    for (const attributeName in startValues) {
+      const {settings, value: startValue} = startValues[attributeName];
+      this._startTransition({attributeName, settings, startValue, numInstances, time});
+    }
+
     this.allocedInstances = allocCount;
   }
 
+  // Allocates a new typed array for the attribute
+  // Instanced attributes grow geometrically so that appending rows is amortized, and keep
+  // their existing values if only a range of rows needs to be regenerated
+  _allocateBuffer({attribute, attributeName, allocCount}) {
+    const {value: oldValue, size, instanced, updateRange} = attribute;
+    const ArrayType = glArrayFromType(attribute.type || GL.FLOAT);
+    const isGrowing = Boolean(instanced) && oldValue !== null;
+
+    const count = isGrowing ? Math.max(allocCount, 2 * oldValue.length / size) : allocCount;
+    attribute.value = new ArrayType(size * count);
+    logFunctions.onUpdate({
+      level: LOG_DETAIL_PRIORITY,
+      message: `${attributeName} allocated ${count}`,
+      id: this.id
+    });
+
+    if (isGrowing && attribute.needsUpdate && updateRange !== null) {
+      attribute.value.set(oldValue);
+    } else {
+      attribute.updateRange = null;
+    }
+    attribute.needsAlloc = false;
+    attribute.needsUpdate = true;
+    // Buffer needs to be uploaded in full after reallocation
+    attribute.changedRange = null;
+    attribute.changed = true;
+  }
+
+  // Returns the settings and start values of the `transition` attributes about to be updated
+  // Only instanced attributes that already have values can transition
+  _getTransitionStartValues({transitions, time}) {
+    const startValues = {};
+    for (const attributeName in this.transitions) {
+      const attribute = this.attributes[attributeName];
+      if (attribute.needsUpdate || attribute.needsAlloc) {
+        const settings = attribute.instanced ?
+          getTransitionSettings(transitions, attributeName, attribute.accessor) : null;
+        startValues[attributeName] = {
+          settings,
+          value: settings && attribute.value ? this._getCurrentValue(attributeName, time) : null
+        };
+      }
+    }
+    return startValues;
+  }
+
+  // Returns a copy of the values an attribute is currently drawn with, so that a
+  // transition that is interrupted continues from where it was
+  _getCurrentValue(attributeName, time) {
+    const {value, size} = this.attributes[attributeName];
+    const transition = this.transitions[attributeName];
+    const currentValue = value.slice(0, this.numInstances * size);
+
+    if (transition.isActive) {
+      const fromValue = transition.fromAttribute.value;
+      const progress = transition.settings.easing(getTransitionRatio(transition, time));
+      const length = Math.min(currentValue.length, fromValue.length);
+      for (let i = 0; i < length; i++) {
+        currentValue[i] = fromValue[i] + (currentValue[i] - fromValue[i]) * progress;
+      }
+    }
+    return currentValue;
+  }
+
+  // Starts transitioning an updated attribute from its start values, objects that
+  // were added transition from the values returned by the `enter` callback.
+  // Without settings or start values, the attribute snaps to its new values.
+  _startTransition({attributeName, settings, startValue, numInstances, time}) {
+    const transition = this.transitions[attributeName];
+    const {fromAttribute} = transition;
+
+    transition.isActive = Boolean(startValue);
+    if (!startValue) {
+      fromAttribute.value = null;
+      return;
+    }
+
+    const {value, size} = this.attributes[attributeName];
+    const fromValue = new value.constructor(Math.max(numInstances, 1) * size);
+    const startRows = Math.min(startValue.length / size, numInstances);
+    fromValue.set(startValue.subarray(0, startRows * size));
+
+    for (let i = startRows; i < numInstances; i++) {
+      const toValue = Array.prototype.slice.call(value, i * size, i * size + size);
+      let enterValue = settings.enter(toValue);
+      enterValue = Number.isFinite(enterValue) ? [enterValue] : enterValue;
+      for (let j = 0; j < size; j++) {
+        fromValue[i * size + j] = enterValue[j];
+      }
+    }
+
+    transition.settings = settings;
+    transition.startTime = time;
+    fromAttribute.value = fromValue;
+    fromAttribute.changed = true;
+    this.needsRedraw = true;
+  }
+
   _updateBuffer({attribute, attributeName, numInstances, data, props, context}) {
     const {update, accessor} = attribute;
+    const range = this._getUpdateRange(attribute, numInstances);
+    const {startRow, endRow} = range;
 
     const timeStart = new Date();
-    if (update) {
+    if (this._updateBufferViaColumn({attribute, data, numInstances, startRow, endRow})) {
+      // Columnar data - values copied directly, accessors are not called
+      this._checkAttributeArray(attribute, attributeName);
+    } else if (update) {
       // Custom updater - typically for non-instanced layers
-      update.call(context, attribute, {data, props, numInstances});
+      update.call(context, attribute, {data, props, numInstances, startRow, endRow});
       this._checkAttributeArray(attribute, attributeName);
     } else if (accessor) {
       // Standard updater
-      this._updateBufferViaStandardAccessor({attribute, data, props});
+      this._updateBufferViaStandardAccessor({attribute, data, props, startRow, endRow});
       this._checkAttributeArray(attribute, attributeName);
     } else {
       logFunctions.onUpdate({
@@ -628,17 +899,56 @@ export default class AttributeManager {
     const time = `${timeMs}ms`;
     logFunctions.onUpdate({
       level: LOG_DETAIL_PRIORITY,
-      message: `${attributeName} updated ${numInstances} ${time}`,
+      message: `${attributeName} updated ${endRow - startRow} of ${numInstances} ${time}`,
       id: this.id
     });
 
+    // Accumulate changed rows until the changes are consumed by getChangedAttributes
+    const isPartial = attribute.updateRange !== null;
+    if (!attribute.changed) {
+      attribute.changedRange = isPartial ? range : null;
+    } else if (attribute.changedRange) {
+      attribute.changedRange = isPartial ? mergeRanges(attribute.changedRange, range) : null;
+    }
+
     attribute.needsUpdate = false;
+    attribute.updateRange = null;
     attribute.changed = true;
     this.needsRedraw = true;
   }
   /* eslint-enable max-statements */
 
-  _updateBufferViaStandardAccessor({attribute, data, props}) {
+  // Returns the rows to regenerate, clamped to the current number of instances
+  _getUpdateRange(attribute, numInstances) {
+    const {updateRange} = attribute;
+    if (!updateRange) {
+      return {startRow: 0, endRow: numInstances};
+    }
+    const endRow = Math.min(updateRange.endRow, numInstances);
+    return {startRow: Math.min(updateRange.startRow, endRow), endRow};
+  }
+
+  // Copies the attribute's values from a column if data is a columnar table
+  // Returns true if the attribute was updated
+  _updateBufferViaColumn({attribute, data, numInstances, startRow, endRow}) {
+    const {accessor, columnar, value, size} = attribute;
+    const table = columnar && typeof accessor === 'string' && getColumnarTable(data);
+    if (!table || table.length !== numInstances) {
+      return false;
+    }
+
+    const column = getColumn(table, accessor);
+    if (!column || column.isVertexColumn) {
+      return false;
+    }
+
+    let {defaultValue = [0, 0, 0, 0]} = attribute;
+    defaultValue = Array.isArray(defaultValue) ? defaultValue : [defaultValue];
+    copyColumn({target: value, size, column, startRow, endRow, defaultValue});
+    return true;
+  }
+
+  _updateBufferViaStandardAccessor({attribute, data, props, startRow, endRow}) {
     const {accessor, value, size} = attribute;
     const accessorFunc = props[accessor];
 
@@ -646,8 +956,8 @@ export default class AttributeManager {
 
     let {defaultValue = [0, 0, 0, 0]} = attribute;
     defaultValue = Array.isArray(defaultValue) ? defaultValue : [defaultValue];
-    let i = 0;
-    for (const object of data) {
+    let i = startRow * size;
+    forEachInRange(data, startRow, endRow, object => {
       let objectValue = accessorFunc(object);
       objectValue = Array.isArray(objectValue) ? objectValue : [objectValue];
       /* eslint-disable no-fallthrough, default-case */
@@ -658,7 +968,7 @@ export default class AttributeManager {
       case 1: value[i + 0] = Number.isFinite(objectValue[0]) ? objectValue[0] : defaultValue[0];
       }
       i += size;
-    }
+    });
   }
 
   _checkAttributeArray(attribute, attributeName) {
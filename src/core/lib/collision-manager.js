@@ -0,0 +1,207 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {COORDINATE_SYSTEM} from './constants';
+
+// Size of the cells of the grid index of placed boxes, in pixels
+const GRID_CELL_SIZE = 64;
+
+/**
+ * Projects a position of a layer to screen pixels
+ * @param {Layer} layer - layer that renders the position
+ * @param {Array} position - position in the layer's coordinate system
+ * @return {Array} - `[x, y]` from the top left corner of the viewport
+ */
+export function projectPosition(layer, position) {
+  const {viewport} = layer.context;
+  const {coordinateSystem, coordinateOrigin} = layer.props;
+  let xyz = [position[0], position[1], position[2] || 0];
+  if (coordinateSystem === COORDINATE_SYSTEM.METER_OFFSETS && viewport.addMetersToLngLat) {
+    xyz = viewport.addMetersToLngLat(coordinateOrigin, xyz);
+  }
+  return viewport.project(xyz);
+}
+
+// Spatial hash of axis aligned boxes
+class BoxIndex {
+  constructor() {
+    this.cells = new Map();
+  }
+
+  // Visits the cells covered by a box, stops when `visitCell` returns true
+  _forEachCell([x0, y0, x1, y1], visitCell) {
+    const startX = Math.floor(x0 / GRID_CELL_SIZE);
+    const startY = Math.floor(y0 / GRID_CELL_SIZE);
+    const endX = Math.floor(x1 / GRID_CELL_SIZE);
+    const endY = Math.floor(y1 / GRID_CELL_SIZE);
+    for (let x = startX; x <= endX; x++) {
+      for (let y = startY; y <= endY; y++) {
+        if (visitCell(`${x},${y}`)) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  insert(box) {
+    this._forEachCell(box, key => {
+      const cell = this.cells.get(key);
+      if (cell) {
+        cell.push(box);
+      } else {
+        this.cells.set(key, [box]);
+      }
+    });
+  }
+
+  collides(box) {
+    return this._forEachCell(box, key => {
+      const cell = this.cells.get(key);
+      return Boolean(cell) && cell.some(other =>
+        box[0] < other[2] && other[0] < box[2] && box[1] < other[3] && other[1] < box[3]
+      );
+    });
+  }
+}
+
+/**
+ * Hides the lower priority items that overlap higher priority items
+ * @param {Array} items - `{box, priority}`, where `box` is `[x0, y0, x1, y1]`
+ * @return {Array} - true for each item that is placed
+ */
+export function placeItems(items) {
+  const order = items.map((item, i) => i);
+  // Higher priorities first, ties are placed in order
+  order.sort((i, j) => (items[j].priority - items[i].priority) || (i - j));
+
+  const index = new BoxIndex();
+  const placed = new Array(items.length).fill(false);
+  for (const i of order) {
+    const {box} = items[i];
+    if (box.every(Number.isFinite) && !index.collides(box)) {
+      index.insert(box);
+      placed[i] = true;
+    }
+  }
+  return placed;
+}
+
+/**
+ * Resolves collisions between the items (e.g. labels and icons) of the layers with
+ * `collisionEnabled`, and fades hidden items out.
+ *
+ * Participating layers implement:
+ * - `getCollisionItems()` - returns `{boxes, priorities}`, with the `[x0, y0, x1, y1]`
+ *   screen space box and the priority of each item in the current viewport
+ * - `setCollisionOpacities(opacities)` - renders each item with the given opacity
+ *
+ * Layers with the same `collisionGroup` prop collide with each other.
+ */
+export default class CollisionManager {
+  constructor() {
+    // Current opacity of each item, by layer id
+    this.opacities = new Map();
+    this.lastTime = null;
+    this.isAnimating = false;
+  }
+
+  // Returns true if items are still fading in or out
+  needsRedraw() {
+    return this.isAnimating;
+  }
+
+  /**
+   * Places the items of all participating layers in the current viewport
+   * @param {Object} opts
+   * @param {Array} opts.layers - all layers
+   * @param {Number} opts.time - current time in milliseconds
+   */
+  update({layers, time = Date.now()}) {
+    const participants = layers.filter(layer =>
+      layer.props.collisionEnabled && layer.getCollisionItems && layer.setCollisionOpacities
+    );
+
+    // Collect the items of each collision group
+    const groups = new Map();
+    for (const layer of participants) {
+      const {collisionGroup} = layer.props;
+      const group = groups.get(collisionGroup) || [];
+      groups.set(collisionGroup, group);
+
+      const {boxes, priorities} = layer.getCollisionItems();
+      for (let i = 0; i < boxes.length; i++) {
+        group.push({layer, index: i, box: boxes[i], priority: priorities[i] || 0});
+      }
+    }
+
+    // Place the items of each group and record the target opacities
+    const targets = new Map();
+    for (const layer of participants) {
+      targets.set(layer, []);
+    }
+    for (const items of groups.values()) {
+      const placed = placeItems(items);
+      items.forEach(({layer, index}, i) => {
+        targets.get(layer)[index] = placed[i] ? 1 : 0;
+      });
+    }
+
+    const deltaTime = this.lastTime === null ? 0 : time - this.lastTime;
+    this.lastTime = time;
+    this.isAnimating = false;
+
+    const opacities = new Map();
+    for (const layer of participants) {
+      const layerOpacities = this._fadeOpacities({
+        opacities: this.opacities.get(layer.id),
+        targets: targets.get(layer),
+        step: deltaTime / Math.max(layer.props.collisionFadeDuration, 1)
+      });
+      opacities.set(layer.id, layerOpacities);
+      layer.setCollisionOpacities(layerOpacities);
+    }
+    // Forget the layers that no longer participate
+    this.opacities = opacities;
+  }
+
+  // Moves opacities towards their targets
+  // Items of new layers, or of layers whose number of items changed, are shown or hidden
+  // right away
+  _fadeOpacities({opacities, targets, step}) {
+    if (!opacities || opacities.length !== targets.length) {
+      return Float32Array.from(targets);
+    }
+
+    const result = new Float32Array(targets.length);
+    let changed = false;
+    for (let i = 0; i < targets.length; i++) {
+      const target = targets[i];
+      const opacity = opacities[i];
+      result[i] = target > opacity ?
+        Math.min(target, opacity + step) :
+        Math.max(target, opacity - step);
+      changed = changed || result[i] !== opacity;
+      this.isAnimating = this.isAnimating || result[i] !== target;
+    }
+    // Keep the same array if nothing changed, so that layers are not redrawn
+    return changed ? result : opacities;
+  }
+}
@@ -56,13 +56,15 @@ export default class CompositeLayer extends Layer {
   getSubLayerProps(sublayerProps) {
     const {
       opacity, pickable, visible,
-      parameters, getPolygonOffset,
+      parameters, getPolygonOffset, transitions, filterRange, material,
+      isMask, maskId, maskInverted, highlightOutline,
       highlightedObjectIndex, autoHighlight, highlightColor,
       coordinateSystem, coordinateOrigin, modelMatrix
     } = this.props;
     const newProps = {
       opacity, pickable, visible,
-      parameters, getPolygonOffset,
+      parameters, getPolygonOffset, transitions, filterRange, material,
+      isMask, maskId, maskInverted, highlightOutline,
       highlightedObjectIndex, autoHighlight, highlightColor,
       coordinateSystem, coordinateOrigin, modelMatrix
     };
@@ -66,8 +66,12 @@ export function drawLayers(gl, {
   onViewportActive,
   useDevicePixels,
   drawPickingColors = false,
+  // Layers drawn with picking colors are limited to pickable layers, except in passes
+  // that only use the layer index in the alpha channel
+  pickableOnly = drawPickingColors,
   deviceRect = null,
   parameters = {},
+  moduleParameters = {},
   layerFilter = null,
   pass = 'draw',
   redrawReason = ''
@@ -88,8 +92,10 @@ export function drawLayers(gl, {
       viewport,
       useDevicePixels,
       drawPickingColors,
+      pickableOnly,
       deviceRect,
       parameters,
+      moduleParameters,
       layerFilter,
       pass,
       redrawReason
@@ -108,6 +114,7 @@ export function drawPickingBuffer(gl, {
   useDevicePixels,
   pickingFBO,
   deviceRect: {x, y, width, height},
+  moduleParameters = {},
   layerFilter = null,
   redrawReason = ''
 }) {
@@ -132,6 +139,7 @@ export function drawPickingBuffer(gl, {
       layerFilter,
       pass: 'picking',
       redrawReason,
+      moduleParameters,
       parameters: {
         blend: true,
         blendFunc: [gl.ONE, gl.ZERO, gl.CONSTANT_ALPHA, gl.ZERO],
@@ -151,8 +159,10 @@ function drawLayersInViewport(gl, {
   viewport,
   useDevicePixels,
   drawPickingColors = false,
+  pickableOnly = drawPickingColors,
   deviceRect = null,
   parameters = {},
+  moduleParameters = {},
   layerFilter,
   pass = 'draw',
   redrawReason = ''
@@ -177,7 +187,11 @@ function drawLayersInViewport(gl, {
 
     // Check if we should draw layer
     let shouldDrawLayer = layer.props.visible;
-    if (drawPickingColors) {
+    // Mask layers are only drawn into their masks
+    if (layer.props.isMask !== (pass === 'mask')) {
+      shouldDrawLayer = false;
+    }
+    if (pickableOnly) {
       shouldDrawLayer = shouldDrawLayer && layer.props.pickable;
     }
     if (shouldDrawLayer && layerFilter) {
@@ -199,7 +213,9 @@ function drawLayersInViewport(gl, {
         renderStats.visibleCount++;
       }
 
-      drawLayerInViewport({gl, layer, layerIndex, drawPickingColors, glViewport, parameters});
+      drawLayerInViewport({
+        gl, layer, layerIndex, drawPickingColors, glViewport, parameters, moduleParameters, pass
+      });
     }
 
   });
@@ -209,11 +225,16 @@ function drawLayersInViewport(gl, {
   logRenderStats({renderStats, pass, redrawReason});
 }
 
-function drawLayerInViewport({gl, layer, layerIndex, drawPickingColors, glViewport, parameters}) {
+function drawLayerInViewport({
+  gl, layer, layerIndex, drawPickingColors, glViewport, parameters, moduleParameters: passModules,
+  pass
+}) {
+  // Passes can supply additional module parameters, e.g. effects that supply a shadow map
   const moduleParameters = Object.assign({}, layer.props, {
     viewport: layer.context.viewport,
+    lighting: layer.context.lighting,
     pickingActive: drawPickingColors ? 1 : 0
-  });
+  }, passModules);
 
   // TODO: Update all layers to use 'picking_uActive' (picking shader module)
   // and then remove 'renderPickingBuffer' and 'pickingEnabled'.
@@ -232,9 +253,10 @@ function drawLayerInViewport({gl, layer, layerIndex, drawPickingColors, glViewpo
   // Blend parameters must not be overriden
   const layerParameters = Object.assign({}, layer.props.parameters || {}, parameters);
 
-  Object.assign(layerParameters, {
-    viewport: glViewport
-  });
+  // Passes that draw into framebuffers, e.g. shadow maps, can supply their own viewport
+  if (!parameters.viewport) {
+    layerParameters.viewport = glViewport;
+  }
 
   if (drawPickingColors) {
     // TODO - Disable during picking
@@ -249,7 +271,8 @@ function drawLayerInViewport({gl, layer, layerIndex, drawPickingColors, glViewpo
     layer.drawLayer({
       moduleParameters,
       uniforms,
-      parameters: layerParameters
+      parameters: layerParameters,
+      pass
     });
   });
 }
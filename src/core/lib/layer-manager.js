@@ -23,6 +23,9 @@ import {Framebuffer, ShaderCache} from 'luma.gl';
 import seer from 'seer';
 import Layer from './layer';
 import {drawLayers} from './draw-layers';
+import CollisionManager from './collision-manager';
+import MaskManager from './mask-manager';
+import OutlineManager from './outline-manager';
 import {pickObject, pickVisibleObjects} from './pick-layers';
 import {LIFECYCLE} from './constants';
 import Viewport from '../viewports/viewport';
@@ -47,9 +50,11 @@ const initialContext = {
   viewports: [],
   viewport: null,
   layerFilter: null,
+  lighting: null,
   viewportChanged: true,
   pickingFBO: null,
   useDevicePixels: true,
+  layerManager: null,
   lastPickedInfo: {
     index: -1,
     layerId: null
@@ -77,6 +82,7 @@ export default class LayerManager {
     this.oldContext = {};
     this.context = Object.assign({}, initialContext, {
       gl,
+      layerManager: this,
       // Enabling luma.gl Program caching using private API (_cachePrograms)
       shaderCache: new ShaderCache({gl, _cachePrograms: true})
     });
@@ -88,6 +94,14 @@ export default class LayerManager {
     this.viewDescriptorsChanged = true;
     this.viewports = []; // Generated viewports
     this._needsRedraw = 'Initial render';
+    this._needsUpdate = false;
+
+    // Resolves collisions between labels and icons of layers with `collisionEnabled`
+    this.collisionManager = new CollisionManager();
+    // Draws the layers with `isMask` into the masks sampled by layers with `maskId`
+    this.maskManager = new MaskManager(gl);
+    // Draws the outlines of the layers with `highlightOutline`
+    this.outlineManager = new OutlineManager(gl);
 
     // Event handling
     this._pickingRadius = 0;
@@ -126,9 +140,14 @@ export default class LayerManager {
   finalize() {
     seer.removeListener(this._initSeer);
     seer.removeListener(this._editSeer);
+    this.maskManager.finalize();
+    this.outlineManager.finalize();
   }
 
   needsRedraw({clearRedrawFlags = true} = {}) {
+    if (this._needsUpdate) {
+      this._updateRequestedLayers();
+    }
     return this._checkIfNeedsRedraw(clearRedrawFlags);
   }
 
@@ -137,6 +156,12 @@ export default class LayerManager {
     this._needsRedraw = this._needsRedraw || reason;
   }
 
+  // Called by layers (e.g. after async data arrives) to have their sublayers regenerated
+  // Normally not called by app
+  setNeedsUpdate(reason) {
+    this._needsUpdate = this._needsUpdate || reason;
+  }
+
   // Gets an (optionally) filtered list of layers
   getLayers({layerIds = null} = {}) {
     // Filtering by layerId compares beginning of strings, so that sublayers will be included
@@ -173,6 +198,17 @@ export default class LayerManager {
       this._setEventHandlingParameters(parameters);
     }
 
+    // Set before layers, so that new layers size their light arrays to the new lights
+    if ('lighting' in parameters && parameters.lighting !== this.context.lighting) {
+      this.context.lighting = parameters.lighting;
+      for (const layer of this.layers) {
+        if (layer.lightingDefinesChanged()) {
+          layer.setNeedsUpdate();
+        }
+      }
+      this.setNeedsRedraw('lighting changed');
+    }
+
     // TODO - For now we set layers before viewports to preservenchangeFlags
     if ('layers' in parameters) {
       this.setLayers(parameters.layers);
@@ -229,6 +265,8 @@ export default class LayerManager {
       oldLayers: this.prevLayers,
       newLayers
     });
+    // Layers that requested an update have been updated during matching
+    this._needsUpdate = false;
 
     this.layers = generatedLayers;
     // Throw first error found, if any
@@ -238,20 +276,63 @@ export default class LayerManager {
     return this;
   }
 
-  drawLayers({pass = 'render to screen', redrawReason = 'unknown reason'} = {}) {
+  /**
+   * Draws the layers in all viewports
+   * @param {Object} opts
+   * @param {String} opts.pass - name of the pass, for logging
+   * @param {String} opts.redrawReason - for logging
+   * @param {Function} opts.layerFilter - overrides the `layerFilter` of the context
+   * @param {Object} opts.parameters - WebGL parameters applied to all layers
+   * @param {Object} opts.moduleParameters - shader module settings applied to all layers
+   * @param {Boolean} opts.useMasks - whether layers are masked by mask layers. Masks cover
+   *   the drawing buffer, passes that draw into framebuffers of another size must disable them
+   * @param {Boolean} opts.drawOutlines - whether the outlines of layers with `highlightOutline`
+   *   are drawn on top of the layers. Outlines cover the drawing buffer, like masks
+   */
+  drawLayers({
+    pass = 'render to screen',
+    redrawReason = 'unknown reason',
+    layerFilter = this.context.layerFilter,
+    parameters = {},
+    moduleParameters = {},
+    useMasks = true,
+    drawOutlines = true
+  } = {}) {
     const {gl, useDevicePixels, drawPickingColors} = this.context;
+    const layers = this.layers;
+    const viewports = this.getViewports();
+    const onViewportActive = this._activateViewport.bind(this);
+
+    if (useMasks) {
+      const masks = this.maskManager.drawMasks({
+        layers, viewports, onViewportActive, useDevicePixels
+      });
+      moduleParameters = Object.assign({masks}, moduleParameters);
+    }
+
+    if (drawOutlines) {
+      this.outlineManager.drawOutlineMap({
+        layers, viewports, onViewportActive, useDevicePixels, layerFilter, moduleParameters
+      });
+    }
 
     // render this viewport
     drawLayers(gl, {
-      layers: this.layers,
-      viewports: this.getViewports(),
-      onViewportActive: this._activateViewport.bind(this),
+      layers,
+      viewports,
+      onViewportActive,
       useDevicePixels,
       drawPickingColors,
       pass,
-      layerFilter: this.context.layerFilter,
+      layerFilter,
+      parameters,
+      moduleParameters,
       redrawReason
     });
+
+    if (drawOutlines) {
+      this.outlineManager.drawOutlines();
+    }
   }
 
   // Pick the closest info at given coordinate
@@ -272,6 +353,8 @@ export default class LayerManager {
       viewports: this.getViewports(),
       onViewportActive: this._activateViewport.bind(this),
       pickingFBO: this._getPickingBuffer(),
+      // Objects are masked as in the last render
+      moduleParameters: {masks: this.maskManager.masks},
       lastPickedInfo: this.context.lastPickedInfo,
       useDevicePixels
     });
@@ -296,6 +379,7 @@ export default class LayerManager {
       viewports: this.getViewports(),
       onViewportActive: this._activateViewport.bind(this),
       pickingFBO: this._getPickingBuffer(),
+      moduleParameters: {masks: this.maskManager.masks},
       useDevicePixels
     });
   }
@@ -319,6 +403,26 @@ export default class LayerManager {
   // PRIVATE METHODS
   //
 
+  // Rematches the current layer list, picking up sublayers regenerated by layers
+  // that requested an update since the last render
+  _updateRequestedLayers() {
+    const reason = this._needsUpdate;
+
+    const {error, generatedLayers} = this._updateLayers({
+      oldLayers: this.layers,
+      newLayers: flatten(this.lastRenderedLayers, {filter: Boolean})
+    });
+    // Layers that request an update during matching are updated right away
+    this._needsUpdate = false;
+
+    this.layers = generatedLayers;
+    this.setNeedsRedraw(reason);
+    // Throw first error found, if any
+    if (error) {
+      throw error;
+    }
+  }
+
   _checkIfNeedsRedraw(clearRedrawFlags) {
     let redraw = this._needsRedraw;
     if (clearRedrawFlags) {
@@ -332,6 +436,9 @@ export default class LayerManager {
       redraw = redraw || layerNeedsRedraw;
     }
 
+    // Keep redrawing while hidden labels fade out
+    redraw = redraw || this.collisionManager.needsRedraw();
+
     return redraw;
   }
 
@@ -477,6 +584,11 @@ export default class LayerManager {
           layer.setChangeFlags({viewportChanged: 'Viewport changed'});
           this._updateLayer(layer);
         }
+
+        // Collisions are resolved in the first viewport
+        if (viewport === this.context.viewports[0]) {
+          this.collisionManager.update({layers: this.layers});
+        }
       }
     }
 
@@ -24,7 +24,12 @@ import AttributeManager from './attribute-manager';
 import Stats from './stats';
 import {getDefaultProps, diffProps} from './props';
 import {count} from '../utils/count';
+import {forEachInRange} from '../utils/iterable-utils';
+import {
+  isColumnarData, getColumnarTable, getColumnarProps, getColumnarObject
+} from '../utils/columnar-data';
 import log from '../utils/log';
+import {getLightingDefines, convertLightSettings} from '../shaderlib/lighting/lighting';
 import {applyPropOverrides, removeLayerInSeer} from './seer-integration';
 import {GL, withParameters} from 'luma.gl';
 import assert from 'assert';
@@ -39,7 +44,13 @@ const noop = () => {};
 const defaultProps = {
   // data: Special handling for null, see below
   dataComparator: null,
+  dataRange: null, // {startRow, endRow}: limits attribute updates to the changed rows
   updateTriggers: {}, // Update triggers: a core change detection mechanism in deck.gl
+  transitions: null, // Transition settings of attributes, keyed by accessor name
+
+  // GPU data filtering: objects with a filter value outside of filterRange are hidden
+  getFilterValue: null,
+  filterRange: null, // [min, max]
   numInstances: undefined,
 
   visible: true,
@@ -63,6 +74,20 @@ const defaultProps = {
   // https://www.opengl.org/archives/resources/faq/technical/polygonoffset.htm
   getPolygonOffset: ({layerIndex}) => [0, -layerIndex * 100],
 
+  // Surface properties used by the `lighting` shader module:
+  // {ambient, diffuse, shininess, specularColor}, null for the default material
+  material: null,
+
+  // Masking: the geometry of `isMask` layers is not drawn, but masks the layers
+  // whose `maskId` is the id of the mask layer
+  isMask: false,
+  maskId: null,
+  maskInverted: false,
+
+  // Screen space outline around the geometry of the layer, drawn on top of all layers:
+  // `true` or `{color, width, glow}`, with `width` and `glow` in pixels
+  highlightOutline: null,
+
   // Selection/Highlighting
   highlightedObjectIndex: -1,
   autoHighlight: false,
@@ -103,7 +128,7 @@ export default class Layer {
 
   needsUpdate() {
     // Call subclass lifecycle method
-    return this.shouldUpdateState(this._getUpdateParams());
+    return this.internalState.needsUpdate || this.shouldUpdateState(this._getUpdateParams());
     // End lifecycle method
   }
 
@@ -131,7 +156,9 @@ export default class Layer {
   updateState({oldProps, props, oldContext, context, changeFlags}) {
     const {attributeManager} = this.state;
     if (changeFlags.dataChanged && attributeManager) {
-      attributeManager.invalidateAll();
+      // A new data range only applies to the update it was supplied with
+      const {dataRange} = props;
+      attributeManager.invalidateAll(dataRange !== oldProps.dataRange ? dataRange : null);
     }
   }
 
@@ -153,8 +180,12 @@ export default class Layer {
     const {color, index} = info;
 
     if (index >= 0) {
-      // If props.data is an indexable array, get the object
-      if (Array.isArray(this.props.data)) {
+      const table = getColumnarTable(this.props.data);
+      if (table) {
+        // If props.data is a columnar table, build the object from the columns
+        info.object = getColumnarObject(table, index);
+      } else if (Array.isArray(this.props.data)) {
+        // If props.data is an indexable array, get the object
         info.object = this.props.data[index];
       }
     }
@@ -212,14 +243,15 @@ export default class Layer {
       buffers: props,
       context: this,
       // Don't worry about non-attribute props
-      ignoreUnknownAttributes: true
+      ignoreUnknownAttributes: true,
+      transitions: props.transitions
     });
 
     // TODO - Use getModels?
     const {model} = this.state;
     if (model) {
       const changedAttributes = attributeManager.getChangedAttributes({clearChangedFlags: true});
-      model.setAttributes(changedAttributes);
+      this._setModelAttributes(model, changedAttributes);
     }
   }
 
@@ -238,11 +270,40 @@ export default class Layer {
     }
   }
 
+  // Requests an update of this layer (and a re-render of its sublayers) on the next
+  // animation frame, e.g. after asynchronously loaded data has arrived
+  setNeedsUpdate() {
+    const {layerManager} = this.context;
+    if (this.internalState && layerManager) {
+      this.internalState.needsUpdate = true;
+      layerManager.setNeedsUpdate(String(this));
+    }
+  }
+
   // Return an array of models used by this layer, can be overriden by layer subclass
   getModels() {
     return this.state.models || (this.state.model ? [this.state.model] : []);
   }
 
+  // Returns the defines that size the light arrays of the `lighting` shader module to the
+  // lights of the scene, or to the deprecated `lightSettings` prop of the layer
+  getLightingDefines() {
+    const {lightSettings} = this.props;
+    const lighting = lightSettings ?
+      convertLightSettings(lightSettings).lighting :
+      this.context.lighting;
+    return getLightingDefines(lighting);
+  }
+
+  // Checks if the number of lights changed since the last update. Layers that use the
+  // `lighting` shader module rebuild their models with `getLightingDefines` when it did
+  lightingDefinesChanged() {
+    const lightingDefines = this.state && this.state.lightingDefines;
+    const defines = this.getLightingDefines();
+    return Boolean(lightingDefines) &&
+      Object.keys(defines).some(name => defines[name] !== lightingDefines[name]);
+  }
+
   // PROJECTION METHODS
 
   /**
@@ -334,6 +395,19 @@ export default class Layer {
     }
   }
 
+  calculateInstanceFilterValues(attribute, {startRow, endRow}) {
+    const {data, getFilterValue} = this.props;
+    const {value} = attribute;
+    if (!getFilterValue) {
+      value.fill(0, startRow, endRow);
+      return;
+    }
+    let i = startRow;
+    forEachInRange(data, startRow, endRow, object => {
+      value[i++] = getFilterValue(object);
+    });
+  }
+
   // DATA ACCESS API
   // Data can use iterators and may not be random access
 
@@ -398,6 +472,7 @@ export default class Layer {
 
     this.internalState = {
       subLayers: null,     // reference to sublayers rendered in a previous cycle
+      needsUpdate: false,  // set by `setNeedsUpdate`, forces an update on next layer matching
       stats: new Stats({id: 'draw'})
       // animatedProps: null, // Computing animated props requires layer manager state
       // TODO - move these fields here (risks breaking layers)
@@ -408,7 +483,8 @@ export default class Layer {
     this.state = {
       attributeManager,
       model: null,
-      needsRedraw: true
+      needsRedraw: true,
+      lightingDefines: this.getLightingDefines() // Light counts the models are built for
     };
 
     // Call subclass lifecycle methods
@@ -475,7 +551,9 @@ export default class Layer {
     this.updateState(updateParams);
     // End subclass lifecycle methods
 
+    this.state.lightingDefines = this.getLightingDefines();
     // Add any subclass attributes
+    this._addFilterAttribute();
     this.updateAttributes(this.props);
     this._updateBaseUniforms();
     this._updateModuleSettings();
@@ -497,7 +575,7 @@ export default class Layer {
   }
 
   // Calculates uniforms
-  drawLayer({moduleParameters = null, uniforms = {}, parameters = {}}) {
+  drawLayer({moduleParameters = null, uniforms = {}, parameters = {}, pass = 'draw'}) {
 
     // TODO/ib - hack move to luma Model.draw
     if (moduleParameters) {
@@ -512,9 +590,15 @@ export default class Layer {
     const offsets = getPolygonOffset && getPolygonOffset(uniforms) || [0, 0];
     parameters.polygonOffset = offsets;
 
+    // Progress of attribute transitions
+    const {attributeManager} = this.state;
+    if (attributeManager) {
+      uniforms = Object.assign({}, uniforms, attributeManager.getTransitionUniforms());
+    }
+
     // Call subclass lifecycle method
     withParameters(this.context.gl, parameters, () => {
-      this.draw({moduleParameters, uniforms, parameters, context: this.context});
+      this.draw({moduleParameters, uniforms, parameters, pass, context: this.context});
     });
     // End lifecycle method
   }
@@ -574,6 +658,7 @@ export default class Layer {
 
   // Clear all changeFlags, typically after an update
   clearChangeFlags() {
+    this.internalState.needsUpdate = false;
     this.internalState.changeFlags = {
       // Primary changeFlags, can be strings stating reason for change
       dataChanged: false,
@@ -618,6 +703,45 @@ ${flags.viewportChanged ? 'viewport' : ''}\
 
   // PRIVATE METHODS
 
+  // Uploads changed attributes to the model's buffers. Attributes where only a
+  // range of rows changed are uploaded with `subData` instead of a full upload
+  _setModelAttributes(model, changedAttributes) {
+    const fullAttributes = {};
+    const sharedBuffers = {};
+
+    for (const attributeName in changedAttributes) {
+      const attribute = changedAttributes[attributeName];
+      const buffer = model.buffers[attributeName];
+
+      // Attributes to transition from share the buffer of the transitioning attribute
+      // when idle, and need a buffer of their own during a transition
+      if (attribute.transitionOf && attribute.value === null) {
+        sharedBuffers[attributeName] = attribute.transitionOf;
+      } else if (attribute.changedRange && buffer) {
+        const {value, size} = attribute;
+        const {startRow, endRow} = attribute.changedRange;
+        buffer.subData({
+          data: value.subarray(startRow * size, endRow * size),
+          offset: startRow * size * value.BYTES_PER_ELEMENT
+        });
+      } else {
+        if (attribute.transitionOf && buffer === model.buffers[attribute.transitionOf]) {
+          delete model.buffers[attributeName];
+        }
+        fullAttributes[attributeName] = attribute;
+      }
+    }
+
+    model.setAttributes(fullAttributes);
+
+    for (const attributeName in sharedBuffers) {
+      const buffer = model.buffers[sharedBuffers[attributeName]];
+      if (buffer) {
+        model.setAttributes({[attributeName]: buffer});
+      }
+    }
+  }
+
   _getUpdateParams() {
     return {
       props: this.props,
@@ -666,6 +790,10 @@ ${flags.viewportChanged ? 'viewport' : ''}\
     // Accept null as data - otherwise apps and layers need to add ugly checks
     // Use constant fallback so that data change is not triggered
     props.data = props.data || EMPTY_ARRAY;
+    // Columnar tables are consumed as row indices, with accessors reading from the columns
+    if (isColumnarData(props.data)) {
+      Object.assign(props, getColumnarProps(props.data));
+    }
     // Apply any overrides from the seer debug extension if it is active
     applyPropOverrides(props);
     // Props are immutable
@@ -738,9 +866,28 @@ ${flags.viewportChanged ? 'viewport' : ''}\
     this.state.needsRedraw = true;
   }
 
+  // Registers the instanceFilterValues attribute used by the `filter` shader module once
+  // `getFilterValue` is supplied. Until then shaders read a filter value of 0.
+  // Layers that calculate their own filter values register an attribute with the
+  // `getFilterValue` accessor in `initializeState` instead
+  _addFilterAttribute() {
+    const {attributeManager} = this.state;
+    if (!this.props.getFilterValue || this.isComposite || !attributeManager ||
+      attributeManager.getAccessors().getFilterValue) {
+      return;
+    }
+    attributeManager.addInstanced({
+      instanceFilterValues: {
+        size: 1, accessor: 'getFilterValue', columnar: true, defaultValue: 0,
+        update: this.calculateInstanceFilterValues
+      }
+    });
+  }
+
   _updateModuleSettings() {
     const settings = {
-      pickingHighlightColor: this.props.highlightColor
+      pickingHighlightColor: this.props.highlightColor,
+      filterRange: this.props.filterRange
     };
     for (const model of this.getModels()) {
       model.updateModuleSettings(settings);
@@ -0,0 +1,109 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {Framebuffer, withParameters} from 'luma.gl';
+import {drawLayers} from './draw-layers';
+
+/**
+ * Returns the id of the mask that a mask layer draws into, i.e. the id of its
+ * outermost mask layer, so that all sublayers of a composite mask layer share one mask
+ * @param {Layer} layer - a layer with `isMask`
+ * @return {String} - mask id
+ */
+export function getMaskId(layer) {
+  let maskLayer = layer;
+  while (maskLayer.parentLayer && maskLayer.parentLayer.props.isMask) {
+    maskLayer = maskLayer.parentLayer;
+  }
+  return maskLayer.id;
+}
+
+// Draws the geometry of mask layers into screen sized framebuffers, one per mask,
+// that the `mask` shader module samples to discard fragments of masked layers
+export default class MaskManager {
+  constructor(gl) {
+    this.gl = gl;
+    // Framebuffers of the masks drawn by the last call to `drawMasks`, keyed by mask id
+    this.masks = {};
+  }
+
+  finalize() {
+    for (const maskId in this.masks) {
+      this.masks[maskId].delete();
+    }
+    this.masks = {};
+  }
+
+  /**
+   * Draws the visible mask layers into their masks
+   * @param {Object} opts
+   * @param {Layer[]} opts.layers - all layers, mask layers are picked by their `isMask` prop
+   * @param {Viewport[]} opts.viewports - viewports to draw the masks in
+   * @param {Function} opts.onViewportActive - called with each viewport before drawing in it
+   * @param {Boolean} opts.useDevicePixels - see `drawLayers`
+   * @return {Object} - map from mask ids to framebuffers the size of the drawing buffer
+   */
+  drawMasks({layers, viewports, onViewportActive, useDevicePixels}) {
+    const {gl} = this;
+
+    const maskLayers = {};
+    for (const layer of layers) {
+      if (layer.props.isMask && layer.props.visible && !layer.isComposite) {
+        const maskId = getMaskId(layer);
+        maskLayers[maskId] = maskLayers[maskId] || [];
+        maskLayers[maskId].push(layer);
+      }
+    }
+
+    // Release the masks whose layers are gone
+    for (const maskId in this.masks) {
+      if (!maskLayers[maskId]) {
+        this.masks[maskId].delete();
+        delete this.masks[maskId];
+      }
+    }
+
+    for (const maskId in maskLayers) {
+      const framebuffer = this._getFramebuffer(maskId);
+      withParameters(gl, {framebuffer, clearColor: [0, 0, 0, 0]}, () => {
+        drawLayers(gl, {
+          layers: maskLayers[maskId],
+          viewports,
+          onViewportActive,
+          useDevicePixels,
+          pass: 'mask',
+          redrawReason: maskId,
+          parameters: {blend: false, depthTest: false},
+          moduleParameters: {drawMask: true}
+        });
+      });
+    }
+
+    return this.masks;
+  }
+
+  // Returns the framebuffer of a mask, resized to the drawing buffer
+  _getFramebuffer(maskId) {
+    const {gl} = this;
+    this.masks[maskId] = this.masks[maskId] || new Framebuffer(gl, {id: maskId, depth: false});
+    this.masks[maskId].resize({width: gl.drawingBufferWidth, height: gl.drawingBufferHeight});
+    return this.masks[maskId];
+  }
+}
@@ -0,0 +1,127 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Offsets are encoded in 8 bit channels, shifted to stay positive
+// MAX_OUTLINE_RADIUS must match outline-manager.js
+const SHADER_CONSTANTS = `\
+#define MAX_OUTLINE_RADIUS 32
+#define MAX_OUTLINED_LAYERS 16
+const float OFFSET_SHIFT = 33.0;
+`;
+
+export const outlineVertex = `\
+#define SHADER_NAME outline-vs
+
+attribute vec3 vertices;
+
+varying vec2 texCoord;
+
+void main(void) {
+  texCoord = vertices.xy;
+  gl_Position = vec4(vertices.xy * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
+
+// Finds the closest pixel covered by an outlined layer in each row
+export const outlineSearchFragment = `\
+#define SHADER_NAME outline-search-fs
+
+${SHADER_CONSTANTS}
+// Layer indices of the outlined layers in the alpha channel
+uniform sampler2D outlineMap;
+uniform vec2 texSize;
+uniform float radius;
+
+varying vec2 texCoord;
+
+void main(void) {
+  float closest = OFFSET_SHIFT;
+  float layerIndex = 0.0;
+  for (int i = -MAX_OUTLINE_RADIUS; i <= MAX_OUTLINE_RADIUS; i++) {
+    float dx = float(i);
+    if (abs(dx) <= radius && abs(dx) < abs(closest)) {
+      float alpha = texture2D(outlineMap, texCoord + vec2(dx / texSize.x, 0.0)).a;
+      if (alpha > 0.0) {
+        closest = dx;
+        layerIndex = alpha;
+      }
+    }
+  }
+  gl_FragColor = vec4((closest + OFFSET_SHIFT) / 255.0, 0.0, 0.0, layerIndex);
+}
+`;
+
+// Finds the closest covered pixel among the rows, and draws the outline of its layer
+export const outlineFragment = `\
+#define SHADER_NAME outline-fs
+
+${SHADER_CONSTANTS}
+const float GLOW_OPACITY = 0.6;
+
+// Closest covered pixels of each row, see outlineSearchFragment
+uniform sampler2D searchMap;
+uniform vec2 texSize;
+uniform float radius;
+uniform vec4 outlineColors[MAX_OUTLINED_LAYERS];
+// Width and glow of the outlines, in pixels
+uniform vec2 outlineStyles[MAX_OUTLINED_LAYERS];
+
+varying vec2 texCoord;
+
+void main(void) {
+  float closestDistance = radius + 1.0;
+  float layerIndex = 0.0;
+  for (int i = -MAX_OUTLINE_RADIUS; i <= MAX_OUTLINE_RADIUS; i++) {
+    float dy = float(i);
+    if (abs(dy) <= radius) {
+      vec4 texel = texture2D(searchMap, texCoord + vec2(0.0, dy / texSize.y));
+      float dx = floor(texel.r * 255.0 + 0.5) - OFFSET_SHIFT;
+      float d = length(vec2(dx, dy));
+      if (texel.a > 0.0 && d < closestDistance) {
+        closestDistance = d;
+        layerIndex = texel.a;
+      }
+    }
+  }
+
+  // Covered pixels are not outlined
+  if (layerIndex == 0.0 || closestDistance < 0.5) {
+    discard;
+  }
+
+  int index = int(floor(layerIndex * 255.0 + 0.5)) - 1;
+  vec4 color = vec4(0.0);
+  vec2 style = vec2(0.0);
+  for (int i = 0; i < MAX_OUTLINED_LAYERS; i++) {
+    if (i == index) {
+      color = outlineColors[i];
+      style = outlineStyles[i];
+    }
+  }
+
+  // Crisp outline with an antialiased edge, followed by a fading glow
+  float alpha = clamp(style.x + 0.5 - closestDistance, 0.0, 1.0);
+  if (style.y > 0.0) {
+    float glow = 1.0 - smoothstep(style.x, style.x + style.y, closestDistance);
+    alpha = max(alpha, GLOW_OPACITY * glow);
+  }
+  gl_FragColor = vec4(color.rgb, color.a * alpha);
+}
+`;
@@ -0,0 +1,215 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {GL, Framebuffer, Model, Geometry, withParameters} from 'luma.gl';
+import {drawLayers, getPixelRatio} from './draw-layers';
+import log from '../utils/log';
+import {outlineVertex, outlineSearchFragment, outlineFragment} from './outline-manager.glsl';
+
+// Limited by the uniform arrays of the outline shader
+export const MAX_OUTLINED_LAYERS = 16;
+// Maximum sum of the width and the glow of an outline in device pixels, see the shaders
+export const MAX_OUTLINE_RADIUS = 32;
+
+const DEFAULT_OUTLINE = {
+  color: [255, 255, 255, 255],
+  width: 2,
+  glow: 0
+};
+
+/**
+ * Resolves the `highlightOutline` prop of a layer
+ * @param {Layer} layer
+ * @return {Object|null} - `{color, width, glow}`, or null if the layer is not outlined
+ */
+export function getOutline(layer) {
+  const {highlightOutline} = layer.props;
+  if (!highlightOutline) {
+    return null;
+  }
+  return Object.assign({}, DEFAULT_OUTLINE, highlightOutline === true ? null : highlightOutline);
+}
+
+/**
+ * Returns the uniforms of the outline shader
+ * @param {Object[]} outlines - `{color, width, glow}` of the outlined layers, in order
+ * @param {Number} pixelRatio - device pixels per CSS pixel
+ * @return {Object} - uniforms
+ */
+export function getOutlineUniforms(outlines, pixelRatio) {
+  const outlineColors = new Float32Array(MAX_OUTLINED_LAYERS * 4);
+  const outlineStyles = new Float32Array(MAX_OUTLINED_LAYERS * 2);
+  let radius = 0;
+
+  outlines.slice(0, MAX_OUTLINED_LAYERS).forEach(({color, width, glow}, i) => {
+    outlineColors.set([
+      color[0] / 255,
+      color[1] / 255,
+      color[2] / 255,
+      Number.isFinite(color[3]) ? color[3] / 255 : 1
+    ], i * 4);
+    outlineStyles.set([width * pixelRatio, glow * pixelRatio], i * 2);
+    radius = Math.max(radius, Math.ceil((width + glow) * pixelRatio));
+  });
+
+  return {
+    outlineColors,
+    outlineStyles,
+    radius: Math.min(radius, MAX_OUTLINE_RADIUS)
+  };
+}
+
+// Draws screen space outlines around the geometry of the layers with `highlightOutline`.
+// All outlined layers are drawn into a single outline map, holding the index of the layer
+// that covers each pixel, from which the outlines are drawn on top of the layers.
+export default class OutlineManager {
+  constructor(gl) {
+    this.gl = gl;
+    // Outlines of the layers in the outline map, in order of their layer index
+    this.outlines = [];
+    this.pixelRatio = 1;
+    this.outlineMap = null;
+    this.searchMap = null;
+    this.searchModel = null;
+    this.outlineModel = null;
+  }
+
+  finalize() {
+    for (const resource of [this.outlineMap, this.searchMap, this.searchModel, this.outlineModel]) {
+      if (resource) {
+        resource.delete();
+      }
+    }
+    this.outlineMap = null;
+    this.searchMap = null;
+    this.searchModel = null;
+    this.outlineModel = null;
+  }
+
+  /**
+   * Draws the outlined layers into the outline map
+   * @param {Object} opts
+   * @param {Layer[]} opts.layers - all layers, outlined layers are picked by `highlightOutline`
+   * @param {Viewport[]} opts.viewports - viewports to draw the layers in
+   * @param {Function} opts.onViewportActive - called with each viewport before drawing in it
+   * @param {Boolean} opts.useDevicePixels - see `drawLayers`
+   * @param {Function} opts.layerFilter - see `drawLayers`
+   * @param {Object} opts.moduleParameters - shader module settings, e.g. masks
+   */
+  drawOutlineMap({layers, viewports, onViewportActive, useDevicePixels, layerFilter,
+    moduleParameters}) {
+    const {gl} = this;
+
+    let outlinedLayers = layers.filter(layer =>
+      !layer.isComposite && !layer.props.isMask && layer.props.visible && getOutline(layer)
+    );
+    if (outlinedLayers.length > MAX_OUTLINED_LAYERS) {
+      log.once(0, `Outlines are limited to ${MAX_OUTLINED_LAYERS} layers`);
+      outlinedLayers = outlinedLayers.slice(0, MAX_OUTLINED_LAYERS);
+    }
+    this.outlines = outlinedLayers.map(getOutline);
+    this.pixelRatio = getPixelRatio({useDevicePixels});
+    if (outlinedLayers.length === 0) {
+      return;
+    }
+
+    this._createResources();
+
+    // Picking colors cover the geometry with an alpha channel of `(layerIndex + 1) / 255`
+    withParameters(gl, {framebuffer: this.outlineMap, clearColor: [0, 0, 0, 0]}, () => {
+      drawLayers(gl, {
+        layers: outlinedLayers,
+        viewports,
+        onViewportActive,
+        useDevicePixels,
+        drawPickingColors: true,
+        pickableOnly: false,
+        layerFilter,
+        pass: 'outline map',
+        redrawReason: 'outlines',
+        moduleParameters,
+        parameters: {
+          blend: true,
+          blendFunc: [GL.ONE, GL.ZERO, GL.CONSTANT_ALPHA, GL.ZERO],
+          blendEquation: GL.FUNC_ADD,
+          depthTest: false
+        }
+      });
+    });
+  }
+
+  /**
+   * Draws the outlines of the last outline map on top of the bound framebuffer
+   */
+  drawOutlines() {
+    if (this.outlines.length === 0) {
+      return;
+    }
+
+    const {gl} = this;
+    const texSize = [this.outlineMap.width, this.outlineMap.height];
+    const uniforms = Object.assign(getOutlineUniforms(this.outlines, this.pixelRatio), {texSize});
+
+    withParameters(gl, {
+      viewport: [0, 0, texSize[0], texSize[1]],
+      depthTest: false
+    }, () => {
+      withParameters(gl, {framebuffer: this.searchMap, blend: false}, () => {
+        this.searchModel.render(Object.assign({outlineMap: this.outlineMap.texture}, uniforms));
+      });
+
+      withParameters(gl, {
+        blend: true,
+        blendFunc: [GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA, GL.ONE, GL.ONE_MINUS_SRC_ALPHA],
+        blendEquation: GL.FUNC_ADD
+      }, () => {
+        this.outlineModel.render(Object.assign({searchMap: this.searchMap.texture}, uniforms));
+      });
+    });
+  }
+
+  // Creates the framebuffers and models on first use, and resizes the framebuffers
+  // to the drawing buffer
+  _createResources() {
+    const {gl} = this;
+    if (!this.outlineMap) {
+      this.outlineMap = new Framebuffer(gl, {id: 'outline-map', depth: false});
+      this.searchMap = new Framebuffer(gl, {id: 'outline-search-map', depth: false});
+      this.searchModel = this._createModel('outline-search', outlineSearchFragment);
+      this.outlineModel = this._createModel('outline', outlineFragment);
+    }
+    const size = {width: gl.drawingBufferWidth, height: gl.drawingBufferHeight};
+    this.outlineMap.resize(size);
+    this.searchMap.resize(size);
+  }
+
+  // Returns a model that draws a full screen quad
+  _createModel(id, fs) {
+    return new Model(this.gl, {
+      id,
+      vs: outlineVertex,
+      fs,
+      geometry: new Geometry({
+        drawMode: GL.TRIANGLE_FAN,
+        vertices: new Float32Array([0, 0, 0, 1, 0, 0, 1, 1, 0, 0, 1, 0])
+      })
+    });
+  }
+}
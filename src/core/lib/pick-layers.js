@@ -40,6 +40,7 @@ export function pickObject(gl, {
   mode,
   onViewportActive,
   pickingFBO,
+  moduleParameters,
   lastPickedInfo,
   useDevicePixels
 }) {
@@ -63,6 +64,7 @@ export function pickObject(gl, {
     useDevicePixels,
     pickingFBO,
     deviceRect,
+    moduleParameters,
     layerFilter,
     redrawReason: mode
   });
@@ -93,6 +95,7 @@ export function pickVisibleObjects(gl, {
   layerFilter,
   onViewportActive,
   pickingFBO,
+  moduleParameters,
   useDevicePixels
 }) {
 
@@ -119,6 +122,7 @@ export function pickVisibleObjects(gl, {
     pickingFBO,
     useDevicePixels,
     deviceRect,
+    moduleParameters,
     layerFilter,
     redrawReason: mode
   });
@@ -156,6 +160,7 @@ function drawAndSamplePickingBuffer(gl, {
   useDevicePixels,
   pickingFBO,
   deviceRect,
+  moduleParameters,
   layerFilter,
   redrawReason
 }) {
@@ -175,6 +180,7 @@ function drawAndSamplePickingBuffer(gl, {
     useDevicePixels,
     pickingFBO,
     deviceRect,
+    moduleParameters,
     layerFilter,
     redrawReason
   });
@@ -7,7 +7,8 @@ export function diffProps(props, oldProps) {
   const propsChangedReason = compareProps({
     newProps: props,
     oldProps,
-    ignoreProps: {data: null, updateTriggers: null}
+    // transitions only take effect when attributes are updated
+    ignoreProps: {data: null, dataRange: null, updateTriggers: null, transitions: null}
   });
 
   // Now check if any data related props have changed
@@ -116,6 +117,11 @@ function diffDataProps(props, oldProps) {
     return 'A new data container was supplied';
   }
 
+  // Supports mutating the data container in place and supplying the changed rows
+  if (props.dataRange && props.dataRange !== oldProps.dataRange) {
+    return 'A new data range was supplied';
+  }
+
   return null;
 }
 
@@ -40,6 +40,7 @@ const propTypes = {
   viewports: PropTypes.array, // Array can contain falsy values
   effects: PropTypes.arrayOf(PropTypes.instanceOf(Effect)),
   layerFilter: PropTypes.func,
+  lighting: PropTypes.object,
   glOptions: PropTypes.object,
   gl: PropTypes.object,
   pickingRadius: PropTypes.number,
@@ -60,6 +61,7 @@ const defaultProps = {
   id: 'deckgl-overlay',
   pickingRadius: 0,
   layerFilter: null,
+  lighting: null,
   glOptions: {},
   gl: null,
   effects: [],
@@ -127,7 +129,8 @@ export default class DeckGLJS {
       onLayerHover,
       useDevicePixels,
       drawPickingColors,
-      layerFilter
+      layerFilter,
+      lighting
     } = props;
 
     // Update viewports (creating one if not supplied)
@@ -146,11 +149,14 @@ export default class DeckGLJS {
       useDevicePixels,
       drawPickingColors,
       layerFilter,
+      lighting,
       pickingRadius,
       onLayerClick,
       onLayerHover
     });
 
+    this.effectManager.setEffects(props.effects);
+
     // TODO - unify setParameters/setOptions/setProps etc naming.
     this.animationLoop.setViewParameters({useDevicePixels});
   }
@@ -159,6 +165,11 @@ export default class DeckGLJS {
     this.animationLoop.stop();
     this.animationLoop = null;
 
+    if (this.effectManager) {
+      this.effectManager.finalize();
+      this.effectManager = null;
+    }
+
     if (this.layerManager) {
       this.layerManager.finalize();
       this.layerManager = null;
@@ -227,10 +238,6 @@ export default class DeckGLJS {
 
     this.effectManager = new EffectManager({gl, layerManager: this.layerManager});
 
-    for (const effect of this.props.effects) {
-      this.effectManager.addEffect(effect);
-    }
-
     this.setProps(this.props);
   }
 
@@ -241,11 +248,16 @@ export default class DeckGLJS {
     }
 
     this.props.onBeforeRender({gl}); // TODO - should be called by AnimationLoop
-    this.layerManager.drawLayers({
-      pass: 'screen',
-      redrawReason,
-      // Helps debug layer picking, especially in framebuffer powered layers
-      drawPickingColors: this.props.drawPickingColors
+    this.effectManager.preDraw();
+    // Draws on screen, or offscreen followed by post-process effects
+    this.effectManager.drawScene(() => {
+      this.layerManager.drawLayers({
+        pass: 'screen',
+        redrawReason,
+        // Helps debug layer picking, especially in framebuffer powered layers
+        drawPickingColors: this.props.drawPickingColors,
+        moduleParameters: this.effectManager.getModuleParameters()
+      });
     });
     this.props.onAfterRender({gl}); // TODO - should be called by AnimationLoop
   }
@@ -0,0 +1,35 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+uniform float filter_uEnabled;
+uniform vec2 filter_uRange;
+
+// Returns true if the value is inside of the filter range, or if filtering is disabled
+bool filter_isVisible(float value) {
+  return filter_uEnabled < 0.5 || (value >= filter_uRange.x && value <= filter_uRange.y);
+}
+
+// Moves a clipspace position out of the clip volume if its value is filtered out.
+// As all vertices of a filtered object are culled, it is neither drawn nor picked.
+vec4 filter_filterPosition(float value, vec4 position) {
+  return filter_isVisible(value) ? position : vec4(0.0, 0.0, 2.0, 1.0);
+}
+`;
@@ -23,12 +23,18 @@ import {fp32, fp64, picking} from 'luma.gl';
 import project from '../shaderlib/project/project';
 import project64 from '../shaderlib/project64/project64';
 import lighting from '../shaderlib/lighting/lighting';
+import filter from '../shaderlib/filter/filter';
+import shadow from '../shaderlib/shadow/shadow';
+import mask from '../shaderlib/mask/mask';
 
 export function initializeShaderModules() {
   registerShaderModules([
     fp32, fp64,
     project, project64,
     lighting,
+    filter,
+    shadow,
+    mask,
     picking
   ]);
 
@@ -43,5 +49,8 @@ export {
   picking,
   project,
   project64,
-  lighting
+  lighting,
+  filter,
+  shadow,
+  mask
 };
@@ -19,51 +19,94 @@
 // THE SOFTWARE.
 
 // lighting
+// Blinn-Phong shading with an ambient light, directional lights and point lights
 
 export default `\
-// TODO - this is expected to be set by project module
-uniform vec3 cameraPos;
+// Light arrays are sized to the scene by the defines of the model (getLightingDefines)
+#ifndef LIGHTING_MAX_DIRECTIONAL_LIGHTS
+#define LIGHTING_MAX_DIRECTIONAL_LIGHTS 5
+#endif
+#ifndef LIGHTING_MAX_POINT_LIGHTS
+#define LIGHTING_MAX_POINT_LIGHTS 5
+#endif
 
-#define NUM_OF_LIGHTS 2
+// Scene lights, colors are multiplied by the intensities
+uniform vec3 lighting_uAmbientLight;
+uniform float lighting_uDirectionalLightCount;
+uniform vec3 lighting_uDirectionalLightDirections[LIGHTING_MAX_DIRECTIONAL_LIGHTS];
+uniform vec3 lighting_uDirectionalLightColors[LIGHTING_MAX_DIRECTIONAL_LIGHTS];
+uniform float lighting_uPointLightCount;
+uniform vec3 lighting_uPointLightPositions[LIGHTING_MAX_POINT_LIGHTS];
+uniform vec3 lighting_uPointLightColors[LIGHTING_MAX_POINT_LIGHTS];
 
-// TODO these should be using lighting_ prefix
-uniform vec3 lightsPosition[16];
-uniform vec2 lightsStrength[16];
-uniform float ambientRatio;
-uniform float diffuseRatio;
-uniform float specularRatio;
+// Material of the layer
+uniform float lighting_uAmbient;
+uniform float lighting_uDiffuse;
+uniform float lighting_uShininess;
+uniform vec3 lighting_uSpecularColor;
 
-float lighting_getLightWeight(vec3 position_worldspace_vec3, vec3 normals_worldspace) {
-  float lightWeight = 0.0;
+// Lights and normals are expressed with x pointing east, y north and z up.
+// Longitude/latitude world coordinates have y pointing south.
+vec3 lighting_toLightingSpace(vec3 position_worldspace) {
+  if (project_uCoordinateSystem == COORDINATE_SYSTEM_LNG_LAT) {
+    return vec3(position_worldspace.x, -position_worldspace.y, position_worldspace.z);
+  }
+  return position_worldspace;
+}
 
-  vec3 normals_worldspace_vec3 = normals_worldspace.xzy;
+vec3 lighting_getLightContribution(
+  vec3 surfaceColor, vec3 lightColor, vec3 lightDirection, vec3 viewDirection, vec3 normal
+) {
+  vec3 halfwayDirection = normalize(lightDirection + viewDirection);
+  float lambertian = dot(lightDirection, normal);
+  float specular = 0.0;
+  if (lambertian > 0.0) {
+    float specularAngle = max(dot(normal, halfwayDirection), 0.0);
+    specular = pow(specularAngle, lighting_uShininess);
+  }
+  lambertian = max(lambertian, 0.0);
+  return (lambertian * lighting_uDiffuse * surfaceColor + specular * lighting_uSpecularColor) *
+    lightColor;
+}
 
-  vec3 camera_pos_worldspace = cameraPos;
-  vec3 view_direction = normalize(camera_pos_worldspace - position_worldspace_vec3);
+// Returns the lit color of a surface, colors are in the 0-1 range
+vec3 lighting_getLightColor(vec3 surfaceColor, vec3 position_worldspace, vec3 normal_worldspace) {
+  vec3 position = lighting_toLightingSpace(position_worldspace);
+  vec3 normal = normalize(normal_worldspace);
+  vec3 viewDirection = normalize(lighting_toLightingSpace(project_uCameraPosition) - position);
 
-  for (int i = 0; i < NUM_OF_LIGHTS; i++) {
-    vec3 light_position_worldspace = project_position(lightsPosition[i]);
-    vec3 light_direction = normalize(light_position_worldspace - position_worldspace_vec3);
+  vec3 lightColor = lighting_uAmbient * lighting_uAmbientLight * surfaceColor;
 
-    vec3 halfway_direction = normalize(light_direction + view_direction);
-    float lambertian = dot(light_direction, normals_worldspace_vec3);
-    float specular = 0.0;
-    if (lambertian > 0.0) {
-      float specular_angle = max(dot(normals_worldspace_vec3, halfway_direction), 0.0);
-      specular = pow(specular_angle, 32.0);
+  for (int i = 0; i < LIGHTING_MAX_POINT_LIGHTS; i++) {
+    if (float(i) >= lighting_uPointLightCount) {
+      break;
     }
-    lambertian = max(lambertian, 0.0);
-    lightWeight += (ambientRatio + lambertian * diffuseRatio + specular * specularRatio) *
-      lightsStrength[i].x;
+    vec3 lightPosition = lighting_toLightingSpace(
+      project_position(lighting_uPointLightPositions[i]));
+    vec3 lightDirection = normalize(lightPosition - position);
+    lightColor += lighting_getLightContribution(
+      surfaceColor, lighting_uPointLightColors[i], lightDirection, viewDirection, normal);
+  }
 
+  for (int i = 0; i < LIGHTING_MAX_DIRECTIONAL_LIGHTS; i++) {
+    if (float(i) >= lighting_uDirectionalLightCount) {
+      break;
+    }
+    vec3 lightDirection = normalize(-lighting_uDirectionalLightDirections[i]);
+    lightColor += lighting_getLightContribution(
+      surfaceColor, lighting_uDirectionalLightColors[i], lightDirection, viewDirection, normal);
   }
 
-  return lightWeight;
+  return lightColor;
 }
 
-// DEPRECATED - Backwards compatibility
+// DEPRECATED - returns the average brightness of a white surface
+float lighting_getLightWeight(vec3 position_worldspace, vec3 normal_worldspace) {
+  vec3 lightColor = lighting_getLightColor(vec3(1.0), position_worldspace, normal_worldspace);
+  return (lightColor.r + lightColor.g + lightColor.b) / 3.0;
+}
 
-float getLightWeight(vec3 position_worldspace_vec3, vec3 normals_worldspace) {
-  return lighting_getLightWeight(position_worldspace_vec3, normals_worldspace);
+float getLightWeight(vec3 position_worldspace, vec3 normal_worldspace) {
+  return lighting_getLightWeight(position_worldspace, normal_worldspace);
 }
 `;
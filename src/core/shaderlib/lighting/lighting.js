@@ -20,9 +20,176 @@
 
 import lightingShader from './lighting.glsl';
 import project from '../project/project';
+import {getSunDirection} from './sun-position';
+import log from '../../utils/log';
+
+const WHITE = [255, 255, 255];
+
+// Used when the `lighting` prop of DeckGL is not supplied
+export const DEFAULT_LIGHTING = {
+  ambientLight: {color: WHITE, intensity: 1},
+  directionalLights: [
+    {direction: [1, -1, -2], color: WHITE, intensity: 0.9},
+    {direction: [-1, 2, -1], color: WHITE, intensity: 0.3}
+  ],
+  pointLights: []
+};
+
+// Used when the `material` prop of a layer is not supplied
+export const DEFAULT_MATERIAL = {
+  ambient: 0.35,
+  diffuse: 0.6,
+  shininess: 32,
+  specularColor: [30, 30, 30]
+};
+
+const INITIAL_MODULE_OPTIONS = {};
+
+function getLightColor({color = WHITE, intensity = 1}) {
+  return color.slice(0, 3).map(component => component / 255 * intensity);
+}
+
+/**
+ * Returns the direction of a directional light, which either has a `direction`,
+ * or follows the sun at a `timestamp`
+ * @param {Object} light - directional light
+ * @param {Viewport} viewport - sun lights default to the center of the viewport
+ * @return {Array|null} - `[east, north, up]`, or null if the sun is below the horizon
+ */
+export function getDirectionalLightDirection(light, viewport) {
+  if (light.direction) {
+    return light.direction;
+  }
+  const {
+    timestamp,
+    latitude = viewport ? viewport.latitude || 0 : 0,
+    longitude = viewport ? viewport.longitude || 0 : 0
+  } = light;
+  const direction = getSunDirection(timestamp, latitude, longitude);
+  return direction[2] < 0 ? direction : null;
+}
+
+/**
+ * Returns the defines that size the light arrays of the shader to the lights of the scene.
+ * Models that use the `lighting` module must be rebuilt when these change.
+ * @param {Object} lighting - `{ambientLight, directionalLights, pointLights}`
+ * @return {Object} - defines of the lighting module
+ */
+export function getLightingDefines(lighting) {
+  const {directionalLights = [], pointLights = []} = lighting || DEFAULT_LIGHTING;
+  // GLSL arrays need at least one element
+  return {
+    LIGHTING_MAX_DIRECTIONAL_LIGHTS: Math.max(directionalLights.length, 1),
+    LIGHTING_MAX_POINT_LIGHTS: Math.max(pointLights.length, 1)
+  };
+}
+
+// Packs a list of lights into flat uniform arrays, see `getLightingDefines`
+function packLights(lights, getVector) {
+  const vectors = new Float32Array(Math.max(lights.length, 1) * 3);
+  const colors = new Float32Array(Math.max(lights.length, 1) * 3);
+  let count = 0;
+  for (const light of lights) {
+    const vector = getVector(light);
+    if (vector) {
+      vectors.set(vector, count * 3);
+      colors.set(getLightColor(light), count * 3);
+      count++;
+    }
+  }
+  return {count, vectors, colors};
+}
+
+/**
+ * Converts a scene lighting description to uniforms
+ * @param {Object} lighting - `{ambientLight, directionalLights, pointLights}`
+ * @param {Viewport} viewport - sun lights default to the center of the viewport
+ * @return {Object} - uniforms of the lighting module
+ */
+export function getLightingUniforms(lighting, viewport) {
+  const {ambientLight = null, directionalLights = [], pointLights = []} = lighting;
+
+  const directional = packLights(directionalLights,
+    light => getDirectionalLightDirection(light, viewport));
+  const point = packLights(pointLights, light => light.position);
+
+  return {
+    lighting_uAmbientLight: ambientLight ? getLightColor(ambientLight) : [0, 0, 0],
+    lighting_uDirectionalLightCount: directional.count,
+    lighting_uDirectionalLightDirections: directional.vectors,
+    lighting_uDirectionalLightColors: directional.colors,
+    lighting_uPointLightCount: point.count,
+    lighting_uPointLightPositions: point.vectors,
+    lighting_uPointLightColors: point.colors
+  };
+}
+
+/**
+ * Converts a layer material to uniforms
+ * @param {Object} material - `{ambient, diffuse, shininess, specularColor}`
+ * @return {Object} - uniforms of the lighting module
+ */
+export function getMaterialUniforms(material) {
+  const {ambient, diffuse, shininess, specularColor} =
+    Object.assign({}, DEFAULT_MATERIAL, material);
+  return {
+    lighting_uAmbient: ambient,
+    lighting_uDiffuse: diffuse,
+    lighting_uShininess: shininess,
+    lighting_uSpecularColor: specularColor.slice(0, 3).map(component => component / 255)
+  };
+}
+
+// DEPRECATED - converts the `lightSettings` layer prop to point lights and a material
+export function convertLightSettings({
+  lightsPosition = [],
+  lightsStrength = [],
+  numberOfLights = 2,
+  ambientRatio = 0.4,
+  diffuseRatio = 0.6,
+  specularRatio = 0.8
+}) {
+  const pointLights = [];
+  let totalStrength = 0;
+  for (let i = 0; i < numberOfLights && i * 3 < lightsPosition.length; i++) {
+    const intensity = lightsStrength[i * 2] || 0;
+    pointLights.push({position: lightsPosition.slice(i * 3, i * 3 + 3), intensity});
+    totalStrength += intensity;
+  }
+  const specular = specularRatio * 255;
+
+  return {
+    lighting: {ambientLight: {intensity: totalStrength}, pointLights},
+    material: {
+      ambient: ambientRatio,
+      diffuse: diffuseRatio,
+      shininess: 32,
+      specularColor: [specular, specular, specular]
+    }
+  };
+}
+
+// Scene lights come from the `lighting` prop of DeckGL, the material from the layer
+function getUniforms(opts = INITIAL_MODULE_OPTIONS) {
+  if (!('lighting' in opts) && !('material' in opts) && !opts.lightSettings) {
+    return {};
+  }
+
+  let {lighting, material} = opts;
+  if (opts.lightSettings) {
+    log.deprecated('lightSettings', 'lighting prop of DeckGL and material prop of layers');
+    ({lighting, material} = convertLightSettings(opts.lightSettings));
+  }
+
+  return Object.assign(
+    getLightingUniforms(lighting || DEFAULT_LIGHTING, opts.viewport),
+    getMaterialUniforms(material)
+  );
+}
 
 export default {
   name: 'lighting',
   dependencies: [project],
-  vs: lightingShader
+  vs: lightingShader,
+  getUniforms
 };
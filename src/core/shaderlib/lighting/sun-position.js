@@ -0,0 +1,91 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Sun position based on the formulas of https://aa.quae.nl/en/reken/zonpositie.html
+const DEGREES_TO_RADIANS = Math.PI / 180;
+const DAY_IN_MS = 1000 * 60 * 60 * 24;
+const JD1970 = 2440588;
+const JD2000 = 2451545;
+// Obliquity of the Earth
+const OBLIQUITY = 23.4397 * DEGREES_TO_RADIANS;
+// Perihelion of the Earth
+const PERIHELION = 102.9372 * DEGREES_TO_RADIANS;
+
+// Days since January 1st 2000, 12:00 UTC
+function toDays(timestamp) {
+  return timestamp / DAY_IN_MS - 0.5 + JD1970 - JD2000;
+}
+
+function getSunCoordinates(days) {
+  const meanAnomaly = (357.5291 + 0.98560028 * days) * DEGREES_TO_RADIANS;
+  const center = (1.9148 * Math.sin(meanAnomaly) +
+    0.02 * Math.sin(2 * meanAnomaly) +
+    0.0003 * Math.sin(3 * meanAnomaly)) * DEGREES_TO_RADIANS;
+  const eclipticLongitude = meanAnomaly + center + PERIHELION + Math.PI;
+
+  return {
+    declination: Math.asin(Math.sin(OBLIQUITY) * Math.sin(eclipticLongitude)),
+    rightAscension: Math.atan2(
+      Math.sin(eclipticLongitude) * Math.cos(OBLIQUITY),
+      Math.cos(eclipticLongitude)
+    )
+  };
+}
+
+/**
+ * Computes the position of the sun in the sky
+ * @param {Number} timestamp - milliseconds since the Unix epoch, see `Date.getTime()`
+ * @param {Number} latitude - latitude of the observer in degrees
+ * @param {Number} longitude - longitude of the observer in degrees
+ * @return {Object} - `{altitude, azimuth}` in radians. `altitude` is the angle above the
+ *   horizon, `azimuth` is measured from the south, positive towards the west
+ */
+export function getSunPosition(timestamp, latitude, longitude) {
+  const days = toDays(timestamp);
+  const phi = latitude * DEGREES_TO_RADIANS;
+  const {declination, rightAscension} = getSunCoordinates(days);
+  const siderealTime = (280.16 + 360.9856235 * days + longitude) * DEGREES_TO_RADIANS;
+  const hourAngle = siderealTime - rightAscension;
+
+  return {
+    altitude: Math.asin(Math.sin(phi) * Math.sin(declination) +
+      Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)),
+    azimuth: Math.atan2(
+      Math.sin(hourAngle),
+      Math.cos(hourAngle) * Math.sin(phi) - Math.tan(declination) * Math.cos(phi)
+    )
+  };
+}
+
+/**
+ * Computes the direction of sun light
+ * @param {Number} timestamp - milliseconds since the Unix epoch
+ * @param {Number} latitude - latitude of the observer in degrees
+ * @param {Number} longitude - longitude of the observer in degrees
+ * @return {Array} - direction the light travels in, `[east, north, up]`
+ */
+export function getSunDirection(timestamp, latitude, longitude) {
+  const {altitude, azimuth} = getSunPosition(timestamp, latitude, longitude);
+  return [
+    Math.cos(altitude) * Math.sin(azimuth),
+    Math.cos(altitude) * Math.cos(azimuth),
+    -Math.sin(altitude)
+  ];
+}
@@ -0,0 +1,47 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+uniform float mask_uEnabled;
+uniform float mask_uInverted;
+uniform float mask_uDrawMask;
+uniform sampler2D mask_uTexture;
+uniform vec2 mask_uSize;
+
+// Returns true if the fragment is inside of the mask, or if masking is disabled
+bool mask_isVisible() {
+  if (mask_uEnabled < 0.5) {
+    return true;
+  }
+  bool inside = texture2D(mask_uTexture, gl_FragCoord.xy / mask_uSize).a > 0.5;
+  return inside != (mask_uInverted > 0.5);
+}
+
+// Discards fragments outside of the mask. When drawing a mask, covered fragments are opaque.
+vec4 mask_filterColor(vec4 color) {
+  if (mask_uDrawMask > 0.5) {
+    return vec4(1.0);
+  }
+  if (!mask_isVisible()) {
+    discard;
+  }
+  return color;
+}
+`;
@@ -0,0 +1,52 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import maskShader from './mask.glsl';
+
+const INITIAL_MODULE_OPTIONS = {};
+
+/*
+ * Masking is enabled by a `maskId` that names one of the `masks`, a map from mask ids to
+ * framebuffers the size of the drawing buffer, and inverted by `maskInverted`.
+ * Mask layers are drawn into their framebuffer with `drawMask: true`.
+ * Uniforms are always returned, so that passes without `masks`, e.g. shadow maps,
+ * do not inherit the settings of the previous pass.
+ */
+function getUniforms(opts = INITIAL_MODULE_OPTIONS) {
+  const {maskId, maskInverted = false, masks, drawMask = false} = opts;
+  const mask = !drawMask && maskId && masks && masks[maskId];
+
+  const uniforms = {
+    mask_uEnabled: mask ? 1 : 0,
+    mask_uInverted: maskInverted ? 1 : 0,
+    mask_uDrawMask: drawMask ? 1 : 0
+  };
+  if (mask) {
+    uniforms.mask_uTexture = mask.texture;
+    uniforms.mask_uSize = [mask.width, mask.height];
+  }
+  return uniforms;
+}
+
+export default {
+  name: 'mask',
+  fs: maskShader,
+  getUniforms
+};
@@ -26,7 +26,7 @@ import log from '../../utils/log';
 import assert from 'assert';
 import {COORDINATE_SYSTEM} from '../../lib/constants';
 
-import {projectFlat} from 'viewport-mercator-project';
+import {projectFlat, getDistanceScales} from 'viewport-mercator-project';
 
 // To quickly set a vector to zero
 const ZERO_VECTOR = [0, 0, 0, 0];
@@ -96,6 +96,7 @@ function calculateMatrixAndOffset({
 
   // TODO: make lighitng work for meter offset mode
   case COORDINATE_SYSTEM.METER_OFFSETS:
+  case COORDINATE_SYSTEM.LNGLAT_OFFSETS:
     projectionCenter = calculateProjectionCenter({
       coordinateOrigin, coordinateZoom, viewProjectionMatrix
     });
@@ -122,6 +123,16 @@ function calculateMatrixAndOffset({
   };
 }
 
+// Degree offsets are scaled at the latitude of the coordinate origin, meters at the
+// center of the viewport
+function getPixelsPerUnit({viewport, coordinateSystem, coordinateOrigin}) {
+  if (coordinateSystem === COORDINATE_SYSTEM.LNGLAT_OFFSETS) {
+    const [longitude, latitude] = coordinateOrigin;
+    return getDistanceScales({longitude, latitude, scale: viewport.scale}).pixelsPerDegree;
+  }
+  return viewport.getDistanceScales().pixelsPerMeter;
+}
+
 /**
  * Returns uniforms for shaders based on current projection
  * includes: projection matrix suitable for shaders
@@ -163,7 +174,7 @@ export function getUniformsFromViewport({
   assert(viewProjectionMatrix, 'Viewport missing modelViewProjectionMatrix');
 
   // Calculate projection pixels per unit
-  const distanceScales = viewport.getDistanceScales();
+  const pixelsPerUnit = getPixelsPerUnit({viewport, coordinateSystem, coordinateOrigin});
 
   // TODO - does this depend on useDevicePixels?
   const devicePixelRatio = (window && window.devicePixelRatio) || 1;
@@ -182,7 +193,7 @@ export function getUniformsFromViewport({
 
     // Distance at which screen pixels are projected
     project_uFocalDistance: viewport.focalDistance || 1,
-    project_uPixelsPerUnit: distanceScales.pixelsPerMeter,
+    project_uPixelsPerUnit: pixelsPerUnit,
     project_uScale: viewport.scale, // This is the mercator scale (2 ** zoom)
 
     project_uModelMatrix: glModelMatrix,
@@ -201,7 +212,7 @@ export function getUniformsFromViewport({
     modelMatrix: glModelMatrix,
     viewMatrix: viewport.viewMatrix,
     projectionMatrix: viewProjectionMatrix,
-    projectionPixelsPerUnit: distanceScales.pixelsPerMeter,
+    projectionPixelsPerUnit: pixelsPerUnit,
     projectionScale: viewport.scale, // This is the mercator scale (2 ** zoom)
     viewportSize,
     devicePixelRatio,
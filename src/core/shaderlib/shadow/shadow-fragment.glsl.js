@@ -0,0 +1,80 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+uniform float shadow_uEnabled;
+uniform float shadow_uDrawShadowMap;
+uniform sampler2D shadow_uShadowMap;
+uniform vec2 shadow_uShadowMapSize;
+uniform vec3 shadow_uColor;
+uniform float shadow_uOpacity;
+
+varying vec4 shadow_vPosition;
+
+// Avoids surfaces shadowing themselves
+const float SHADOW_BIAS = 0.0005;
+
+// Depth is packed into 4 bytes, as depth textures are not available everywhere
+vec4 shadow_packDepth(float depth) {
+  const vec4 bitShift = vec4(256.0 * 256.0 * 256.0, 256.0 * 256.0, 256.0, 1.0);
+  const vec4 bitMask = vec4(0.0, 1.0 / 256.0, 1.0 / 256.0, 1.0 / 256.0);
+  vec4 rgba = fract(depth * bitShift);
+  return rgba - rgba.xxyz * bitMask;
+}
+
+float shadow_unpackDepth(vec4 rgba) {
+  const vec4 bitShift = vec4(
+    1.0 / (256.0 * 256.0 * 256.0), 1.0 / (256.0 * 256.0), 1.0 / 256.0, 1.0
+  );
+  return dot(rgba, bitShift);
+}
+
+// Returns how much of the fragment is in shadow, between 0 and 1.
+// Samples the neighbouring texels of the shadow map to soften the edges.
+float shadow_getShadowWeight() {
+  vec3 position = shadow_vPosition.xyz / shadow_vPosition.w * 0.5 + 0.5;
+  if (any(lessThan(position, vec3(0.0))) || any(greaterThan(position, vec3(1.0)))) {
+    return 0.0;
+  }
+
+  vec2 texelSize = 1.0 / shadow_uShadowMapSize;
+  float shadow = 0.0;
+  for (int x = -1; x <= 1; x++) {
+    for (int y = -1; y <= 1; y++) {
+      vec4 rgba = texture2D(shadow_uShadowMap, position.xy + vec2(x, y) * texelSize);
+      shadow += float(position.z - SHADOW_BIAS > shadow_unpackDepth(rgba));
+    }
+  }
+  return shadow / 9.0;
+}
+
+// Returns the depth of the fragment when drawing the shadow map,
+// otherwise shades the color if the fragment is in shadow
+vec4 shadow_filterColor(vec4 color) {
+  if (shadow_uDrawShadowMap > 0.5) {
+    return shadow_packDepth(gl_FragCoord.z);
+  }
+  if (shadow_uEnabled < 0.5) {
+    return color;
+  }
+  float weight = shadow_getShadowWeight() * shadow_uOpacity;
+  return vec4(mix(color.rgb, shadow_uColor, weight), color.a);
+}
+`;
@@ -0,0 +1,73 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import shadowVertex from './shadow-vertex.glsl';
+import shadowFragment from './shadow-fragment.glsl';
+
+const IDENTITY_MATRIX = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+const INITIAL_MODULE_OPTIONS = {};
+
+/*
+ * Shadows are enabled by a `shadowMap` of `{texture, size, cameraToLightMatrix, color, opacity}`,
+ * and drawn into the shadow map by `{drawShadowMap: true, cameraToLightMatrix, texture}`, where
+ * `texture` must not be the shadow map itself, as it stays bound while drawing.
+ * Uniforms are always returned, so that passes without a `shadowMap`, e.g. picking,
+ * do not inherit the settings of the previous pass.
+ */
+function getUniforms(opts = INITIAL_MODULE_OPTIONS) {
+  const {shadowMap} = opts;
+  if (!shadowMap) {
+    return {
+      shadow_uEnabled: 0,
+      shadow_uDrawShadowMap: 0,
+      shadow_uCameraToLightMatrix: IDENTITY_MATRIX
+    };
+  }
+
+  const {
+    drawShadowMap = false,
+    cameraToLightMatrix,
+    texture = null,
+    size = 1,
+    color = [0, 0, 0],
+    opacity = 0.5
+  } = shadowMap;
+
+  const uniforms = {
+    shadow_uEnabled: texture && !drawShadowMap ? 1 : 0,
+    shadow_uDrawShadowMap: drawShadowMap ? 1 : 0,
+    shadow_uCameraToLightMatrix: cameraToLightMatrix,
+    shadow_uShadowMapSize: [size, size],
+    shadow_uColor: color.slice(0, 3).map(component => component / 255),
+    shadow_uOpacity: opacity
+  };
+  if (texture) {
+    uniforms.shadow_uShadowMap = texture;
+  }
+  return uniforms;
+}
+
+export default {
+  name: 'shadow',
+  vs: shadowVertex,
+  fs: shadowFragment,
+  getUniforms
+};
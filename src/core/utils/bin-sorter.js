@@ -22,6 +22,8 @@
 // by default it returns the number of points
 // this is where to pass in a function to color the bins by
 // avg/mean/max of specific value of the point
+// bins that were aggregated by weight have no points but a `count`, getValue
+// receives the bin as second argument to read the aggregated values from
 const defaultGetValue = points => points.length;
 
 export default class BinSorter {
@@ -40,14 +42,14 @@ export default class BinSorter {
   getSortedBins(bins, getValue) {
     return bins
       .reduce((accu, h, i) => {
-        const value = getValue(h.points);
+        const value = getValue(h.points, h);
 
         if (value !== null && value !== undefined) {
           // filter bins if value is null or undefined
           accu.push({
             i: Number.isFinite(h.index) ? h.index : i,
             value,
-            counts: h.points.length
+            counts: h.points ? h.points.length : h.count
           });
         }
 
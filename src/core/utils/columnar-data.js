@@ -0,0 +1,234 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+/**
+ * Support for "columnar" layer data, i.e. data supplied as a table of
+ * typed array columns rather than as an array of JavaScript objects.
+ *
+ * A columnar table has the following shape:
+ *
+ * {
+ *   length: 1000000,                   // number of rows (objects)
+ *   attributes: {                      // columns, keyed by accessor name
+ *     getPosition: {value: Float32Array, size: 3},
+ *     getColor: Uint8Array,            // size is deduced from `length`
+ *     getPath: {value: Float64Array, size: 2}
+ *   },
+ *   startIndices: Uint32Array          // optional, first vertex of each row
+ * }
+ *
+ * Columns hold one value per row, except when `startIndices` is supplied,
+ * in which case columns that hold a different number of values are treated
+ * as vertex columns: row `i` covers vertices `startIndices[i]` to
+ * `startIndices[i + 1]` (or to the end of the column for the last row).
+ */
+
+// Cache of normalized props, keyed by table, so that a table maps to stable
+// `data` and accessor props and does not trigger spurious data changes
+const columnarPropsCache = new WeakMap();
+// Maps the generated row indices back to the tables they were generated from
+const columnarTables = new WeakMap();
+
+/**
+ * The row indices of a columnar table, used as layer `data`.
+ * Indices are generated while iterating instead of being stored, so that
+ * large tables do not allocate a JavaScript array with one entry per row.
+ * Supports the subset of the Array API used by layers.
+ */
+class ColumnarRows {
+  constructor(length) {
+    this.length = length;
+  }
+
+  [Symbol.iterator]() {
+    const {length} = this;
+    let index = 0;
+    return {
+      next: () => index < length ? {value: index++, done: false} : {value: undefined, done: true}
+    };
+  }
+
+  forEach(visitor) {
+    for (let i = 0; i < this.length; i++) {
+      visitor(i, i);
+    }
+  }
+
+  map(mapper) {
+    const result = new Array(this.length);
+    for (let i = 0; i < this.length; i++) {
+      result[i] = mapper(i, i);
+    }
+    return result;
+  }
+}
+
+/**
+ * Checks if argument is a columnar table
+ * @param {*} data - layer data
+ * @return {Boolean} - true if `data` is a columnar table
+ */
+export function isColumnarData(data) {
+  return Boolean(data) && typeof data === 'object' && !Array.isArray(data) &&
+    Number.isFinite(data.length) &&
+    Boolean(data.attributes) && typeof data.attributes === 'object';
+}
+
+/**
+ * Checks if argument is the row indices of a columnar table, see `getColumnarProps`
+ * @param {*} data - layer data
+ * @return {Boolean} - true if `data` was generated from a columnar table
+ */
+export function isColumnarRows(data) {
+  return data instanceof ColumnarRows;
+}
+
+/**
+ * Returns the columnar table that normalized `data` row indices were generated from
+ * @param {*} data - layer data
+ * @return {Object|null} - columnar table, or null if `data` is not columnar
+ */
+export function getColumnarTable(data) {
+  if (isColumnarData(data)) {
+    return data;
+  }
+  return (data && columnarTables.get(data)) || null;
+}
+
+/**
+ * Returns a normalized description of a column
+ * @param {Object} table - columnar table
+ * @param {String} name - column name (accessor name)
+ * @return {Object|null} - `{value, size, isVertexColumn}`, or null if there is no such column
+ */
+export function getColumn(table, name) {
+  const column = table.attributes[name];
+  if (!column) {
+    return null;
+  }
+
+  const value = ArrayBuffer.isView(column) ? column : column.value;
+  if (!ArrayBuffer.isView(value)) {
+    throw new Error(`Column ${name} must be a typed array`);
+  }
+
+  let size = column.size;
+  if (!size) {
+    size = table.length > 0 ? value.length / table.length : 1;
+    if (!Number.isInteger(size) || size < 1 || size > 4) {
+      throw new Error(`Could not deduce size of column ${name}`);
+    }
+  }
+
+  const isVertexColumn = Boolean(table.startIndices) && value.length !== table.length * size;
+  return {value, size, isVertexColumn};
+}
+
+/**
+ * Builds a plain object from the values of one row of a columnar table.
+ * Used to resolve picked indices into objects.
+ * @param {Object} table - columnar table
+ * @param {Number} index - row index
+ * @return {Object} - object with the row's values keyed by column name
+ */
+export function getColumnarObject(table, index) {
+  const object = {index};
+  for (const name in table.attributes) {
+    object[name] = getColumnAccessor(table, name)(index);
+  }
+  return object;
+}
+
+/**
+ * Returns props that let layers consume a columnar table through their
+ * regular code paths: `data` becomes an iterable of row indices, and each
+ * column gets an accessor that reads the row from the column.
+ * The result is cached per table.
+ * @param {Object} table - columnar table
+ * @return {Object} - props to merge into layer props
+ */
+export function getColumnarProps(table) {
+  let props = columnarPropsCache.get(table);
+  if (!props) {
+    const rows = new ColumnarRows(table.length);
+    columnarTables.set(rows, table);
+
+    props = {data: rows};
+    for (const name in table.attributes) {
+      props[name] = getColumnAccessor(table, name);
+    }
+    columnarPropsCache.set(table, props);
+  }
+  return props;
+}
+
+/**
+ * Copies rows of a column into an attribute's typed array, padding missing
+ * components with `defaultValue`, or with 0 where `defaultValue` has no such component.
+ * @param {Object} opts
+ * @param {TypedArray} opts.target - attribute value
+ * @param {Number} opts.size - attribute size
+ * @param {Object} opts.column - normalized column, see `getColumn`
+ * @param {Number} opts.startRow - first row to copy
+ * @param {Number} opts.endRow - row after the last row to copy
+ * @param {Array} opts.defaultValue - padding for missing components
+ */
+export function copyColumn({target, size, column, startRow, endRow, defaultValue = []}) {
+  const {value, size: columnSize} = column;
+
+  if (columnSize === size) {
+    target.set(value.subarray(startRow * size, endRow * size), startRow * size);
+    return;
+  }
+
+  for (let i = startRow; i < endRow; i++) {
+    for (let j = 0; j < size; j++) {
+      const padding = j < defaultValue.length ? defaultValue[j] : 0;
+      target[i * size + j] = j < columnSize ? value[i * columnSize + j] : padding;
+    }
+  }
+}
+
+// Returns an accessor function that reads a row from a column
+// Vertex columns return an array of vertices, other columns return
+// a number (size 1) or an array of numbers
+function getColumnAccessor(table, name) {
+  const column = getColumn(table, name);
+  const {value, size, isVertexColumn} = column;
+
+  if (isVertexColumn) {
+    const {startIndices} = table;
+    const vertexCount = value.length / size;
+    return index => {
+      const start = startIndices[index];
+      const end = index < table.length - 1 ? startIndices[index + 1] : vertexCount;
+      const vertices = new Array(end - start);
+      for (let i = start; i < end; i++) {
+        vertices[i - start] = Array.prototype.slice.call(value, i * size, i * size + size);
+      }
+      return vertices;
+    };
+  }
+
+  if (size === 1) {
+    return index => value[index];
+  }
+  return index => Array.prototype.slice.call(value, index * size, index * size + size);
+}
@@ -0,0 +1,71 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {isColumnarRows} from './columnar-data';
+
+/**
+ * Calls `visitor` for the objects at indices `startRow` to `endRow` (exclusive)
+ * of a data container.
+ * Arrays and the row indices of columnar tables are indexed directly,
+ * other iterables are traversed from the start.
+ * @param {Iterable} data - data container
+ * @param {Number} startRow - index of first object
+ * @param {Number} endRow - index after last object
+ * @param {Function} visitor - called with `(object, index)`
+ */
+export function forEachInRange(data, startRow, endRow, visitor) {
+  if (Array.isArray(data)) {
+    const end = Math.min(endRow, data.length);
+    for (let i = startRow; i < end; i++) {
+      visitor(data[i], i);
+    }
+    return;
+  }
+
+  if (isColumnarRows(data)) {
+    const end = Math.min(endRow, data.length);
+    for (let i = startRow; i < end; i++) {
+      visitor(i, i);
+    }
+    return;
+  }
+
+  let i = 0;
+  for (const object of data) {
+    if (i >= endRow) {
+      break;
+    }
+    if (i >= startRow) {
+      visitor(object, i);
+    }
+    i++;
+  }
+}
+
+/**
+ * Returns the object at `index` of an indexable data container: an array,
+ * or the row indices of a columnar table.
+ * @param {Array} data - data container
+ * @param {Number} index - index of the object
+ * @return {*} - object at `index`
+ */
+export function getObjectAt(data, index) {
+  return isColumnarRows(data) ? index : data[index];
+}
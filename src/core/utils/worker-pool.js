@@ -0,0 +1,196 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+/* global Worker */
+
+// Runs jobs on a pool of Web Workers
+//
+// Message protocol:
+// - main thread posts `{id, type, payload}`
+// - worker posts back `{id, result}`, or `{id, error}` if the job failed
+// Typed arrays in payloads and results are transferred rather than copied.
+
+const DEFAULT_MAX_CONCURRENCY = 4;
+
+// Worker pools shared between layers, keyed by worker url
+const workerPools = {};
+
+/**
+ * Returns the buffers of the typed arrays in a message, for use as a `transferList`
+ * Only top level values are checked, typed arrays nested deeper are copied.
+ * @param {Object} message - message payload or result
+ * @return {ArrayBuffer[]} - list of unique buffers
+ */
+export function getTransferList(message) {
+  const transferList = [];
+  for (const key in message) {
+    const value = message[key];
+    if (ArrayBuffer.isView(value) && transferList.indexOf(value.buffer) === -1) {
+      transferList.push(value.buffer);
+    }
+  }
+  return transferList;
+}
+
+export default class WorkerPool {
+  /**
+   * @classdesc
+   * Distributes jobs over a number of workers, queueing jobs while all workers are busy.
+   * Workers are created lazily.
+   *
+   * @class
+   * @param {Object} opts
+   * @param {String} [opts.id] - identifier (for debugging)
+   * @param {String} [opts.url] - url of the worker script
+   * @param {Function} [opts.createWorker] - creates a worker, overrides `url`
+   * @param {Number} [opts.maxConcurrency=4] - maximum number of workers
+   */
+  constructor({
+    id = 'worker-pool',
+    url = null,
+    createWorker = null,
+    maxConcurrency = DEFAULT_MAX_CONCURRENCY
+  } = {}) {
+    this.id = id;
+    this.createWorker = createWorker || (() => new Worker(url));
+    this.maxConcurrency = maxConcurrency;
+
+    this.idleWorkers = [];
+    this.workerCount = 0;
+    this.jobQueue = [];
+    this.jobs = {};
+    this.jobCounter = 0;
+  }
+
+  /**
+   * Queues a job
+   * @param {Object} opts
+   * @param {String} opts.type - job type, determines the function run by the worker
+   * @param {Object} opts.payload - job parameters. Typed arrays are transferred to the worker
+   *   and cannot be used by the caller afterwards.
+   * @return {Promise} - resolves to the job result
+   */
+  startJob({type, payload}) {
+    return new Promise((resolve, reject) => {
+      const id = ++this.jobCounter;
+      this.jobs[id] = {resolve, reject};
+      this.jobQueue.push({id, type, payload});
+      this._startQueuedJobs();
+    });
+  }
+
+  /**
+   * Terminates all workers. Pending jobs are rejected.
+   */
+  finalize() {
+    for (const worker of this.idleWorkers) {
+      worker.terminate();
+    }
+    for (const id in this.jobs) {
+      const job = this.jobs[id];
+      if (job.worker) {
+        job.worker.terminate();
+      }
+      job.reject(new Error(`${this.id} finalized`));
+    }
+    this.idleWorkers = [];
+    this.workerCount = 0;
+    this.jobQueue = [];
+    this.jobs = {};
+  }
+
+  // PRIVATE METHODS
+
+  _startQueuedJobs() {
+    while (this.jobQueue.length > 0) {
+      const worker = this._getIdleWorker();
+      if (!worker) {
+        return;
+      }
+      const {id, type, payload} = this.jobQueue.shift();
+      this.jobs[id].worker = worker;
+      worker.postMessage({id, type, payload}, getTransferList(payload));
+    }
+  }
+
+  _getIdleWorker() {
+    if (this.idleWorkers.length > 0) {
+      return this.idleWorkers.pop();
+    }
+    if (this.workerCount < this.maxConcurrency) {
+      this.workerCount++;
+      const worker = this.createWorker();
+      worker.onmessage = event => this._onMessage(worker, event.data);
+      worker.onerror = event => this._onError(worker, event);
+      worker.onmessageerror = event => this._onError(worker, event);
+      return worker;
+    }
+    return null;
+  }
+
+  _onMessage(worker, {id, result, error}) {
+    const job = this.jobs[id];
+    delete this.jobs[id];
+
+    this.idleWorkers.push(worker);
+    this._startQueuedJobs();
+
+    if (job) {
+      if (error) {
+        job.reject(new Error(error));
+      } else {
+        job.resolve(result);
+      }
+    }
+  }
+
+  // A worker failed to load, threw outside of a job or sent a message that could not be
+  // deserialized. Its job is rejected and the worker is replaced by a new one.
+  _onError(worker, event) {
+    const message = (event && event.message) || 'worker error';
+
+    worker.terminate();
+    this.workerCount--;
+    const index = this.idleWorkers.indexOf(worker);
+    if (index !== -1) {
+      this.idleWorkers.splice(index, 1);
+    }
+
+    for (const id in this.jobs) {
+      const job = this.jobs[id];
+      if (job.worker === worker) {
+        delete this.jobs[id];
+        job.reject(new Error(`${this.id}: ${message}`));
+      }
+    }
+
+    this._startQueuedJobs();
+  }
+}
+
+/**
+ * Returns a shared worker pool for a worker script url
+ * @param {String} url - url of the worker script
+ * @return {WorkerPool} - worker pool
+ */
+export function getWorkerPool(url) {
+  workerPools[url] = workerPools[url] || new WorkerPool({id: url, url});
+  return workerPools[url];
+}
@@ -0,0 +1,69 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Keeps the pixels brighter than the threshold
+export const bloomThresholdFragment = `\
+#define SHADER_NAME bloom-effect-threshold-fs
+
+uniform float threshold;
+
+const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+
+void main(void) {
+  vec4 color = texture2D(texSrc, texCoord);
+  float brightness = dot(color.rgb, LUMA) * color.a;
+  gl_FragColor = color * smoothstep(threshold, threshold + 0.1, brightness);
+}
+`;
+
+// Separable gaussian blur, run once horizontally and once vertically
+export const bloomBlurFragment = `\
+#define SHADER_NAME bloom-effect-blur-fs
+
+uniform vec2 direction;
+uniform float radius;
+
+void main(void) {
+  vec2 offset = direction * radius / 4.0 / texSize;
+  gl_FragColor =
+    texture2D(texSrc, texCoord) * 0.2270270270 +
+    (texture2D(texSrc, texCoord + offset) + texture2D(texSrc, texCoord - offset)) *
+      0.1945945946 +
+    (texture2D(texSrc, texCoord + offset * 2.0) + texture2D(texSrc, texCoord - offset * 2.0)) *
+      0.1216216216 +
+    (texture2D(texSrc, texCoord + offset * 3.0) + texture2D(texSrc, texCoord - offset * 3.0)) *
+      0.0540540541 +
+    (texture2D(texSrc, texCoord + offset * 4.0) + texture2D(texSrc, texCoord - offset * 4.0)) *
+      0.0162162162;
+}
+`;
+
+// Adds the blurred bright pixels to the input of the effect
+export const bloomCombineFragment = `\
+#define SHADER_NAME bloom-effect-combine-fs
+
+uniform float intensity;
+
+void main(void) {
+  vec4 color = texture2D(texInput, texCoord);
+  vec4 bloom = texture2D(texSrc, texCoord) * intensity;
+  gl_FragColor = vec4(color.rgb + bloom.rgb, clamp(color.a + bloom.a, 0.0, 1.0));
+}
+`;
@@ -0,0 +1,55 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import PostProcessEffect from '../../../core/experimental/lib/post-process-effect';
+import {
+  bloomThresholdFragment, bloomBlurFragment, bloomCombineFragment
+} from './bloom-effect-fragment.glsl';
+
+const DEFAULT_OPTIONS = {
+  threshold: 0.6,
+  intensity: 1,
+  radius: 8
+};
+
+export default class BloomEffect extends PostProcessEffect {
+
+  /**
+   * @classdesc
+   * BloomEffect
+   * Makes bright pixels glow
+   *
+   * @class
+   * @param {Object} opts
+   * @param {Number} opts.threshold - brightness above which pixels glow, between 0 and 1
+   * @param {Number} opts.intensity - strength of the glow
+   * @param {Number} opts.radius - size of the glow in pixels
+   */
+  constructor(opts = {}) {
+    super(Object.assign({id: 'bloom-effect'}, DEFAULT_OPTIONS, opts, {
+      passes: [
+        {fs: bloomThresholdFragment, uniforms: ({threshold}) => ({threshold})},
+        {fs: bloomBlurFragment, uniforms: ({radius}) => ({radius, direction: [1, 0]})},
+        {fs: bloomBlurFragment, uniforms: ({radius}) => ({radius, direction: [0, 1]})},
+        {fs: bloomCombineFragment, uniforms: ({intensity}) => ({intensity})}
+      ]
+    }));
+  }
+}
@@ -0,0 +1,47 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+#define SHADER_NAME color-grading-effect-fs
+
+uniform float brightness;
+uniform float contrast;
+uniform float saturation;
+uniform float hue;
+
+const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+// Axis of the grays in RGB space
+const vec3 GRAY_AXIS = vec3(0.57735);
+
+void main(void) {
+  vec4 color = texture2D(texSrc, texCoord);
+  vec3 rgb = color.rgb;
+
+  // Rotate the hue around the grays
+  float c = cos(hue);
+  rgb = rgb * c + cross(GRAY_AXIS, rgb) * sin(hue) + GRAY_AXIS * dot(GRAY_AXIS, rgb) * (1.0 - c);
+
+  rgb += brightness;
+  rgb = (rgb - 0.5) * (1.0 + contrast) + 0.5;
+  rgb = mix(vec3(dot(rgb, LUMA)), rgb, 1.0 + saturation);
+
+  gl_FragColor = vec4(clamp(rgb, 0.0, 1.0), color.a);
+}
+`;
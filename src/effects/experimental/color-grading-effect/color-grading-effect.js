@@ -0,0 +1,58 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import PostProcessEffect from '../../../core/experimental/lib/post-process-effect';
+import colorGradingFragment from './color-grading-effect-fragment.glsl';
+
+const DEFAULT_OPTIONS = {
+  brightness: 0,
+  contrast: 0,
+  saturation: 0,
+  hue: 0
+};
+
+export default class ColorGradingEffect extends PostProcessEffect {
+
+  /**
+   * @classdesc
+   * ColorGradingEffect
+   * Adjusts the colors of the screen
+   *
+   * @class
+   * @param {Object} opts
+   * @param {Number} opts.brightness - between -1 (black) and 1 (white)
+   * @param {Number} opts.contrast - between -1 (gray) and 1 (maximum contrast)
+   * @param {Number} opts.saturation - between -1 (grayscale) and 1 (double saturation)
+   * @param {Number} opts.hue - hue rotation in degrees
+   */
+  constructor(opts = {}) {
+    super(Object.assign({id: 'color-grading-effect'}, DEFAULT_OPTIONS, opts, {
+      passes: [{
+        fs: colorGradingFragment,
+        uniforms: ({brightness, contrast, saturation, hue}) => ({
+          brightness,
+          contrast,
+          saturation,
+          hue: hue * Math.PI / 180
+        })
+      }]
+    }));
+  }
+}
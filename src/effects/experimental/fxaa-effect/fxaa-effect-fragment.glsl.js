@@ -0,0 +1,69 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Fast approximate anti-aliasing, based on the FXAA algorithm by Timothy Lottes
+export default `\
+#define SHADER_NAME fxaa-effect-fs
+
+#define FXAA_REDUCE_MIN (1.0 / 128.0)
+#define FXAA_REDUCE_MUL (1.0 / 8.0)
+#define FXAA_SPAN_MAX 8.0
+
+const vec3 LUMA = vec3(0.299, 0.587, 0.114);
+
+void main(void) {
+  vec2 texel = 1.0 / texSize;
+
+  vec4 colorM = texture2D(texSrc, texCoord);
+  float lumaNW = dot(texture2D(texSrc, texCoord + vec2(-1.0, -1.0) * texel).rgb, LUMA);
+  float lumaNE = dot(texture2D(texSrc, texCoord + vec2(1.0, -1.0) * texel).rgb, LUMA);
+  float lumaSW = dot(texture2D(texSrc, texCoord + vec2(-1.0, 1.0) * texel).rgb, LUMA);
+  float lumaSE = dot(texture2D(texSrc, texCoord + vec2(1.0, 1.0) * texel).rgb, LUMA);
+  float lumaM = dot(colorM.rgb, LUMA);
+
+  float lumaMin = min(lumaM, min(min(lumaNW, lumaNE), min(lumaSW, lumaSE)));
+  float lumaMax = max(lumaM, max(max(lumaNW, lumaNE), max(lumaSW, lumaSE)));
+
+  // Blur along the edge, perpendicular to the luminance gradient
+  vec2 direction = vec2(
+    -((lumaNW + lumaNE) - (lumaSW + lumaSE)),
+    (lumaNW + lumaSW) - (lumaNE + lumaSE)
+  );
+  float directionReduce = max(
+    (lumaNW + lumaNE + lumaSW + lumaSE) * 0.25 * FXAA_REDUCE_MUL,
+    FXAA_REDUCE_MIN
+  );
+  float directionScale = 1.0 / (min(abs(direction.x), abs(direction.y)) + directionReduce);
+  direction = clamp(direction * directionScale, -FXAA_SPAN_MAX, FXAA_SPAN_MAX) * texel;
+
+  vec4 colorA = 0.5 * (
+    texture2D(texSrc, texCoord + direction * (1.0 / 3.0 - 0.5)) +
+    texture2D(texSrc, texCoord + direction * (2.0 / 3.0 - 0.5))
+  );
+  vec4 colorB = colorA * 0.5 + 0.25 * (
+    texture2D(texSrc, texCoord - direction * 0.5) +
+    texture2D(texSrc, texCoord + direction * 0.5)
+  );
+
+  // Fall back to the narrower blur if the wider one samples across another edge
+  float lumaB = dot(colorB.rgb, LUMA);
+  gl_FragColor = lumaB < lumaMin || lumaB > lumaMax ? colorA : colorB;
+}
+`;
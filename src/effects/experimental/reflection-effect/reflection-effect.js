@@ -85,7 +85,8 @@ export default class ReflectionEffect extends Effect {
     );
     gl.clear(GL.COLOR_BUFFER_BIT | GL.DEPTH_BUFFER_BIT);
 
-    layerManager.drawLayers({pass: 'reflection'});
+    // Masks and outlines are drawn from the regular viewport
+    layerManager.drawLayers({pass: 'reflection', useMasks: false, drawOutlines: false});
     layerManager.setViewport(viewport);
     this.framebuffer.unbind();
   }
@@ -0,0 +1,270 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import {GL, Framebuffer, Model, Geometry, Texture2D, withParameters} from 'luma.gl';
+import mat4_multiply from 'gl-mat4/multiply';
+import mat4_invert from 'gl-mat4/invert';
+import mat4_lookAt from 'gl-mat4/lookAt';
+import mat4_ortho from 'gl-mat4/ortho';
+import mat4_translate from 'gl-mat4/translate';
+import mat4_scale from 'gl-mat4/scale';
+import Effect from '../../../core/experimental/lib/effect';
+import {
+  DEFAULT_LIGHTING, getDirectionalLightDirection
+} from '../../../core/shaderlib/lighting/lighting';
+
+import groundVertex from './shadow-effect-vertex.glsl';
+import groundFragment from './shadow-effect-fragment.glsl';
+
+const DEFAULT_OPTIONS = {
+  lightDirection: null,
+  color: [0, 0, 0],
+  opacity: 0.5,
+  shadowMapSize: 2048,
+  groundShadows: true
+};
+
+// Shadows cover the visible ground, up to this many times the size of the viewport
+const MAX_EXTENT = 3;
+
+// Returns the distance from the center of the viewport to its farthest corner on the ground
+function getGroundRadius(viewport, center) {
+  const {width, height} = viewport;
+  const maxRadius = Math.max(width, height) * MAX_EXTENT;
+  let radius = 0;
+
+  for (const corner of [[0, 0], [width, 0], [0, height], [width, height]]) {
+    const lngLat = viewport.unproject(corner);
+    const position = lngLat && viewport.projectFlat(lngLat);
+    const distance = position ?
+      Math.sqrt(Math.pow(position[0] - center[0], 2) + Math.pow(position[1] - center[1], 2)) :
+      maxRadius;
+    radius = Math.max(radius, Number.isFinite(distance) ? distance : maxRadius);
+  }
+  return Math.min(radius, maxRadius);
+}
+
+/**
+ * Calculates the matrices that map the visible ground to the shadow map
+ * @param {Viewport} viewport - the camera
+ * @param {Array} lightDirection - `[east, north, up]` direction the light travels in
+ * @return {Object|null} - `{cameraToLightMatrix, groundMatrix}`, or null if the light
+ *   does not shine from above. `cameraToLightMatrix` maps clipspace positions seen from
+ *   the camera to clipspace positions seen from the light, `groundMatrix` maps a unit
+ *   square to the shadowed area of the ground in clipspace.
+ */
+export function getShadowMatrices(viewport, lightDirection) {
+  // World y points south in geospatial viewports
+  const [east, north, up] = lightDirection;
+  const length = Math.sqrt(east * east + north * north + up * up);
+  if (!(up < 0)) {
+    return null;
+  }
+  const direction = [east / length, (viewport.isGeospatial ? -north : north) / length, up / length];
+
+  const center = viewport.center ? [viewport.center[0], viewport.center[1], 0] : [0, 0, 0];
+  const radius = getGroundRadius(viewport, center);
+  // Leaves room for tall objects between the light and the ground
+  const depth = radius * 4;
+
+  // Orthographic projection seen from the light, looking at the center of the viewport
+  const eye = center.map((component, i) => component - direction[i] * depth);
+  const viewMatrix = mat4_lookAt([], eye, center, Math.abs(direction[2]) > 0.99 ?
+    [0, 1, 0] : [0, 0, 1]);
+  const projectionMatrix = mat4_ortho([], -radius, radius, -radius, radius, 0, depth * 2);
+  const lightMatrix = mat4_multiply([], projectionMatrix, viewMatrix);
+
+  // Camera and light matrices are combined in 64 bit precision,
+  // so that shaders do not handle world coordinates
+  const cameraToLightMatrix = mat4_multiply([], lightMatrix,
+    mat4_invert([], viewport.viewProjectionMatrix));
+
+  const groundMatrix = mat4_translate([], viewport.viewProjectionMatrix, center);
+  mat4_scale(groundMatrix, groundMatrix, [radius, radius, 1]);
+
+  return {cameraToLightMatrix, groundMatrix};
+}
+
+// Only layers that use the shadow shader module can be drawn into the shadow map
+function castsShadows(layer) {
+  if (layer.isComposite) {
+    return false;
+  }
+  const {modules = []} = layer.getShaders() || {};
+  return modules.indexOf('shadow') !== -1;
+}
+
+export default class ShadowEffect extends Effect {
+
+  /**
+   * @classdesc
+   * ShadowEffect
+   * Draws the layers into a depth map seen from a directional light, which layers
+   * using the `shadow` shader module sample to cast shadows onto each other.
+   * Shadows are also cast onto the ground.
+   *
+   * @class
+   * @param {Object} opts
+   * @param {Array} opts.lightDirection - `[east, north, up]` direction of the light,
+   *   defaults to the first directional light of the `lighting` prop of DeckGL
+   * @param {Array} opts.color - `[r, g, b]` color of the shadows
+   * @param {Number} opts.opacity - opacity of the shadows, between 0 and 1
+   * @param {Number} opts.shadowMapSize - resolution of the shadow map
+   * @param {Boolean} opts.groundShadows - whether to cast shadows onto the ground
+   */
+  constructor(opts = {}) {
+    super();
+    this.id = 'shadow-effect';
+    this.opts = Object.assign({}, DEFAULT_OPTIONS, opts);
+    this.layerManager = null;
+    this.shadowMap = null;
+    this.emptyTexture = null;
+    this.groundModel = null;
+    this.matrices = null;
+    this.setNeedsRedraw();
+  }
+
+  /**
+   * Updates the options and redraws the layers
+   * @param {Object} opts - see constructor
+   */
+  setOptions(opts) {
+    const {shadowMapSize} = this.opts;
+    Object.assign(this.opts, opts);
+    if (this.shadowMap && this.opts.shadowMapSize !== shadowMapSize) {
+      this.shadowMap.resize({width: this.opts.shadowMapSize, height: this.opts.shadowMapSize});
+    }
+    if (this.layerManager) {
+      this.layerManager.setNeedsRedraw('shadow effect changed');
+    }
+  }
+
+  initialize({gl, layerManager}) {
+    const {shadowMapSize} = this.opts;
+    this.layerManager = layerManager;
+    this.shadowMap = new Framebuffer(gl, {
+      width: shadowMapSize,
+      height: shadowMapSize,
+      depth: true
+    });
+    // Bound instead of the shadow map while drawing into it
+    this.emptyTexture = new Texture2D(gl, {width: 1, height: 1, data: new Uint8Array(4)});
+    this.groundModel = new Model(gl, {
+      id: 'shadow-effect-ground',
+      vs: groundVertex,
+      fs: groundFragment,
+      modules: ['shadow'],
+      geometry: new Geometry({
+        drawMode: GL.TRIANGLE_FAN,
+        vertices: new Float32Array([-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0])
+      })
+    });
+  }
+
+  preDraw({gl, layerManager}) {
+    // Shadows are calculated for the first viewport
+    const viewport = layerManager.getViewports()[0];
+    const lightDirection = viewport && this._getLightDirection(layerManager, viewport);
+    this.matrices = lightDirection ? getShadowMatrices(viewport, lightDirection) : null;
+    if (!this.matrices) {
+      return;
+    }
+
+    const {shadowMapSize} = this.opts;
+    const {layerFilter} = layerManager.context;
+
+    withParameters(gl, {framebuffer: this.shadowMap, clearColor: [1, 1, 1, 1]}, () => {
+      layerManager.drawLayers({
+        pass: 'shadow map',
+        redrawReason: 'shadow effect',
+        layerFilter: opts => castsShadows(opts.layer) && (!layerFilter || layerFilter(opts)),
+        // Masks are screen sized, masked layers cast their full shadow
+        useMasks: false,
+        drawOutlines: false,
+        parameters: {
+          viewport: [0, 0, shadowMapSize, shadowMapSize],
+          blend: false,
+          depthTest: true,
+          depthFunc: GL.LEQUAL
+        },
+        moduleParameters: {
+          shadowMap: {
+            drawShadowMap: true,
+            cameraToLightMatrix: this.matrices.cameraToLightMatrix,
+            texture: this.emptyTexture
+          }
+        }
+      });
+    });
+  }
+
+  getModuleParameters() {
+    if (!this.matrices) {
+      return null;
+    }
+    const {color, opacity, shadowMapSize} = this.opts;
+    return {
+      shadowMap: {
+        cameraToLightMatrix: this.matrices.cameraToLightMatrix,
+        texture: this.shadowMap.texture,
+        size: shadowMapSize,
+        color,
+        opacity
+      }
+    };
+  }
+
+  draw({gl, layerManager}) {
+    if (!this.matrices || !this.opts.groundShadows) {
+      return;
+    }
+
+    // Shadows are blended onto the ground, behind layers drawn at the same depth
+    this.groundModel.updateModuleSettings(this.getModuleParameters());
+    withParameters(gl, {
+      viewport: [0, 0, gl.drawingBufferWidth, gl.drawingBufferHeight],
+      blend: true,
+      blendFunc: [GL.SRC_ALPHA, GL.ONE_MINUS_SRC_ALPHA],
+      depthTest: true,
+      depthMask: false,
+      polygonOffsetFill: true,
+      polygonOffset: [1, 1]
+    }, () => {
+      this.groundModel.render({groundMatrix: this.matrices.groundMatrix});
+    });
+  }
+
+  finalize({gl, layerManager}) {
+    this.shadowMap.delete();
+    this.emptyTexture.delete();
+    this.groundModel.delete();
+    this.layerManager = null;
+  }
+
+  _getLightDirection(layerManager, viewport) {
+    if (this.opts.lightDirection) {
+      return this.opts.lightDirection;
+    }
+    const {directionalLights = []} = layerManager.context.lighting || DEFAULT_LIGHTING;
+    return directionalLights.length > 0 ?
+      getDirectionalLightDirection(directionalLights[0], viewport) :
+      null;
+  }
+}
@@ -0,0 +1,52 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import PostProcessEffect from '../../../core/experimental/lib/post-process-effect';
+import vignetteFragment from './vignette-effect-fragment.glsl';
+
+const DEFAULT_OPTIONS = {
+  radius: 0.5,
+  softness: 0.8,
+  amount: 0.5
+};
+
+export default class VignetteEffect extends PostProcessEffect {
+
+  /**
+   * @classdesc
+   * VignetteEffect
+   * Darkens the edges of the screen
+   *
+   * @class
+   * @param {Object} opts
+   * @param {Number} opts.radius - distance from the center where darkening starts,
+   *   1 is the middle of the edges
+   * @param {Number} opts.softness - distance over which darkening increases
+   * @param {Number} opts.amount - darkening at the corners, between 0 and 1
+   */
+  constructor(opts = {}) {
+    super(Object.assign({id: 'vignette-effect'}, DEFAULT_OPTIONS, opts, {
+      passes: [{
+        fs: vignetteFragment,
+        uniforms: ({radius, softness, amount}) => ({radius, softness, amount})
+      }]
+    }));
+  }
+}
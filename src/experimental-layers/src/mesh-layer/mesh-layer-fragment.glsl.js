@@ -28,5 +28,8 @@ void main(void) {
 
   // use picking color if rendering to picking FBO.
   // gl_FragColor = picking_filterPickingColor(gl_FragColor);
+
+  // write depth when drawing the shadow map, otherwise shade fragments in shadow
+  gl_FragColor = shadow_filterColor(gl_FragColor);
 }
 `;
@@ -53,6 +53,7 @@ void main(void) {
   gl_Position = project_position_and_offset_to_clipspace_fp64(
     instancePositions, instancePositions64xy, offset
   );
+  gl_Position = shadow_setVertexPosition(gl_Position);
 
   picking_setPickingColor(instancePickingColors);
 
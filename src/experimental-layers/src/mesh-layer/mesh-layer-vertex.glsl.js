@@ -30,6 +30,7 @@ void main(void) {
   pos = project_scale(pos * sizeScale);
   pos = vec3(rotationMatrix * pos.xy, pos.z);
   gl_Position = project_to_clipspace(vec4(instancePos + pos, 1.0));
+  gl_Position = shadow_setVertexPosition(gl_Position);
 
   // TODO - transform normals
 
@@ -32,6 +32,8 @@ import vs64 from './mesh-layer-vertex-64.glsl';
 import fs from './mesh-layer-fragment.glsl';
 import project64utils from '../shaderlib/project64utils/project64utils';
 
+const DEFAULT_COLOR = [0, 0, 0, 255];
+
 function degreeToRadian(degree) {
   return degree * Math.PI / 180;
 }
@@ -77,15 +79,6 @@ const defaultProps = {
     depthFunc: GL.LEQUAL
   },
   fp64: false,
-  // Optional settings for 'lighting' shader module
-  lightSettings: {
-    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
-    ambientRatio: 0.05,
-    diffuseRatio: 0.6,
-    specularRatio: 0.8,
-    lightsStrength: [2.0, 0.0, 0.0, 0.0],
-    numberOfLights: 2
-  },
 
   getPosition: x => x.position,
   getAngleDegreesCW: x => x.angle || 0,
@@ -96,9 +89,12 @@ export default class MeshLayer extends Layer {
 
   getShaders(id) {
     const {shaderCache} = this.context;
+    const modules = ['picking', 'lighting', 'shadow'];
+    const defines = this.getLightingDefines();
     return enable64bitSupport(this.props) ?
-      {vs: vs64, fs, modules: [project64utils, 'picking', 'lighting'], shaderCache} :
-      {vs, fs, modules: ['picking', 'lighting'], shaderCache}; // 'project' module added by default.
+      {vs: vs64, fs, modules: [project64utils, ...modules], defines, shaderCache} :
+      // 'project' module added by default.
+      {vs, fs, modules, defines, shaderCache};
   }
 
   initializeState() {
@@ -107,9 +103,9 @@ export default class MeshLayer extends Layer {
 
     const {attributeManager} = this.state;
     attributeManager.addInstanced({
-      instancePositions: {size: 3, accessor: 'getPosition', update: this.calculateInstancePositions},
+      instancePositions: {size: 3, accessor: 'getPosition', columnar: true, update: this.calculateInstancePositions},
       instanceAngles: {size: 1, accessor: 'getAngleDegreesCW', update: this.calculateInstanceAngles},
-      instanceColors: {size: 4, accessor: 'getColor', update: this.calculateInstanceColors}
+      instanceColors: {size: 4, accessor: 'getColor', columnar: true, defaultValue: DEFAULT_COLOR, update: this.calculateInstanceColors}
     });
   }
 
@@ -121,10 +117,9 @@ export default class MeshLayer extends Layer {
       attributeManager.invalidateAll();
     }
 
-    if (changeFlags.propsChanged) {
-
-      this._updateFP64(props, oldProps);
+    this._updateModel(props, oldProps);
 
+    if (changeFlags.propsChanged) {
       if (props.sizeScale !== oldProps.sizeScale) {
         const {sizeScale} = props;
         this.state.model.setUniforms({sizeScale});
@@ -137,24 +132,29 @@ export default class MeshLayer extends Layer {
           // TODO - reset
         }
       }
-
-      if (props.lightSettings !== oldProps.lightSettings) {
-        this.state.model.setUniforms(props.lightSettings);
-      }
     }
   }
 
-  _updateFP64(props, oldProps) {
-    if (props.fp64 !== oldProps.fp64) {
+  _updateModel(props, oldProps) {
+    const fp64Changed = props.fp64 !== oldProps.fp64;
+
+    // Light arrays of the shader are sized to the lights of the scene
+    if (fp64Changed || this.lightingDefinesChanged()) {
       this.setState({model: this.getModel(this.context.gl)});
 
       this.state.model.setUniforms({
         sizeScale: props.sizeScale
       });
+      // A changed texture is loaded by updateState
+      if (props.texture && props.texture === oldProps.texture) {
+        this.loadTexture(props.texture);
+      }
 
-      const {attributeManager} = this.state;
-      attributeManager.invalidateAll();
+      this.state.attributeManager.invalidateAll();
+    }
 
+    if (fp64Changed) {
+      const {attributeManager} = this.state;
       if (enable64bitSupport(this.props)) {
         attributeManager.addInstanced({
           instancePositions64xy: {
@@ -1,58 +1,143 @@
 /* global document */
 import {Texture2D} from 'luma.gl';
+import {getSignedDistanceField} from './sdf-utils';
 
 const MAX_CANVAS_WIDTH = 1024;
-const fontSize = 64;
-const padding = 2;
 
-const charList = [];
+export const DEFAULT_CHAR_SET = [];
 for (let i = 32; i < 128; i++) {
-  charList.push(String.fromCharCode(i));
+  DEFAULT_CHAR_SET.push(String.fromCharCode(i));
 }
 
-function setTextStyle(ctx, fontFamily) {
-  ctx.font = `${fontSize}px ${fontFamily}`;
+export const DEFAULT_FONT_SETTINGS = {
+  fontFamily: '"Lucida Console", Monaco, monospace',
+  fontWeight: 'normal',
+  // Font size of the atlas, labels are scaled from it
+  fontSize: 64,
+  // Padding around each glyph
+  buffer: 2,
+  // Signed distance field settings, see sdf-utils.js
+  sdf: false,
+  radius: 12,
+  cutoff: 0.25
+};
+
+function nextPowerOfTwo(number) {
+  return Math.pow(2, Math.ceil(Math.log2(number)));
+}
+
+function setTextStyle(ctx, {fontFamily, fontWeight, fontSize}) {
+  ctx.font = `${fontWeight} ${fontSize}px ${fontFamily}`;
   ctx.fillStyle = '#000';
-  ctx.textBaseline = 'hanging';
+  ctx.textBaseline = 'middle';
   ctx.textAlign = 'left';
 }
 
-export function makeFontAtlas(gl, fontFamily) {
-  const canvas = document.createElement('canvas');
-  const ctx = canvas.getContext('2d');
-  setTextStyle(ctx, fontFamily);
+// Replaces the alpha channel of a canvas with the signed distance field of its contents
+function renderSignedDistanceField(ctx, radius, cutoff) {
+  const {width, height} = ctx.canvas;
+  const imageData = ctx.getImageData(0, 0, width, height);
+  const {data} = imageData;
+  const alpha = new Uint8ClampedArray(width * height);
+  for (let i = 0; i < alpha.length; i++) {
+    alpha[i] = data[i * 4 + 3];
+  }
+  const distances = getSignedDistanceField(alpha, width, height, radius, cutoff);
+  for (let i = 0; i < distances.length; i++) {
+    data[i * 4] = 0;
+    data[i * 4 + 1] = 0;
+    data[i * 4 + 2] = 0;
+    data[i * 4 + 3] = distances[i];
+  }
+  ctx.putImageData(imageData, 0, 0);
+}
 
-  // measure texts
+/**
+ * Lays out the glyphs of a character set in rows
+ * @param {Object} opts
+ * @param {Array} opts.characterSet - characters to lay out
+ * @param {Function} opts.getFontWidth - returns the advance width of a character
+ * @param {Number} opts.fontHeight - height of a glyph
+ * @param {Number} opts.buffer - padding around each glyph
+ * @param {Number} opts.maxCanvasWidth - maximum width of a row
+ * @return {Object} - `{mapping, canvasHeight}`, where `mapping` maps each character to
+ *   `{x, y, width, height, advance, mask}`. The frame of a glyph includes the padding,
+ *   `advance` is the width of the glyph in a line of text
+ */
+export function buildMapping({characterSet, getFontWidth, fontHeight, buffer, maxCanvasWidth}) {
+  const mapping = {};
   let row = 0;
   let x = 0;
-  const mapping = {};
+  const rowHeight = fontHeight + buffer * 2;
 
-  charList.forEach(char => {
-    const {width} = ctx.measureText(char);
-    if (x + width > MAX_CANVAS_WIDTH) {
-      x = 0;
-      row++;
+  for (const char of characterSet) {
+    if (!mapping[char]) {
+      const advance = getFontWidth(char);
+      const width = Math.ceil(advance) + buffer * 2;
+      if (x + width > maxCanvasWidth) {
+        x = 0;
+        row++;
+      }
+      mapping[char] = {
+        x,
+        y: row * rowHeight,
+        width,
+        height: rowHeight,
+        advance,
+        mask: true
+      };
+      x += width;
     }
-    mapping[char] = {
-      x,
-      y: row * (fontSize + padding),
-      width,
-      height: fontSize,
-      mask: true
-    };
-    x += width;
+  }
+
+  return {mapping, canvasHeight: (row + 1) * rowHeight};
+}
+
+/**
+ * Rasterizes the glyphs of a font into a texture
+ * @param {WebGLRenderingContext} gl
+ * @param {Object} opts - see `DEFAULT_FONT_SETTINGS`, and `characterSet`
+ * @return {Object} - `{mapping, texture, fontSize, buffer, sdf}`, see `buildMapping`.
+ *   `sdf` is `{radius, cutoff}` if the texture holds signed distance fields, otherwise null
+ */
+export function makeFontAtlas(gl, opts) {
+  const settings = Object.assign({}, DEFAULT_FONT_SETTINGS, opts);
+  const {fontSize, sdf, radius, cutoff, characterSet = DEFAULT_CHAR_SET} = settings;
+  // Distance fields need room around glyphs
+  const buffer = sdf ? Math.max(settings.buffer, radius) : settings.buffer;
+
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  setTextStyle(ctx, settings);
+
+  const {mapping, canvasHeight} = buildMapping({
+    characterSet,
+    getFontWidth: char => ctx.measureText(char).width,
+    fontHeight: fontSize,
+    buffer,
+    maxCanvasWidth: MAX_CANVAS_WIDTH
   });
 
+  // Power of two dimensions allow mipmapping
   canvas.width = MAX_CANVAS_WIDTH;
-  canvas.height = (row + 1) * (fontSize + padding);
+  canvas.height = nextPowerOfTwo(canvasHeight);
 
-  setTextStyle(ctx, fontFamily);
+  // Resizing the canvas resets its state
+  setTextStyle(ctx, settings);
   for (const char in mapping) {
-    ctx.fillText(char, mapping[char].x, mapping[char].y);
+    const {x, y} = mapping[char];
+    ctx.fillText(char, x + buffer, y + buffer + fontSize / 2);
+  }
+
+  if (sdf) {
+    renderSignedDistanceField(ctx, radius, cutoff);
   }
 
   return {
     mapping,
+    fontSize,
+    buffer,
+    sdf: sdf ? {radius, cutoff} : null,
     texture: new Texture2D(gl, {
       pixels: canvas
       // no need to specify texture filter here
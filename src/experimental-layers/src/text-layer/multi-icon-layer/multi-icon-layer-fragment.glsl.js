@@ -0,0 +1,77 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+export default `\
+#define SHADER_NAME multi-icon-layer-fragment-shader
+
+#ifdef GL_ES
+precision highp float;
+#endif
+
+uniform float opacity;
+uniform sampler2D iconsTexture;
+// signed distance field settings, see font-atlas.js
+uniform bool sdf;
+uniform float sdfEdge;
+uniform float outlineEdge;
+uniform vec4 outlineColor;
+
+varying float vColorMode;
+varying vec4 vColor;
+varying vec2 vTextureCoords;
+varying float vCollisionOpacity;
+varying float vGamma;
+
+const float MIN_ALPHA = 0.05;
+
+void main(void) {
+  vec4 texColor = texture2D(iconsTexture, vTextureCoords);
+
+  vec4 color;
+  if (sdf) {
+    // The alpha channel holds the signed distance to the glyph edge
+    float distance = texColor.a;
+    float fillWeight = smoothstep(sdfEdge - vGamma, sdfEdge + vGamma, distance);
+    float outlineWeight = smoothstep(outlineEdge - vGamma, outlineEdge + vGamma, distance);
+    color = mix(outlineColor, vColor, fillWeight);
+    color.a *= outlineWeight;
+  } else {
+    // if colorMode == 0, use pixel color from the texture
+    // if colorMode == 1 or rendering picking buffer, use texture as transparency mask
+    color = vec4(
+      mix(texColor.rgb, vColor.rgb, vColorMode),
+      texColor.a * mix(1.0, vColor.a, vColorMode)
+    );
+  }
+
+  float a = color.a * opacity * vCollisionOpacity;
+  if (a < MIN_ALPHA) {
+    discard;
+  }
+
+  gl_FragColor = vec4(color.rgb, a);
+
+  // use highlight color if this fragment belongs to the selected object.
+  gl_FragColor = picking_filterHighlightColor(gl_FragColor);
+
+  // use picking color if rendering to picking FBO.
+  gl_FragColor = picking_filterPickingColor(gl_FragColor);
+}
+`;
@@ -31,19 +31,27 @@ attribute vec3 instancePickingColors;
 attribute vec4 instanceIconFrames;
 attribute float instanceColorModes;
 attribute vec2 instanceOffsets;
+// fades out icons hidden by collisions, see CollisionManager
+attribute float instanceCollisionOpacities;
 
-// the following three attributes are for the multi-icon layer
-attribute float instanceIndexOfIcon;
-attribute float instanceNumOfIcon;
+// the following two attributes are for the multi-icon layer
+attribute vec2 instanceShift;
 attribute vec2 instancePixelOffset;
 
 uniform vec2 viewportSize;
 uniform float sizeScale;
 uniform vec2 iconsTextureDim;
+// change of the signed distance per icon atlas pixel
+uniform float sdfRange;
 
 varying float vColorMode;
 varying vec4 vColor;
 varying vec2 vTextureCoords;
+varying float vCollisionOpacity;
+varying float vGamma;
+
+// width of the antialiased edge of signed distance fields, in screen pixels
+const float SMOOTHING = 0.7;
 
 vec2 rotate_by_angle(vec2 vertex, float angle) {
   float angle_radian = angle * PI / 180.0;
@@ -53,21 +61,13 @@ vec2 rotate_by_angle(vec2 vertex, float angle) {
   return rotationMatrix * vertex;
 }
 
-vec2 getShift(float instanceIndexOfIcon, float instanceNumOfIcon) {
-  // calculate the middle index of the string
-  float midIndex = (instanceNumOfIcon - 1.0) / 2.0;
-  // calculate horizontal shift of each letter
-  return vec2(instanceIndexOfIcon - midIndex, 0.0);
-}
-
 void main(void) {
   vec2 iconSize = instanceIconFrames.zw;
   // scale icon height to match instanceSize
   float instanceScale = iconSize.y == 0.0 ? 0.0 : instanceSizes / iconSize.y;
 
   // scale and rotate vertex in "pixel" value and convert back to fraction in clipspace
-  vec2 shift = getShift(instanceIndexOfIcon, instanceNumOfIcon);
-  vec2 pixelOffset = (positions / 2.0 + shift) * iconSize + instanceOffsets;
+  vec2 pixelOffset = positions / 2.0 * iconSize + instanceShift + instanceOffsets;
 
   pixelOffset = rotate_by_angle(pixelOffset, instanceAngles) * sizeScale * instanceScale;
   pixelOffset += instancePixelOffset;
@@ -89,5 +89,7 @@ void main(void) {
   picking_setPickingColor(instancePickingColors);
 
   vColorMode = instanceColorModes;
+  vCollisionOpacity = instanceCollisionOpacities;
+  vGamma = SMOOTHING * sdfRange / max(sizeScale * instanceScale, 1e-6);
 }
 `;
@@ -23,22 +23,35 @@ const {enable64bitSupport} = experimental;
 
 import vs from './multi-icon-layer-vertex.glsl';
 import vs64 from './multi-icon-layer-vertex-64.glsl';
+import fs from './multi-icon-layer-fragment.glsl';
 
+const DEFAULT_OUTLINE_COLOR = [0, 0, 0, 255];
+
+/*
+ * @param {object} props
+ * @param {func} props.getShift - returns the offset of the icon center from the anchor
+ *   position, in icon atlas pixels
+ * @param {func} props.getPixelOffset - returns the screen space offset of the icon, in pixels
+ * @param {object} props.sdf - `{radius, cutoff}` if the icon atlas holds signed distance
+ *   fields in its alpha channel, see font-atlas.js
+ * @param {number} props.outlineWidth - width of the outline around icons in icon atlas pixels,
+ *   only used with `sdf`
+ * @param {array} props.outlineColor - color of the outline in [r, g, b, a]
+ */
 const defaultProps = {
-  getIndexOfIcon: x => x.index || 0,
-  getNumOfIcon: x => x.len || 1,
-  // 1: left, 0: middle, -1: right
-  getAnchorX: x => x.anchorX || 0,
-  // 1: top, 0: center, -1: bottom
-  getAnchorY: x => x.anchorY || 0,
-  getPixelOffset: x => x.pixelOffset || [0, 0]
+  getShift: x => x.shift || [0, 0],
+  getPixelOffset: x => x.pixelOffset || [0, 0],
+  sdf: null,
+  outlineWidth: 0,
+  outlineColor: DEFAULT_OUTLINE_COLOR
 };
 
 export default class MultiIconLayer extends IconLayer {
   getShaders() {
     const multiIconVs = enable64bitSupport(this.props) ? vs64 : vs;
     return Object.assign({}, super.getShaders(), {
-      vs: multiIconVs
+      vs: multiIconVs,
+      fs
     });
   }
 
@@ -47,15 +60,10 @@ export default class MultiIconLayer extends IconLayer {
 
     const {attributeManager} = this.state;
     attributeManager.addInstanced({
-      instanceIndexOfIcon: {
-        size: 1,
-        accessor: 'getIndexOfIcon',
-        update: this.calculateInstanceIndexOfIcon
-      },
-      instanceNumOfIcon: {
-        size: 1,
-        accessor: 'getNumOfIcon',
-        update: this.calculateInstanceNumOfIcon
+      instanceShift: {
+        size: 2,
+        accessor: 'getShift',
+        update: this.calculateInstanceShift
       },
       instancePixelOffset: {
         size: 2,
@@ -65,33 +73,40 @@ export default class MultiIconLayer extends IconLayer {
     });
   }
 
-  calculateInstanceIndexOfIcon(attribute) {
-    const {data, getIndexOfIcon} = this.props;
-    const {value} = attribute;
-    let i = 0;
-    for (const object of data) {
-      value[i++] = getIndexOfIcon(object);
-    }
-  }
+  draw({uniforms}) {
+    const {sdf, outlineWidth, outlineColor} = this.props;
+    const sdfUniforms = {
+      sdf: Boolean(sdf),
+      sdfRange: 0,
+      sdfEdge: 0,
+      outlineEdge: 0,
+      outlineColor: [
+        outlineColor[0],
+        outlineColor[1],
+        outlineColor[2],
+        Number.isFinite(outlineColor[3]) ? outlineColor[3] : 255
+      ].map(x => x / 255)
+    };
 
-  calculateInstanceNumOfIcon(attribute) {
-    const {data, getNumOfIcon} = this.props;
-    const {value} = attribute;
-    let i = 0;
-    for (const object of data) {
-      value[i++] = getNumOfIcon(object);
+    if (sdf) {
+      const {radius, cutoff} = sdf;
+      // Distance fields go from 1 inside glyphs to 0 at `radius` pixels outside of glyphs
+      sdfUniforms.sdfRange = 1 / radius;
+      sdfUniforms.sdfEdge = 1 - cutoff;
+      sdfUniforms.outlineEdge = Math.max(0, 1 - cutoff - outlineWidth / radius);
     }
+
+    super.draw({uniforms: Object.assign({}, uniforms, sdfUniforms)});
   }
 
-  calculateInstanceOffsets(attribute) {
-    const {data, iconMapping, getIcon, getAnchorX, getAnchorY, getNumOfIcon} = this.props;
+  calculateInstanceShift(attribute) {
+    const {data, getShift} = this.props;
     const {value} = attribute;
     let i = 0;
     for (const object of data) {
-      const icon = getIcon(object);
-      const rect = iconMapping[icon] || {};
-      value[i++] = rect.width / 2 * getAnchorX(object) * getNumOfIcon(object) || 0;
-      value[i++] = rect.height / 2 * getAnchorY(object) || 0;
+      const shift = getShift(object);
+      value[i++] = shift[0] || 0;
+      value[i++] = shift[1] || 0;
     }
   }
 
@@ -0,0 +1,117 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Signed distance fields of glyph bitmaps, see
+// "Distance Transforms of Sampled Functions" (Felzenszwalb, Huttenlocher) and
+// https://github.com/mapbox/tiny-sdf
+
+const INF = 1e20;
+
+// 1D squared euclidean distance transform of `grid`, from `offset` with `stride`
+// `f`, `v` and `z` are preallocated buffers
+function edt1d(grid, offset, stride, length, {f, v, z}) {
+  for (let q = 0; q < length; q++) {
+    f[q] = grid[offset + q * stride];
+  }
+  v[0] = 0;
+  z[0] = -INF;
+  z[1] = INF;
+
+  let k = 0;
+  for (let q = 1; q < length; q++) {
+    let s;
+    do {
+      const r = v[k];
+      s = (f[q] - f[r] + q * q - r * r) / (q - r) / 2;
+    } while (s <= z[k] && --k > -1);
+
+    k++;
+    v[k] = q;
+    z[k] = s;
+    z[k + 1] = INF;
+  }
+
+  k = 0;
+  for (let q = 0; q < length; q++) {
+    while (z[k + 1] < q) {
+      k++;
+    }
+    const r = v[k];
+    grid[offset + q * stride] = f[r] + (q - r) * (q - r);
+  }
+}
+
+// 2D squared euclidean distance transform, in place
+function edt(grid, width, height) {
+  const length = Math.max(width, height);
+  const buffers = {
+    f: new Float64Array(length),
+    v: new Uint16Array(length),
+    z: new Float64Array(length + 1)
+  };
+
+  for (let x = 0; x < width; x++) {
+    edt1d(grid, x, width, height, buffers);
+  }
+  for (let y = 0; y < height; y++) {
+    edt1d(grid, y * width, 1, width, buffers);
+  }
+}
+
+/**
+ * Converts the alpha channel of a bitmap into a signed distance field
+ * @param {Uint8ClampedArray} alpha - alpha values of the bitmap, row by row
+ * @param {Number} width - bitmap width
+ * @param {Number} height - bitmap height
+ * @param {Number} radius - distance in pixels covered by the field on each side of an edge
+ * @param {Number} cutoff - 0 to 1, the fraction of the field used for distances
+ *   inside of glyphs. Edges are at the value `1 - cutoff`
+ * @return {Uint8ClampedArray} - distance values, 255 deep inside glyphs and 0 far outside
+ */
+export function getSignedDistanceField(alpha, width, height, radius, cutoff) {
+  const size = width * height;
+  const gridOuter = new Float64Array(size);
+  const gridInner = new Float64Array(size);
+
+  for (let i = 0; i < size; i++) {
+    const a = alpha[i] / 255;
+    if (a === 1) {
+      gridOuter[i] = 0;
+      gridInner[i] = INF;
+    } else if (a === 0) {
+      gridOuter[i] = INF;
+      gridInner[i] = 0;
+    } else {
+      // Edges of partially covered pixels are placed between pixel centers
+      gridOuter[i] = Math.pow(Math.max(0, 0.5 - a), 2);
+      gridInner[i] = Math.pow(Math.max(0, a - 0.5), 2);
+    }
+  }
+
+  edt(gridOuter, width, height);
+  edt(gridInner, width, height);
+
+  const result = new Uint8ClampedArray(size);
+  for (let i = 0; i < size; i++) {
+    const distance = Math.sqrt(gridOuter[i]) - Math.sqrt(gridInner[i]);
+    result[i] = Math.round(255 - 255 * (distance / radius + cutoff));
+  }
+  return result;
+}
@@ -18,25 +18,61 @@
 // OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
 // THE SOFTWARE.
 
-import {CompositeLayer} from 'deck.gl';
+import {CompositeLayer, experimental} from 'deck.gl';
+const {projectPosition} = experimental;
 import MultiIconLayer from './multi-icon-layer/multi-icon-layer';
-import {makeFontAtlas} from './font-atlas';
+import {makeFontAtlas, DEFAULT_CHAR_SET, DEFAULT_FONT_SETTINGS} from './font-atlas';
+import {transformParagraph, getNewCharacters} from './text-utils';
 
 const DEFAULT_COLOR = [0, 0, 0, 255];
+// Fraction of the label width that is left of the anchor, also aligns the lines of a label
 const TEXT_ANCHOR = {
-  start: 1,
-  middle: 0,
-  end: -1
+  start: 0,
+  middle: 0.5,
+  end: 1
 };
+// Fraction of the label height that is above the anchor
 const ALIGNMENT_BASELINE = {
-  top: 1,
-  center: 0,
-  bottom: -1
+  top: 0,
+  center: 0.5,
+  bottom: 1
 };
-// currently the font family is invisible to the user
-const FONT_FAMILY = '"Lucida Console", Monaco, monospace';
 
+/*
+ * @param {object} props
+ * @param {string} props.fontFamily - CSS font family of the labels
+ * @param {string|number} props.fontWeight - CSS font weight of the labels
+ * @param {array|string} props.characterSet - characters added to the font atlas up front,
+ *   characters of the texts in `data` are added automatically
+ * @param {boolean} props.sdf - whether to render the font atlas as signed distance fields,
+ *   which stay sharp when scaled and support outlines
+ * @param {number} props.outlineWidth - width of the outline relative to the font size,
+ *   only used with `sdf`
+ * @param {array} props.outlineColor - color of the outline in [r, g, b, a]
+ * @param {number} props.lineHeight - line height relative to the font size
+ * @param {number} props.maxWidth - maximum line width relative to the font size, longer lines
+ *   are broken at spaces. Negative values disable line breaking
+ * @param {boolean} props.collisionEnabled - whether labels that overlap higher priority
+ *   labels or icons are hidden
+ * @param {string} props.collisionGroup - only labels and icons in the same group collide
+ * @param {number} props.collisionFadeDuration - duration of the fade in/out of labels, in ms
+ * @param {func} props.getPriority - returns priority of the label when resolving collisions.
+ *   Higher priority labels are kept.
+ */
 const defaultProps = {
+  fontFamily: DEFAULT_FONT_SETTINGS.fontFamily,
+  fontWeight: DEFAULT_FONT_SETTINGS.fontWeight,
+  characterSet: DEFAULT_CHAR_SET,
+  sdf: false,
+  outlineWidth: 0,
+  outlineColor: DEFAULT_COLOR,
+  lineHeight: 1,
+  maxWidth: -1,
+  sizeScale: 1,
+  collisionEnabled: false,
+  collisionGroup: 'default',
+  collisionFadeDuration: 300,
+
   getText: x => x.text,
   getPosition: x => x.coordinates,
   getColor: x => x.color || DEFAULT_COLOR,
@@ -45,16 +81,21 @@ const defaultProps = {
   getTextAnchor: x => x.textAnchor || 'middle',
   getAlignmentBaseline: x => x.alignmentBaseline || 'center',
   getPixelOffset: x => x.pixelOffset || [0, 0],
+  getPriority: x => 0,
   fp64: false
 };
 
 export default class TextLayer extends CompositeLayer {
   initializeState() {
-    const {gl} = this.context;
-    const {mapping, texture} = makeFontAtlas(gl, FONT_FAMILY);
     this.state = {
-      iconAtlas: texture,
-      iconMapping: mapping
+      fontAtlas: null,
+      // Characters in the font atlas
+      characterSet: new Set(),
+      // Characters to render
+      data: null,
+      // Labels to place when resolving collisions
+      labels: [],
+      collisionOpacities: null
     };
   }
 
@@ -63,32 +104,177 @@ export default class TextLayer extends CompositeLayer {
   }
 
   updateState({props, oldProps, changeFlags}) {
-    if (changeFlags.dataChanged) {
+    const fontChanged = this._fontChanged(props, oldProps);
+    const textChanged = changeFlags.dataChanged || this._textAccessorsChanged(changeFlags);
+
+    let atlasChanged = false;
+    if (fontChanged || textChanged) {
+      atlasChanged = this.updateFontAtlas(fontChanged);
+    }
+
+    if (
+      atlasChanged ||
+      textChanged ||
+      props.lineHeight !== oldProps.lineHeight ||
+      props.maxWidth !== oldProps.maxWidth
+    ) {
       this.transformStringToLetters();
     }
   }
 
+  _fontChanged(props, oldProps) {
+    return props.fontFamily !== oldProps.fontFamily ||
+      props.fontWeight !== oldProps.fontWeight ||
+      props.characterSet !== oldProps.characterSet ||
+      props.sdf !== oldProps.sdf;
+  }
+
+  // Returns true if the accessors that the text layout depends on changed
+  _textAccessorsChanged({updateTriggersChanged}) {
+    return Boolean(updateTriggersChanged) && Boolean(
+      updateTriggersChanged.all ||
+      updateTriggersChanged.getText ||
+      updateTriggersChanged.getTextAnchor ||
+      updateTriggersChanged.getAlignmentBaseline
+    );
+  }
+
+  finalizeState() {
+    const {fontAtlas} = this.state;
+    if (fontAtlas) {
+      fontAtlas.texture.delete();
+    }
+  }
+
+  getPickingInfo({info}) {
+    return Object.assign(info, {
+      // override object with picked label
+      object: info.object ? info.object.object : null
+    });
+  }
+
+  // Regenerates the font atlas if the font changed or the texts use new characters
+  // Returns true if the atlas was regenerated
+  updateFontAtlas(fontChanged) {
+    const {gl} = this.context;
+    const {data, getText, fontFamily, fontWeight, sdf} = this.props;
+    const characterSet = fontChanged ?
+      new Set(Array.from(this.props.characterSet)) :
+      new Set(this.state.characterSet);
+
+    const newCharacters = data ? getNewCharacters(data, getText, characterSet) : [];
+    if (!fontChanged && !newCharacters.length) {
+      return false;
+    }
+    newCharacters.forEach(char => characterSet.add(char));
+
+    const {fontAtlas} = this.state;
+    if (fontAtlas) {
+      fontAtlas.texture.delete();
+    }
+    this.setState({
+      characterSet,
+      fontAtlas: makeFontAtlas(gl, {
+        fontFamily,
+        fontWeight,
+        sdf,
+        characterSet: Array.from(characterSet)
+      })
+    });
+    return true;
+  }
+
   transformStringToLetters() {
-    const {data, getText, getPosition} = this.props;
-    if (!data || data.length === 0) {
+    const {data, getText, getPosition, getTextAnchor, getAlignmentBaseline} = this.props;
+    const {lineHeight, maxWidth} = this.props;
+    const {fontAtlas} = this.state;
+    if (!data || !fontAtlas) {
       return;
     }
 
-    const transformedData = data
-      .map(val => {
-        const text = getText(val);
-        const letters = Array.from(text);
-        const position = getPosition(val);
-        if (!text) {
-          return [];
+    const {mapping, fontSize} = fontAtlas;
+    const transformedData = [];
+    const labels = [];
+
+    for (const object of data) {
+      const text = getText(object);
+      if (text) {
+        const anchorX = this.getAnchorXFromTextAnchor(getTextAnchor(object));
+        const anchorY = this.getAnchorYFromAlignmentBaseline(getAlignmentBaseline(object));
+        const {characters, size} = transformParagraph(text, {
+          mapping,
+          fontSize,
+          lineHeight,
+          maxWidth,
+          textAlign: anchorX
+        });
+        const position = getPosition(object);
+        const labelIndex = labels.length;
+
+        for (const {char, x, y} of characters) {
+          transformedData.push({
+            object,
+            text: char,
+            position,
+            labelIndex,
+            // Offset of the glyph center from the anchor
+            shift: [x - size[0] * anchorX, y - size[1] * anchorY]
+          });
         }
-        return letters.map((letter, i) =>
-          Object.assign({}, val, {text: letter, position, index: i, len: text.length})
-        );
-      })
-      .reduce((prev, curr) => [...prev, ...curr]);
 
-    this.setState({data: transformedData});
+        labels.push({
+          object,
+          position,
+          // Box of the label around the anchor, in font atlas pixels
+          box: [
+            -size[0] * anchorX,
+            -size[1] * anchorY,
+            size[0] * (1 - anchorX),
+            size[1] * (1 - anchorY)
+          ]
+        });
+      }
+    }
+
+    // Opacities are pushed to the characters again on the next collision update
+    this.setState({data: transformedData, labels, collisionOpacities: null});
+  }
+
+  /**
+   * Returns the screen space box and priority of each label, see CollisionManager.
+   * Rotation is ignored.
+   * @return {Object} - `{boxes, priorities}`
+   */
+  getCollisionItems() {
+    const {getSize, getPixelOffset, getPriority, sizeScale} = this.props;
+    const {labels, fontAtlas} = this.state;
+    const boxes = [];
+    const priorities = [];
+
+    for (const {object, position, box} of labels) {
+      const [x, y] = projectPosition(this, position);
+      const pixelOffset = getPixelOffset(object);
+      const scale = getSize(object) * sizeScale / fontAtlas.fontSize;
+      const centerX = x + (pixelOffset[0] || 0);
+      const centerY = y + (pixelOffset[1] || 0);
+
+      boxes.push(box.map((value, i) => value * scale + (i % 2 ? centerY : centerX)));
+      priorities.push(getPriority(object));
+    }
+    return {boxes, priorities};
+  }
+
+  // Called by CollisionManager with the opacity of each label
+  setCollisionOpacities(opacities) {
+    const {data, collisionOpacities} = this.state;
+    const [subLayer] = this.getSubLayers();
+    if (!subLayer || opacities === collisionOpacities) {
+      return;
+    }
+
+    this.setState({collisionOpacities: opacities});
+    // The characters of a label share its opacity
+    subLayer.setCollisionOpacities(Float32Array.from(data, d => opacities[d.labelIndex]));
   }
 
   getAnchorXFromTextAnchor(textAnchor) {
@@ -106,9 +292,9 @@ export default class TextLayer extends CompositeLayer {
   }
 
   renderLayers() {
-    const {data, iconAtlas, iconMapping} = this.state;
+    const {data, fontAtlas} = this.state;
 
-    if (!iconMapping || !iconAtlas || !data) {
+    if (!fontAtlas || !data) {
       return null;
     }
 
@@ -116,34 +302,42 @@ export default class TextLayer extends CompositeLayer {
       getColor,
       getSize,
       getAngle,
-      getTextAnchor,
-      getAlignmentBaseline,
       getPixelOffset,
+      sizeScale,
+      outlineWidth,
+      outlineColor,
       fp64
     } = this.props;
+    const {mapping, texture, fontSize, buffer, sdf} = fontAtlas;
 
     return [
       new MultiIconLayer(
         Object.assign({}, this.props, {
           id: 'multi-icon-layer-for-text-rendering',
           data,
-          iconAtlas,
-          iconMapping,
+          iconAtlas: texture,
+          iconMapping: mapping,
           getIcon: d => d.text,
           getPosition: d => d.position,
-          getIndexOfIcon: d => d.index,
-          getNumOfIcon: d => d.len,
-          getColor,
-          getSize,
-          getAngle,
-          getAnchorX: d => this.getAnchorXFromTextAnchor(getTextAnchor(d)),
-          getAnchorY: d => this.getAnchorYFromAlignmentBaseline(getAlignmentBaseline(d)),
-          getPixelOffset,
+          getShift: d => d.shift,
+          getColor: d => getColor(d.object),
+          getSize: d => getSize(d.object),
+          getAngle: d => getAngle(d.object),
+          getPixelOffset: d => getPixelOffset(d.object),
+          // Glyph frames include padding, scale the font size to the size of the labels
+          sizeScale: sizeScale * (fontSize + buffer * 2) / fontSize,
+          sdf,
+          // Outline width in atlas pixels
+          outlineWidth: outlineWidth * fontSize,
+          outlineColor,
           fp64,
+          // Collisions are resolved per label, not per character
+          collisionEnabled: false,
           updateTriggers: {
             getAngle,
             getColor,
-            getSize
+            getSize,
+            getPixelOffset
           }
         })
       )
@@ -0,0 +1,172 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+// Returns the advance width of a character, characters missing from the atlas take no room
+function getAdvance(char, mapping) {
+  const frame = mapping[char];
+  return frame ? frame.advance : 0;
+}
+
+function getTextWidth(characters, mapping) {
+  return characters.reduce((width, char) => width + getAdvance(char, mapping), 0);
+}
+
+// Removes trailing spaces
+function trimEnd(characters) {
+  let end = characters.length;
+  while (end > 0 && characters[end - 1] === ' ') {
+    end--;
+  }
+  return characters.slice(0, end);
+}
+
+// Splits a line of characters into words, each word keeps its trailing spaces
+function getWords(characters) {
+  const words = [];
+  let word = [];
+  for (let i = 0; i < characters.length; i++) {
+    word.push(characters[i]);
+    if (characters[i] === ' ' && characters[i + 1] !== ' ') {
+      words.push(word);
+      word = [];
+    }
+  }
+  if (word.length) {
+    words.push(word);
+  }
+  return words;
+}
+
+// Breaks a word that is wider than maxWidth at character boundaries
+function breakWord(word, maxWidth, mapping) {
+  const lines = [];
+  let line = [];
+  let width = 0;
+  for (const char of word) {
+    const advance = getAdvance(char, mapping);
+    if (line.length && width + advance > maxWidth && char !== ' ') {
+      lines.push(line);
+      line = [];
+      width = 0;
+    }
+    line.push(char);
+    width += advance;
+  }
+  lines.push(line);
+  return lines;
+}
+
+/**
+ * Breaks a line of characters into lines no wider than maxWidth, at spaces where possible
+ * @param {Array} characters - characters of the line
+ * @param {Number} maxWidth - maximum width, in the units of the mapping's advance widths
+ * @param {Object} mapping - characters mapped to `{advance}`
+ * @return {Array} - lines, arrays of characters
+ */
+export function wrapLine(characters, maxWidth, mapping) {
+  const lines = [];
+  let line = [];
+
+  for (const word of getWords(characters)) {
+    const wordWidth = getTextWidth(trimEnd(word), mapping);
+    if (line.length && getTextWidth(line, mapping) + wordWidth > maxWidth) {
+      lines.push(line);
+      line = [];
+    }
+    if (!line.length && wordWidth > maxWidth) {
+      const parts = breakWord(word, maxWidth, mapping);
+      line = parts.pop();
+      lines.push(...parts);
+    } else {
+      line.push(...word);
+    }
+  }
+  lines.push(line);
+
+  // Spaces at line breaks take no room
+  return lines.map(trimEnd);
+}
+
+/**
+ * Lays out a paragraph of text
+ * @param {String} paragraph - text, lines are separated by `\n`
+ * @param {Object} opts
+ * @param {Object} opts.mapping - characters mapped to `{advance}`
+ * @param {Number} opts.fontSize - font size, in the units of the advance widths
+ * @param {Number} opts.lineHeight - line height, relative to the font size
+ * @param {Number} opts.maxWidth - maximum line width relative to the font size,
+ *   or a negative number for no wrapping
+ * @param {Number} opts.textAlign - 0 to align lines to the left, 0.5 to center them
+ *   and 1 to align them to the right
+ * @return {Object} - `{characters, size}`, where `characters` are `{char, x, y}` with the
+ *   center of each glyph relative to the top left corner of the paragraph, and `size`
+ *   is the `[width, height]` of the paragraph
+ */
+export function transformParagraph(
+  paragraph, {mapping, fontSize, lineHeight, maxWidth, textAlign}
+) {
+  const lineHeightInPixels = lineHeight * fontSize;
+  let lines = [];
+  for (const line of String(paragraph).split('\n')) {
+    const characters = Array.from(line);
+    if (maxWidth > 0) {
+      lines = lines.concat(wrapLine(characters, maxWidth * fontSize, mapping));
+    } else {
+      lines.push(characters);
+    }
+  }
+
+  const lineWidths = lines.map(line => getTextWidth(line, mapping));
+  const width = Math.max(0, ...lineWidths);
+  const characters = [];
+
+  lines.forEach((line, row) => {
+    let x = (width - lineWidths[row]) * textAlign;
+    const y = (row + 0.5) * lineHeightInPixels;
+    for (const char of line) {
+      const advance = getAdvance(char, mapping);
+      if (char !== ' ' && mapping[char]) {
+        characters.push({char, x: x + advance / 2, y});
+      }
+      x += advance;
+    }
+  });
+
+  return {characters, size: [width, lines.length * lineHeightInPixels]};
+}
+
+/**
+ * Returns the characters of the texts that are not in a character set
+ * @param {Iterable} data - data objects
+ * @param {Function} getText - returns the text of an object
+ * @param {Set} characterSet - known characters
+ * @return {Array} - new characters
+ */
+export function getNewCharacters(data, getText, characterSet) {
+  const newCharacters = new Set();
+  for (const object of data) {
+    for (const char of Array.from(String(getText(object) || ''))) {
+      if (char !== '\n' && !characterSet.has(char)) {
+        newCharacters.add(char);
+      }
+    }
+  }
+  return Array.from(newCharacters);
+}
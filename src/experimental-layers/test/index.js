@@ -23,6 +23,7 @@ import test from 'tape-catch';
 import {
   MeshLayer, PathMarkerLayer, PathOutlineLayer,
   Arrow2DGeometry,
+  TextLayer,
   outline
 } from 'deck.gl-layers';
 
@@ -31,6 +32,9 @@ test('Top-level imports', t => {
   t.ok(PathMarkerLayer, 'PathMarkerLayer symbol imported');
   t.ok(PathOutlineLayer, 'PathOutlineLayer symbol imported');
   t.ok(Arrow2DGeometry, 'Arrow2DGeometry symbol imported');
+  t.ok(TextLayer, 'TextLayer symbol imported');
   t.ok(outline, 'outline symbol imported');
   t.end();
 });
+
+import './text-layer.spec';
@@ -0,0 +1,109 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+
+import {buildMapping} from 'deck.gl-layers/text-layer/font-atlas';
+import {
+  wrapLine,
+  transformParagraph,
+  getNewCharacters
+} from 'deck.gl-layers/text-layer/text-utils';
+import {getSignedDistanceField} from 'deck.gl-layers/text-layer/sdf-utils';
+
+// Narrow 'i' and wide 'w' glyphs
+const MAPPING = {
+  i: {advance: 2},
+  w: {advance: 6},
+  ' ': {advance: 3}
+};
+
+test('TextLayer#buildMapping', t => {
+  const {mapping, canvasHeight} = buildMapping({
+    characterSet: ['i', 'w', 'i', 'w'],
+    getFontWidth: char => MAPPING[char].advance,
+    fontHeight: 10,
+    buffer: 1,
+    maxCanvasWidth: 10
+  });
+
+  t.deepEquals(Object.keys(mapping), ['i', 'w'], 'should map each character once');
+  t.deepEquals(mapping.i, {x: 0, y: 0, width: 4, height: 12, advance: 2, mask: true},
+    'should pad glyph frames');
+  t.deepEquals([mapping.w.x, mapping.w.y], [0, 12], 'should start a new row when full');
+  t.is(canvasHeight, 24, 'should return the canvas height');
+
+  t.end();
+});
+
+test('TextLayer#wrapLine', t => {
+  const toStrings = lines => lines.map(line => line.join(''));
+
+  t.deepEquals(toStrings(wrapLine(Array.from('wi wi wi'), 20, MAPPING)), ['wi wi', 'wi'],
+    'should break lines at spaces');
+  t.deepEquals(toStrings(wrapLine(Array.from('wwwww'), 13, MAPPING)), ['ww', 'ww', 'w'],
+    'should break long words');
+  t.deepEquals(toStrings(wrapLine(Array.from('ii ii'), 100, MAPPING)), ['ii ii'],
+    'should not break short lines');
+
+  t.end();
+});
+
+test('TextLayer#transformParagraph', t => {
+  const opts = {mapping: MAPPING, fontSize: 10, lineHeight: 1.5, maxWidth: -1, textAlign: 0};
+
+  let result = transformParagraph('wi', opts);
+  t.deepEquals(result.size, [8, 15], 'should use per character advance widths');
+  t.deepEquals(result.characters, [{char: 'w', x: 3, y: 7.5}, {char: 'i', x: 7, y: 7.5}],
+    'should return glyph centers');
+
+  result = transformParagraph('w\nii w', Object.assign({}, opts, {textAlign: 0.5}));
+  t.deepEquals(result.size, [13, 30], 'should break lines at line feeds');
+  t.deepEquals(result.characters.map(({char, x, y}) => [char, x, y]), [
+    ['w', 6.5, 7.5], ['i', 1, 22.5], ['i', 3, 22.5], ['w', 10, 22.5]
+  ], 'should align lines and skip spaces');
+
+  result = transformParagraph('ww ww', Object.assign({}, opts, {maxWidth: 1.5}));
+  t.deepEquals(result.size, [12, 30], 'should wrap lines wider than maxWidth');
+
+  t.end();
+});
+
+test('TextLayer#getNewCharacters', t => {
+  const data = [{text: 'abc'}, {text: 'cd\ne'}, {text: null}];
+  t.deepEquals(getNewCharacters(data, d => d.text, new Set(['a', 'b'])), ['c', 'd', 'e'],
+    'should return characters missing from the set');
+
+  t.end();
+});
+
+test('TextLayer#getSignedDistanceField', t => {
+  // A 3 pixel wide vertical bar in the middle of a 9 x 1 bitmap
+  const alpha = new Uint8ClampedArray([0, 0, 0, 255, 255, 255, 0, 0, 0]);
+  const distances = getSignedDistanceField(alpha, 9, 1, 4, 0.25);
+
+  t.ok(distances[4] > 191, 'should be above the edge value inside the glyph');
+  t.ok(distances[1] < 191, 'should be below the edge value outside the glyph');
+  t.ok(distances[0] < distances[1] && distances[1] < distances[2],
+    'should increase towards the glyph');
+  t.deepEquals(Array.from(distances), Array.from(distances).reverse(), 'should be symmetric');
+
+  t.end();
+});
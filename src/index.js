@@ -71,7 +71,15 @@ const {
   MapControllerJS,
 
   EffectManager,
-  Effect
+  Effect,
+  PostProcessEffect,
+  CollisionManager,
+
+  GridAggregator,
+  AGGREGATION_OPERATION,
+
+  getSunPosition,
+  getSunDirection
 } = CoreExperimental;
 
 Object.assign(experimental, {
@@ -99,7 +107,19 @@ Object.assign(experimental, {
 
   // Effects base classes
   EffectManager,
-  Effect
+  Effect,
+  PostProcessEffect,
+
+  // Label collisions
+  CollisionManager,
+
+  // Point aggregation on the GPU, with CPU fallback
+  GridAggregator,
+  AGGREGATION_OPERATION,
+
+  // Sun position for directional lights
+  getSunPosition,
+  getSunDirection
 });
 
 // Experimental Data Accessor Helpers
@@ -117,6 +137,7 @@ const {
   getQuantizeScale,
   clamp,
   defaultColorRange,
+  projectPosition,
 
   log,
 
@@ -145,6 +166,7 @@ Object.assign(experimental, {
   getQuantizeScale,
   clamp,
   defaultColorRange,
+  projectPosition,
 
   log,
 
@@ -167,20 +189,27 @@ Object.assign(experimental, {
 export {
   ArcLayer,
   IconLayer,
+  BitmapLayer,
   LineLayer,
   PointCloudLayer,
   ScatterplotLayer,
 
   ScreenGridLayer,
+  HeatmapLayer,
   GridLayer,
   GridCellLayer,
+  ContourLayer,
 
   HexagonLayer,
   HexagonCellLayer,
 
   PathLayer,
+  TripsLayer,
   PolygonLayer,
-  GeoJsonLayer
+  GeoJsonLayer,
+  TileLayer,
+  MVTLayer,
+  TerrainLayer
 } from './core-layers';
 
 //
@@ -198,9 +227,20 @@ export {
 //
 
 import {default as ReflectionEffect} from './effects/experimental/reflection-effect/reflection-effect';
+import {default as ShadowEffect} from './effects/experimental/shadow-effect/shadow-effect';
+import {default as BloomEffect} from './effects/experimental/bloom-effect/bloom-effect';
+import {default as FXAAEffect} from './effects/experimental/fxaa-effect/fxaa-effect';
+import {default as VignetteEffect} from './effects/experimental/vignette-effect/vignette-effect';
+import {default as ColorGradingEffect} from
+  './effects/experimental/color-grading-effect/color-grading-effect';
 
 Object.assign(experimental, {
-  ReflectionEffect
+  ReflectionEffect,
+  ShadowEffect,
+  BloomEffect,
+  FXAAEffect,
+  VignetteEffect,
+  ColorGradingEffect
 });
 
 //
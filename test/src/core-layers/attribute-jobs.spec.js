@@ -0,0 +1,136 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import {
+  ATTRIBUTE_JOBS, tesselatePolygons, tesselatePaths
+} from 'deck.gl/core-layers/workers/attribute-jobs';
+import {PolygonTesselator} from 'deck.gl/core-layers/solid-polygon-layer/polygon-tesselator';
+
+const POLYGONS = [
+  [[0, 0], [1, 0], [1, 1], [0, 0]],
+  [[[0, 0], [4, 0], [4, 4], [0, 4]], [[1, 1], [2, 1], [2, 2], [1, 2]]]
+];
+
+const PATHS = [
+  [[0, 0], [1, 1], [2, 2]],
+  [[0, 0, 1], [1, 0, 1]]
+];
+
+test('attribute-jobs#imports', t => {
+  t.ok(ATTRIBUTE_JOBS.polygons === tesselatePolygons, 'polygons job registered');
+  t.ok(ATTRIBUTE_JOBS.paths === tesselatePaths, 'paths job registered');
+  t.end();
+});
+
+test('attribute-jobs#tesselatePolygons', t => {
+  const colors = new Uint8ClampedArray([255, 0, 0, 255, 0, 255, 0, 128]);
+  const {attributes} = tesselatePolygons({
+    polygons: POLYGONS,
+    elevations: new Float32Array(2),
+    colors,
+    extruded: false,
+    wireframe: false,
+    fp64: false
+  });
+
+  const tesselator = new PolygonTesselator({polygons: POLYGONS});
+  t.deepEquals(attributes.indices, tesselator.indices(), 'indices match tesselator');
+  t.deepEquals(attributes.positions, tesselator.positions().positions,
+    'positions match tesselator');
+  t.deepEquals(Array.from(attributes.colors.subarray(0, 4)), [255, 0, 0, 255],
+    'colors of first polygon');
+  t.deepEquals(Array.from(attributes.colors.slice(-4)), [0, 255, 0, 128],
+    'colors of last polygon');
+  t.notOk(attributes.positions64xyLow, 'no 64 bit positions');
+
+  const result = tesselatePolygons({
+    polygons: POLYGONS,
+    elevations: new Float32Array([10, 20]),
+    colors,
+    extruded: true,
+    wireframe: false,
+    fp64: true
+  });
+  t.ok(ArrayBuffer.isView(result.attributes.normals), 'extruded normals generated');
+  t.ok(ArrayBuffer.isView(result.attributes.positions64xyLow), '64 bit positions generated');
+  t.end();
+});
+
+test('attribute-jobs#tesselatePaths', t => {
+  const {attributes, numInstances} = tesselatePaths({
+    paths: PATHS,
+    widths: new Float32Array([1, 2]),
+    colors: new Uint8ClampedArray([255, 0, 0, 255, 0, 0, 255, 255]),
+    dashArrays: null,
+    fp64: false
+  });
+
+  t.equals(numInstances, 3, 'returns segment count');
+  t.deepEquals(Array.from(attributes.instanceStartPositions), [0, 0, 0, 1, 1, 0, 0, 0, 1],
+    'start positions');
+  t.deepEquals(Array.from(attributes.instanceEndPositions), [1, 1, 0, 2, 2, 0, 1, 0, 1],
+    'end positions');
+  t.deepEquals(Array.from(attributes.instanceStrokeWidths), [1, 1, 2], 'widths per segment');
+  t.deepEquals(Array.from(attributes.instanceEndStrokeWidths), [1, 1, 2],
+    'end widths per segment');
+  t.deepEquals(Array.from(attributes.instancePickingColors), [1, 0, 0, 1, 0, 0, 2, 0, 0],
+    'picking colors per segment');
+  t.deepEquals(Array.from(attributes.instanceColors.subarray(8)), [0, 0, 255, 255],
+    'colors per segment');
+  t.equals(attributes.instanceDashArrays.length, 6, 'dash arrays allocated');
+  t.notOk(attributes.instanceStartEndPositions64xyLow, 'no 64 bit positions');
+  t.end();
+});
+
+test('attribute-jobs#tesselatePaths#vertex values', t => {
+  const {attributes} = tesselatePaths({
+    paths: PATHS,
+    widths: [[1, 2, 3], 4],
+    colors: [[[255, 0, 0], [0, 255, 0, 128], [0, 0, 255]], [0, 0, 0, 64]],
+    dashArrays: null,
+    fp64: false
+  });
+
+  t.deepEquals(Array.from(attributes.instanceStrokeWidths), [1, 2, 4], 'start widths');
+  t.deepEquals(Array.from(attributes.instanceEndStrokeWidths), [2, 3, 4], 'end widths');
+  t.deepEquals(Array.from(attributes.instanceColors),
+    [255, 0, 0, 255, 0, 255, 0, 128, 0, 0, 0, 64], 'start colors, alpha defaults to 255');
+  t.deepEquals(Array.from(attributes.instanceEndColors),
+    [0, 255, 0, 128, 0, 0, 255, 255, 0, 0, 0, 64], 'end colors');
+  t.end();
+});
+
+test('attribute-jobs#tesselatePaths#default values', t => {
+  const {attributes} = tesselatePaths({
+    paths: PATHS,
+    widths: [[2, null, 3], undefined],
+    colors: [[[255, 0, 0], null, [0, 0, 255]], undefined],
+    dashArrays: null,
+    fp64: false
+  });
+
+  t.deepEquals(Array.from(attributes.instanceStrokeWidths), [2, 1, 1], 'widths default to 1');
+  t.deepEquals(Array.from(attributes.instanceEndStrokeWidths), [1, 3, 1],
+    'end widths default to 1');
+  t.deepEquals(Array.from(attributes.instanceColors),
+    [255, 0, 0, 255, 0, 0, 0, 255, 0, 0, 0, 255], 'colors default to black');
+  t.end();
+});
@@ -0,0 +1,69 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import {testLayerUpdates} from 'deck.gl/test/test-utils';
+
+import {BitmapLayer} from 'deck.gl';
+import {getBitmapCorners} from 'deck.gl/core-layers/bitmap-layer/bitmap-layer';
+
+test('BitmapLayer#getBitmapCorners', t => {
+  const corners = [[0, 0, 10], [0, 1, 10], [2, 1, 0], [2, 0, 0]];
+
+  t.deepEquals(getBitmapCorners([0, 0, 2, 1]), [[0, 0], [0, 1], [2, 1], [2, 0]],
+    'should convert [left, bottom, right, top] to corners');
+  t.is(getBitmapCorners(corners), corners, 'should use corners as is');
+
+  t.end();
+});
+
+test('BitmapLayer#constructor', t => {
+  const getPositions = layer =>
+    Array.from(layer.state.attributeManager.getAttributes().positions.value);
+
+  const TEST_CASES = {
+    INITIAL_PROPS: {
+      bounds: [-122.45, 37.75, -122.40, 37.80]
+    },
+    UPDATES: [{
+      updateProps: {
+        desaturate: 1
+      },
+      assert: (layer, oldState) => {
+        t.deepEquals(getPositions(layer), [
+          -122.45, 37.75, 0, -122.45, 37.80, 0, -122.40, 37.80, 0, -122.40, 37.75, 0
+        ].map(Math.fround), 'should compute corner positions');
+        t.notOk(layer.state.bitmapTexture, 'should not create a texture without an image');
+      }
+    }, {
+      updateProps: {
+        bounds: [[0, 0, 100], [0, 1, 100], [1, 1, 0], [1, 0, 0]]
+      },
+      assert: (layer, oldState) => {
+        t.deepEquals(getPositions(layer), [0, 0, 100, 0, 1, 100, 1, 1, 0, 1, 0, 0],
+          'should update positions when bounds change');
+      }
+    }]
+  };
+
+  testLayerUpdates(t, {LayerComponent: BitmapLayer, testCases: TEST_CASES});
+
+  t.end();
+});
@@ -0,0 +1,121 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+import test from 'tape-catch';
+
+import * as FIXTURES from 'deck.gl/test/data';
+import {testInitializeLayer} from 'deck.gl/test/test-utils';
+
+import {ContourLayer, PathLayer} from 'deck.gl';
+import SolidPolygonLayer from 'deck.gl/core-layers/solid-polygon-layer/solid-polygon-layer';
+import {
+  getGridValues,
+  generateContours
+} from 'deck.gl/core-layers/contour-layer/contour-utils';
+
+const GRID_OFFSET = {xOffset: 0.5, yOffset: 0.25};
+
+// A peak of 4 in a 3x3 block of cells
+const LAYER_DATA = [
+  [0, 0, 1], [1, 0, 1], [2, 0, 1],
+  [0, 1, 1], [1, 1, 4], [2, 1, 1],
+  [0, 2, 1], [1, 2, 1], [2, 2, 1]
+].map(([col, row, colorValue], index) => ({
+  index,
+  position: [-180 + col * GRID_OFFSET.xOffset, -90 + row * GRID_OFFSET.yOffset],
+  colorValue
+}));
+
+test('ContourLayer#getGridValues', t => {
+  const grid = getGridValues(LAYER_DATA, GRID_OFFSET);
+
+  t.is(grid.numCol, 5, 'should pad columns');
+  t.is(grid.numRow, 5, 'should pad rows');
+  t.is(grid.values[2 * 5 + 2], 4, 'should place cell values');
+  t.is(grid.values[0], 0, 'should pad with empty cells');
+  t.deepEquals(grid.gridOrigin, [-180.25, -90.125], 'should return center of first cell');
+  t.deepEquals(grid.cellSize, [0.5, 0.25], 'should return cell size');
+
+  const emptyGrid = getGridValues([], GRID_OFFSET);
+  t.is(emptyGrid.values.length, 0, 'should return empty grid');
+  t.deepEquals(generateContours(emptyGrid, [{threshold: 1}]), {isolines: [], isobands: []},
+    'should not generate contours of empty grid');
+
+  t.end();
+});
+
+test('ContourLayer#generateContours', t => {
+  const grid = getGridValues(LAYER_DATA, GRID_OFFSET);
+  const isolineContour = {threshold: 2};
+  const isobandContour = {threshold: [2, 10]};
+  const {isolines, isobands} = generateContours(grid, [isolineContour, isobandContour]);
+
+  // The 4 squares around the peak are crossed by the isoline of 2
+  t.is(isolines.length, 4, 'should generate one segment per crossed square');
+  t.ok(isolines.every(d => d.contour === isolineContour && d.path.length === 2),
+    'should generate segments of the contour');
+
+  // The isoline of 2 crosses the edges from the peak at two thirds of the cell size
+  const [lng, lat] = isolines[0].path[0];
+  const x = (lng - grid.gridOrigin[0]) / grid.cellSize[0];
+  const y = (lat - grid.gridOrigin[1]) / grid.cellSize[1];
+  const distance = Math.abs(x - 2) + Math.abs(y - 2);
+  t.ok(Math.abs(distance - 2 / 3) < 1e-9, 'should interpolate crossing points');
+
+  t.is(isobands.length, 4, 'should generate one polygon per square in the band');
+  t.ok(isobands.every(d => d.contour === isobandContour && d.polygon.length === 3),
+    'should clip squares to the band');
+
+  const {isolines: saddleLines} = generateContours({
+    values: new Float32Array([1, 0, 0, 1]),
+    numCol: 2,
+    numRow: 2,
+    gridOrigin: [0, 0],
+    cellSize: [1, 1]
+  }, [{threshold: 0.5}]);
+  t.is(saddleLines.length, 2, 'should generate 2 segments in saddle squares');
+
+  t.end();
+});
+
+test('ContourLayer#renderSubLayers', t => {
+  const layer = new ContourLayer({
+    data: FIXTURES.points,
+    cellSize: 200,
+    getPosition: d => d.COORDINATES,
+    contours: [
+      {threshold: 1, strokeWidth: 2},
+      {threshold: 5, strokeWidth: 2},
+      {threshold: [1, 5]}
+    ]
+  });
+
+  testInitializeLayer({layer});
+
+  const {isolines, isobands} = layer.state;
+  t.ok(isolines.length > 0, 'ContourLayer.state.isolines calculated');
+  t.ok(isobands.length > 0, 'ContourLayer.state.isobands calculated');
+
+  const subLayers = layer.renderLayers().filter(Boolean);
+  t.ok(subLayers[0] instanceof SolidPolygonLayer, 'should render bands');
+  t.is(subLayers.length, 2, 'should render one PathLayer per stroke width');
+  t.ok(subLayers[1] instanceof PathLayer, 'should render lines');
+
+  t.end();
+});
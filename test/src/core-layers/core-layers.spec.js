@@ -26,6 +26,7 @@ import {
   ArcLayer,
   LineLayer,
   ScreenGridLayer,
+  HeatmapLayer,
   PointCloudLayer,
   PathLayer
 } from 'deck.gl';
@@ -81,6 +82,84 @@ test('ScreenGridLayer#constructor', t => {
   t.end();
 });
 
+test('HeatmapLayer#constructor', t => {
+  const LayerComponent = HeatmapLayer;
+  const data = FIXTURES.points;
+
+  const TEST_CASES = {
+    INITIAL_PROPS: {
+      data,
+      getPosition: getPointPosition
+    },
+    UPDATES: [{
+      updateProps: {
+        colorRange: [[0, 0, 0, 0], [255, 0, 0]]
+      },
+      assert: (layer, oldState) => {
+        t.ok(layer.state, 'should update layer state');
+        t.ok(layer.state.colorTexture !== oldState.colorTexture, 'should update colorTexture');
+        t.is(layer.state.colorTexture.width, 2, 'should upload colorRange');
+      }
+    }, {
+      updateProps: {
+        radius: 10,
+        radiusUnits: 'meters'
+      },
+      assert: (layer, oldState) => {
+        t.ok(layer.state.attributeManager.attributes.instanceWeights,
+          'should have instanceWeights attribute');
+      }
+    }]
+  };
+
+  testCreateLayer(t, LayerComponent, {data});
+  testCreateEmptyLayer(t, LayerComponent);
+  testNullLayer(t, LayerComponent);
+  testLayerUpdates(t, {LayerComponent, testCases: TEST_CASES});
+
+  t.end();
+});
+
+test('HeatmapLayer#picking', t => {
+  const layer = new HeatmapLayer({data: FIXTURES.points, getPosition: getPointPosition});
+  t.is(layer.props.pickable, false, 'should not be pickable');
+  t.notOk('shaderCache' in layer.getShaders(), 'should not return shaderCache from getShaders');
+
+  let drawCount = 0;
+  const model = {draw: () => drawCount++};
+  layer.state = {isSupported: true, model, maxModel: model, colorizeModel: model};
+  layer.draw({moduleParameters: {pickingActive: 1}, uniforms: {}, pass: 'picking'});
+  t.is(drawCount, 0, 'should not draw in the picking pass');
+
+  for (const pass of ['shadow map', 'outline map', 'mask']) {
+    layer.draw({moduleParameters: {}, uniforms: {}, pass});
+  }
+  t.is(drawCount, 0, 'should not draw in shadow map, outline map and mask passes');
+
+  t.end();
+});
+
+test('HeatmapLayer#finalizeState', t => {
+  const layer = new HeatmapLayer({data: FIXTURES.points, getPosition: getPointPosition});
+  const deleted = [];
+  const resource = name => ({delete: () => deleted.push(name)});
+  const framebuffer = name => Object.assign(resource(name), {texture: resource(`${name} texture`)});
+
+  layer.state = {
+    maxModel: resource('maxModel'),
+    densityFramebuffer: framebuffer('density'),
+    maxFramebuffers: [framebuffer('max')],
+    colorTexture: resource('colorTexture')
+  };
+  layer.finalizeState();
+
+  t.deepEquals(deleted.sort(), [
+    'colorTexture', 'density', 'density texture', 'max', 'max texture', 'maxModel'
+  ], 'should delete the max model, framebuffers and color texture');
+
+  t.end();
+});
+
 test('ScatterplotLayer#constructor', t => {
   const LayerComponent = ScatterplotLayer;
   const data = FIXTURES.points;
@@ -131,11 +210,21 @@ test('ArcLayer#constructor', t => {
     },
     UPDATES: [{
       updateProps: {
-        strokeWidth: 10
+        getStrokeWidth: d => 10,
+        updateTriggers: {getStrokeWidth: 10}
       },
       assert: (layer, oldState) => {
         t.ok(layer.state, 'should update layer state');
-        t.ok(layer.state.model.uniforms.strokeWidth === 10, 'should update strokeWidth');
+        const {instanceWidths} = layer.state.attributeManager.getAttributes();
+        t.is(instanceWidths.value[0], 10, 'should update instanceWidths');
+      }
+    }, {
+      updateProps: {
+        numSegments: 10
+      },
+      assert: (layer, oldState) => {
+        t.ok(layer.state.model !== oldState.model, 'should regenerate model');
+        t.is(layer.state.model.uniforms.numSegments, 10, 'should update numSegments');
       }
     }]
   };
@@ -148,6 +237,73 @@ test('ArcLayer#constructor', t => {
   t.end();
 });
 
+test('ArcLayer#antimeridian', t => {
+  const data = [
+    {sourcePosition: [170, 0], targetPosition: [-170, 10]},
+    {sourcePosition: [-170, 0], targetPosition: [170, 10]},
+    {sourcePosition: [-10, 0], targetPosition: [10, 10]}
+  ];
+
+  testLayerUpdates(t, {
+    LayerComponent: ArcLayer,
+    testCases: {
+      INITIAL_PROPS: {data},
+      UPDATES: [{
+        updateProps: {},
+        assert: layer => {
+          const {instancePositions} = layer.state.attributeManager.getAttributes();
+          t.deepEquals(Array.from(instancePositions.value.slice(0, 12)), [
+            170, 0, 190, 10,
+            -170, 0, -190, 10,
+            -10, 0, 10, 10
+          ], 'should move targets across the 180th meridian');
+        }
+      }]
+    }
+  });
+
+  t.end();
+});
+
+test('ArcLayer#strokeWidth', t => {
+  const data = [
+    {sourcePosition: [0, 0], targetPosition: [10, 10]},
+    {sourcePosition: [0, 0], targetPosition: [-10, 10], strokeWidth: 4}
+  ];
+  const getInstanceWidths = layer =>
+    Array.from(layer.state.attributeManager.getAttributes().instanceWidths.value.slice(0, 2));
+
+  testLayerUpdates(t, {
+    LayerComponent: ArcLayer,
+    testCases: {
+      INITIAL_PROPS: {data, strokeWidth: 3},
+      UPDATES: [{
+        updateProps: {},
+        assert: layer => {
+          t.deepEquals(getInstanceWidths(layer), [3, 3],
+            'should use deprecated strokeWidth without getStrokeWidth');
+        }
+      }, {
+        updateProps: {strokeWidth: 5},
+        assert: layer => {
+          t.deepEquals(getInstanceWidths(layer), [5, 5], 'should update widths with strokeWidth');
+        }
+      }, {
+        updateProps: {
+          getStrokeWidth: d => d.strokeWidth,
+          updateTriggers: {getStrokeWidth: 'strokeWidth'}
+        },
+        assert: layer => {
+          t.deepEquals(getInstanceWidths(layer), [1, 4],
+            'should prefer getStrokeWidth and default non-numeric widths to 1');
+        }
+      }]
+    }
+  });
+
+  t.end();
+});
+
 test('PointCloudLayer#constructor', t => {
   const LayerComponent = PointCloudLayer;
   const data = FIXTURES.getPointCloud();
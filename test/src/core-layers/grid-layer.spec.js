@@ -36,6 +36,8 @@ import {GridLayer, GridCellLayer} from 'deck.gl';
 const getColorValue = points => points.length;
 const getElevationValue = points => points.length;
 const getPosition = d => d.COORDINATES;
+// Custom value accessors, points are binned in JS
+const countPoints = points => points.length;
 
 const TEST_CASES = {
   // props to initialize layer with
@@ -43,6 +45,8 @@ const TEST_CASES = {
     data: FIXTURES.points,
     cellSize: 400,
     getPosition,
+    getColorValue: countPoints,
+    getElevationValue: countPoints,
     pickable: true
   },
   // list of update props to call and asserts on the resulting layer
@@ -228,6 +232,18 @@ const TEST_CASES = {
       t.ok(oldState.colorScaleFunc === layer.state.colorScaleFunc,
         'should not update colorScaleFunc');
     }
+  }, {
+    updateProps: {
+      getColorValue: GridLayer.defaultProps.getColorValue,
+      getElevationValue: GridLayer.defaultProps.getElevationValue
+    },
+    assert: (layer, oldState, t) => {
+      t.ok(oldState.layerData !== layer.state.layerData,
+        'should update layer data when switching to the default value accessors');
+
+      t.ok(!oldState.points && layer.state.points,
+        'should aggregate counts on the grid with the default value accessors');
+    }
   }]
 };
 
@@ -236,7 +252,9 @@ const SUBLAYER_TEST_CASES = {
   INITIAL_PROPS: {
     data: FIXTURES.points,
     cellSize: 400,
-    getPosition
+    getPosition,
+    getColorValue: countPoints,
+    getElevationValue: countPoints
   },
   // list of update props to call and asserts on the resulting layer
   UPDATES: [{
@@ -403,3 +421,54 @@ test('GridLayer#updateTriggers', t => {
 
   t.end();
 });
+
+test('GridLayer#aggregateOnGrid', t => {
+  const props = {
+    data: FIXTURES.points,
+    cellSize: 500,
+    getPosition
+  };
+
+  const binnedLayer = new GridLayer(Object.assign({}, props, {
+    getColorValue: countPoints,
+    getElevationValue: countPoints
+  }));
+  testInitializeLayer({layer: binnedLayer});
+
+  const layer = new GridLayer(props);
+  testInitializeLayer({layer});
+
+  const weightedLayer = new GridLayer(Object.assign({}, props, {
+    getColorWeight: d => 1,
+    getElevationWeight: d => 2,
+    elevationAggregation: 'MAX'
+  }));
+  testInitializeLayer({layer: weightedLayer});
+
+  const binnedData = binnedLayer.state.layerData;
+  const {layerData} = layer.state;
+  const weightedData = weightedLayer.state.layerData;
+
+  t.notOk(binnedLayer.state.points, 'should bin points in JS with custom value accessors');
+  t.ok(layer.state.points, 'should aggregate counts on the grid by default');
+  t.is(layerData.length, binnedData.length, 'should produce the same number of cells');
+  t.ok(layerData.every(cell => {
+    const binnedCell = binnedData.find(d => d.index === cell.index);
+    return binnedCell && binnedCell.points.length === cell.count &&
+      cell.colorValue === cell.count && cell.elevationValue === cell.count;
+  }), 'should count points into the same cells');
+
+  t.is(weightedData.length, binnedData.length, 'should produce the same number of cells');
+  t.ok(weightedData.every(cell => {
+    const binnedCell = binnedData.find(d => d.index === cell.index);
+    return binnedCell && binnedCell.points.length === cell.count &&
+      cell.colorValue === cell.count && cell.elevationValue === 2;
+  }), 'should aggregate weights into the same cells');
+
+  t.deepEquals(layer.state.colorValueDomain, binnedLayer.state.colorValueDomain,
+    'should compute the same color domain');
+  t.deepEquals(weightedLayer.state.colorValueDomain, binnedLayer.state.colorValueDomain,
+    'should compute the same color domain');
+
+  t.end();
+});
@@ -33,13 +33,17 @@ import {HexagonLayer, HexagonCellLayer} from 'deck.gl';
 const getColorValue = points => points.length;
 const getElevationValue = points => points.length;
 const getPosition = d => d.COORDINATES;
+// Custom value accessors, points are binned in JS
+const countPoints = points => points.length;
 
 const TEST_CASES = {
   // props to initialize layer with
   INITIAL_PROPS: {
     data: data.points,
     radius: 400,
-    getPosition
+    getPosition,
+    getColorValue: countPoints,
+    getElevationValue: countPoints
   },
   // list of update props to call and asserts on the resulting layer
   UPDATES: [{
@@ -224,6 +228,18 @@ const TEST_CASES = {
       t.ok(oldState.colorScaleFunc === layer.state.colorScaleFunc,
         'should not update colorScaleFunc');
     }
+  }, {
+    updateProps: {
+      getColorValue: HexagonLayer.defaultProps.getColorValue,
+      getElevationValue: HexagonLayer.defaultProps.getElevationValue
+    },
+    assert: (layer, oldState, t) => {
+      t.ok(oldState.hexagons !== layer.state.hexagons,
+        'should update hexagons when switching to the default value accessors');
+
+      t.ok(!oldState.points && layer.state.points,
+        'should aggregate counts on the grid with the default value accessors');
+    }
   }]
 };
 
@@ -232,7 +248,9 @@ const SUBLAYER_TEST_CASES = {
   INITIAL_PROPS: {
     data: data.points,
     radius: 400,
-    getPosition
+    getPosition,
+    getColorValue: countPoints,
+    getElevationValue: countPoints
   },
   // list of update props to call and asserts on the resulting layer
   UPDATES: [{
@@ -398,3 +416,53 @@ test('HexagonLayer#updateTriggers', t => {
 
   t.end();
 });
+
+test('HexagonLayer#aggregateOnGrid', t => {
+  const props = {
+    data: data.points,
+    radius: 400,
+    getPosition
+  };
+
+  const binnedLayer = new HexagonLayer(Object.assign({}, props, {
+    getColorValue: countPoints,
+    getElevationValue: countPoints
+  }));
+  testInitializeLayer({layer: binnedLayer});
+
+  const layer = new HexagonLayer(props);
+  testInitializeLayer({layer});
+
+  const weightedLayer = new HexagonLayer(Object.assign({}, props, {
+    getColorWeight: d => 1,
+    getElevationWeight: d => 2,
+    elevationAggregation: 'MAX'
+  }));
+  testInitializeLayer({layer: weightedLayer});
+
+  const binnedHexagons = binnedLayer.state.hexagons;
+  const {hexagons} = layer.state;
+  const weightedHexagons = weightedLayer.state.hexagons;
+
+  t.notOk(binnedLayer.state.points, 'should bin points in JS with custom value accessors');
+  t.ok(layer.state.points, 'should aggregate counts on the grid by default');
+  t.is(hexagons.length, binnedHexagons.length, 'should produce the same number of hexagons');
+  t.ok(hexagons.every((hexagon, i) =>
+    binnedHexagons[i].points.length === hexagon.count &&
+    hexagon.colorValue === hexagon.count && hexagon.elevationValue === hexagon.count
+  ), 'should count points into the same hexagons');
+
+  t.is(weightedHexagons.length, binnedHexagons.length,
+    'should produce the same number of hexagons');
+  t.ok(weightedHexagons.every((hexagon, i) =>
+    binnedHexagons[i].points.length === hexagon.count &&
+    hexagon.colorValue === hexagon.count && hexagon.elevationValue === 2
+  ), 'should aggregate weights into the same hexagons');
+
+  t.deepEquals(layer.state.colorValueDomain, binnedLayer.state.colorValueDomain,
+    'should compute the same color domain');
+  t.deepEquals(weightedLayer.state.colorValueDomain, binnedLayer.state.colorValueDomain,
+    'should compute the same color domain');
+
+  t.end();
+});
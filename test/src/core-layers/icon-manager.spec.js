@@ -0,0 +1,79 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import {
+  getIconId,
+  getNewIcons,
+  packIcons
+} from 'deck.gl/core-layers/icon-layer/icon-manager';
+
+test('IconManager#getIconId', t => {
+  t.is(getIconId('marker'), 'marker', 'icon names are ids');
+  t.is(getIconId({id: 'a', url: 'a.png'}), 'a', 'returns descriptor id');
+  t.is(getIconId({url: 'a.png'}), 'a.png', 'defaults to descriptor url');
+  t.end();
+});
+
+test('IconManager#getNewIcons', t => {
+  const data = [
+    {icon: {id: 'a', width: 10, height: 10}},
+    {icon: {id: 'b', width: 10, height: 10}},
+    {icon: {id: 'a', width: 10, height: 10}},
+    {icon: 'marker'},
+    {icon: null}
+  ];
+  const icons = getNewIcons(data, d => d.icon, {b: {}});
+  t.deepEquals(icons.map(getIconId), ['a'], 'returns each new descriptor once');
+  t.end();
+});
+
+test('IconManager#packIcons', t => {
+  const icons = [
+    {id: 'a', width: 40, height: 20},
+    {id: 'b', width: 40, height: 30, anchorY: 30, mask: true},
+    {id: 'c', width: 40, height: 10}
+  ];
+  let packing = packIcons({icons, buffer: 2, canvasWidth: 100});
+
+  t.deepEquals(packing.mapping.a,
+    {x: 2, y: 2, width: 40, height: 20, anchorX: 20, anchorY: 10, mask: false},
+    'icon is packed with default anchor');
+  t.deepEquals(packing.mapping.b,
+    {x: 46, y: 2, width: 40, height: 30, anchorX: 20, anchorY: 30, mask: true},
+    'icon is packed in the same row');
+  t.deepEquals([packing.mapping.c.x, packing.mapping.c.y], [2, 36],
+    'icon that does not fit is packed in the next row');
+  t.is(packing.canvasHeight, 48, 'returns canvas height');
+
+  const {mapping} = packing;
+  packing = packIcons(Object.assign({}, packing, {
+    icons: [{id: 'd', width: 20, height: 60}],
+    buffer: 2,
+    canvasWidth: 100
+  }));
+  t.deepEquals(packing.mapping.a, mapping.a, 'packed icons keep their position');
+  t.deepEquals([packing.mapping.d.x, packing.mapping.d.y], [46, 36],
+    'new icon continues the current row');
+  t.is(packing.canvasHeight, 98, 'canvas grows with the new icon');
+  t.notEqual(packing.mapping, mapping, 'returns a new mapping');
+
+  t.end();
+});
@@ -19,6 +19,7 @@
 // THE SOFTWARE.
 
 import './polygon-tesselation.spec';
+import './attribute-jobs.spec';
 import './core-layers.spec';
 import './polygon-layer.spec';
 import './geojson.spec';
@@ -26,3 +27,10 @@ import './geojson-layer.spec';
 import './hexagon-cell-layer.spec';
 import './grid-layer.spec';
 import './hexagon-layer.spec';
+import './contour-layer.spec';
+import './tile-layer.spec';
+import './mvt-layer.spec';
+import './bitmap-layer.spec';
+import './terrain-layer.spec';
+import './icon-manager.spec';
+import './trips-layer.spec';
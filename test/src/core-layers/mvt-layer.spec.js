@@ -0,0 +1,311 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+
+import {LayerManager, WebMercatorViewport, COORDINATE_SYSTEM} from 'deck.gl/core';
+import {MVTLayer, GeoJsonLayer} from 'deck.gl';
+import gl from 'deck.gl/test/test-utils/setup-gl';
+import {decodeMVT, FEATURE_TYPE} from 'deck.gl/core-layers/mvt-layer/mvt-decoder';
+import {
+  getTileFeatures, getTileCoordinateSystem, classifyRings
+} from 'deck.gl/core-layers/mvt-layer/mvt-utils';
+import {tileXToLng, tileYToLat} from 'deck.gl/core-layers/tile-layer/viewport-utils';
+import {projectFlat, unprojectFlat, getDistanceScales} from 'viewport-mercator-project';
+
+// Minimal protobuf encoder to generate test tiles
+
+function encodeVarint(value, bytes = []) {
+  while (value >= 0x80) {
+    bytes.push((value % 0x80) | 0x80);
+    value = Math.floor(value / 0x80);
+  }
+  bytes.push(value);
+  return bytes;
+}
+
+const zigZag = value => value >= 0 ? value * 2 : -value * 2 - 1;
+
+function encodeUTF8(string) {
+  const bytes = [];
+  for (const char of string) {
+    const codePoint = char.codePointAt(0);
+    if (codePoint < 0x80) {
+      bytes.push(codePoint);
+    } else if (codePoint < 0x800) {
+      bytes.push(0xc0 | (codePoint >> 6), 0x80 | (codePoint & 0x3f));
+    } else if (codePoint < 0x10000) {
+      bytes.push(0xe0 | (codePoint >> 12), 0x80 | ((codePoint >> 6) & 0x3f),
+        0x80 | (codePoint & 0x3f));
+    } else {
+      bytes.push(0xf0 | (codePoint >> 18), 0x80 | ((codePoint >> 12) & 0x3f),
+        0x80 | ((codePoint >> 6) & 0x3f), 0x80 | (codePoint & 0x3f));
+    }
+  }
+  return bytes;
+}
+
+const varintField = (tag, value) => encodeVarint(value, encodeVarint(tag << 3));
+const bytesField = (tag, bytes) => encodeVarint(bytes.length, encodeVarint((tag << 3) | 2))
+  .concat(bytes);
+const packedField = (tag, values) =>
+  bytesField(tag, [].concat(...values.map(value => encodeVarint(value))));
+const stringField = (tag, string) => bytesField(tag, encodeUTF8(string));
+
+function doubleField(tag, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value, true);
+  return encodeVarint((tag << 3) | 1).concat(Array.from(bytes));
+}
+
+// Encodes geometry commands from point sequences, `close` adds ClosePath commands
+function encodeGeometry(sequences, close) {
+  const commands = [];
+  let x = 0;
+  let y = 0;
+  const addPoint = ([px, py]) => {
+    commands.push(zigZag(px - x), zigZag(py - y));
+    x = px;
+    y = py;
+  };
+  for (const points of sequences) {
+    commands.push(1 | (1 << 3));
+    addPoint(points[0]);
+    commands.push(2 | ((points.length - 1) << 3));
+    points.slice(1).forEach(addPoint);
+    if (close) {
+      commands.push(7 | (1 << 3));
+    }
+  }
+  return commands;
+}
+
+const encodeFeature = ({id, type, tags, commands}) => bytesField(2, [].concat(
+  varintField(1, id), packedField(2, tags), varintField(3, type), packedField(4, commands)
+));
+
+function encodeTile() {
+  const buildings = [].concat(
+    varintField(15, 2),
+    stringField(1, 'buildings'),
+    encodeFeature({
+      id: 1,
+      type: FEATURE_TYPE.POLYGON,
+      tags: [0, 0, 1, 1],
+      // Exterior ring and hole, in opposite winding orders
+      commands: encodeGeometry([
+        [[0, 0], [4096, 0], [4096, 4096], [0, 4096]],
+        [[1024, 1024], [1024, 3072], [3072, 3072], [3072, 1024]]
+      ], true)
+    }),
+    encodeFeature({
+      id: 2,
+      type: FEATURE_TYPE.POINT,
+      tags: [0, 2, 1, 3],
+      commands: [1 | (1 << 3), zigZag(2048), zigZag(2048)]
+    }),
+    stringField(3, 'name'),
+    stringField(3, 'height'),
+    bytesField(4, stringField(1, 'Tour Eiffel é 🗼')),
+    bytesField(4, doubleField(3, 12.5)),
+    bytesField(4, stringField(1, 'center')),
+    bytesField(4, varintField(6, zigZag(-3))),
+    varintField(5, 4096)
+  );
+  const roads = [].concat(
+    stringField(1, 'roads'),
+    encodeFeature({
+      id: 3,
+      type: FEATURE_TYPE.LINESTRING,
+      tags: [],
+      commands: encodeGeometry([[[0, 0], [10, 10]], [[20, 20], [30, 20]]], false)
+    }),
+    varintField(5, 512)
+  );
+  return new Uint8Array(bytesField(3, buildings).concat(bytesField(3, roads))).buffer;
+}
+
+test('MVTLayer#decodeMVT', t => {
+  const {layers} = decodeMVT(encodeTile());
+
+  t.deepEquals(Object.keys(layers), ['buildings', 'roads'], 'should decode layers');
+  t.deepEquals([layers.buildings.version, layers.buildings.extent, layers.roads.extent],
+    [2, 4096, 512], 'should decode layer version and extent');
+
+  const [polygon, point] = layers.buildings.features;
+  t.deepEquals(polygon.properties, {name: 'Tour Eiffel é 🗼', height: 12.5},
+    'should decode feature properties');
+  t.deepEquals(point.properties, {name: 'center', height: -3},
+    'should decode feature properties');
+  t.deepEquals([polygon.id, polygon.type], [1, FEATURE_TYPE.POLYGON], 'should decode feature');
+  t.deepEquals(polygon.geometry[0], [[0, 0], [4096, 0], [4096, 4096], [0, 4096], [0, 0]],
+    'should decode and close rings');
+  t.deepEquals(point.geometry, [[[2048, 2048]]], 'should decode points');
+  t.deepEquals(layers.roads.features[0].geometry, [[[0, 0], [10, 10]], [[20, 20], [30, 20]]],
+    'should decode lines');
+
+  t.throws(() => decodeMVT(new Uint8Array([0x1a, 0x05, 0x0a])), /unexpected end/,
+    'should throw on truncated tiles');
+
+  t.end();
+});
+
+test('MVTLayer#classifyRings', t => {
+  const square = (x, y, size) =>
+    [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+  const reverse = ring => ring.slice().reverse();
+
+  const polygons = classifyRings([
+    square(0, 0, 10), reverse(square(2, 2, 2)), reverse(square(5, 5, 2)),
+    square(20, 20, 10),
+    [[0, 0], [1, 1], [0, 0]]
+  ]);
+  t.deepEquals(polygons.map(polygon => polygon.length), [3, 1],
+    'should group holes with their exterior rings and drop degenerate rings');
+
+  t.deepEquals(classifyRings([reverse(square(0, 0, 10)), square(2, 2, 2)]).length, 1,
+    'should take the exterior winding order from the first ring');
+
+  t.end();
+});
+
+test('MVTLayer#getTileFeatures', t => {
+  const data = encodeTile();
+
+  let features = getTileFeatures(data, {
+    tile: {x: 0, y: 0, z: 0},
+    coordinateSystem: COORDINATE_SYSTEM.LNGLAT
+  });
+  t.deepEquals(features.map(f => f.geometry.type), ['Polygon', 'Point', 'MultiLineString'],
+    'should convert geometries');
+  t.deepEquals(features.map(f => [f.id, f.layerName]),
+    [[1, 'buildings'], [2, 'buildings'], [3, 'roads']], 'should preserve ids and layer names');
+  t.is(features[0].properties.height, 12.5, 'should preserve properties');
+  t.is(features[0].geometry.coordinates.length, 2, 'should convert holes');
+  t.deepEquals(features[1].geometry.coordinates, [0, 0], 'should convert to lng lat');
+  t.deepEquals(features[0].geometry.coordinates[0][1].map(Math.round), [180, 85],
+    'should convert to lng lat');
+
+  features = getTileFeatures(decodeMVT(data), {
+    tile: {x: 16, y: 10, z: 5},
+    layers: ['buildings'],
+    coordinateSystem: COORDINATE_SYSTEM.METER_OFFSETS
+  });
+  t.is(features.length, 2, 'should filter layers');
+  t.deepEquals(features[1].geometry.coordinates, [0, 0],
+    'should convert to meter offsets from tile center');
+  const [x, y] = features[0].geometry.coordinates[0][0];
+  t.ok(x < 0 && y > 0 && x === -y, 'should convert to meter offsets from tile center');
+
+  t.end();
+});
+
+test('MVTLayer#getTileCoordinateSystem', t => {
+  const {LNGLAT, METER_OFFSETS, LNGLAT_OFFSETS} = COORDINATE_SYSTEM;
+
+  t.deepEquals(getTileCoordinateSystem({x: 16, y: 10, z: 5}, LNGLAT),
+    {coordinateSystem: LNGLAT, coordinateOrigin: [0, 0]}, 'should keep lng lat');
+  t.deepEquals(getTileCoordinateSystem({x: 1, y: 1, z: 1}, METER_OFFSETS),
+    {coordinateSystem: LNGLAT, coordinateOrigin: [0, 0]}, 'should use lng lat at low zoom');
+
+  const {coordinateSystem, coordinateOrigin} =
+    getTileCoordinateSystem({x: 16, y: 10, z: 5}, LNGLAT_OFFSETS);
+  t.is(coordinateSystem, LNGLAT_OFFSETS, 'should use offsets at high zoom');
+  t.deepEquals(coordinateOrigin, [tileXToLng(16.5, 5), tileYToLat(10.5, 5)],
+    'should use the tile center as coordinate origin');
+
+  t.end();
+});
+
+test('MVTLayer#getTileFeatures#exact coordinates', t => {
+  const data = decodeMVT(encodeTile());
+  const isClose = (a, b) => a.every((value, i) => Math.abs(value - b[i]) < 1e-9);
+
+  // Corner and hole vertices of the polygon, in tile coordinates
+  const TILE_POINTS = [[0, 0], [4096, 4096], [1024, 1024], [3072, 3072]];
+  const getPoints = features => {
+    const [exterior, hole] = features[0].geometry.coordinates;
+    return [exterior[0], exterior[2], hole[0], hole[2]];
+  };
+  const getExactPoints = ({x, y, z}) => TILE_POINTS.map(([px, py]) =>
+    [tileXToLng(x + px / 4096, z), tileYToLat(y + py / 4096, z)]);
+
+  for (const coordinateSystem of [COORDINATE_SYSTEM.METER_OFFSETS,
+    COORDINATE_SYSTEM.LNGLAT_OFFSETS]) {
+    for (const tile of [{x: 0, y: 0, z: 0}, {x: 1, y: 0, z: 1}, {x: 3, y: 1, z: 2}]) {
+      const points =
+        getPoints(getTileFeatures(data, {tile, layers: ['buildings'], coordinateSystem}));
+      t.ok(points.every((point, i) => isClose(point, getExactPoints(tile)[i])),
+        `should convert tile ${tile.z} to exact lng lat`);
+    }
+  }
+
+  const tile = {x: 16, y: 10, z: 5};
+  const {coordinateOrigin} = getTileCoordinateSystem(tile, COORDINATE_SYSTEM.LNGLAT_OFFSETS);
+  const exactPoints = getExactPoints(tile);
+
+  let points = getPoints(getTileFeatures(data, {
+    tile, layers: ['buildings'], coordinateSystem: COORDINATE_SYSTEM.LNGLAT_OFFSETS
+  }));
+  t.ok(points.every((point, i) => isClose(
+    [point[0] + coordinateOrigin[0], point[1] + coordinateOrigin[1]], exactPoints[i]
+  )), 'should convert to exact lng lat offsets');
+
+  // Meter offsets are scaled at the tile center, and linear in mercator (y points north,
+  // flat mercator coordinates point south)
+  const [longitude, latitude] = coordinateOrigin;
+  const pixelsPerMeter = getDistanceScales({longitude, latitude, scale: 1}).pixelsPerMeter[0];
+  const originPixels = projectFlat(coordinateOrigin, 1);
+  points = getPoints(getTileFeatures(data, {
+    tile, layers: ['buildings'], coordinateSystem: COORDINATE_SYSTEM.METER_OFFSETS
+  }));
+  t.ok(points.every((point, i) => isClose(unprojectFlat([
+    originPixels[0] + point[0] * pixelsPerMeter,
+    originPixels[1] - point[1] * pixelsPerMeter
+  ], 1), exactPoints[i])), 'should convert to meter offsets of the exact lng lat');
+
+  t.end();
+});
+
+test('MVTLayer#renderSubLayers', t => {
+  const layerManager = new LayerManager(gl);
+  layerManager.setViewport(new WebMercatorViewport({
+    width: 512, height: 512, longitude: 0, latitude: 0, zoom: 0
+  }));
+
+  const layer = new MVTLayer({
+    id: 'mvt',
+    getTileData: () => encodeTile(),
+    layers: ['buildings'],
+    filled: false,
+    onTileLoad: () => {
+      layerManager.needsRedraw();
+      const subLayer = layerManager.getLayers().find(l => l.id === 'mvt-0-0-0');
+      t.ok(subLayer instanceof GeoJsonLayer, 'should render a GeoJsonLayer per tile');
+      t.is(subLayer.props.data.length, 2, 'should pass tile features');
+      t.is(subLayer.props.filled, false, 'should forward GeoJsonLayer props');
+      t.is(subLayer.props.coordinateSystem, COORDINATE_SYSTEM.LNGLAT,
+        'should use lng lat at low zoom');
+      t.end();
+    }
+  });
+
+  layerManager.setLayers([layer]);
+});
@@ -64,3 +64,69 @@ test('PolygonLayer#constructor', t => {
 
   t.end();
 });
+
+test('PolygonLayer#vertex line colors and widths', t => {
+  const data = [{
+    polygon: [[[0, 0], [4, 0], [4, 4]], [[1, 1], [2, 1], [2, 2]]],
+    lineWidth: [[1, 2, 3], [4, 5, 6]]
+  }, {
+    polygon: [[0, 0], [1, 0], [1, 1]],
+    lineWidth: [1, 2, 3],
+    lineColor: [255, 0, 0]
+  }];
+
+  const TEST_CASES = {
+    INITIAL_PROPS: {data},
+    UPDATES: [{
+      updateProps: {},
+      assert: layer => {
+        t.deepEquals(layer.state.paths.map(x => x.ringIndices), [[0], [1], []], 'ring indices');
+
+        const {getWidth, getColor} = layer.renderLayers()
+          .find(subLayer => subLayer && subLayer.id.endsWith('stroke')).props;
+        t.deepEquals(layer.state.paths.map(getWidth), [[1, 2, 3], [4, 5, 6], [1, 2, 3]],
+          'outline widths of each ring');
+        t.deepEquals(getColor(layer.state.paths[2]), [255, 0, 0], 'outline color of the polygon');
+      }
+    }]
+  };
+
+  testLayerUpdates(t, {LayerComponent: PolygonLayer, testCases: TEST_CASES});
+  t.end();
+});
+
+test('PolygonLayer#multi polygons', t => {
+  const data = [{
+    polygon: [
+      [[[170, 0], [-170, 0], [-170, 10], [170, 10]]],
+      [[[0, 0], [1, 0], [1, 1]]]
+    ],
+    // Per-vertex colors, nested like the polygon
+    lineColor: [
+      [[[255, 0, 0], [0, 255, 0], [0, 0, 255], [0, 0, 0]]],
+      [[[1, 1, 1], [2, 2, 2], [3, 3, 3]]]
+    ]
+  }];
+
+  const TEST_CASES = {
+    INITIAL_PROPS: {data},
+    UPDATES: [{
+      updateProps: {},
+      assert: layer => {
+        const {paths} = layer.state;
+        t.is(paths.length, 2, 'one outline per part');
+        t.deepEquals(paths.map(x => x.ringIndices), [[0, 0], [1, 0]], 'ring indices');
+        t.deepEquals(paths[0].path, [[170, 0], [190, 0], [190, 10], [170, 10]],
+          'outline crossing the antimeridian unwrapped');
+
+        const {getColor} = layer.renderLayers()
+          .find(subLayer => subLayer && subLayer.id.endsWith('stroke')).props;
+        t.deepEquals(getColor(paths[1]), [[1, 1, 1], [2, 2, 2], [3, 3, 3]],
+          'outline colors of the part');
+      }
+    }]
+  };
+
+  testLayerUpdates(t, {LayerComponent: PolygonLayer, testCases: TEST_CASES});
+  t.end();
+});
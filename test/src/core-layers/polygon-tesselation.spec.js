@@ -122,3 +122,128 @@ test('PolygonTesselatorExtruded#methods(immutable)', t => {
   t.ok(ArrayBuffer.isView(tesselator.normals()), 'PolygonTesselatorExtruded.normals');
   t.end();
 });
+
+test('PolygonTesselator#filterValues', t => {
+  const tesselator = new PolygonTesselator({polygons: POLYGONS});
+  const filterValues = tesselator.filterValues({getFilterValue: index => index});
+  t.deepEqual(Array.from(filterValues), [1, 2, 2, 2, 3, 4, 4, 4],
+    'PolygonTesselator.filterValues returns one value per vertex');
+
+  const tesselatorExtruded = new PolygonTesselatorExtruded({polygons: POLYGONS});
+  const extrudedFilterValues = tesselatorExtruded.filterValues({getFilterValue: index => index});
+  t.is(extrudedFilterValues.length, tesselatorExtruded.positions().positions.length / 3,
+    'PolygonTesselatorExtruded.filterValues returns one value per vertex');
+  t.end();
+});
+
+const SQUARE_WITH_HOLE = [
+  [[0, 0], [4, 0], [4, 4], [0, 4], [0, 0]],
+  [[1, 1], [1, 2], [2, 2], [2, 1], [1, 1]]
+];
+const MULTI_POLYGON = [
+  SQUARE_WITH_HOLE,
+  [[[10, 0], [11, 0], [11, 1]]]
+];
+const DATELINE_POLYGON = [[170, 0], [-170, 0], [-170, 10], [170, 10]];
+
+test('polygon#multi polygons', t => {
+  t.ok(Polygon.isMulti(MULTI_POLYGON), 'multi polygon detected');
+  t.notOk(Polygon.isMulti(SQUARE_WITH_HOLE), 'complex polygon is not a multi polygon');
+  t.notOk(Polygon.isMulti(DATELINE_POLYGON), 'simple polygon is not a multi polygon');
+  t.notOk(Polygon.isMulti([]), 'empty polygon is not a multi polygon');
+
+  t.is(Polygon.normalizeMulti(MULTI_POLYGON), MULTI_POLYGON, 'multi polygon not changed');
+  t.deepEqual(Polygon.normalizeMulti(DATELINE_POLYGON), [[DATELINE_POLYGON]],
+    'simple polygon normalized');
+
+  const {polygons, polygonIndices} = Polygon.normalizeAll([MULTI_POLYGON, DATELINE_POLYGON]);
+  t.is(polygons.length, 3, 'multi polygon split into complex polygons');
+  t.deepEqual(polygonIndices, [0, 0, 1], 'complex polygons mapped to objects');
+
+  t.is(Polygon.getTriangleCount(SQUARE_WITH_HOLE), 10, 'triangle count of polygon with hole');
+  t.end();
+});
+
+test('polygon#unwrapLongitudes', t => {
+  t.deepEqual(Polygon.unwrapLongitudes([DATELINE_POLYGON]),
+    [[[170, 0], [190, 0], [190, 10], [170, 10]]], 'polygon crossing the antimeridian unwrapped');
+
+  const hole = [[-175, 2], [-175, 4], [179, 4]];
+  t.deepEqual(Polygon.unwrapLongitudes([DATELINE_POLYGON, hole])[1],
+    [[185, 2], [185, 4], [179, 4]], 'hole moved next to the outer ring');
+
+  const polygon = [SQUARE_WITH_HOLE[0]];
+  t.is(Polygon.unwrapLongitudes(polygon), polygon, 'polygon not crossing the antimeridian kept');
+
+  const polarRing = [[[-180, -90], [-180, -80], [0, -80], [180, -80], [180, -90]]];
+  t.is(Polygon.unwrapLongitudes(polarRing), polarRing, 'ring circling a pole kept');
+  t.end();
+});
+
+test('PolygonTesselator#holes and multi polygons', t => {
+  const tesselator = new PolygonTesselator({polygons: [MULTI_POLYGON, DATELINE_POLYGON]});
+
+  const indices = tesselator.indices();
+  // Duplicate closing vertices are ignored by the triangulation
+  t.is(indices.length, (8 + 1 + 2) * 3, 'triangulates holes and all parts');
+  t.ok(indices.every(index => index < 17), 'indices refer to existing vertices');
+
+  const pickingColors = tesselator.pickingColors();
+  t.deepEqual(Array.from(pickingColors.slice(12 * 3, 13 * 3)), [1, 0, 0],
+    'parts of a multi polygon pick the same object');
+  t.deepEqual(Array.from(pickingColors.slice(13 * 3, 14 * 3)), [2, 0, 0],
+    'next polygon picks the next object');
+
+  const colors = tesselator.colors({getColor: index => [index, 0, 0]});
+  t.deepEqual(Array.from(colors.slice(12 * 4, 13 * 4)), [0, 0, 0, 255],
+    'parts of a multi polygon get the color of the object');
+
+  const wrapped = new PolygonTesselator({polygons: [DATELINE_POLYGON], wrapLongitude: true});
+  t.deepEqual(Array.from(wrapped.positions().positions).filter((x, i) => i % 3 === 0),
+    [170, 190, 190, 170], 'longitudes unwrapped');
+  t.end();
+});
+
+test('PolygonTesselatorExtruded#holes', t => {
+  const tesselator = new PolygonTesselatorExtruded({
+    polygons: [SQUARE_WITH_HOLE, [[[0, 0], [0, 1], [1, 1]]]],
+    getHeight: () => 10
+  });
+  // Rings are closed: 10 vertices for the first polygon, 4 for the second
+  const pointCount = 14;
+  t.is(tesselator.positions().positions.length, pointCount * 5 * 3, 'rings closed');
+
+  const indices = tesselator.indices();
+  // Top surface + 2 triangles per wall
+  t.is(indices.length, (8 + 1) * 3 + (4 + 4 + 3) * 6, 'hole walls tesselated');
+
+  // Side normals of the first edge (wall facing the next point) of each ring
+  const normals = tesselator.normals();
+  const stride = 10;
+  t.deepEqual(Array.from(normals.slice(stride * 3, stride * 3 + 3)), [-4, 0, 0],
+    'outer ring walls face outwards');
+  t.deepEqual(Array.from(normals.slice((stride + 5) * 3, (stride + 5) * 3 + 3)), [0, 1, 0],
+    'hole walls face into the hole');
+  t.end();
+});
+
+test('PolygonTesselator#fillPatternFrames', t => {
+  const polygons = [SQUARE_WITH_HOLE, [[[0, 0], [0, 1], [1, 1]]]];
+  const getFillPatternFrame = index => index === 0 ? [8, 0, 16, 32] : [0, 0, 0, 0];
+
+  const tesselator = new PolygonTesselator({polygons});
+  const frames = tesselator.fillPatternFrames({getFillPatternFrame});
+  t.deepEqual(Array.from(frames.slice(0, 4)), [8, 0, 16, 32], 'pattern frame of the polygon');
+  t.deepEqual(Array.from(frames.slice(frames.length - 4)), [0, 0, 0, 0],
+    'polygon without pattern has empty frame');
+  t.deepEqual(Array.from(tesselator.fillPatternOptions().slice(0, 2)), [1, 1],
+    'default pattern options');
+
+  const extruded = new PolygonTesselatorExtruded({polygons, getHeight: () => 10});
+  const extrudedFrames = extruded.fillPatternFrames({getFillPatternFrame});
+  // Rings are closed: 10 vertices for the first polygon
+  t.deepEqual(Array.from(extrudedFrames.slice(9 * 4, 10 * 4)), [8, 0, 16, 32],
+    'top surface is patterned');
+  t.ok(extrudedFrames.slice(10 * 4, 50 * 4).every(x => x === 0), 'side walls are solid');
+  t.end();
+});
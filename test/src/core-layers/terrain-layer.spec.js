@@ -0,0 +1,141 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import {testLayerUpdates} from 'deck.gl/test/test-utils';
+
+import {TerrainLayer} from 'deck.gl';
+import {
+  decodeElevations,
+  getTerrainGrid,
+  sampleGrid,
+  getTriangleErrors,
+  getMesh
+} from 'deck.gl/core-layers/terrain-layer/terrain-utils';
+
+// 3 x 3 grid with a peak in the middle
+const PEAK_GRID = new Float32Array([
+  0, 0, 0,
+  0, 100, 0,
+  0, 0, 0
+]);
+
+test('TerrainLayer#decodeElevations', t => {
+  // 0, 100 and 1000 meters in Terrain-RGB
+  const data = new Uint8ClampedArray([
+    1, 134, 160, 255,
+    1, 138, 136, 255,
+    1, 173, 176, 255
+  ]);
+  const elevations = decodeElevations({width: 3, height: 1, data});
+  t.deepEquals(Array.from(elevations).map(Math.round), [0, 100, 1000],
+    'should decode Terrain-RGB pixels');
+
+  const decoder = {rScaler: 1, gScaler: 0, bScaler: 0, offset: -1};
+  t.deepEquals(Array.from(decodeElevations({width: 3, height: 1, data}, decoder)), [0, 0, 0],
+    'should use elevationDecoder');
+
+  t.is(decodeElevations({width: 3, height: 3, data: PEAK_GRID}), PEAK_GRID,
+    'should use float elevations as is');
+
+  t.end();
+});
+
+test('TerrainLayer#sampleGrid', t => {
+  t.is(sampleGrid(PEAK_GRID, 3, 3, 1, 1), 100, 'should return grid values');
+  t.is(sampleGrid(PEAK_GRID, 3, 3, 0.5, 1), 50, 'should interpolate along x');
+  t.is(sampleGrid(PEAK_GRID, 3, 3, 1.5, 1.5), 25, 'should interpolate along x and y');
+  t.is(sampleGrid(PEAK_GRID, 3, 3, 2, 2), 0, 'should sample the last row and column');
+
+  t.end();
+});
+
+test('TerrainLayer#getTerrainGrid', t => {
+  let result = getTerrainGrid(PEAK_GRID, 3, 3);
+  t.is(result.size, 3, 'should keep 2^n + 1 grids');
+  t.deepEquals(Array.from(result.grid), Array.from(PEAK_GRID), 'should keep grid values');
+
+  result = getTerrainGrid(new Float32Array([0, 10, 20, 30]), 4, 1);
+  t.is(result.size, 5, 'should resample to the next 2^n + 1 size');
+  t.deepEquals(Array.from(result.grid.subarray(0, 5)), [0, 7.5, 15, 22.5, 30],
+    'should interpolate the raster');
+
+  t.end();
+});
+
+test('TerrainLayer#getMesh', t => {
+  const size = 5;
+  const flat = new Float32Array(size * size);
+  let errors = getTriangleErrors(flat, size);
+  let mesh = getMesh(errors, size, 0);
+  t.is(mesh.triangles.length, 6, 'should cover flat terrain with two triangles');
+  t.is(mesh.vertices.length, 8, 'should only use the corners of flat terrain');
+
+  const peak = new Float32Array(size * size);
+  peak[2 * size + 2] = 100;
+  errors = getTriangleErrors(peak, size);
+  t.is(errors[2 * size + 2], 100, 'should compute the error of splitting at the peak');
+
+  mesh = getMesh(errors, size, 1);
+  const vertices = [];
+  for (let i = 0; i < mesh.vertices.length; i += 2) {
+    vertices.push(`${mesh.vertices[i]},${mesh.vertices[i + 1]}`);
+  }
+  t.ok(vertices.includes('2,2'), 'should include the peak in the mesh');
+  t.ok(mesh.triangles.every(i => i < vertices.length), 'should index existing vertices');
+
+  mesh = getMesh(errors, size, 100);
+  t.is(mesh.triangles.length, 6, 'should not split triangles within maxError');
+
+  t.end();
+});
+
+test('TerrainLayer#constructor', t => {
+  const TEST_CASES = {
+    INITIAL_PROPS: {
+      elevationData: {width: 3, height: 3, data: PEAK_GRID},
+      bounds: [-122.5, 37.5, -122, 38],
+      meshMaxError: 1
+    },
+    UPDATES: [{
+      updateProps: {
+        color: [255, 0, 0, 255]
+      },
+      assert: (layer, oldState) => {
+        t.ok(layer.state.mesh, 'should generate a mesh');
+        t.is(layer.getElevationAt(-122.25, 37.75), 100, 'should return the elevation');
+        t.is(layer.getElevationAt(-122.375, 37.75), 50, 'should interpolate the elevation');
+        t.is(layer.getElevationAt(-123, 37.75), null, 'should return null outside bounds');
+      }
+    }, {
+      updateProps: {
+        meshMaxError: 1000
+      },
+      assert: (layer, oldState) => {
+        t.is(layer.state.terrain, oldState.terrain, 'should not decode the terrain again');
+        t.is(layer.state.mesh.triangles.length, 6, 'should regenerate the mesh');
+      }
+    }]
+  };
+
+  testLayerUpdates(t, {LayerComponent: TerrainLayer, testCases: TEST_CASES});
+
+  t.end();
+});
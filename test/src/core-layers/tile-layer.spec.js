@@ -0,0 +1,132 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import path from 'path';
+
+import {LayerManager, WebMercatorViewport} from 'deck.gl/core';
+import {TileLayer, GeoJsonLayer} from 'deck.gl';
+import gl from 'deck.gl/test/test-utils/setup-gl';
+import {getFileTileSource} from 'deck.gl/test/test-utils';
+import Tile from 'deck.gl/core-layers/tile-layer/tile';
+import TileCache from 'deck.gl/core-layers/tile-layer/tile-cache';
+import {getTileIndices, tileToBoundingBox} from 'deck.gl/core-layers/tile-layer/viewport-utils';
+
+const TILE_DIRECTORY = path.resolve(__dirname, '../../data/tiles');
+
+const getTileIds = indices => indices.map(Tile.getId).sort();
+
+test('TileLayer#getTileIndices', t => {
+  const worldViewport = new WebMercatorViewport({
+    width: 1024, height: 1024, longitude: 0, latitude: 0, zoom: 1
+  });
+
+  t.deepEquals(getTileIds(getTileIndices(worldViewport)), ['1-0-0', '1-0-1', '1-1-0', '1-1-1'],
+    'should return all tiles of the world');
+  t.deepEquals(getTileIds(getTileIndices(worldViewport, {maxZoom: 0})), ['0-0-0'],
+    'should respect maxZoom');
+  t.is(getTileIndices(worldViewport, {tileSize: 256})[0].z, 2,
+    'should adjust zoom level to tile size');
+
+  const viewport = new WebMercatorViewport({
+    width: 100, height: 100, longitude: 50, latitude: 45, zoom: 3
+  });
+  t.deepEquals(getTileIds(getTileIndices(viewport)), ['3-5-2'],
+    'should return the tile containing the viewport');
+
+  const bbox = tileToBoundingBox({x: 1, y: 0, z: 1});
+  t.deepEquals([bbox.west, bbox.east, bbox.south], [0, 180, 0], 'should return tile bounds');
+  t.ok(Math.abs(bbox.north - 85.051129) < 1e-6, 'should return tile bounds');
+
+  t.end();
+});
+
+test('TileLayer#TileCache', t => {
+  const cache = new TileCache({maxSize: 2});
+
+  const tile1 = cache.get({x: 0, y: 0, z: 1});
+  const tile2 = cache.get({x: 1, y: 0, z: 1});
+  cache.get({x: 0, y: 1, z: 1});
+  t.is(cache.get({x: 0, y: 0, z: 1}), tile1, 'should return cached tile');
+  t.is(cache.size, 3, 'should not evict before pruning');
+
+  t.deepEquals(cache.prune(), [tile2], 'should evict least recently used tile');
+  t.notOk(cache.peek({x: 1, y: 0, z: 1}), 'should remove evicted tile');
+
+  cache.maxSize = 0;
+  cache.prune(new Set([tile1]));
+  t.deepEquals([cache.size, cache.peek({x: 0, y: 0, z: 1})], [1, tile1],
+    'should not evict used tiles');
+
+  t.end();
+});
+
+test('TileLayer#getFileTileSource', t => {
+  const getTileData = getFileTileSource(TILE_DIRECTORY);
+  const tile = new Tile({x: 1, y: 0, z: 1});
+  const missingTile = new Tile({x: 0, y: 0, z: 5});
+  const failingTile = new Tile({x: 0, y: 0, z: 0});
+
+  t.ok(tile.load(getTileData) instanceof Promise, 'Tile.load should return a promise');
+  t.ok(tile.isLoading, 'Tile should be loading');
+
+  Promise.all([
+    tile.load(getTileData),
+    missingTile.load(getTileData),
+    failingTile.load(() => Promise.reject(new Error('failed')))
+  ]).then(() => {
+    t.ok(tile.isLoaded, 'Tile should be loaded');
+    t.is(tile.data.features[0].properties.tile, '1-1-0', 'should load tile data');
+    t.is(missingTile.data, null, 'should load missing tiles as null');
+    t.ok(failingTile.isLoaded && failingTile.error, 'should record tile loading errors');
+    t.end();
+  });
+});
+
+test('TileLayer#loading tiles', t => {
+  const layerManager = new LayerManager(gl);
+  layerManager.setViewport(new WebMercatorViewport({
+    width: 1024, height: 1024, longitude: 0, latitude: 0, zoom: 1
+  }));
+
+  const loadedTiles = [];
+  const layer = new TileLayer({
+    id: 'tiles',
+    getTileData: getFileTileSource(TILE_DIRECTORY),
+    renderSubLayers: props => new GeoJsonLayer(props),
+    onTileLoad: tile => {
+      loadedTiles.push(tile);
+      if (loadedTiles.length < 4) {
+        return;
+      }
+      // Sublayers are regenerated on next redraw
+      t.ok(layerManager.needsRedraw(), 'should request a redraw');
+      const subLayers = layerManager.getLayers().filter(l => l instanceof GeoJsonLayer);
+      t.deepEquals(subLayers.map(l => l.id).sort(),
+        ['tiles-1-0-0', 'tiles-1-0-1', 'tiles-1-1-0', 'tiles-1-1-1'],
+        'should render a sublayer per loaded tile');
+      t.end();
+    }
+  });
+
+  layerManager.setLayers([layer]);
+  t.is(layer.state.visibleTiles.length, 4, 'should compute visible tiles');
+  t.is(layer.state.renderedTiles.length, 0, 'should not render tiles before they are loaded');
+});
@@ -0,0 +1,148 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import {testLayerUpdates} from 'deck.gl/test/test-utils';
+
+import {TripsLayer} from 'deck.gl';
+import {getWorkerPool} from 'deck.gl/core/utils/worker-pool';
+import {ATTRIBUTE_JOBS} from 'deck.gl/core-layers/workers/attribute-jobs';
+
+const TRIPS = [
+  {path: [[-122.4, 37.7], [-122.5, 37.8], [-122.6, 37.85]], timestamps: [0, 60, 120]},
+  {path: [[-122.4, 37.75], [-122.45, 37.7]], timestamps: [30, 90]}
+];
+
+test('TripsLayer#getShaders', t => {
+  const layer = new TripsLayer({data: TRIPS});
+  const {vs, fs} = layer.getShaders();
+
+  t.ok(vs.indexOf('attribute vec2 instanceTimestamps;') < vs.indexOf('void main'),
+    'should declare timestamps before main');
+  t.ok(/vTime = mix\([^;]*;\s*}\s*$/.test(vs), 'should set vTime at the end of main');
+  t.ok(fs.indexOf('uniform float currentTime;') < fs.indexOf('void main'),
+    'should declare uniforms before main');
+  const fadeIndex = fs.indexOf('gl_FragColor.a *=');
+  t.ok(fadeIndex > fs.indexOf('void main'), 'should fade color in main');
+  t.ok(fadeIndex < fs.indexOf('gl_FragColor = picking_filterPickingColor'),
+    'should fade color before picking');
+  t.ok(fadeIndex < fs.indexOf('gl_FragColor = mask_filterColor'),
+    'should fade color before masking');
+
+  const layer64 = new TripsLayer({data: TRIPS, fp64: true});
+  t.ok(layer64.getShaders().vs.indexOf('instanceTimestamps') > 0, 'should inject 64-bit shader');
+
+  t.end();
+});
+
+test('TripsLayer#calculateInstanceTimestamps', t => {
+  const data = [
+    // more timestamps than vertices
+    {path: [[-122.4, 37.7], [-122.5, 37.8]], timestamps: [0, 60, 120]},
+    // fewer timestamps than vertices
+    {path: [[-122.4, 37.75], [-122.45, 37.7], [-122.5, 37.75]], timestamps: [30]},
+    // no timestamps
+    {path: [[-122.4, 37.75], [-122.45, 37.7]]},
+    {path: [[-122.4, 37.7], [-122.5, 37.8]], timestamps: [10, 20]}
+  ];
+  const layer = new TripsLayer({data});
+  layer.state = {paths: data.map(object => object.path)};
+
+  const attribute = {value: new Float32Array(10)};
+  layer.calculateInstanceTimestamps(attribute);
+  t.deepEquals(Array.from(attribute.value), [0, 60, 30, 30, 30, 30, 0, 0, 10, 20],
+    'should match timestamps to the vertices of each path');
+
+  t.end();
+});
+
+test('TripsLayer#constructor', t => {
+  const getTimestamps = layer =>
+    layer.state.attributeManager.getAttributes().instanceTimestamps;
+
+  testLayerUpdates(t, {
+    LayerComponent: TripsLayer,
+    testCases: {
+      INITIAL_PROPS: {
+        data: TRIPS
+      },
+      UPDATES: [{
+        updateProps: {
+          currentTime: 60
+        },
+        assert: (layer, oldState) => {
+          t.deepEquals(Array.from(getTimestamps(layer).value.slice(0, 6)), [0, 60, 60, 120, 30, 90],
+            'should compute segment timestamps');
+        }
+      }, {
+        updateProps: {
+          currentTime: 90,
+          trailLength: 60
+        },
+        assert: (layer, oldState) => {
+          t.notOk(getTimestamps(layer).needsUpdate, 'should not update attributes');
+          t.is(layer.state.model.uniforms.currentTime, 90, 'should update currentTime');
+        }
+      }]
+    }
+  });
+
+  t.end();
+});
+
+test('TripsLayer#workerUrl', t => {
+  const workerUrl = 'trips-layer-test-worker';
+  // Runs attribute jobs asynchronously on the main thread
+  getWorkerPool(workerUrl).createWorker = () => ({
+    postMessage({id, type, payload}) {
+      const result = ATTRIBUTE_JOBS[type](payload);
+      Promise.resolve().then(() => this.onmessage({data: {id, result}}));
+    },
+    terminate: () => {}
+  });
+
+  const getTimestamps = layer =>
+    layer.state.attributeManager.getAttributes().instanceTimestamps;
+
+  testLayerUpdates(t, {
+    LayerComponent: TripsLayer,
+    testCases: {
+      INITIAL_PROPS: {
+        data: TRIPS
+      },
+      UPDATES: [{
+        updateProps: {
+          workerUrl,
+          onLoadingChange: ({layer, loading}) => {
+            if (!loading) {
+              t.is(layer.state.numInstances, 3, 'should generate segments in the worker');
+              t.deepEquals(Array.from(getTimestamps(layer).value.slice(0, 6)),
+                [0, 60, 60, 120, 30, 90], 'should compute segment timestamps of worker paths');
+              t.end();
+            }
+          }
+        },
+        assert: (layer, oldState) => {
+          t.ok(layer.state.attributeJobId, 'should start an attribute job');
+        }
+      }]
+    }
+  });
+});
@@ -0,0 +1,209 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import gl from 'deck.gl/test/test-utils/setup-gl';
+import * as data from 'deck.gl/test/data';
+
+import {experimental} from 'deck.gl/core';
+import {pointToDensityGridData} from 'deck.gl/core-layers/grid-layer/grid-aggregator';
+import {
+  pointToHexbin, getRadiusInPixel
+} from 'deck.gl/core-layers/hexagon-layer/hexagon-aggregator';
+
+const {
+  GridAggregator, AGGREGATION_OPERATION, GRID_LAYOUT, getHexagonCellSize, getCellCenter
+} = experimental;
+
+const getPosition = d => d.COORDINATES;
+
+// Sorts cells so that results of different aggregators can be compared
+function sortCells(cells) {
+  return cells.slice().sort((a, b) => a.row - b.row || a.col - b.col);
+}
+
+function getPositions(points, transform = p => p) {
+  const positions = new Float64Array(points.length * 3);
+  points.forEach((point, i) => {
+    const [x, y] = transform(getPosition(point));
+    positions[i * 3] = x;
+    positions[i * 3 + 1] = y;
+  });
+  return positions;
+}
+
+test('GridAggregator#imports', t => {
+  t.ok(GridAggregator, 'GridAggregator imported');
+  t.notOk(GridAggregator.isSupported(null), 'GPU aggregation is not supported without context');
+  t.end();
+});
+
+test('GridAggregator#run - square grid matches pointToDensityGridData', t => {
+  const cellSize = 500;
+  const {gridOffset, layerData} = pointToDensityGridData(data.points, cellSize, getPosition);
+
+  const aggregator = new GridAggregator(null);
+  const {cells, isGPU} = aggregator.run({
+    positions: getPositions(data.points, ([lng, lat]) => [lng + 180, lat + 90]),
+    cellSize: [gridOffset.xOffset, gridOffset.yOffset]
+  });
+
+  t.notOk(isGPU, 'aggregated on the CPU');
+  t.is(cells.length, layerData.length, 'same number of cells');
+
+  const expected = sortCells(layerData.map(cell => ({
+    col: Math.round((cell.position[0] + 180) / gridOffset.xOffset),
+    row: Math.round((cell.position[1] + 90) / gridOffset.yOffset),
+    count: cell.count
+  })));
+  t.deepEqual(
+    sortCells(cells).map(({col, row, count}) => ({col, row, count})),
+    expected,
+    'same cells and counts'
+  );
+  t.end();
+});
+
+test('GridAggregator#run - hexagon grid matches pointToHexbin', t => {
+  const radius = 500;
+  const viewport = data.sampleViewport;
+  const {hexagons} = pointToHexbin({data: data.points, radius, getPosition}, viewport);
+
+  const aggregator = new GridAggregator(null);
+  const cellSize = getHexagonCellSize(getRadiusInPixel(radius, viewport));
+  const {cells} = aggregator.run({
+    positions: getPositions(data.points, p => viewport.projectFlat(p)),
+    layout: GRID_LAYOUT.HEXAGON,
+    cellSize
+  });
+
+  t.is(cells.length, hexagons.length, 'same number of hexagons');
+  t.deepEqual(
+    cells.map(cell => viewport.unprojectFlat(
+      getCellCenter(cell.col, cell.row, {layout: GRID_LAYOUT.HEXAGON, cellSize})
+    )),
+    hexagons.map(hexagon => hexagon.centroid),
+    'same hexagon centroids'
+  );
+  t.deepEqual(
+    cells.map(cell => cell.count),
+    hexagons.map(hexagon => hexagon.points.length),
+    'same counts'
+  );
+  t.end();
+});
+
+test('GridAggregator#run - screen grid matches projected points', t => {
+  const cellSizePixels = 50;
+  const viewport = data.sampleViewport;
+  const numCol = Math.ceil(viewport.width / cellSizePixels);
+  const numRow = Math.ceil(viewport.height / cellSizePixels);
+
+  const expected = {};
+  for (const point of data.points) {
+    const [x, y] = viewport.project(getPosition(point));
+    const col = Math.floor(x / cellSizePixels);
+    const row = Math.floor(y / cellSizePixels);
+    if (col >= 0 && col < numCol && row >= 0 && row < numRow) {
+      const key = `${col}-${row}`;
+      expected[key] = (expected[key] || 0) + 2;
+    }
+  }
+
+  const aggregator = new GridAggregator(null);
+  const {cells} = aggregator.run({
+    positions: getPositions(data.points),
+    weights: {weight: {values: data.points.map(_ => 2)}},
+    cellSize: [cellSizePixels, cellSizePixels],
+    viewport,
+    gridRange: {gridOffset: [0, 0], numCol, numRow}
+  });
+
+  const actual = {};
+  for (const cell of cells) {
+    actual[`${cell.col}-${cell.row}`] = cell.weights.weight;
+  }
+  t.deepEqual(actual, expected, 'same weight sums per screen cell');
+  t.end();
+});
+
+test('GridAggregator#run - operations', t => {
+  const aggregator = new GridAggregator(null);
+  const values = [1, 5, 3, 2, NaN];
+  const {cells} = aggregator.run({
+    positions: [0.5, 0.5, 1.5, 1.5, 0.2, 0.8, 1.1, 1.9, NaN, NaN],
+    size: 2,
+    cellSize: [1, 1],
+    weights: {
+      sum: {values},
+      mean: {values, operation: AGGREGATION_OPERATION.MEAN},
+      min: {values, operation: AGGREGATION_OPERATION.MIN},
+      max: {values, operation: AGGREGATION_OPERATION.MAX},
+      count: {}
+    }
+  });
+
+  t.deepEqual(cells, [
+    {col: 0, row: 0, count: 2, weights: {sum: 4, mean: 2, min: 1, max: 3, count: 2}},
+    {col: 1, row: 1, count: 2, weights: {sum: 7, mean: 3.5, min: 2, max: 5, count: 2}}
+  ], 'aggregates weights and skips invalid points');
+
+  t.deepEqual(aggregator.run({positions: [], cellSize: [1, 1]}).cells, [],
+    'returns no cells without points');
+  t.end();
+});
+
+test('GridAggregator#run - GPU matches CPU', t => {
+  if (!GridAggregator.isSupported(gl)) {
+    t.comment('GPU aggregation not supported, skipping');
+    t.end();
+    return;
+  }
+
+  // Points at cell centers, so that the float precision of the GPU does not matter
+  const positions = [];
+  const weights = [];
+  for (let i = 0; i < 1000; i++) {
+    positions.push((i % 17) * 10 + 5, (i % 13) * 20 + 10);
+    weights.push(i % 7);
+  }
+
+  const aggregator = new GridAggregator(gl);
+  const opts = {
+    positions: new Float32Array(positions),
+    size: 2,
+    cellSize: [10, 20],
+    weights: {
+      sum: {values: weights},
+      min: {values: weights, operation: AGGREGATION_OPERATION.MIN},
+      max: {values: weights, operation: AGGREGATION_OPERATION.MAX},
+      mean: {values: weights, operation: AGGREGATION_OPERATION.MEAN}
+    }
+  };
+
+  const gpuResult = aggregator.run(opts);
+  const cpuResult = aggregator.run(Object.assign({}, opts, {useGPU: false}));
+
+  t.ok(gpuResult.isGPU, 'aggregated on the GPU');
+  t.deepEqual(sortCells(gpuResult.cells), sortCells(cpuResult.cells), 'same cells');
+
+  aggregator.delete();
+  t.end();
+});
@@ -19,14 +19,38 @@
 // THE SOFTWARE.
 
 import test from 'tape-catch';
+import {GL} from 'luma.gl';
 import EffectManager from 'deck.gl/core/experimental/lib/effect-manager';
 import Effect from 'deck.gl/core/experimental/lib/effect';
+import PostProcessEffect from 'deck.gl/core/experimental/lib/post-process-effect';
 import LayerManager from 'deck.gl/core/lib/layer-manager';
 import global from 'global';
 
 const gl = global.glContext;
 const layerManager = new LayerManager(gl);
 
+// Post-process effect that records the textures read and the framebuffer drawn to by each pass
+class TestPostProcessEffect extends PostProcessEffect {
+  constructor(id, passCount) {
+    super({id, passes: new Array(passCount).fill({fs: '', uniforms: {}})});
+    this.renderedPasses = [];
+  }
+
+  initialize() {}
+
+  finalize() {}
+
+  renderPass(index, {sourceTexture, inputTexture, size}) {
+    this.renderedPasses.push({
+      index,
+      sourceTexture,
+      inputTexture,
+      size,
+      framebuffer: gl.getParameter(GL.FRAMEBUFFER_BINDING)
+    });
+  }
+}
+
 test('EffectManager#constructor', t => {
   const effectManager = new EffectManager({gl, layerManager});
   t.ok(effectManager, 'Effect Manager created');
@@ -40,3 +64,109 @@ test('EffectManager#add and remove effects', t => {
   t.ok(effectManager.removeEffect(effect), 'Effect added and removed successfully');
   t.end();
 });
+
+test('EffectManager#setEffects', t => {
+  const effectManager = new EffectManager({gl, layerManager});
+  const effect1 = new Effect();
+  const effect2 = new Effect();
+  const effect3 = new Effect();
+
+  effectManager.setEffects([effect1, effect2]);
+  t.deepEqual(effectManager._effects, [effect1, effect2], 'Effects added in order');
+
+  effectManager.setEffects([effect3, effect1]);
+  t.deepEqual(effectManager._effects, [effect3, effect1], 'Effects replaced and reordered');
+
+  effectManager.finalize();
+  t.deepEqual(effectManager._effects, [], 'Effects removed on finalize');
+  t.end();
+});
+
+test('EffectManager#drawScene without post-process effects', t => {
+  const effectManager = new EffectManager({gl, layerManager});
+  const layerDraws = [];
+  const effectDraws = [];
+  const effect = new Effect();
+  effect.setNeedsRedraw();
+  effect.draw = () => effectDraws.push(gl.getParameter(GL.FRAMEBUFFER_BINDING));
+  const hiddenEffect = new TestPostProcessEffect('hidden', 1);
+  hiddenEffect.visible = false;
+  effectManager.setEffects([effect, hiddenEffect]);
+
+  effectManager.drawScene(() => layerDraws.push(gl.getParameter(GL.FRAMEBUFFER_BINDING)));
+
+  t.deepEquals(layerDraws, [null], 'layers are drawn once, on screen');
+  t.deepEquals(effectDraws, [null], 'effects are drawn once, on screen');
+  t.deepEquals(hiddenEffect.renderedPasses, [], 'hidden post-process effect is not applied');
+  t.notOk(effectManager._buffers, 'no offscreen buffers are created');
+
+  effectManager.finalize();
+  t.end();
+});
+
+test('EffectManager#_applyEffect', t => {
+  const effectManager = new EffectManager({gl, layerManager});
+  const buffers = effectManager._getBuffers();
+  const size = [buffers[0].width, buffers[0].height];
+  const effect = new TestPostProcessEffect('three-passes', 3);
+
+  let output = effectManager._applyEffect(effect, {input: buffers[1], buffers, size});
+
+  t.deepEquals(effect.renderedPasses.map(pass => pass.index), [0, 1, 2], 'passes applied in order');
+  t.ok(effect.renderedPasses.every(pass => pass.inputTexture === buffers[1].texture),
+    'every pass reads the input of the effect');
+  t.deepEquals(effect.renderedPasses.map(pass => pass.sourceTexture),
+    [buffers[1].texture, buffers[0].texture, buffers[2].texture],
+    'every pass reads the output of the previous pass');
+  t.deepEquals(effect.renderedPasses.map(pass => pass.framebuffer),
+    [buffers[0].handle, buffers[2].handle, buffers[0].handle],
+    'passes ping-pong between the buffers that do not hold the input');
+  t.is(output, buffers[0], 'returns the buffer written by the last pass');
+
+  effect.renderedPasses = [];
+  output = effectManager._applyEffect(effect, {input: buffers[1], buffers, size, toScreen: true});
+
+  t.deepEquals(effect.renderedPasses.map(pass => pass.framebuffer),
+    [buffers[0].handle, buffers[2].handle, null], 'last pass draws on screen');
+  t.is(output, null, 'returns the screen');
+
+  effectManager.finalize();
+  t.end();
+});
+
+test('EffectManager#drawScene with post-process effects', t => {
+  const effectManager = new EffectManager({gl, layerManager});
+  const effect1 = new TestPostProcessEffect('two-passes', 2);
+  const effect2 = new TestPostProcessEffect('three-passes', 3);
+  effectManager.setEffects([effect1, effect2]);
+
+  const layerDraws = [];
+  effectManager.drawScene(() => layerDraws.push(gl.getParameter(GL.FRAMEBUFFER_BINDING)));
+  const buffers = effectManager._buffers;
+
+  t.is(buffers.length, 3, 'three offscreen buffers are created');
+  t.deepEquals(layerDraws, [buffers[0].handle], 'layers are drawn into the first buffer');
+
+  t.deepEquals(effect1.renderedPasses.map(pass => [pass.sourceTexture, pass.inputTexture]), [
+    [buffers[0].texture, buffers[0].texture],
+    [buffers[1].texture, buffers[0].texture]
+  ], 'first effect reads the layers and its previous pass');
+  t.deepEquals(effect1.renderedPasses.map(pass => pass.framebuffer),
+    [buffers[1].handle, buffers[2].handle], 'first effect draws offscreen');
+
+  t.deepEquals(effect2.renderedPasses.map(pass => [pass.sourceTexture, pass.inputTexture]), [
+    [buffers[2].texture, buffers[2].texture],
+    [buffers[0].texture, buffers[2].texture],
+    [buffers[1].texture, buffers[2].texture]
+  ], 'second effect reads the output of the first effect and its previous pass');
+  t.deepEquals(effect2.renderedPasses.map(pass => pass.framebuffer),
+    [buffers[0].handle, buffers[1].handle, null], 'last pass of the last effect draws on screen');
+
+  t.deepEquals(effect2.renderedPasses[0].size, [buffers[0].width, buffers[0].height],
+    'passes get the size of the buffers');
+  t.is(gl.getParameter(GL.FRAMEBUFFER_BINDING), null, 'restores the screen framebuffer');
+
+  effectManager.finalize();
+  t.notOk(effectManager._buffers, 'offscreen buffers are deleted on finalize');
+  t.end();
+});
@@ -20,3 +20,4 @@
 
 import './effect.spec';
 import './effect-manager.spec';
+import './post-process-effect.spec';
@@ -0,0 +1,63 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import PostProcessEffect from 'deck.gl/core/experimental/lib/post-process-effect';
+
+test('PostProcessEffect#constructor', t => {
+  const effect = new PostProcessEffect({fs: 'void main() {}', uniforms: {amount: 1}});
+  t.ok(effect.isPostProcessEffect, 'PostProcessEffect created');
+  t.is(effect.passes.length, 1, 'single pass effect has one pass');
+  t.ok(effect.needsRedraw, 'PostProcessEffect needs redraw');
+  t.end();
+});
+
+test('PostProcessEffect#renderPass', t => {
+  const effect = new PostProcessEffect({
+    amount: 2,
+    passes: [
+      {fs: 'void main() {}', uniforms: ({amount}) => ({amount})},
+      {fs: 'void main() {}', uniforms: {direction: [1, 0]}}
+    ]
+  });
+  const renderedUniforms = [];
+  effect.models = effect.passes.map((pass, index) => ({
+    render: uniforms => renderedUniforms.push({index, uniforms})
+  }));
+
+  const sourceTexture = {id: 'source'};
+  const inputTexture = {id: 'input'};
+  const size = [4, 2];
+
+  effect.renderPass(0, {sourceTexture, inputTexture, size});
+  effect.setOptions({amount: 3});
+  effect.renderPass(0, {sourceTexture, inputTexture, size});
+  effect.renderPass(1, {sourceTexture, inputTexture, size});
+
+  t.deepEquals(renderedUniforms, [
+    {index: 0, uniforms: {amount: 2, texSrc: sourceTexture, texInput: inputTexture, texSize: size}},
+    {index: 0, uniforms: {amount: 3, texSrc: sourceTexture, texInput: inputTexture, texSize: size}},
+    {
+      index: 1,
+      uniforms: {direction: [1, 0], texSrc: sourceTexture, texInput: inputTexture, texSize: size}
+    }
+  ], 'renders the model of the pass with its uniforms and the textures');
+  t.end();
+});
@@ -23,3 +23,4 @@ import './lib';
 import './utils';
 import './shaderlib';
 import './experimental';
+import './aggregation';
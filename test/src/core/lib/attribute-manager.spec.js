@@ -20,6 +20,7 @@
 
 /* eslint-disable dot-notation, max-statements, no-unused-vars */
 import AttributeManager from 'deck.gl/core/lib/attribute-manager';
+import {getColumnarProps} from 'deck.gl/core/utils/columnar-data';
 import {GL} from 'luma.gl';
 import test from 'tape-catch';
 
@@ -169,6 +170,46 @@ test('AttributeManager.update - external buffers', t => {
   t.end();
 });
 
+test('AttributeManager.update - columnar data', t => {
+  const attributeManager = new AttributeManager();
+
+  const dummyUpdate = () => t.fail('updater should not be called for columnar attribute');
+
+  attributeManager.add({
+    positions: {size: 3, accessor: 'getPosition', columnar: true, update: dummyUpdate},
+    colors: {
+      size: 4,
+      type: GL.UNSIGNED_BYTE,
+      accessor: 'getColor',
+      columnar: true,
+      defaultValue: [0, 0, 0, 255],
+      update: dummyUpdate
+    }
+  });
+
+  const table = {
+    length: 2,
+    attributes: {
+      getPosition: {value: new Float32Array([1, 2, 3, 4, 5, 6]), size: 3},
+      getColor: {value: new Uint8Array([255, 0, 0, 0, 255, 0]), size: 3}
+    }
+  };
+
+  attributeManager.update({
+    numInstances: 2,
+    data: getColumnarProps(table).data
+  });
+
+  let attribute = attributeManager.getAttributes()['positions'];
+  t.deepEquals(Array.from(attribute.value.subarray(0, 6)), [1, 2, 3, 4, 5, 6],
+    'positions copied from column');
+  attribute = attributeManager.getAttributes()['colors'];
+  t.deepEquals(Array.from(attribute.value.subarray(0, 8)), [255, 0, 0, 255, 0, 255, 0, 255],
+    'colors copied from column and padded');
+
+  t.end();
+});
+
 test('AttributeManager.invalidate', t => {
   const attributeManager = new AttributeManager();
   attributeManager.add({positions: {size: 2, update}});
@@ -194,6 +235,190 @@ test('AttributeManager.invalidate', t => {
   t.end();
 });
 
+test('AttributeManager.invalidate - range', t => {
+  const attributeManager = new AttributeManager();
+  const updateCalls = [];
+  const rangeUpdate = (attribute, {data, startRow, endRow}) => {
+    updateCalls.push([startRow, endRow]);
+    for (let i = startRow; i < endRow; i++) {
+      attribute.value[i] = data[i];
+    }
+  };
+
+  attributeManager.addInstanced({values: {size: 1, accessor: 'getValue', update: rangeUpdate}});
+  attributeManager.add({vertices: {size: 1, update: rangeUpdate}});
+
+  const data = [1, 2, 3, 4];
+  attributeManager.update({numInstances: 4, data});
+  attributeManager.getChangedAttributes({clearChangedFlags: true});
+  updateCalls.length = 0;
+
+  data[1] = 20;
+  data[2] = 30;
+  attributeManager.invalidate('getValue', {startRow: 1, endRow: 2});
+  attributeManager.invalidate('values', {startRow: 2, endRow: 3});
+  attributeManager.update({numInstances: 4, data});
+
+  const attribute = attributeManager.getAttributes()['values'];
+  t.deepEquals(updateCalls, [[1, 3]], 'updater called once with merged range');
+  t.deepEquals(Array.from(attribute.value), [1, 20, 30, 4], 'range of rows updated');
+  t.deepEquals(attribute.changedRange, {startRow: 1, endRow: 3}, 'changed range is set');
+
+  attributeManager.getChangedAttributes({clearChangedFlags: true});
+  updateCalls.length = 0;
+  attributeManager.invalidateAll({startRow: 3});
+  attributeManager.update({numInstances: 4, data});
+  t.deepEquals(updateCalls, [[3, 4], [0, 4]],
+    'instanced attribute updates range, non-instanced attribute updates all rows');
+  t.deepEquals(attributeManager.getAttributes()['vertices'].changedRange, null,
+    'non-instanced attribute has no changed range');
+
+  attributeManager.getChangedAttributes({clearChangedFlags: true});
+  updateCalls.length = 0;
+  attributeManager.invalidate('getValue', {startRow: 0, endRow: 1});
+  attributeManager.invalidate('getValue');
+  attributeManager.update({numInstances: 4, data});
+  t.deepEquals(updateCalls, [[0, 4]], 'full invalidation overrides range');
+
+  t.end();
+});
+
+test('AttributeManager.update - append rows', t => {
+  const attributeManager = new AttributeManager();
+  const updateCalls = [];
+  const rangeUpdate = (attribute, {data, startRow, endRow}) => {
+    updateCalls.push([startRow, endRow]);
+    for (let i = startRow; i < endRow; i++) {
+      attribute.value[i] = data[i];
+    }
+  };
+  attributeManager.addInstanced({values: {size: 1, update: rangeUpdate}});
+
+  const data = [1, 2, 3, 4];
+  attributeManager.update({numInstances: 4, data});
+  attributeManager.getChangedAttributes({clearChangedFlags: true});
+  updateCalls.length = 0;
+
+  data.push(5);
+  attributeManager.update({numInstances: 5, data});
+
+  let attribute = attributeManager.getAttributes()['values'];
+  t.deepEquals(updateCalls, [[4, 5]], 'only appended rows are updated');
+  t.equals(attribute.value.length, 8, 'capacity is doubled');
+  t.deepEquals(Array.from(attribute.value.subarray(0, 5)), [1, 2, 3, 4, 5],
+    'existing values are preserved');
+  t.equals(attribute.changedRange, null, 'reallocated attribute needs full upload');
+
+  attributeManager.getChangedAttributes({clearChangedFlags: true});
+  updateCalls.length = 0;
+  data.push(6, 7);
+  attributeManager.update({numInstances: 7, data});
+
+  attribute = attributeManager.getAttributes()['values'];
+  t.deepEquals(updateCalls, [[5, 7]], 'only appended rows are updated');
+  t.equals(attribute.value.length, 8, 'no reallocation within capacity');
+  t.deepEquals(attribute.changedRange, {startRow: 5, endRow: 7}, 'changed range is set');
+
+  t.end();
+});
+
+test('AttributeManager.update - transitions', t => {
+  const attributeManager = new AttributeManager();
+  attributeManager.addInstanced({
+    values: {size: 1, accessor: 'getValue', transition: true},
+    ids: {size: 1, accessor: 'getId'}
+  });
+
+  const data = [1, 2];
+  const transitions = {getValue: {duration: 1000}};
+  let props = {getValue: x => x, getId: x => x};
+  attributeManager.update({numInstances: 2, data, props, transitions});
+
+  let changedAttributes = attributeManager.getChangedAttributes({clearChangedFlags: true});
+  t.ok(changedAttributes.valuesFrom, 'attribute to transition from is changed');
+  t.equals(changedAttributes.valuesFrom.value, null, 'no transition on first update');
+  t.equals(changedAttributes.valuesFrom.transitionOf, 'values', 'shares buffer when idle');
+  t.notOk(changedAttributes.idsFrom, 'only transition attributes have from attributes');
+  t.notOk(attributeManager._isTransitioning(), 'not transitioning');
+  t.deepEquals(attributeManager.getTransitionUniforms(), {valuesProgress: 1},
+    'transition uniforms are idle');
+
+  props = {getValue: x => x * 10, getId: x => x};
+  attributeManager.invalidate('getValue');
+  attributeManager.update({numInstances: 2, data, props, transitions});
+
+  changedAttributes = attributeManager.getChangedAttributes({clearChangedFlags: true});
+  t.deepEquals(Array.from(changedAttributes.valuesFrom.value), [1, 2],
+    'transitions from old values');
+  t.deepEquals(Array.from(changedAttributes.values.value), [10, 20], 'attribute has new values');
+  t.ok(attributeManager.getNeedsRedraw({clearRedrawFlags: true}),
+    'needs redraw while transitioning');
+
+  const {startTime} = attributeManager.transitions.values;
+  let uniforms = attributeManager.getTransitionUniforms({time: startTime + 500});
+  t.equals(uniforms.valuesProgress, 0.5, 'transition progress is set');
+
+  // Interrupt the transition halfway
+  attributeManager.transitions.values.startTime = Date.now() - 500;
+  props = {getValue: x => x * 100, getId: x => x};
+  attributeManager.invalidate('getValue');
+  attributeManager.update({numInstances: 2, data, props, transitions});
+
+  changedAttributes = attributeManager.getChangedAttributes({clearChangedFlags: true});
+  const fromValue = Array.from(changedAttributes.valuesFrom.value);
+  t.ok(fromValue[0] >= 5.5 && fromValue[0] < 6 && fromValue[1] >= 11 && fromValue[1] < 12,
+    'interrupted transition continues from current values');
+
+  let completed = 0;
+  const onComplete = () => completed++;
+  props = {getValue: x => x, getId: x => x};
+  attributeManager.invalidate('getValue');
+  attributeManager.update({
+    numInstances: 2, data, props, transitions: {values: {duration: 1000, onComplete}}
+  });
+
+  uniforms = attributeManager.getTransitionUniforms({time: Date.now() + 1000});
+  t.equals(uniforms.valuesProgress, 1, 'transition ended');
+  t.equals(completed, 1, 'onComplete is called');
+  t.notOk(attributeManager._isTransitioning(), 'not transitioning');
+
+  props = {getValue: x => x * 2, getId: x => x};
+  attributeManager.invalidate('getValue');
+  attributeManager.update({numInstances: 2, data, props, transitions: null});
+  changedAttributes = attributeManager.getChangedAttributes({clearChangedFlags: true});
+  t.equals(changedAttributes.valuesFrom.value, null, 'no transition without settings');
+
+  t.end();
+});
+
+test('AttributeManager.update - transitions with new instances', t => {
+  const attributeManager = new AttributeManager();
+  attributeManager.addInstanced({
+    colors: {size: 2, accessor: 'getColor', transition: true}
+  });
+
+  const data = [1, 2];
+  const props = {getColor: x => [x, 255]};
+  const transitions = {getColor: {duration: 1000, enter: ([x]) => [x, 0]}};
+  attributeManager.update({numInstances: 2, data, props, transitions});
+  attributeManager.getChangedAttributes({clearChangedFlags: true});
+
+  data.push(3);
+  attributeManager.update({numInstances: 3, data, props, transitions});
+  let changedAttributes = attributeManager.getChangedAttributes({clearChangedFlags: true});
+  t.deepEquals(Array.from(changedAttributes.colorsFrom.value), [1, 255, 2, 255, 3, 0],
+    'new instances transition from enter values');
+
+  data.length = 1;
+  attributeManager.invalidateAll();
+  attributeManager.update({numInstances: 1, data, props, transitions});
+  changedAttributes = attributeManager.getChangedAttributes({clearChangedFlags: true});
+  t.deepEquals(Array.from(changedAttributes.colorsFrom.value), [1, 255],
+    'removed instances are dropped');
+
+  t.end();
+});
+
 test('AttributeManager.setDefaultLogFunctions', t => {
   // track which updaters were called
   const updaterCalled = {};
@@ -0,0 +1,69 @@
+import test from 'tape-catch';
+import CollisionManager, {placeItems} from 'deck.gl/core/lib/collision-manager';
+
+// Minimal participant of collision resolution
+function makeLayer({id, boxes, priorities = [], collisionGroup = 'default'}) {
+  return {
+    id,
+    props: {collisionEnabled: true, collisionGroup, collisionFadeDuration: 100},
+    opacities: null,
+    getCollisionItems() {
+      return {boxes, priorities};
+    },
+    setCollisionOpacities(opacities) {
+      this.opacities = opacities;
+    }
+  };
+}
+
+test('placeItems', t => {
+  const placed = placeItems([
+    {box: [0, 0, 10, 10], priority: 0},
+    {box: [5, 5, 15, 15], priority: 1},
+    {box: [20, 20, 30, 30], priority: 0},
+    {box: [15, 0, 25, 10], priority: 0},
+    {box: [NaN, 0, 10, 10], priority: 2}
+  ]);
+  t.deepEquals(placed, [false, true, true, true, false],
+    'lower priority overlapping items and invalid boxes are hidden, touching items are placed');
+
+  t.deepEquals(placeItems([
+    {box: [0, 0, 100, 100], priority: 0},
+    {box: [90, 90, 200, 200], priority: 0}
+  ]), [true, false], 'first item wins ties, across grid cells');
+
+  t.end();
+});
+
+test('CollisionManager#update', t => {
+  const collisionManager = new CollisionManager();
+  const labels = makeLayer({id: 'labels', boxes: [[0, 0, 10, 10], [100, 0, 110, 10]]});
+  const icons = makeLayer({id: 'icons', boxes: [[5, 5, 15, 15]], priorities: [1]});
+  const other = makeLayer({id: 'other', boxes: [[0, 0, 10, 10]], collisionGroup: 'other'});
+  const disabled = makeLayer({id: 'disabled', boxes: [[0, 0, 10, 10]]});
+  disabled.props.collisionEnabled = false;
+  const layers = [labels, icons, other, disabled];
+
+  collisionManager.update({layers, time: 0});
+  t.deepEquals(Array.from(labels.opacities), [0, 1], 'overlapped label is hidden right away');
+  t.deepEquals(Array.from(icons.opacities), [1], 'higher priority icon is shown');
+  t.deepEquals(Array.from(other.opacities), [1], 'groups do not collide');
+  t.notOk(disabled.opacities, 'layers without collisionEnabled are ignored');
+  t.notOk(collisionManager.needsRedraw(), 'no fading');
+
+  // Move the icon out of the way
+  icons.getCollisionItems = () => ({boxes: [[50, 50, 60, 60]], priorities: [1]});
+  collisionManager.update({layers, time: 50});
+  t.deepEquals(Array.from(labels.opacities), [0.5, 1], 'label is fading in');
+  t.ok(collisionManager.needsRedraw(), 'redraws while fading');
+
+  collisionManager.update({layers, time: 150});
+  t.deepEquals(Array.from(labels.opacities), [1, 1], 'label is shown');
+  t.notOk(collisionManager.needsRedraw(), 'fading finished');
+
+  const {opacities} = labels;
+  collisionManager.update({layers, time: 200});
+  t.is(labels.opacities, opacities, 'opacities are not updated when nothing changed');
+
+  t.end();
+});
@@ -26,4 +26,7 @@ import './layer.spec';
 import './composite-layer.spec';
 import './layer-manager.spec';
 import './transition-manager.spec';
+import './collision-manager.spec';
+import './mask-manager.spec';
+import './outline-manager.spec';
 import './seer-integration.spec';
@@ -122,6 +122,54 @@ test('Layer#getNumInstances', t => {
   t.end();
 });
 
+test('Layer#_addFilterAttribute', t => {
+  const getFilterValue = x => x.time;
+  const createLayer = props => {
+    const layer = new SubLayer(Object.assign({}, LAYER_PROPS, props));
+    layer.state = {attributeManager: new AttributeManager({id: layer.id})};
+    return layer;
+  };
+
+  let layer = createLayer({});
+  layer._addFilterAttribute();
+  t.notOk(layer.state.attributeManager.getAttributes().instanceFilterValues,
+    'should not register instanceFilterValues without getFilterValue');
+
+  layer = createLayer({getFilterValue});
+  layer._addFilterAttribute();
+  t.ok(layer.state.attributeManager.getAttributes().instanceFilterValues,
+    'should register instanceFilterValues with getFilterValue');
+
+  layer = createLayer({getFilterValue});
+  const update = () => {};
+  layer.state.attributeManager.addInstanced({
+    filterValues: {size: 1, accessor: 'getFilterValue', update}
+  });
+  layer._addFilterAttribute();
+  t.notOk(layer.state.attributeManager.getAttributes().instanceFilterValues,
+    'should not register instanceFilterValues if the layer calculates its own filter values');
+
+  t.end();
+});
+
+test('Layer#lightingDefinesChanged', t => {
+  const pointLights = [{position: [0, 0, 1]}, {position: [1, 0, 1]}];
+  const layer = new SubLayer(LAYER_PROPS);
+  layer.context = {lighting: null};
+  layer.state = {lightingDefines: layer.getLightingDefines()};
+
+  t.notOk(layer.lightingDefinesChanged(), 'same lights');
+
+  layer.context.lighting = {directionalLights: [{direction: [0, 0, -1]}], pointLights};
+  t.ok(layer.lightingDefinesChanged(), 'number of lights changed');
+
+  layer.state.lightingDefines = layer.getLightingDefines();
+  layer.context.lighting = {directionalLights: [{direction: [1, 0, -1]}], pointLights};
+  t.notOk(layer.lightingDefinesChanged(), 'lights changed, but not their number');
+
+  t.end();
+});
+
 test('Layer#diffProps', t => {
   const layer = new SubLayer(LAYER_PROPS);
   testInitializeLayer({layer});
@@ -0,0 +1,48 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import MaskManager, {getMaskId} from 'deck.gl/core/lib/mask-manager';
+
+test('MaskManager#getMaskId', t => {
+  const parent = {id: 'city', props: {isMask: true}, parentLayer: null};
+  const sublayer = {id: 'city-fill', props: {isMask: true}, parentLayer: parent};
+  t.is(getMaskId(sublayer), 'city', 'sublayers of a mask layer draw into its mask');
+
+  const other = {id: 'region', props: {isMask: true}, parentLayer: {props: {isMask: false}}};
+  t.is(getMaskId(other), 'region', 'mask layers of a regular parent have their own mask');
+  t.end();
+});
+
+test('MaskManager#drawMasks', t => {
+  const maskManager = new MaskManager(null);
+  let deleted = false;
+  maskManager.masks.city = {delete: () => {
+    deleted = true;
+  }};
+
+  const masks = maskManager.drawMasks({
+    layers: [{id: 'points', props: {isMask: false, visible: true}}],
+    viewports: []
+  });
+  t.deepEquals(masks, {}, 'no masks without mask layers');
+  t.ok(deleted, 'unused masks are released');
+  t.end();
+});
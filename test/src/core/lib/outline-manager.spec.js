@@ -0,0 +1,65 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import OutlineManager, {
+  getOutline, getOutlineUniforms, MAX_OUTLINE_RADIUS
+} from 'deck.gl/core/lib/outline-manager';
+
+test('OutlineManager#getOutline', t => {
+  t.is(getOutline({props: {highlightOutline: null}}), null, 'layers are not outlined by default');
+  t.deepEquals(getOutline({props: {highlightOutline: true}}),
+    {color: [255, 255, 255, 255], width: 2, glow: 0}, 'default outline');
+  t.deepEquals(getOutline({props: {highlightOutline: {color: [255, 0, 0], glow: 4}}}),
+    {color: [255, 0, 0], width: 2, glow: 4}, 'outline settings are merged with defaults');
+  t.end();
+});
+
+test('OutlineManager#getOutlineUniforms', t => {
+  let uniforms = getOutlineUniforms([
+    {color: [255, 0, 0], width: 2, glow: 0},
+    {color: [0, 0, 255, 51], width: 1, glow: 3}
+  ], 2);
+  t.deepEquals(Array.from(uniforms.outlineColors.slice(0, 8)), [1, 0, 0, 1, 0, 0, 1, 0.2]
+    .map(Math.fround), 'colors are normalized');
+  t.deepEquals(Array.from(uniforms.outlineStyles.slice(0, 4)), [4, 0, 2, 6],
+    'widths and glows are in device pixels');
+  t.is(uniforms.radius, 8, 'radius covers the widest outline');
+
+  uniforms = getOutlineUniforms([{color: [0, 0, 0], width: 30, glow: 30}], 1);
+  t.is(uniforms.radius, MAX_OUTLINE_RADIUS, 'radius is limited');
+  t.end();
+});
+
+test('OutlineManager#drawOutlineMap', t => {
+  const outlineManager = new OutlineManager(null);
+  outlineManager.drawOutlineMap({
+    layers: [
+      {props: {visible: true, highlightOutline: null}},
+      {props: {visible: false, highlightOutline: true}},
+      {props: {visible: true, isMask: true, highlightOutline: true}}
+    ],
+    viewports: [],
+    useDevicePixels: false
+  });
+  t.deepEquals(outlineManager.outlines, [], 'no outlines without visible outlined layers');
+  t.doesNotThrow(() => outlineManager.drawOutlines(), 'nothing to draw');
+  t.end();
+});
@@ -0,0 +1,124 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import {
+  isColumnarData,
+  isColumnarRows,
+  getColumn,
+  getColumnarObject,
+  getColumnarProps,
+  getColumnarTable,
+  copyColumn
+} from 'deck.gl/core/utils/columnar-data';
+
+const TABLE = {
+  length: 2,
+  attributes: {
+    getPosition: {value: new Float32Array([1, 2, 3, 4, 5, 6]), size: 3},
+    getRadius: new Float32Array([10, 20])
+  }
+};
+
+const PATH_TABLE = {
+  length: 2,
+  startIndices: new Uint32Array([0, 2]),
+  attributes: {
+    getPath: {value: new Float64Array([0, 0, 1, 1, 2, 2, 3, 3, 4, 4]), size: 2},
+    getWidth: new Float32Array([1, 2])
+  }
+};
+
+test('columnar-data#isColumnarData', t => {
+  t.ok(isColumnarData(TABLE), 'table is columnar');
+  t.notOk(isColumnarData([]), 'array is not columnar');
+  t.notOk(isColumnarData(null), 'null is not columnar');
+  t.notOk(isColumnarData({length: 1}), 'object without attributes is not columnar');
+  t.end();
+});
+
+test('columnar-data#getColumn', t => {
+  let column = getColumn(TABLE, 'getPosition');
+  t.equals(column.size, 3, 'uses supplied size');
+  t.notOk(column.isVertexColumn, 'object column');
+
+  column = getColumn(TABLE, 'getRadius');
+  t.equals(column.size, 1, 'deduces size from length');
+
+  t.equals(getColumn(TABLE, 'getColor'), null, 'returns null for missing column');
+
+  column = getColumn(PATH_TABLE, 'getPath');
+  t.ok(column.isVertexColumn, 'detects vertex column');
+  t.notOk(getColumn(PATH_TABLE, 'getWidth').isVertexColumn, 'detects object column');
+
+  t.throws(
+    () => getColumn({length: 3, attributes: {getRadius: new Float32Array(4)}}, 'getRadius'),
+    /deduce size/,
+    'throws if size cannot be deduced'
+  );
+  t.end();
+});
+
+test('columnar-data#getColumnarProps', t => {
+  const props = getColumnarProps(TABLE);
+  t.ok(isColumnarRows(props.data), 'generates row indices');
+  t.notOk(Array.isArray(props.data), 'does not store row indices in an array');
+  t.is(props.data.length, 2, 'row indices have table length');
+  t.deepEquals(Array.from(props.data), [0, 1], 'iterates row indices');
+  t.deepEquals(props.data.map((row, i) => [row, i]), [[0, 0], [1, 1]], 'maps row indices');
+  t.is(getColumnarProps(TABLE), props, 'props are cached per table');
+  t.is(getColumnarTable(props.data), TABLE, 'maps rows back to table');
+  t.deepEquals(props.getPosition(1), [4, 5, 6], 'accessor reads row from column');
+  t.equals(props.getRadius(0), 10, 'accessor reads scalar from column');
+
+  const pathProps = getColumnarProps(PATH_TABLE);
+  t.deepEquals(pathProps.getPath(0), [[0, 0], [1, 1]], 'accessor reads vertices of first row');
+  t.deepEquals(pathProps.getPath(1), [[2, 2], [3, 3], [4, 4]],
+    'accessor reads vertices of last row');
+  t.end();
+});
+
+test('columnar-data#getColumnarObject', t => {
+  t.deepEquals(getColumnarObject(TABLE, 1), {index: 1, getPosition: [4, 5, 6], getRadius: 20},
+    'builds object from row');
+  t.end();
+});
+
+test('columnar-data#copyColumn', t => {
+  let target = new Float32Array(6);
+  copyColumn({target, size: 3, column: getColumn(TABLE, 'getPosition'), startRow: 0, endRow: 2});
+  t.deepEquals(Array.from(target), [1, 2, 3, 4, 5, 6], 'copies column of same size');
+
+  target = new Uint8ClampedArray(8);
+  const column = {value: new Uint8Array([1, 2, 3, 4, 5, 6]), size: 3};
+  copyColumn({target, size: 4, column, startRow: 0, endRow: 2, defaultValue: [0, 0, 0, 255]});
+  t.deepEquals(Array.from(target), [1, 2, 3, 255, 4, 5, 6, 255], 'pads missing components');
+
+  target = new Float32Array(6);
+  copyColumn({target, size: 3, column: getColumn(TABLE, 'getRadius'), startRow: 0, endRow: 2,
+    defaultValue: [1]});
+  t.deepEquals(Array.from(target), [10, 0, 0, 20, 0, 0],
+    'pads components without default value with 0');
+
+  target = new Float32Array(6);
+  copyColumn({target, size: 3, column: getColumn(TABLE, 'getPosition'), startRow: 1, endRow: 2});
+  t.deepEquals(Array.from(target), [0, 0, 0, 4, 5, 6], 'copies range of rows');
+  t.end();
+});
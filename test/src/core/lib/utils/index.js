@@ -22,3 +22,6 @@ import './color.spec';
 import './get.spec';
 import './flatten.spec';
 // import './compare-objects.spec';
+import './columnar-data.spec';
+import './iterable-utils.spec';
+import './worker-pool.spec';
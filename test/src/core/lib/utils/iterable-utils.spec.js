@@ -0,0 +1,71 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import {forEachInRange, getObjectAt} from 'deck.gl/core/utils/iterable-utils';
+import {getColumnarProps} from 'deck.gl/core/utils/columnar-data';
+
+const ROWS = getColumnarProps({length: 4, attributes: {}}).data;
+
+const TEST_CASES = [
+  {
+    title: 'array',
+    data: ['a', 'b', 'c', 'd'],
+    startRow: 1,
+    endRow: 3,
+    result: [['b', 1], ['c', 2]]
+  },
+  {
+    title: 'array, range exceeds length',
+    data: ['a', 'b', 'c', 'd'],
+    startRow: 2,
+    endRow: Infinity,
+    result: [['c', 2], ['d', 3]]
+  },
+  {
+    title: 'columnar rows',
+    data: ROWS,
+    startRow: 1,
+    endRow: Infinity,
+    result: [[1, 1], [2, 2], [3, 3]]
+  },
+  {
+    title: 'iterable',
+    data: new Set(['a', 'b', 'c', 'd']),
+    startRow: 1,
+    endRow: 3,
+    result: [['b', 1], ['c', 2]]
+  }
+];
+
+test('forEachInRange', t => {
+  for (const tc of TEST_CASES) {
+    const result = [];
+    forEachInRange(tc.data, tc.startRow, tc.endRow, (object, i) => result.push([object, i]));
+    t.deepEquals(result, tc.result, `forEachInRange ${tc.title}`);
+  }
+  t.end();
+});
+
+test('getObjectAt', t => {
+  t.is(getObjectAt(['a', 'b', 'c'], 1), 'b', 'returns array element');
+  t.is(getObjectAt(ROWS, 2), 2, 'returns row index of columnar rows');
+  t.end();
+});
@@ -0,0 +1,114 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import WorkerPool, {getTransferList} from 'deck.gl/core/utils/worker-pool';
+
+// Mimics a worker by running jobs asynchronously on the main thread
+class TestWorker {
+  constructor(jobs) {
+    this.jobs = jobs;
+    this.onmessage = null;
+    this.terminated = false;
+  }
+
+  postMessage({id, type, payload}) {
+    Promise.resolve().then(() => {
+      try {
+        this.onmessage({data: {id, result: this.jobs[type](payload)}});
+      } catch (error) {
+        this.onmessage({data: {id, error: error.message}});
+      }
+    });
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+const JOBS = {
+  double: ({value}) => value * 2,
+  fail: () => {
+    throw new Error('job failed');
+  }
+};
+
+test('WorkerPool#getTransferList', t => {
+  const positions = new Float32Array(4);
+  const result = getTransferList({positions, view: positions.subarray(2), count: 2, nested: {}});
+  t.deepEquals(result, [positions.buffer], 'returns unique buffers of top level typed arrays');
+  t.end();
+});
+
+test('WorkerPool#startJob', t => {
+  let workerCount = 0;
+  const workerPool = new WorkerPool({
+    createWorker: () => {
+      workerCount++;
+      return new TestWorker(JOBS);
+    },
+    maxConcurrency: 2
+  });
+
+  Promise.all([1, 2, 3].map(value => workerPool.startJob({type: 'double', payload: {value}})))
+    .then(results => {
+      t.deepEquals(results, [2, 4, 6], 'jobs resolve to results');
+      t.equals(workerCount, 2, 'worker count is limited by maxConcurrency');
+      return workerPool.startJob({type: 'fail', payload: {}});
+    })
+    .then(() => t.fail('failed job should reject'))
+    .catch(error => t.ok(/job failed/.test(error.message), 'failed job rejects'))
+    .then(() => {
+      workerPool.finalize();
+      t.end();
+    });
+});
+
+test('WorkerPool#worker error', t => {
+  const workers = [];
+  const workerPool = new WorkerPool({
+    createWorker: () => {
+      // Fails like a worker whose script cannot be loaded
+      const worker = new TestWorker(JOBS);
+      worker.postMessage = () => Promise.resolve().then(() => {
+        worker.onerror({message: 'script error'});
+      });
+      workers.push(worker);
+      return worker;
+    },
+    maxConcurrency: 1
+  });
+
+  const jobs = [1, 2].map(value =>
+    workerPool.startJob({type: 'double', payload: {value}})
+      .then(() => t.fail('job of a broken worker should reject'))
+      .catch(error => t.ok(/script error/.test(error.message), 'job rejects'))
+  );
+
+  Promise.all(jobs).then(() => {
+    t.ok(workers.every(worker => worker.terminated), 'broken workers are terminated');
+    t.equals(workers.length, 2, 'broken workers are replaced for queued jobs');
+    t.equals(workerPool.workerCount, 0, 'broken workers are removed from the pool');
+    t.deepEquals(workerPool.jobs, {}, 'no pending jobs');
+    workerPool.finalize();
+    t.end();
+  });
+});
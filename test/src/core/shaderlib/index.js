@@ -1 +1,5 @@
 import './project/viewport-uniforms.spec';
+import './filter/filter.spec';
+import './lighting/lighting.spec';
+import './shadow/shadow.spec';
+import './mask/mask.spec';
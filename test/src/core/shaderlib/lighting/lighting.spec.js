@@ -0,0 +1,128 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import lighting, {
+  DEFAULT_MATERIAL, getLightingDefines, getLightingUniforms, convertLightSettings
+} from 'deck.gl/core/shaderlib/lighting/lighting';
+import {getSunPosition, getSunDirection} from 'deck.gl/core/shaderlib/lighting/sun-position';
+
+const EPSILON = 1e-6;
+
+test('lighting#getUniforms', t => {
+  t.deepEquals(lighting.getUniforms(), {}, 'no uniforms without lighting or material');
+
+  const uniforms = lighting.getUniforms({lighting: null, material: null});
+  t.is(uniforms.lighting_uDirectionalLightCount, 2, 'default lighting is used');
+  t.is(uniforms.lighting_uShininess, DEFAULT_MATERIAL.shininess, 'default material is used');
+
+  const materialUniforms = lighting.getUniforms({
+    material: {shininess: 8, specularColor: [255, 0, 0]}
+  });
+  t.is(materialUniforms.lighting_uShininess, 8, 'shininess is set');
+  t.deepEquals(materialUniforms.lighting_uSpecularColor, [1, 0, 0], 'specular color is set');
+  t.is(materialUniforms.lighting_uDiffuse, DEFAULT_MATERIAL.diffuse,
+    'missing material properties use defaults');
+  t.end();
+});
+
+test('lighting#getLightingUniforms', t => {
+  const uniforms = getLightingUniforms({
+    ambientLight: {color: [255, 0, 0], intensity: 0.5},
+    directionalLights: [{direction: [0, 0, -1], color: [0, 255, 0]}],
+    pointLights: [
+      {position: [-122.45, 37.75, 8000], intensity: 2},
+      {position: [-122, 38, 5000]}
+    ]
+  });
+
+  t.deepEquals(uniforms.lighting_uAmbientLight, [0.5, 0, 0], 'ambient light is scaled');
+  t.is(uniforms.lighting_uDirectionalLightCount, 1, 'directional light count');
+  t.deepEquals(Array.from(uniforms.lighting_uDirectionalLightDirections.slice(0, 3)), [0, 0, -1],
+    'directional light direction');
+  t.deepEquals(Array.from(uniforms.lighting_uDirectionalLightColors.slice(0, 3)), [0, 1, 0],
+    'directional light color');
+  t.is(uniforms.lighting_uPointLightCount, 2, 'point light count');
+  t.deepEquals(Array.from(uniforms.lighting_uPointLightColors.slice(0, 6)), [2, 2, 2, 1, 1, 1],
+    'point light colors are white by default');
+
+  const night = getLightingUniforms({
+    directionalLights: [{timestamp: Date.UTC(2018, 0, 1, 0), latitude: 51.5, longitude: 0}]
+  });
+  t.is(night.lighting_uDirectionalLightCount, 0, 'sun below the horizon is ignored');
+
+  const day = getLightingUniforms({
+    directionalLights: [{timestamp: Date.UTC(2018, 0, 1, 12), latitude: 51.5, longitude: 0}]
+  });
+  t.is(day.lighting_uDirectionalLightCount, 1, 'sun above the horizon lights the scene');
+  t.end();
+});
+
+test('lighting#getLightingDefines', t => {
+  const getLights = count => new Array(count).fill({direction: [0, 0, -1], position: [0, 0, 1]});
+
+  t.deepEquals(getLightingDefines(null), {
+    LIGHTING_MAX_DIRECTIONAL_LIGHTS: 2,
+    LIGHTING_MAX_POINT_LIGHTS: 1
+  }, 'default lighting, arrays have at least one element');
+
+  const lights = {directionalLights: getLights(8), pointLights: getLights(12)};
+  t.deepEquals(getLightingDefines(lights), {
+    LIGHTING_MAX_DIRECTIONAL_LIGHTS: 8,
+    LIGHTING_MAX_POINT_LIGHTS: 12
+  }, 'arrays are sized to the lights of the scene');
+
+  const uniforms = getLightingUniforms(lights);
+  t.is(uniforms.lighting_uPointLightCount, 12, 'all point lights are rendered');
+  t.is(uniforms.lighting_uPointLightPositions.length, 36, 'point light array is sized');
+  t.is(uniforms.lighting_uDirectionalLightCount, 8, 'all directional lights are rendered');
+  t.end();
+});
+
+test('lighting#convertLightSettings', t => {
+  const {lighting: converted, material} = convertLightSettings({
+    lightsPosition: [-122.45, 37.75, 8000, -122.0, 38.00, 5000],
+    ambientRatio: 0.05,
+    diffuseRatio: 0.6,
+    specularRatio: 0.8,
+    lightsStrength: [2.0, 0.0, 1.0, 0.0],
+    numberOfLights: 2
+  });
+
+  t.deepEquals(converted.pointLights, [
+    {position: [-122.45, 37.75, 8000], intensity: 2},
+    {position: [-122.0, 38.00, 5000], intensity: 1}
+  ], 'lights are converted to point lights');
+  t.is(converted.ambientLight.intensity, 3, 'ambient light is applied for each light');
+  t.is(material.diffuse, 0.6, 'diffuse ratio is converted');
+  t.end();
+});
+
+test('lighting#getSunPosition', t => {
+  const {altitude, azimuth} = getSunPosition(Date.UTC(2013, 2, 5), 50.5, 30.5);
+  t.ok(Math.abs(azimuth - -2.5003175907168385) < EPSILON, 'azimuth');
+  t.ok(Math.abs(altitude - -0.7000406838781611) < EPSILON, 'altitude');
+
+  // Around noon at the equinox, the sun is in the south at 45 degrees latitude
+  const direction = getSunDirection(Date.UTC(2018, 2, 20, 12, 7), 45, 0);
+  t.ok(Math.abs(direction[0]) < 0.01, 'sun light does not travel east or west at noon');
+  t.ok(direction[1] > 0.6 && direction[2] < -0.6, 'sun light travels north and down');
+  t.end();
+});
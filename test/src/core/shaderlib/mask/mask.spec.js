@@ -0,0 +1,45 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import mask from 'deck.gl/core/shaderlib/mask/mask';
+
+test('mask#getUniforms', t => {
+  let uniforms = mask.getUniforms();
+  t.is(uniforms.mask_uEnabled, 0, 'masking is disabled by default');
+  t.is(uniforms.mask_uDrawMask, 0, 'not drawing a mask by default');
+
+  const texture = {};
+  const masks = {city: {texture, width: 800, height: 600}};
+
+  uniforms = mask.getUniforms({maskId: 'county', masks});
+  t.is(uniforms.mask_uEnabled, 0, 'masking is disabled if the mask does not exist');
+
+  uniforms = mask.getUniforms({maskId: 'city', maskInverted: true, masks});
+  t.is(uniforms.mask_uEnabled, 1, 'masking is enabled');
+  t.is(uniforms.mask_uInverted, 1, 'mask is inverted');
+  t.is(uniforms.mask_uTexture, texture, 'mask texture is set');
+  t.deepEquals(uniforms.mask_uSize, [800, 600], 'mask size is set');
+
+  uniforms = mask.getUniforms({maskId: 'city', masks, drawMask: true});
+  t.is(uniforms.mask_uEnabled, 0, 'masks are not sampled while drawing a mask');
+  t.is(uniforms.mask_uDrawMask, 1, 'drawing a mask');
+  t.end();
+});
@@ -115,6 +115,18 @@ test('project#getUniformsFromViewport#shader module style uniforms', t => {
   });
   t.ok(uniforms.project_uCenter.some(x => x), 'Returned non-trivial projection center');
 
+  uniforms = getUniformsFromViewport({
+    viewport,
+    coordinateSystem: COORDINATE_SYSTEM.LNGLAT_OFFSETS,
+    coordinateOrigin: [0, 60]
+  });
+  t.ok(uniforms.project_uCenter.some(x => x), 'Returned non-trivial projection center');
+  const [pixelsPerDegreeX, pixelsPerDegreeY] = uniforms.project_uPixelsPerUnit;
+  t.ok(Math.abs(pixelsPerDegreeX - 512 * viewport.scale / 360) < 1e-6,
+    'Returned pixels per degree longitude');
+  t.ok(Math.abs(pixelsPerDegreeY / pixelsPerDegreeX - 2) < 0.01,
+    'Returned pixels per degree latitude at the coordinate origin');
+
   t.end();
 });
 
@@ -0,0 +1,52 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import test from 'tape-catch';
+import shadow from 'deck.gl/core/shaderlib/shadow/shadow';
+
+const MATRIX = [2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 2, 0, 0, 0, 0, 1];
+
+test('shadow#getUniforms', t => {
+  let uniforms = shadow.getUniforms();
+  t.is(uniforms.shadow_uEnabled, 0, 'shadows are disabled by default');
+  t.is(uniforms.shadow_uDrawShadowMap, 0, 'not drawing the shadow map by default');
+
+  uniforms = shadow.getUniforms({shadowMap: null});
+  t.is(uniforms.shadow_uEnabled, 0, 'shadows are disabled without a shadow map');
+
+  const texture = {};
+  uniforms = shadow.getUniforms({
+    shadowMap: {cameraToLightMatrix: MATRIX, texture, size: 1024, color: [255, 0, 0], opacity: 0.8}
+  });
+  t.is(uniforms.shadow_uEnabled, 1, 'shadows are enabled');
+  t.is(uniforms.shadow_uDrawShadowMap, 0, 'not drawing the shadow map');
+  t.is(uniforms.shadow_uShadowMap, texture, 'shadow map texture is set');
+  t.deepEquals(uniforms.shadow_uShadowMapSize, [1024, 1024], 'shadow map size is set');
+  t.deepEquals(uniforms.shadow_uColor, [1, 0, 0], 'shadow color is normalized');
+  t.is(uniforms.shadow_uOpacity, 0.8, 'shadow opacity is set');
+  t.is(uniforms.shadow_uCameraToLightMatrix, MATRIX, 'matrix is set');
+
+  uniforms = shadow.getUniforms({
+    shadowMap: {drawShadowMap: true, cameraToLightMatrix: MATRIX, texture}
+  });
+  t.is(uniforms.shadow_uEnabled, 0, 'shadows are not sampled while drawing the shadow map');
+  t.is(uniforms.shadow_uDrawShadowMap, 1, 'drawing the shadow map');
+  t.end();
+});
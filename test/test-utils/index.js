@@ -1,2 +1,3 @@
 export * from './layer-utils';
 export {toLowPrecision} from './precision';
+export {getFileTileSource} from './tile-source';
@@ -0,0 +1,46 @@
+// Copyright (c) 2015 - 2017 Uber Technologies, Inc.
+//
+// Permission is hereby granted, free of charge, to any person obtaining a copy
+// of this software and associated documentation files (the "Software"), to deal
+// in the Software without restriction, including without limitation the rights
+// to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+// copies of the Software, and to permit persons to whom the Software is
+// furnished to do so, subject to the following conditions:
+//
+// The above copyright notice and this permission notice shall be included in
+// all copies or substantial portions of the Software.
+//
+// THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+// IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+// FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+// AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+// LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+// OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+// THE SOFTWARE.
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Returns a `getTileData` function for `TileLayer` that reads JSON tiles
+ * from a local directory laid out as `{z}/{x}/{y}.json`.
+ * Missing tiles resolve to null.
+ * @param {String} directory - root directory of the tiles
+ * @return {Function} - `({x, y, z}) => Promise`
+ */
+export function getFileTileSource(directory) {
+  return ({x, y, z}) => new Promise((resolve, reject) => {
+    const fileName = path.join(directory, String(z), String(x), `${y}.json`);
+    fs.readFile(fileName, 'utf8', (error, text) => {
+      if (error) {
+        if (error.code === 'ENOENT') {
+          resolve(null);
+        } else {
+          reject(error);
+        }
+      } else {
+        resolve(JSON.parse(text));
+      }
+    });
+  });
+}
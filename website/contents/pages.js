@@ -261,6 +261,14 @@ export const docPages = generatePath([
         name: 'ArcLayer',
         content: getDocUrl('layers/arc-layer.md')
       },
+      {
+        name: 'BitmapLayer',
+        content: getDocUrl('layers/bitmap-layer.md')
+      },
+      {
+        name: 'ContourLayer',
+        content: getDocUrl('layers/contour-layer.md')
+      },
       {
         name: 'GeoJsonLayer',
         content: getDocUrl('layers/geojson-layer.md')
@@ -269,6 +277,10 @@ export const docPages = generatePath([
         name: 'GridLayer',
         content: getDocUrl('layers/grid-layer.md')
       },
+      {
+        name: 'HeatmapLayer',
+        content: getDocUrl('layers/heatmap-layer.md')
+      },
       {
         name: 'HexagonLayer',
         content: getDocUrl('layers/hexagon-layer.md')
@@ -281,6 +293,10 @@ export const docPages = generatePath([
         name: 'LineLayer',
         content: getDocUrl('layers/line-layer.md')
       },
+      {
+        name: 'MVTLayer',
+        content: getDocUrl('layers/mvt-layer.md')
+      },
       {
         name: 'PathLayer',
         content: getDocUrl('layers/path-layer.md')
@@ -300,6 +316,18 @@ export const docPages = generatePath([
       {
         name: 'ScreenGridLayer',
         content: getDocUrl('layers/screen-grid-layer.md')
+      },
+      {
+        name: 'TerrainLayer',
+        content: getDocUrl('layers/terrain-layer.md')
+      },
+      {
+        name: 'TileLayer',
+        content: getDocUrl('layers/tile-layer.md')
+      },
+      {
+        name: 'TripsLayer',
+        content: getDocUrl('layers/trips-layer.md')
       }
     ]
   },
@@ -314,6 +342,18 @@ export const docPages = generatePath([
         name: 'LayerManager (Advanced)',
         content: getDocUrl('api-reference/layer-manager.md')
       },
+      {
+        name: 'GridAggregator (Experimental)',
+        content: getDocUrl('api-reference/grid-aggregator.md')
+      },
+      {
+        name: 'ShadowEffect (Experimental)',
+        content: getDocUrl('api-reference/shadow-effect.md')
+      },
+      {
+        name: 'PostProcessEffect (Experimental)',
+        content: getDocUrl('api-reference/post-process-effect.md')
+      },
       {
         name: 'Viewport',
         content: getDocUrl('api-reference/viewport.md')
@@ -333,6 +373,18 @@ export const docPages = generatePath([
       {
         name: 'lighting (Shader Module)',
         content: getDocUrl('shader-modules/lighting.md')
+      },
+      {
+        name: 'filter (Shader Module)',
+        content: getDocUrl('shader-modules/filter.md')
+      },
+      {
+        name: 'shadow (Shader Module)',
+        content: getDocUrl('shader-modules/shadow.md')
+      },
+      {
+        name: 'mask (Shader Module)',
+        content: getDocUrl('shader-modules/mask.md')
       }
     ]
   },
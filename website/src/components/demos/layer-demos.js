@@ -40,7 +40,7 @@ export const ArcLayerDemo = createLayerDemoClass({
   formatTooltip: d => `${d.from.name} to ${d.to.name}`,
   props: {
     pickable: true,
-    strokeWidth: 12,
+    getStrokeWidth: d => 12,
     getSourcePosition: d => d.from.coordinates,
     getTargetPosition: d => d.to.coordinates,
     getSourceColor: d => [Math.sqrt(d.inbound), 140, 0],